@@ -1,3 +1,9 @@
-const app = require('../server');
+/**
+ * Vercel serverless entry point
+ */
 
-module.exports = app;
+require('dotenv').config();
+const { createApp } = require('../app');
+const { createServices } = require('../lib/services');
+
+module.exports = createApp(createServices());
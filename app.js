@@ -0,0 +1,92 @@
+/**
+ * Express application
+ * createApp() builds the whole API around the services it is given (see lib/services.js), so the
+ * same app runs on Vercel (api/index.js), locally (server.js) and in tests with in-memory fakes.
+ * The services belong to the app: handlers find them on req.services.
+ *
+ * The API lives under /api/v1 (routes/index.js); the unversioned /api/... paths are deprecated
+ * aliases. /api/health, /api/openapi.json and /api/docs are not versioned.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const { resolveServices } = require('./lib/services');
+const { LOCAL_UPLOADS_PATH } = require('./lib/storage');
+const { requestContext } = require('./middleware/request-context');
+const { notFound, errorHandler } = require('./middleware/error-handler');
+const { deprecatedAlias } = require('./middleware/deprecation');
+const { listEndpoints } = require('./lib/openapi');
+const { API_PREFIX, createApiRouter } = require('./routes');
+const { serviceRouter, getOpenApiSpec } = require('./routes/service');
+
+/**
+ * @param {object} [provided] - { db, auth, mailer, sms, storage, payments, clock }; see lib/services.js.
+ *   Services left out are unavailable - endpoints that need them answer with an error.
+ * @returns {import('express').Express}
+ */
+function createApp(provided = {}) {
+  const services = resolveServices(provided);
+  const app = express();
+  app.locals.services = services;
+
+  // Middleware
+  // Request IDs and access logs come first, so every later log line carries the request's id
+  app.use(requestContext);
+  app.use((req, res, next) => {
+    req.services = services;
+    next();
+  });
+  app.use(cors({
+    origin: [
+      'http://localhost:5173',
+      'http://localhost:3000',
+      /\.vercel\.app$/,
+      process.env.FRONTEND_URL
+    ].filter(Boolean),
+    credentials: true
+  }));
+  // Payment webhooks are signed over the exact bytes sent, so they get the raw body
+  // (express.json below leaves a body that has already been read alone)
+  app.use([`${API_PREFIX}/payments/webhook`, '/api/payments/webhook'], express.raw({ type: '*/*', limit: '1mb' }));
+  app.use(express.json());
+
+  // Vercel sits in front of the app - take the client IP from X-Forwarded-For (used by rate limits)
+  app.set('trust proxy', process.env.TRUST_PROXY !== undefined ? Number(process.env.TRUST_PROXY) : 1);
+
+  /**
+   * Root Route - Welcome/Health Check
+   * The endpoint list is generated from the routes, like the API docs
+   */
+  app.get('/', (req, res) => {
+    res.json({
+      status: 'ok',
+      message: '🚀 SRE LAKSHME Backend API is running!',
+      docs: '/api/docs',
+      endpoints: listEndpoints(getOpenApiSpec())
+    });
+  });
+
+  // Health check and API docs
+  app.use('/api', serviceRouter);
+
+  // Files saved by the local storage driver (STORAGE_DRIVER=local, used offline)
+  if (services.storage && services.storage.driver && services.storage.driver.name === 'local') {
+    app.use(LOCAL_UPLOADS_PATH, express.static(services.storage.driver.dir, {
+      index: false,
+      setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+    }));
+  }
+
+  // Every API route, under /api/v1 and (deprecated) under /api
+  const apiRouter = createApiRouter();
+  app.use(API_PREFIX, apiRouter, notFound);
+  app.use('/api', deprecatedAlias(API_PREFIX), apiRouter);
+
+  // Unknown API routes and errors nothing else handled get the standard JSON envelope
+  app.use('/api', notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
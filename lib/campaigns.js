@@ -0,0 +1,324 @@
+/**
+ * Newsletter campaign sender
+ *
+ * Campaigns live in newsletterCampaigns/{id}; each recipient gets a document in
+ * newsletterCampaigns/{id}/recipients/{email} with its delivery status. Sending works
+ * through the pending recipients in batches, so a run that crashes or runs out of
+ * time simply continues with whoever is still pending on the next run.
+ *
+ * Every copy goes out through the mail queue (mail-queue.js), whose worker sends campaign mail at
+ * CAMPAIGN_SEND_RATE per second, retries failures and dead-letters what keeps failing.
+ * A recipient is 'queued' once their job exists (the job id is kept on the recipient) and
+ * becomes 'sent' or 'dead' when the worker is done with it. Jobs are keyed by campaign and
+ * address, so a run that repeats a recipient (after a crash, or racing a run whose lock
+ * expired) can't mail them twice.
+ *
+ *   CAMPAIGN_BATCH_SIZE   recipients loaded per batch (default 50)
+ *   CAMPAIGN_MAX_RUN_MS   time budget of a single run (default 50s, below serverless limits)
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { enqueueEmail, onJobFinished } = require('./mail-queue');
+const { renderEmail } = require('./templates');
+const { isActiveSubscriber, unsubscribeUrl, listUnsubscribeHeaders } = require('./newsletter');
+const { logger } = require('./logger');
+
+const BATCH_SIZE = Number(process.env.CAMPAIGN_BATCH_SIZE) || 50;
+const MAX_RUN_MS = Number(process.env.CAMPAIGN_MAX_RUN_MS) || 50 * 1000;
+const LOCK_MS = 2 * 60 * 1000;
+
+const CONTENT_FIELDS = ['subject', 'heading', 'content', 'imageUrl', 'ctaLabel', 'ctaUrl'];
+
+function campaignsRef(services) {
+  return services.db.collection('newsletterCampaigns');
+}
+
+/**
+ * Render a campaign for one recipient
+ */
+function renderCampaign(services, campaign, email) {
+  const data = {};
+  for (const field of CONTENT_FIELDS) {
+    data[field] = campaign[field];
+  }
+  return renderEmail('newsletter-campaign', { ...data, unsubscribeUrl: unsubscribeUrl(services, email) });
+}
+
+/**
+ * Send a single copy of a campaign to any address, marked as a test
+ * @returns {Promise<{ id: string, status: string }>} status is 'sent' or 'queued' (retrying)
+ */
+async function sendTestEmail(services, campaign, email) {
+  const rendered = renderCampaign(services, campaign, email);
+  return enqueueEmail(services, {
+    to: email,
+    headers: listUnsubscribeHeaders(services, email),
+    ...rendered,
+    subject: `[TEST] ${rendered.subject}`
+  }, { category: 'newsletter-test', sendNow: true });
+}
+
+/**
+ * Take the send lock so two runs never work on the same campaign at once
+ * @returns {Promise<object|null>} campaign data, or null if it can't be sent right now
+ */
+async function acquireLock(services, campaignRef, lockId) {
+  return services.db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(campaignRef);
+    if (!snapshot.exists) return null;
+
+    const campaign = snapshot.data();
+    if (!['draft', 'scheduled', 'sending'].includes(campaign.status)) return null;
+    if (campaign.lockedUntil && campaign.lockedUntil.toMillis() > services.clock.now()) return null;
+
+    transaction.update(campaignRef, {
+      status: 'sending',
+      lockId,
+      lockedUntil: admin.firestore.Timestamp.fromMillis(services.clock.now() + LOCK_MS),
+      startedAt: campaign.startedAt || admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return campaign;
+  });
+}
+
+/**
+ * Create a pending recipient document for every active subscriber
+ * Runs once per campaign; recipientsQueued marks it as done
+ */
+async function queueRecipients(services, campaignRef) {
+  const subscribers = await services.db.collection('newsletterSubscribers').where('active', '==', true).get();
+
+  let batch = services.db.batch();
+  let batchCount = 0;
+  for (const subscriber of subscribers.docs) {
+    batch.set(campaignRef.collection('recipients').doc(subscriber.id), {
+      email: subscriber.data().email || subscriber.id,
+      status: 'pending'
+    });
+
+    // Firestore batches are limited to 500 writes
+    if (++batchCount === 450) {
+      await batch.commit();
+      batch = services.db.batch();
+      batchCount = 0;
+    }
+  }
+  await batch.commit();
+
+  await campaignRef.update({
+    recipientsQueued: true,
+    stats: { total: subscribers.size, queued: 0, sent: 0, dead: 0, failed: 0, skipped: 0 }
+  });
+
+  return subscribers.size;
+}
+
+/**
+ * Record the outcome for one recipient and bump the campaign counters together
+ */
+async function recordDelivery(services, campaignRef, recipientRef, status, fields) {
+  const batch = services.db.batch();
+  batch.update(recipientRef, { status, ...fields });
+  batch.update(campaignRef, { [`stats.${status}`]: admin.firestore.FieldValue.increment(1) });
+  await batch.commit();
+}
+
+/**
+ * Move a queued recipient to 'sent' or 'dead' once the mail queue is done with their copy
+ * A dead copy retried from the mail queue admin can still become 'sent' later.
+ */
+async function recordJobOutcome(services, { jobId, status, context, error }) {
+  if (!context || !context.campaignId) return;
+
+  const campaignRef = campaignsRef(services).doc(context.campaignId);
+  const recipientRef = campaignRef.collection('recipients').doc(context.recipientId);
+
+  await services.db.runTransaction(async (transaction) => {
+    const recipient = await transaction.get(recipientRef);
+    if (!recipient.exists || recipient.data().mailJobId !== jobId) return;
+
+    const previous = recipient.data().status;
+    if (previous === status) return;
+
+    transaction.update(recipientRef, {
+      status,
+      [`${status}At`]: admin.firestore.FieldValue.serverTimestamp(),
+      error: error || admin.firestore.FieldValue.delete()
+    });
+    transaction.update(campaignRef, {
+      [`stats.${previous}`]: admin.firestore.FieldValue.increment(-1),
+      [`stats.${status}`]: admin.firestore.FieldValue.increment(1)
+    });
+  });
+}
+
+onJobFinished('newsletter-campaign', recordJobOutcome);
+
+/**
+ * Extend the send lock, if this run still holds it
+ * @returns {Promise<boolean>} false when the lock expired and another run took it over
+ */
+async function renewLock(services, campaignRef, lockId) {
+  return services.db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(campaignRef);
+    if (!snapshot.exists || snapshot.data().lockId !== lockId) return false;
+
+    transaction.update(campaignRef, { lockedUntil: admin.firestore.Timestamp.fromMillis(services.clock.now() + LOCK_MS) });
+    return true;
+  });
+}
+
+/**
+ * Give up the send lock - only if this run still holds it - and mark the campaign sent when
+ * nobody is left
+ */
+async function releaseLock(services, campaignRef, lockId, finished) {
+  return services.db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(campaignRef);
+    if (!snapshot.exists || snapshot.data().lockId !== lockId) return false;
+
+    const update = {
+      lockId: admin.firestore.FieldValue.delete(),
+      lockedUntil: admin.firestore.FieldValue.delete()
+    };
+    if (finished) {
+      update.status = 'sent';
+      update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(campaignRef, update);
+    return true;
+  });
+}
+
+/**
+ * Queue (or resume queueing) a campaign for all pending recipients
+ *
+ * @param {object} services
+ * @param {string} campaignId
+ * @param {object} [options]
+ * @param {number} [options.maxRunMs] - Stop after this long and leave the rest pending
+ * @returns {Promise<{ status: string, stats?: object, locked?: boolean }>}
+ */
+async function sendCampaign(services, campaignId, options = {}) {
+  const maxRunMs = options.maxRunMs || MAX_RUN_MS;
+  const campaignRef = campaignsRef(services).doc(campaignId);
+  const lockId = crypto.randomUUID();
+
+  const campaign = await acquireLock(services, campaignRef, lockId);
+  if (!campaign) {
+    const snapshot = await campaignRef.get();
+    return { status: snapshot.exists ? snapshot.data().status : 'not_found', locked: true };
+  }
+
+  const startedAt = Date.now();
+  let finished = false;
+  let lockLost = false;
+
+  try {
+    if (!campaign.recipientsQueued) {
+      const total = await queueRecipients(services, campaignRef);
+      logger.info('Campaign recipients queued', { campaignId, total });
+    }
+
+    while (Date.now() - startedAt < maxRunMs) {
+      const pending = await campaignRef.collection('recipients')
+        .where('status', '==', 'pending')
+        .limit(BATCH_SIZE)
+        .get();
+
+      if (pending.empty) {
+        finished = true;
+        break;
+      }
+
+      for (const recipientDoc of pending.docs) {
+        if (Date.now() - startedAt >= maxRunMs) break;
+
+        const { email } = recipientDoc.data();
+
+        // Honour unsubscribes that happened after the recipients were queued
+        const subscriber = await services.db.collection('newsletterSubscribers').doc(recipientDoc.id).get();
+        if (!subscriber.exists || !isActiveSubscriber(subscriber.data())) {
+          await recordDelivery(services, campaignRef, recipientDoc.ref, 'skipped', {
+            skippedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          continue;
+        }
+
+        try {
+          const job = await enqueueEmail(services, {
+            to: email,
+            headers: listUnsubscribeHeaders(services, email),
+            ...renderCampaign(services, campaign, email)
+          }, {
+            category: 'newsletter-campaign',
+            idempotencyKey: `campaign:${campaignId}:${email.toLowerCase()}`,
+            context: { campaignId, recipientId: recipientDoc.id }
+          });
+          await recordDelivery(services, campaignRef, recipientDoc.ref, 'queued', {
+            mailJobId: job.id,
+            queuedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        } catch (error) {
+          logger.error('Campaign email could not be queued', { err: error, campaignId, email });
+          await recordDelivery(services, campaignRef, recipientDoc.ref, 'failed', {
+            error: error.message,
+            failedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+      }
+
+      // Keep the lock while we are still working - unless it expired and another run has it now
+      if (!(await renewLock(services, campaignRef, lockId))) {
+        lockLost = true;
+        logger.warn('Campaign send lock lost to another run', { campaignId });
+        break;
+      }
+    }
+  } finally {
+    if (!lockLost) {
+      await releaseLock(services, campaignRef, lockId, finished);
+    }
+  }
+
+  const snapshot = await campaignRef.get();
+  const { status, stats } = snapshot.data();
+  logger.info('Campaign run finished', { campaignId, status, ...stats });
+  return { status, stats };
+}
+
+/**
+ * Start scheduled campaigns that are due and resume interrupted ones
+ * Called by the cron dispatch endpoint
+ */
+async function dispatchDueCampaigns(services) {
+  const startedAt = Date.now();
+  const [scheduled, sending] = await Promise.all([
+    campaignsRef(services).where('status', '==', 'scheduled').get(),
+    campaignsRef(services).where('status', '==', 'sending').get()
+  ]);
+
+  const due = [
+    ...sending.docs,
+    ...scheduled.docs.filter((doc) => doc.data().scheduledAt && doc.data().scheduledAt.toMillis() <= services.clock.now())
+  ];
+
+  const results = [];
+  for (const doc of due) {
+    const remainingMs = MAX_RUN_MS - (Date.now() - startedAt);
+    if (remainingMs <= 0) break;
+    results.push({ id: doc.id, ...(await sendCampaign(services, doc.id, { maxRunMs: remainingMs })) });
+  }
+
+  return results;
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  renderCampaign,
+  sendTestEmail,
+  sendCampaign,
+  dispatchDueCampaigns
+};
@@ -0,0 +1,139 @@
+/**
+ * Shopping carts
+ * users/{uid}/cart/{productId} holds { productId, quantity, addedAt, updatedAt }.
+ * Only the quantity is stored - names, prices and stock are always read from the product,
+ * so the cart can never show (or check out at) a stale price.
+ */
+
+const admin = require('firebase-admin');
+const { taxClass } = require('./gst');
+
+const MAX_QUANTITY = 10;
+const MAX_CART_ITEMS = 50;
+
+function cartCollection(services, uid) {
+  return services.db.collection('users').doc(uid).collection('cart');
+}
+
+/**
+ * Whether a product can be bought right now
+ * @returns {string|null} reason it can't, null when it can
+ */
+function unavailableReason(product, quantity) {
+  if (!product || product.deleted) return 'unavailable';
+  if (!product.stock || product.stock <= 0) return 'out_of_stock';
+  if (product.stock < quantity) return 'insufficient_stock';
+  return null;
+}
+
+/**
+ * Cart lines joined with the current product data
+ * @param {FirebaseFirestore.QueryDocumentSnapshot[]} cartDocs
+ * @param {FirebaseFirestore.DocumentSnapshot[]} productDocs - same order as cartDocs
+ */
+function priceCart(cartDocs, productDocs) {
+  const items = cartDocs.map((cartDoc, index) => {
+    const { productId, quantity } = cartDoc.data();
+    const product = productDocs[index].exists ? productDocs[index].data() : null;
+    const problem = unavailableReason(product, quantity);
+    const { hsnCode, gstRate } = product ? taxClass(product) : { hsnCode: null, gstRate: null };
+
+    return {
+      productId,
+      quantity,
+      name: product ? product.name : null,
+      category: product ? product.category : null,
+      imageUrl: product ? product.imageUrl || null : null,
+      price: product ? product.price : null,
+      mrp: product ? product.mrp : null,
+      hsnCode,
+      gstRate,
+      stock: product && !product.deleted ? product.stock : 0,
+      lineTotal: product && !product.deleted ? product.price * quantity : 0,
+      available: !problem,
+      problem
+    };
+  });
+
+  const subtotal = items
+    .filter((item) => item.available)
+    .reduce((sum, item) => sum + item.lineTotal, 0);
+
+  return { items, subtotal: Math.round(subtotal * 100) / 100 };
+}
+
+/**
+ * Load and price a user's cart
+ */
+async function getCart(services, uid) {
+  const snapshot = await cartCollection(services, uid).orderBy('addedAt').get();
+  if (snapshot.empty) return { items: [], subtotal: 0 };
+
+  const productDocs = await services.db.getAll(
+    ...snapshot.docs.map((doc) => services.db.collection('products').doc(doc.data().productId))
+  );
+  return priceCart(snapshot.docs, productDocs);
+}
+
+/**
+ * Set the quantity of a product in the cart (0 removes it)
+ * @returns {Promise<{ error?: string, status?: number }>}
+ */
+async function setCartItem(services, uid, productId, quantity) {
+  const itemRef = cartCollection(services, uid).doc(productId);
+
+  if (quantity === 0) {
+    await itemRef.delete();
+    return {};
+  }
+
+  const productDoc = await services.db.collection('products').doc(productId).get();
+  const product = productDoc.exists ? productDoc.data() : null;
+  if (!product || product.deleted) {
+    return { status: 404, error: 'Product not found' };
+  }
+  if (product.stock < quantity) {
+    return {
+      status: 409,
+      error: product.stock > 0 ? `Only ${product.stock} left in stock` : 'This product is out of stock'
+    };
+  }
+
+  const existing = await itemRef.get();
+  if (!existing.exists) {
+    const count = await cartCollection(services, uid).count().get();
+    if (count.data().count >= MAX_CART_ITEMS) {
+      return { status: 400, error: `A cart can hold at most ${MAX_CART_ITEMS} different products` };
+    }
+  }
+
+  await itemRef.set({
+    productId,
+    quantity,
+    addedAt: existing.exists ? existing.data().addedAt : admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return {};
+}
+
+/**
+ * Empty a user's cart
+ */
+async function clearCart(services, uid) {
+  const snapshot = await cartCollection(services, uid).get();
+  for (let i = 0; i < snapshot.docs.length; i += 450) {
+    const batch = services.db.batch();
+    snapshot.docs.slice(i, i + 450).forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+}
+
+module.exports = {
+  MAX_QUANTITY,
+  cartCollection,
+  unavailableReason,
+  priceCart,
+  getCart,
+  setCartItem,
+  clearCart
+};
@@ -0,0 +1,52 @@
+/**
+ * Firebase Admin SDK initialization
+ * Called once by createServices (lib/services.js); everything else reaches Firestore and Auth
+ * through the app's services (req.services).
+ */
+
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+/**
+ * Initialize the Admin SDK from env
+ * @param {object} [env=process.env]
+ * @returns {{ admin: object, db: object|null }} db is null when credentials are missing or invalid
+ */
+function initFirebase(env = process.env) {
+  if (admin.apps.length) {
+    return { admin, db: admin.firestore() };
+  }
+
+  try {
+    let privateKey = env.FIREBASE_PRIVATE_KEY;
+
+    if (privateKey) {
+      // Remove surrounding quotes if present (Vercel sometimes adds them)
+      privateKey = privateKey.replace(/^["']|["']$/g, '');
+      // Handle escaped newlines - try multiple patterns
+      privateKey = privateKey.replace(/\\n/g, '\n');
+      // Also handle double-escaped newlines
+      privateKey = privateKey.replace(/\\\\n/g, '\n');
+    }
+
+    if (!env.FIREBASE_PROJECT_ID || !env.FIREBASE_CLIENT_EMAIL || !privateKey) {
+      logger.error('Firebase credentials missing. Required: FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY');
+      return { admin, db: null };
+    }
+
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: env.FIREBASE_PROJECT_ID,
+        clientEmail: env.FIREBASE_CLIENT_EMAIL,
+        privateKey: privateKey
+      })
+    });
+    logger.info('Firebase Admin SDK initialized');
+    return { admin, db: admin.firestore() };
+  } catch (error) {
+    logger.error('Firebase Admin SDK initialization error - make sure FIREBASE_PRIVATE_KEY is correctly formatted', { err: error });
+    return { admin, db: null };
+  }
+}
+
+module.exports = { initFirebase };
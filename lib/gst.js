@@ -0,0 +1,192 @@
+/**
+ * GST (Indian Goods and Services Tax) helpers
+ * Catalog prices include GST, so tax is worked backwards out of each line total.
+ * A sale delivered inside the seller's state is intra-state and split equally into CGST and SGST;
+ * a sale delivered to another state is inter-state and charged as IGST.
+ */
+
+const GST_RATES = [0, 5, 12, 18, 28, 40];
+
+// HSN code and rate used when a product doesn't set its own
+const CATEGORY_DEFAULTS = {
+  electronics: { hsnCode: '8528', gstRate: 18 },
+  furniture: { hsnCode: '9403', gstRate: 18 }
+};
+
+// Delivery charges are billed as courier services
+const SHIPPING_SAC = '996812';
+const SHIPPING_GST_RATE = 18;
+
+// GST state codes (first two digits of a GSTIN)
+const STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Other spellings customers type
+const STATE_ALIASES = {
+  'orissa': '21',
+  'pondicherry': '34',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'j&k': '01',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26'
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Look up a state by name or GST state code
+ * @returns {{ code: string, name: string }|null}
+ */
+function findState(input) {
+  if (typeof input !== 'string' && typeof input !== 'number') return null;
+  const value = String(input).trim().toLowerCase().replace(/\s+/g, ' ');
+
+  const code = /^\d{1,2}$/.test(value)
+    ? value.padStart(2, '0')
+    : Object.keys(STATES).find((key) => STATES[key].toLowerCase() === value) || STATE_ALIASES[value];
+
+  return code && STATES[code] ? { code, name: STATES[code] } : null;
+}
+
+function isHsnCode(value) {
+  return typeof value === 'string' && /^\d{4}(\d{2}){0,2}$/.test(value);
+}
+
+/**
+ * HSN code and GST rate for a product, falling back to its category's defaults
+ */
+function taxClass(product) {
+  const defaults = CATEGORY_DEFAULTS[product.category] || CATEGORY_DEFAULTS.electronics;
+  return {
+    hsnCode: product.hsnCode || defaults.hsnCode,
+    gstRate: typeof product.gstRate === 'number' ? product.gstRate : defaults.gstRate
+  };
+}
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax
+ * @param {number} amount - price including GST
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} interState - IGST instead of CGST + SGST
+ */
+function splitTax(amount, rate, interState) {
+  const taxableValue = round2(amount * 100 / (100 + rate));
+  const tax = round2(amount - taxableValue);
+
+  if (interState) {
+    return { taxableValue, igst: tax, cgst: 0, sgst: 0, tax };
+  }
+  const cgst = round2(tax / 2);
+  return { taxableValue, igst: 0, cgst, sgst: round2(tax - cgst), tax };
+}
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundred(n) {
+  if (n < 20) return ONES[n];
+  return TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : '');
+}
+
+function belowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Whole number in words using the Indian system (thousand, lakh, crore)
+ */
+function numberToWords(n) {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crores = Math.floor(n / 10000000);
+  if (crores) parts.push(`${numberToWords(crores)} Crore`);
+  const lakhs = Math.floor((n % 10000000) / 100000);
+  if (lakhs) parts.push(`${belowHundred(lakhs)} Lakh`);
+  const thousands = Math.floor((n % 100000) / 1000);
+  if (thousands) parts.push(`${belowHundred(thousands)} Thousand`);
+  const rest = n % 1000;
+  if (rest) parts.push(belowThousand(rest));
+
+  return parts.join(' ');
+}
+
+/**
+ * Rupee amount in words, e.g. 2250.5 -> "Rupees Two Thousand Two Hundred Fifty and Fifty Paise Only"
+ */
+function amountInWords(amount) {
+  const paiseTotal = Math.round(amount * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  return `Rupees ${numberToWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+}
+
+/**
+ * Indian financial year (April to March) a date falls in, in IST
+ * @returns {string} e.g. '2026-27'
+ */
+function financialYear(date) {
+  const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+module.exports = {
+  GST_RATES,
+  SHIPPING_SAC,
+  SHIPPING_GST_RATE,
+  STATES,
+  round2,
+  findState,
+  isHsnCode,
+  taxClass,
+  splitTax,
+  numberToWords,
+  amountInWords,
+  financialYear
+};
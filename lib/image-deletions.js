@@ -0,0 +1,70 @@
+/**
+ * Image deletes that failed
+ * When an image is no longer referenced but the storage can't be reached, its public id is parked in
+ * imageDeletions so a maintenance run can try again instead of leaving the asset behind forever.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+function deletionRef(services, publicId) {
+  return services.db.collection('imageDeletions').doc(crypto.createHash('sha256').update(publicId).digest('hex'));
+}
+
+/**
+ * Delete images now, queueing whatever fails for a retry
+ * @param {object} services
+ * @param {string[]} publicIds
+ * @param {object} [context] - stored with queued entries, e.g. { source: 'profile-photo', uid }
+ * @returns {Promise<{ deleted: string[], failed: string[] }>}
+ */
+async function deleteImagesOrQueue(services, publicIds, context = {}) {
+  const result = await services.storage.destroyImages(publicIds.filter(Boolean));
+
+  if (result.failed.length) {
+    const batch = services.db.batch();
+    for (const publicId of result.failed) {
+      batch.set(deletionRef(services, publicId), {
+        ...context,
+        publicId,
+        attempts: 1,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    await batch.commit();
+    logger.warn('Image deletions queued for retry', { count: result.failed.length });
+  }
+
+  return result;
+}
+
+/**
+ * Try the queued deletes again
+ * @param {object} services
+ * @param {object} [options]
+ * @param {number} [options.limit=100]
+ * @returns {Promise<{ deleted: number, failed: number }>}
+ */
+async function retryImageDeletions(services, options = {}) {
+  const snapshot = await services.db.collection('imageDeletions').limit(options.limit || 100).get();
+  if (snapshot.empty) return { deleted: 0, failed: 0 };
+
+  const { deleted, failed } = await services.storage.destroyImages(snapshot.docs.map((doc) => doc.data().publicId));
+
+  const batch = services.db.batch();
+  for (const publicId of deleted) {
+    batch.delete(deletionRef(services, publicId));
+  }
+  for (const publicId of failed) {
+    batch.update(deletionRef(services, publicId), {
+      attempts: admin.firestore.FieldValue.increment(1),
+      lastAttemptAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  await batch.commit();
+
+  return { deleted: deleted.length, failed: failed.length };
+}
+
+module.exports = { deleteImagesOrQueue, retryImageDeletions };
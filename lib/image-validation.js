@@ -0,0 +1,207 @@
+/**
+ * Image validation
+ * Uploads are identified from their bytes, never from the client's file name or Content-Type.
+ * Supported formats are JPEG, PNG, GIF and WebP. Each file's container structure is walked far
+ * enough to read the dimensions and to reject truncated or corrupt files (PNG chunk CRCs,
+ * JPEG frame header and end marker, GIF trailer, WebP RIFF length).
+ */
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+const EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  gif: 'gif',
+  webp: 'webp'
+};
+
+const DEFAULT_LIMITS = {
+  minWidth: 1,
+  minHeight: 1,
+  maxWidth: 8000,
+  maxHeight: 8000,
+  // Guards against decompression bombs - a tiny file that expands to gigabytes of pixels
+  maxPixels: 40 * 1000 * 1000
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let crcTable;
+
+function crc32(buffer, start, end) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = -1;
+  for (let i = start; i < end; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+class ImageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageValidationError';
+  }
+}
+
+function corrupt(type) {
+  return new ImageValidationError(`The ${type.toUpperCase()} file is damaged or incomplete`);
+}
+
+function readPng(buffer) {
+  let offset = PNG_SIGNATURE.length;
+  let size = null;
+  let hasData = false;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 8 + length;
+    if (end + 4 > buffer.length) throw corrupt('png');
+    if (crc32(buffer, offset + 4, end) !== buffer.readUInt32BE(end)) throw corrupt('png');
+
+    if (type === 'IHDR') {
+      size = { width: buffer.readUInt32BE(offset + 8), height: buffer.readUInt32BE(offset + 12) };
+    } else if (type === 'IDAT') {
+      hasData = true;
+    } else if (type === 'IEND') {
+      if (!size || !hasData) throw corrupt('png');
+      return size;
+    }
+    offset = end + 4;
+  }
+
+  throw corrupt('png');
+}
+
+function readJpeg(buffer) {
+  let offset = 2;
+  let size = null;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) throw corrupt('jpeg');
+    const marker = buffer[offset + 1];
+
+    // Padding bytes and markers without a payload
+    if (marker === 0xff) { offset++; continue; }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { offset += 2; continue; }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (length < 2 || offset + 2 + length > buffer.length) throw corrupt('jpeg');
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      size = { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+
+    if (marker === 0xda) {
+      // Start of scan - compressed data follows, the file must still end with an EOI marker
+      if (!size) throw corrupt('jpeg');
+      const eoi = buffer.lastIndexOf(Buffer.from([0xff, 0xd9]));
+      if (eoi < offset + 2 + length) throw corrupt('jpeg');
+      return size;
+    }
+    offset += 2 + length;
+  }
+
+  throw corrupt('jpeg');
+}
+
+function readGif(buffer) {
+  if (buffer.length < 14) throw corrupt('gif');
+
+  // Trailer byte, allowing for zero padding some encoders add
+  let last = buffer.length - 1;
+  while (last > 13 && buffer[last] === 0) last--;
+  if (buffer[last] !== 0x3b) throw corrupt('gif');
+
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function readWebp(buffer) {
+  if (buffer.length < 30 || buffer.readUInt32LE(4) + 8 > buffer.length) throw corrupt('webp');
+
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') {
+    if (buffer[23] !== 0x9d || buffer[24] !== 0x01 || buffer[25] !== 0x2a) throw corrupt('webp');
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    if (buffer[20] !== 0x2f) throw corrupt('webp');
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  throw corrupt('webp');
+}
+
+/**
+ * Work out the real format from the first bytes
+ * @returns {string|null} 'jpeg' | 'png' | 'gif' | 'webp'
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  const head = buffer.toString('latin1', 0, 6);
+  if (head === 'GIF87a' || head === 'GIF89a') return 'gif';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+/**
+ * Identify an image and check it against size limits
+ * @param {Buffer} buffer
+ * @param {object} [limits] - minWidth, minHeight, maxWidth, maxHeight, maxPixels
+ * @returns {{ type: string, mimeType: string, extension: string, width: number, height: number }}
+ * @throws {ImageValidationError}
+ */
+function inspectImage(buffer, limits = {}) {
+  const { minWidth, minHeight, maxWidth, maxHeight, maxPixels } = { ...DEFAULT_LIMITS, ...limits };
+
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw new ImageValidationError('Only JPEG, PNG, GIF and WebP images are allowed');
+  }
+
+  const readers = { png: readPng, jpeg: readJpeg, gif: readGif, webp: readWebp };
+  let size;
+  try {
+    size = readers[type](buffer);
+  } catch (error) {
+    if (error instanceof ImageValidationError) throw error;
+    throw corrupt(type);
+  }
+
+  const { width, height } = size;
+  if (!width || !height) {
+    throw corrupt(type);
+  }
+  if (width < minWidth || height < minHeight) {
+    throw new ImageValidationError(`Image must be at least ${minWidth}x${minHeight} pixels (got ${width}x${height})`);
+  }
+  if (width > maxWidth || height > maxHeight || width * height > maxPixels) {
+    throw new ImageValidationError(`Image must be at most ${maxWidth}x${maxHeight} pixels (got ${width}x${height})`);
+  }
+
+  return { type, mimeType: MIME_TYPES[type], extension: EXTENSIONS[type], width, height };
+}
+
+module.exports = { ImageValidationError, detectImageType, inspectImage, MIME_TYPES, EXTENSIONS };
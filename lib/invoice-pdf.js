@@ -0,0 +1,202 @@
+/**
+ * Render a GST invoice (from invoices.buildInvoice) as an A4 PDF
+ * Uses the built-in PDF fonts, which have no rupee sign, so amounts are labelled "Rs."
+ */
+
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 40;
+const PAGE_BOTTOM = 842 - MARGIN - 40;
+const WIDTH = 595 - MARGIN * 2;
+const GREY = '#6b7280';
+const DARK = '#111827';
+const LINE = '#d1d5db';
+
+function money(amount) {
+  return Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+/**
+ * Table columns; the tax columns depend on whether the sale is inter-state
+ */
+function columns(interState) {
+  const taxColumns = interState
+    ? [{ header: 'IGST', width: 75, align: 'right', value: (line) => [money(line.igst), `@${line.gstRate}%`] }]
+    : [
+      { header: 'CGST', width: 60, align: 'right', value: (line) => [money(line.cgst), `@${line.gstRate / 2}%`] },
+      { header: 'SGST', width: 60, align: 'right', value: (line) => [money(line.sgst), `@${line.gstRate / 2}%`] }
+    ];
+  const fixed = 20 + 55 + 30 + 75 + 75 + taxColumns.reduce((total, column) => total + column.width, 0);
+
+  return [
+    { header: '#', width: 20, align: 'left', value: (line, index) => [String(index + 1)] },
+    { header: 'Item', width: WIDTH - fixed, align: 'left', value: (line) => [line.description] },
+    { header: 'HSN/SAC', width: 55, align: 'left', value: (line) => [line.hsnCode] },
+    { header: 'Qty', width: 30, align: 'right', value: (line) => [String(line.quantity)] },
+    { header: 'Taxable value', width: 75, align: 'right', value: (line) => [money(line.taxableValue)] },
+    ...taxColumns,
+    { header: 'Amount', width: 75, align: 'right', value: (line) => [money(line.total)] }
+  ];
+}
+
+/**
+ * Draw one table row and return its height
+ */
+function drawRow(doc, cols, cells, y, options = {}) {
+  const padding = 4;
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.size || 8.5);
+
+  const heights = cells.map((lines, index) => lines.reduce((total, text, lineIndex) => (
+    total + doc.heightOfString(text, { width: cols[index].width - padding * 2 }) + (lineIndex ? 1 : 0)
+  ), 0));
+  const height = Math.max(...heights) + padding * 2;
+
+  let x = MARGIN;
+  cells.forEach((lines, index) => {
+    let textY = y + padding;
+    lines.forEach((text, lineIndex) => {
+      doc.fillColor(lineIndex ? GREY : DARK)
+        .text(text, x + padding, textY, { width: cols[index].width - padding * 2, align: cols[index].align });
+      textY = doc.y + 1;
+    });
+    x += cols[index].width;
+  });
+
+  doc.moveTo(MARGIN, y + height).lineTo(MARGIN + WIDTH, y + height).strokeColor(LINE).lineWidth(0.5).stroke();
+  return height;
+}
+
+function drawHeader(doc, invoice) {
+  const { seller } = invoice;
+
+  doc.font('Helvetica-Bold').fontSize(15).fillColor(DARK).text(seller.name, MARGIN, MARGIN, { width: 300 });
+  doc.font('Helvetica').fontSize(9).fillColor(GREY);
+  seller.address.forEach((line) => doc.text(line, { width: 300 }));
+  if (seller.gstin) doc.fillColor(DARK).text(`GSTIN: ${seller.gstin}`, { width: 300 });
+  doc.fillColor(DARK).text(`State: ${seller.state} (${seller.stateCode})`, { width: 300 });
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', MARGIN + 300, MARGIN, { width: WIDTH - 300, align: 'right' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9);
+  [
+    ['Invoice No', invoice.number],
+    ['Invoice Date', formatDate(invoice.issuedAt)],
+    ['Order No', invoice.orderNumber],
+    ['Order Date', formatDate(invoice.orderDate)]
+  ].forEach(([label, value]) => {
+    const y = doc.y;
+    doc.fillColor(GREY).text(label, MARGIN + WIDTH - 200, y, { width: 80 });
+    doc.fillColor(DARK).text(value, MARGIN + WIDTH - 120, y, { width: 120, align: 'right' });
+  });
+
+  return Math.max(leftBottom, doc.y) + 14;
+}
+
+function drawParties(doc, invoice, y) {
+  const { buyer, placeOfSupply } = invoice;
+  const half = WIDTH / 2;
+
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(GREY).text('BILL TO / SHIP TO', MARGIN, y, { width: half - 10 });
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(DARK).text(buyer.name, { width: half - 10 });
+  doc.font('Helvetica').fontSize(9);
+  buyer.address.forEach((line) => doc.text(line, { width: half - 10 }));
+  doc.text(`Phone: ${buyer.phone}`, { width: half - 10 });
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(GREY).text('PLACE OF SUPPLY', MARGIN + half, y, { width: half });
+  doc.font('Helvetica').fontSize(9).fillColor(DARK)
+    .text(`${placeOfSupply.name} (${placeOfSupply.code})`, { width: half })
+    .text(invoice.interState ? 'Inter-state supply (IGST)' : 'Intra-state supply (CGST + SGST)', { width: half })
+    .text('Tax payable on reverse charge: No', { width: half });
+
+  return Math.max(leftBottom, doc.y) + 14;
+}
+
+function drawTotals(doc, invoice, y) {
+  const { totals } = invoice;
+  const rows = [
+    ['Taxable value', money(totals.taxableValue)],
+    ...(invoice.interState
+      ? [['IGST', money(totals.igst)]]
+      : [['CGST', money(totals.cgst)], ['SGST', money(totals.sgst)]]),
+    ['Total (Rs.)', money(totals.total)]
+  ];
+
+  const x = MARGIN + WIDTH - 220;
+  rows.forEach(([label, value], index) => {
+    const last = index === rows.length - 1;
+    doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 11 : 9).fillColor(DARK);
+    doc.text(label, x, y, { width: 120 });
+    doc.text(value, x + 120, y, { width: 100, align: 'right' });
+    y = doc.y + 4;
+  });
+
+  doc.font('Helvetica').fontSize(9).fillColor(GREY).text('Amount in words', MARGIN, y + 6);
+  doc.font('Helvetica-Bold').fillColor(DARK).text(invoice.amountInWords, { width: WIDTH });
+  return doc.y + 30;
+}
+
+function drawFooter(doc, invoice, y) {
+  if (y > PAGE_BOTTOM - 60) {
+    doc.addPage();
+    y = MARGIN;
+  }
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(DARK)
+    .text(`For ${invoice.seller.name}`, MARGIN, y, { width: WIDTH, align: 'right' });
+  doc.font('Helvetica').text('Authorised Signatory', MARGIN, y + 36, { width: WIDTH, align: 'right' });
+  doc.fontSize(8).fillColor(GREY)
+    .text('This is a computer-generated invoice and does not need a signature.', MARGIN, y + 60, { width: WIDTH, align: 'center' });
+}
+
+/**
+ * @param {object} invoice - from buildInvoice
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      info: { Title: `Tax Invoice ${invoice.number}`, Author: invoice.seller.name }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    let y = drawHeader(doc, invoice);
+    y = drawParties(doc, invoice, y);
+
+    const cols = columns(invoice.interState);
+    const header = () => {
+      doc.rect(MARGIN, y, WIDTH, 18).fill('#f3f4f6');
+      y += drawRow(doc, cols, cols.map((column) => [column.header]), y, { bold: true, size: 8 });
+    };
+    header();
+
+    invoice.lines.forEach((line, index) => {
+      if (y > PAGE_BOTTOM - 30) {
+        doc.addPage();
+        y = MARGIN;
+        header();
+      }
+      y += drawRow(doc, cols, cols.map((column) => column.value(line, index)), y);
+    });
+
+    if (y > PAGE_BOTTOM - 120) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    y = drawTotals(doc, invoice, y + 10);
+    drawFooter(doc, invoice, y);
+
+    doc.end();
+  });
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,187 @@
+/**
+ * GST tax invoices for orders
+ * An order gets its invoice number when it is confirmed - paid online or confirmed by the shop -
+ * or on the first download of a confirmed order without one. Orders that were never confirmed
+ * (unpaid, abandoned or cancelled before confirmation) don't use up a number, and cancelled
+ * orders have no invoice to download. Numbers run in sequence per Indian financial year,
+ * e.g. SL/26-27/00001, from a counter in invoiceCounters/{financialYear} that is bumped in the
+ * same transaction that writes orders/{id}.invoice, so no number is skipped or used twice.
+ *
+ * The seller details are copied into the invoice when it is issued; re-downloading an invoice
+ * always prints what was issued, even if the settings below change later.
+ *
+ *   SELLER_GSTIN        GSTIN printed on invoices; its first two digits set the seller's state
+ *   SELLER_LEGAL_NAME   registered business name (default: the brand's legal name)
+ *   SELLER_ADDRESS      registered address, lines separated by commas
+ *   SELLER_STATE        state name or GST state code when SELLER_GSTIN isn't set (default Tamil Nadu)
+ *   INVOICE_PREFIX      invoice number prefix (default SL)
+ */
+
+const admin = require('firebase-admin');
+const { brand } = require('./templates/brand');
+const {
+  SHIPPING_SAC,
+  SHIPPING_GST_RATE,
+  round2,
+  findState,
+  taxClass,
+  splitTax,
+  amountInWords,
+  financialYear
+} = require('./gst');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'SL';
+
+// Order statuses that have (or get) an invoice
+const INVOICED_STATUSES = ['confirmed', 'shipped', 'delivered', 'returned'];
+
+function sellerDetails() {
+  const gstin = (process.env.SELLER_GSTIN || '').trim().toUpperCase() || null;
+  const state = findState(gstin ? gstin.slice(0, 2) : process.env.SELLER_STATE || 'Tamil Nadu');
+
+  return {
+    name: process.env.SELLER_LEGAL_NAME || brand.legalName,
+    address: (process.env.SELLER_ADDRESS || '').split(',').map((line) => line.trim()).filter(Boolean),
+    gstin,
+    state: state ? state.name : null,
+    stateCode: state ? state.code : null
+  };
+}
+
+/**
+ * e.g. SL/26-27/00001 (GST invoice numbers may be at most 16 characters)
+ */
+function formatInvoiceNumber(year, sequence) {
+  return `${INVOICE_PREFIX}/${year.slice(2)}/${String(sequence).padStart(5, '0')}`;
+}
+
+/**
+ * Give a confirmed order its invoice number, unless it already has one
+ * @returns {Promise<{ order?: object, status?: number, error?: string }|null>} null when the order doesn't exist
+ */
+async function issueInvoice(services, orderId) {
+  const orderRef = services.db.collection('orders').doc(orderId);
+
+  return services.db.runTransaction(async (tx) => {
+    const doc = await tx.get(orderRef);
+    if (!doc.exists) return null;
+
+    const order = doc.data();
+    if (order.status === 'cancelled') {
+      return { status: 409, error: 'Cancelled orders have no invoice' };
+    }
+    if (!INVOICED_STATUSES.includes(order.status)) {
+      return { status: 409, error: 'The invoice is issued once the order is confirmed' };
+    }
+    if (order.invoice) return { order };
+
+    const seller = sellerDetails();
+    const placeOfSupply = findState(order.shippingAddress.stateCode || order.shippingAddress.state);
+    if (!placeOfSupply || !seller.stateCode) {
+      return { status: 409, error: 'The place of supply for this order could not be determined' };
+    }
+
+    const issuedAt = admin.firestore.Timestamp.fromMillis(services.clock.now());
+    const year = financialYear(issuedAt.toDate());
+    const counterRef = services.db.collection('invoiceCounters').doc(year);
+    const counter = await tx.get(counterRef);
+    const sequence = (counter.exists ? counter.data().lastSequence : 0) + 1;
+
+    const invoice = {
+      number: formatInvoiceNumber(year, sequence),
+      sequence,
+      financialYear: year,
+      issuedAt,
+      seller,
+      placeOfSupply,
+      interState: placeOfSupply.code !== seller.stateCode
+    };
+
+    tx.set(counterRef, {
+      lastSequence: sequence,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    tx.update(orderRef, { invoice, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    return { order: { ...order, invoice } };
+  });
+}
+
+/**
+ * Everything printed on an order's invoice, with the tax worked out line by line
+ * @param {object} order - order data with an issued invoice
+ */
+function buildInvoice(order) {
+  const { invoice, shippingAddress } = order;
+
+  const charges = order.items.map((item) => ({
+    description: item.name,
+    ...taxClass(item),
+    quantity: item.quantity,
+    amount: item.lineTotal
+  }));
+  if (order.shippingFee) {
+    charges.push({
+      description: 'Shipping charges',
+      hsnCode: SHIPPING_SAC,
+      gstRate: SHIPPING_GST_RATE,
+      quantity: 1,
+      amount: order.shippingFee
+    });
+  }
+
+  const lines = charges.map((charge) => {
+    const tax = splitTax(charge.amount, charge.gstRate, invoice.interState);
+    return {
+      description: charge.description,
+      hsnCode: charge.hsnCode,
+      gstRate: charge.gstRate,
+      quantity: charge.quantity,
+      taxableValue: tax.taxableValue,
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
+      total: charge.amount
+    };
+  });
+
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+  const totals = {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    total: sum('total')
+  };
+
+  return {
+    number: invoice.number,
+    issuedAt: invoice.issuedAt.toDate(),
+    orderNumber: order.orderNumber,
+    orderDate: order.placedAt.toDate(),
+    seller: invoice.seller,
+    buyer: {
+      name: shippingAddress.name,
+      address: [
+        shippingAddress.line1,
+        shippingAddress.line2,
+        `${shippingAddress.city}, ${shippingAddress.state} - ${shippingAddress.pincode}`
+      ].filter(Boolean),
+      phone: shippingAddress.phone
+    },
+    placeOfSupply: invoice.placeOfSupply,
+    interState: invoice.interState,
+    lines,
+    totals,
+    amountInWords: amountInWords(totals.total)
+  };
+}
+
+/**
+ * File name for an invoice download or attachment
+ */
+function invoiceFilename(invoice) {
+  return `Invoice-${invoice.number.replace(/\//g, '-')}.pdf`;
+}
+
+module.exports = { issueInvoice, buildInvoice, invoiceFilename, formatInvoiceNumber };
@@ -0,0 +1,144 @@
+/**
+ * Structured logger
+ * Writes one JSON object per line: { time, level, msg, requestId?, ...fields }.
+ *
+ *   LOG_LEVEL   debug | info | warn | error | silent (default: info)
+ *   LOG_FORMAT  json | pretty (default: json; pretty prints one readable line for local work)
+ *
+ * Log lines written while a request is being handled carry its requestId automatically
+ * (see middleware/request-context.js), so library code can log without being handed the request.
+ *
+ * Personal data and secrets are redacted before anything is written:
+ *   - fields named like tokens, OTPs, passwords, secrets and signatures are replaced
+ *   - fields named like phone numbers keep only their last four digits
+ *   - email addresses (a***@example.com), bearer tokens and JWTs are masked inside any string,
+ *     the message included
+ * Pass errors as { err } to get their name, message, code and stack.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const context = new AsyncLocalStorage();
+
+// Values of these fields are replaced entirely
+const SECRET_KEY = /pass(word)?|secret|token|otp|signature|authorization|cookie|api[-_]?key/i;
+// Phone numbers keep their last four digits, so two numbers can still be told apart
+const PHONE_KEY = /phone|contact|mobile/i;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+
+const REDACTED = '[REDACTED]';
+
+function redactString(value) {
+  return value
+    .replace(BEARER_PATTERN, `$1 ${REDACTED}`)
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+function maskPhoneNumber(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : REDACTED;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message)),
+    code: error.code,
+    status: error.status || error.statusCode,
+    stack: error.stack ? redactString(error.stack) : undefined
+  };
+}
+
+/**
+ * Copy of a value with personal data and secrets removed
+ */
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (SECRET_KEY.test(key)) return REDACTED;
+  if (value instanceof Error) return serializeError(value);
+
+  if (typeof value === 'string' || typeof value === 'number') {
+    if (PHONE_KEY.test(key)) return maskPhoneNumber(value);
+    return typeof value === 'string' ? redactString(value) : value;
+  }
+  if (typeof value !== 'object') return value;
+  if (depth > 6) return '[Object]';
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, key, depth + 1));
+  }
+
+  const out = {};
+  for (const [nestedKey, nested] of Object.entries(value)) {
+    out[nestedKey] = redact(nested, nestedKey, depth + 1);
+  }
+  return out;
+}
+
+function write(entry) {
+  const stream = LEVELS[entry.level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (process.env.LOG_FORMAT !== 'pretty') {
+    stream.write(JSON.stringify(entry) + '\n');
+    return;
+  }
+
+  const { time, level, msg, err, ...fields } = entry;
+  const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+  const stack = err && err.stack ? `\n${err.stack}` : '';
+  stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}${stack}\n`);
+}
+
+function createLogger(bindings = {}) {
+  function log(level, msg, fields = {}) {
+    const threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+    if (LEVELS[level] < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(msg)),
+      ...redact({ ...context.getStore(), ...bindings, ...fields })
+    };
+    write(entry);
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+
+    /**
+     * Logger that adds the same fields to every line, e.g. logger.child({ module: 'mail-queue' })
+     */
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+/**
+ * Run fn with fields (e.g. { requestId }) added to every log line written inside it
+ */
+function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current log context, e.g. { requestId }
+ */
+function logContext() {
+  return context.getStore() || {};
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, runWithLogContext, logContext, redact, LEVELS };
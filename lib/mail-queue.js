@@ -0,0 +1,277 @@
+/**
+ * Durable email job queue (Firestore collection: mailJobs)
+ *
+ * Every outgoing email is stored as a job before it is sent. A worker claims due jobs,
+ * sends them through the mailer and retries failures with exponential backoff. Jobs
+ * that keep failing end up with status 'dead' for an admin to inspect and retry.
+ *
+ * Job lifecycle: queued -> processing -> sent
+ *                                     -> queued (retry later) -> ... -> dead
+ *
+ * nextAttemptAt is only set while a job can still run. A claimed job gets a lease by
+ * moving nextAttemptAt into the future, so a worker that crashes mid-send leaves the
+ * job to be picked up again once the lease expires.
+ *
+ * Jobs queued as sensitive (one-time codes) only keep the message's to and subject once they
+ * are sent or dead, so the code doesn't outlive the email it was sent in.
+ *
+ * Bulk categories are paced: the worker leaves at least 1/rate seconds between two of their
+ * sends, so a campaign doesn't hit the mail server all at once. Code that needs to know how a
+ * job ended registers a handler for its category with onJobFinished().
+ *
+ *   MAIL_QUEUE_MAX_ATTEMPTS   attempts before a job is dead-lettered (default 5)
+ *   MAIL_QUEUE_BACKOFF_MS     delay before the first retry, doubled each time (default 30s)
+ *   CAMPAIGN_SEND_RATE        newsletter campaign emails per second (default 5)
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_QUEUE_MAX_ATTEMPTS) || 5;
+const BACKOFF_MS = Number(process.env.MAIL_QUEUE_BACKOFF_MS) || 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+const MAX_RUN_MS = 50 * 1000;
+
+const ALREADY_EXISTS = 6;
+
+// Emails per second for paced categories
+const SEND_RATES = {
+  'newsletter-campaign': Number(process.env.CAMPAIGN_SEND_RATE) || 5
+};
+
+// category -> handler called once a job is sent or dead
+const finishHandlers = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function jobsRef(services) {
+  return services.db.collection('mailJobs');
+}
+
+/**
+ * Delay before the next attempt: BACKOFF_MS * 2^(attempts - 1), capped, with a little jitter
+ */
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+/**
+ * Add an email to the queue
+ * @param {object} services
+ * @param {object} message - Mailer message ({ to, subject, html, text, headers?, attachments? })
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Jobs with the same key are only queued once
+ * @param {string} [options.category] - Label for filtering, e.g. 'otp' or 'price-drop'
+ * @param {object} [options.context] - Stored with the job and handed to the category's finish handler
+ * @param {number} [options.maxAttempts]
+ * @param {boolean} [options.sensitive] - Drop the body once the job is sent or dead
+ * @param {boolean} [options.sendNow] - Try to deliver right away instead of waiting for the worker
+ * @returns {Promise<{ id: string, duplicate: boolean, status: string }>}
+ */
+async function enqueueEmail(services, message, options = {}) {
+  const jobRef = options.idempotencyKey
+    ? jobsRef(services).doc(crypto.createHash('sha256').update(options.idempotencyKey).digest('hex'))
+    : jobsRef(services).doc();
+
+  try {
+    await jobRef.create({
+      message,
+      category: options.category || 'general',
+      idempotencyKey: options.idempotencyKey || null,
+      context: options.context || null,
+      sensitive: Boolean(options.sensitive),
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || MAX_ATTEMPTS,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(services.clock.now()),
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      const existing = await jobRef.get();
+      return { id: jobRef.id, duplicate: true, status: existing.data().status };
+    }
+    throw error;
+  }
+
+  if (options.sendNow) {
+    const status = await processJob(services, jobRef.id);
+    return { id: jobRef.id, duplicate: false, status: status || 'queued' };
+  }
+
+  return { id: jobRef.id, duplicate: false, status: 'queued' };
+}
+
+/**
+ * Claim a job if it is due, so no other worker sends it at the same time
+ * @returns {Promise<object|null>} job data, or null if it isn't ours to send
+ */
+async function claimJob(services, jobRef) {
+  return services.db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(jobRef);
+    if (!snapshot.exists) return null;
+
+    const job = snapshot.data();
+    if (!job.nextAttemptAt || job.nextAttemptAt.toMillis() > services.clock.now()) return null;
+
+    transaction.update(jobRef, {
+      status: 'processing',
+      attempts: job.attempts + 1,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(services.clock.now() + LEASE_MS)
+    });
+
+    return { ...job, attempts: job.attempts + 1 };
+  });
+}
+
+/**
+ * Be told when a job of a category is sent or dead
+ * @param {string} category
+ * @param {Function} handler - (services, { jobId, status, context, error? }) -> Promise
+ */
+function onJobFinished(category, handler) {
+  finishHandlers.set(category, handler);
+}
+
+async function finishJob(services, jobId, job, status, error) {
+  const handler = finishHandlers.get(job.category);
+  if (!handler) return;
+
+  try {
+    await handler(services, { jobId, status, context: job.context || null, error: error ? error.message : null });
+  } catch (handlerError) {
+    logger.error('Mail job finish handler failed', { err: handlerError, jobId, category: job.category });
+  }
+}
+
+// What is left of a sensitive job's message once it can't be sent again
+function scrubbedMessage(job) {
+  return job.sensitive ? { message: { to: job.message.to, subject: job.message.subject } } : {};
+}
+
+/**
+ * Claim and send a single job
+ * @returns {Promise<string|null>} resulting status, or null if the job wasn't claimed
+ */
+async function processJob(services, jobId) {
+  const jobRef = jobsRef(services).doc(jobId);
+
+  let job;
+  try {
+    job = await claimJob(services, jobRef);
+  } catch (error) {
+    logger.error('Could not claim mail job', { err: error, jobId });
+    return null;
+  }
+  if (!job) return null;
+
+  try {
+    const result = await services.mailer.send(job.message);
+    await jobRef.update({
+      status: 'sent',
+      ...scrubbedMessage(job),
+      nextAttemptAt: admin.firestore.FieldValue.delete(),
+      lastError: admin.firestore.FieldValue.delete(),
+      driver: result.driver,
+      messageId: result.id || null,
+      sentAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await finishJob(services, jobId, job, 'sent');
+    return 'sent';
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+    logger.error('Mail job attempt failed', { err: error, jobId, attempt: job.attempts, maxAttempts: job.maxAttempts });
+
+    await jobRef.update({
+      status: dead ? 'dead' : 'queued',
+      ...(dead ? scrubbedMessage(job) : {}),
+      lastError: error.message,
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      nextAttemptAt: dead
+        ? admin.firestore.FieldValue.delete()
+        : admin.firestore.Timestamp.fromMillis(services.clock.now() + backoffDelay(job.attempts))
+    });
+    if (dead) await finishJob(services, jobId, job, 'dead', error);
+    return dead ? 'dead' : 'queued';
+  }
+}
+
+/**
+ * Send every due job, oldest first, until the queue is empty or time runs out
+ * @param {object} services
+ * @param {object} [options]
+ * @param {number} [options.batchSize]
+ * @param {number} [options.maxRunMs]
+ * @returns {Promise<{ processed: number, sent: number, retrying: number, dead: number }>}
+ */
+async function processQueue(services, options = {}) {
+  const batchSize = options.batchSize || 25;
+  const maxRunMs = options.maxRunMs || MAX_RUN_MS;
+  const startedAt = Date.now();
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+  const lastSendAt = {};
+
+  while (Date.now() - startedAt < maxRunMs) {
+    const due = await jobsRef(services)
+      .where('nextAttemptAt', '<=', admin.firestore.Timestamp.fromMillis(services.clock.now()))
+      .orderBy('nextAttemptAt')
+      .limit(batchSize)
+      .get();
+
+    if (due.empty) break;
+
+    let claimedAny = false;
+    for (const doc of due.docs) {
+      if (Date.now() - startedAt >= maxRunMs) break;
+
+      const { category } = doc.data();
+      if (SEND_RATES[category]) {
+        const waitMs = (lastSendAt[category] || 0) + 1000 / SEND_RATES[category] - Date.now();
+        if (waitMs > 0) await sleep(waitMs);
+        lastSendAt[category] = Date.now();
+      }
+
+      const status = await processJob(services, doc.id);
+      if (!status) continue;
+
+      claimedAny = true;
+      summary.processed++;
+      if (status === 'sent') summary.sent++;
+      else if (status === 'dead') summary.dead++;
+      else summary.retrying++;
+    }
+
+    // Everything due was taken by another worker
+    if (!claimedAny) break;
+  }
+
+  return summary;
+}
+
+/**
+ * Put a dead (or stuck) job back in the queue with a fresh set of attempts
+ * @returns {Promise<string|null>} 'queued', 'sent', 'scrubbed' for a dead sensitive job
+ *   whose body is gone, or null when there is no such job
+ */
+async function retryJob(services, jobId) {
+  const jobRef = jobsRef(services).doc(jobId);
+  const snapshot = await jobRef.get();
+  if (!snapshot.exists) return null;
+
+  const job = snapshot.data();
+  if (job.status === 'sent') return 'sent';
+  if (job.sensitive && job.status === 'dead') return 'scrubbed';
+
+  await jobRef.update({
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(services.clock.now()),
+    retriedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return 'queued';
+}
+
+module.exports = { enqueueEmail, onJobFinished, processJob, processQueue, retryJob, backoffDelay };
@@ -0,0 +1,78 @@
+/**
+ * Outbox mail driver
+ * Writes each message as a JSON file instead of sending it.
+ * Meant for local development and tests - nothing leaves the machine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - Directory the JSON files are written to
+ */
+function createOutboxDriver(options) {
+  const dir = path.resolve(options.dir);
+
+  return {
+    name: 'outbox',
+    dir,
+
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const record = {
+        id,
+        sentAt: new Date().toISOString(),
+        ...message,
+        // Buffers don't survive JSON.stringify in a readable form
+        attachments: (message.attachments || []).map((attachment) => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          content: Buffer.isBuffer(attachment.content)
+            ? attachment.content.toString('base64')
+            : attachment.content,
+          encoding: Buffer.isBuffer(attachment.content) ? 'base64' : undefined
+        }))
+      };
+
+      await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2));
+      return { id };
+    },
+
+    async verify() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      return true;
+    },
+
+    /**
+     * Read back every stored message, oldest first
+     */
+    async list() {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const messages = [];
+      for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+        messages.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+      }
+      return messages;
+    },
+
+    /**
+     * Delete every stored message
+     */
+    async clear() {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = createOutboxDriver;
@@ -0,0 +1,52 @@
+/**
+ * Resend mail driver
+ * https://resend.com/docs/api-reference/emails/send-email
+ */
+
+const { Resend } = require('resend');
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey - RESEND_API_KEY
+ */
+function createResendDriver(options) {
+  if (!options.apiKey) {
+    throw new Error('RESEND_API_KEY is required for the resend mail driver');
+  }
+
+  const resend = new Resend(options.apiKey);
+
+  return {
+    name: 'resend',
+
+    async send(message) {
+      const { data, error } = await resend.emails.send({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        replyTo: message.replyTo,
+        headers: message.headers,
+        attachments: message.attachments && message.attachments.map((attachment) => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          contentType: attachment.contentType
+        }))
+      });
+
+      // The Resend SDK reports API errors in the result instead of throwing
+      if (error) {
+        throw new Error(`Resend error: ${error.message || error.name}`);
+      }
+
+      return { id: data.id };
+    },
+
+    async verify() {
+      return true;
+    }
+  };
+}
+
+module.exports = createResendDriver;
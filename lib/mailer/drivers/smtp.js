@@ -0,0 +1,43 @@
+/**
+ * SMTP mail driver (Nodemailer)
+ * Used for both generic SMTP servers and the Gmail service shortcut
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * @param {object} options
+ * @param {string} [options.service] - Nodemailer well-known service, e.g. 'gmail'
+ * @param {string} [options.host]
+ * @param {number} [options.port]
+ * @param {boolean} [options.secure]
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {string} [options.name] - Driver name used in logs
+ */
+function createSmtpDriver(options) {
+  const transportOptions = options.service
+    ? { service: options.service }
+    : { host: options.host, port: options.port, secure: options.secure };
+
+  if (options.user) {
+    transportOptions.auth = { user: options.user, pass: options.pass };
+  }
+
+  const transporter = nodemailer.createTransport(transportOptions);
+
+  return {
+    name: options.name || 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+
+    verify() {
+      return transporter.verify();
+    }
+  };
+}
+
+module.exports = createSmtpDriver;
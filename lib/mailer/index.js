@@ -0,0 +1,131 @@
+/**
+ * Mailer
+ * Single entry point for outgoing email. The transport is chosen from env:
+ *
+ *   MAIL_DRIVER           resend | smtp | gmail | outbox (default: gmail if EMAIL_USER is set, else outbox)
+ *   MAIL_FALLBACK_DRIVER  optional secondary driver used when the primary fails
+ *   MAIL_FROM             default From header
+ *
+ * The outbox driver only writes files on this machine, so it is for development: in production
+ * it is refused, there is no default driver and a driver that can't be configured stops startup.
+ *
+ *   RESEND_API_KEY                                        resend
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS  smtp
+ *   EMAIL_USER, EMAIL_PASS                                gmail
+ *   MAIL_OUTBOX_DIR (default: ./outbox)                   outbox
+ */
+
+const path = require('path');
+const createSmtpDriver = require('./drivers/smtp');
+const createResendDriver = require('./drivers/resend');
+const createOutboxDriver = require('./drivers/outbox');
+const { logger } = require('../logger');
+
+const DRIVERS = ['resend', 'smtp', 'gmail', 'outbox'];
+
+/**
+ * Build a single driver from env config
+ */
+function createDriver(name, env) {
+  switch (name) {
+    case 'resend':
+      return createResendDriver({ apiKey: env.RESEND_API_KEY });
+    case 'smtp':
+      return createSmtpDriver({
+        name: 'smtp',
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'gmail':
+      return createSmtpDriver({
+        name: 'gmail',
+        service: 'gmail',
+        user: env.EMAIL_USER,
+        pass: env.EMAIL_PASS
+      });
+    case 'outbox':
+      return createOutboxDriver({
+        dir: env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')
+      });
+    default:
+      throw new Error(`Unknown mail driver "${name}". Expected one of: ${DRIVERS.join(', ')}`);
+  }
+}
+
+/**
+ * Create a mailer from env config
+ * @param {object} [env=process.env]
+ * @returns {{ send: Function, verify: Function, drivers: object[] }}
+ * @throws in production, when no driver is configured or a configured one can't be used
+ */
+function createMailer(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  const primaryName = (env.MAIL_DRIVER || (env.EMAIL_USER ? 'gmail' : production ? '' : 'outbox')).toLowerCase();
+  if (!primaryName) {
+    throw new Error('No mail driver configured. Set MAIL_DRIVER and its credentials, or EMAIL_USER and EMAIL_PASS for gmail');
+  }
+
+  const fallbackName = env.MAIL_FALLBACK_DRIVER ? env.MAIL_FALLBACK_DRIVER.toLowerCase() : null;
+  const defaultFrom = env.MAIL_FROM ||
+    `"SRE LAKSHME Electronicss & Furnituress" <${env.EMAIL_USER || env.SMTP_USER || 'no-reply@localhost'}>`;
+
+  const drivers = [];
+  for (const name of [primaryName, fallbackName]) {
+    if (!name || drivers.some((driver) => driver.name === name)) continue;
+    if (production && name === 'outbox') {
+      throw new Error('The outbox mail driver only writes files and can\'t be used in production');
+    }
+    try {
+      drivers.push(createDriver(name, env));
+    } catch (error) {
+      if (production) throw error;
+      logger.error('Mail driver could not be configured', { err: error, driver: name });
+    }
+  }
+
+  return {
+    drivers,
+
+    /**
+     * Send a message, failing over to the next driver when one errors
+     * @param {object} message - { to, subject, html, text, from?, replyTo?, headers?, attachments? }
+     * @returns {Promise<{ id: string, driver: string }>}
+     */
+    async send(message) {
+      if (drivers.length === 0) {
+        throw new Error('No mail driver configured');
+      }
+
+      const mail = { from: defaultFrom, ...message };
+      let lastError;
+
+      for (const driver of drivers) {
+        try {
+          const result = await driver.send(mail);
+          return { id: result.id, driver: driver.name };
+        } catch (error) {
+          lastError = error;
+          logger.error('Mail driver failed', { err: error, driver: driver.name });
+        }
+      }
+
+      throw lastError;
+    },
+
+    /**
+     * Check that the primary driver is reachable
+     */
+    async verify() {
+      if (drivers.length === 0) {
+        throw new Error('No mail driver configured');
+      }
+      await drivers[0].verify();
+      return drivers[0].name;
+    }
+  };
+}
+
+module.exports = { createMailer };
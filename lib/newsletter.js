@@ -0,0 +1,62 @@
+/**
+ * Newsletter helpers: signed confirm/unsubscribe links and List-Unsubscribe headers
+ */
+
+const { signToken, verifyToken } = require('./tokens');
+const { brand } = require('./templates/brand');
+
+const CONFIRM_TOKEN_TTL_HOURS = 48;
+
+/**
+ * Whether a newsletterSubscribers document is an active subscription
+ * Documents created before double opt-in only have `active: true`
+ */
+function isActiveSubscriber(data) {
+  return data.status ? data.status === 'active' : data.active === true;
+}
+
+function confirmUrl(services, email) {
+  const token = signToken(services, 'newsletter-confirm', { email }, { expiresIn: CONFIRM_TOKEN_TTL_HOURS * 60 * 60 });
+  return brand.apiLink(`/api/v1/newsletter/confirm?token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Unsubscribe links never expire - they may be clicked from old emails
+ */
+function unsubscribeUrl(services, email) {
+  const token = signToken(services, 'newsletter-unsubscribe', { email });
+  return brand.apiLink(`/api/v1/newsletter/unsubscribe?token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Headers every marketing email must carry (RFC 2369 + RFC 8058 one-click)
+ */
+function listUnsubscribeHeaders(services, email) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(services, email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+/**
+ * Returns the email address from a confirm/unsubscribe token, or null
+ */
+function readConfirmToken(services, token) {
+  const payload = verifyToken(services, 'newsletter-confirm', token);
+  return payload ? payload.email : null;
+}
+
+function readUnsubscribeToken(services, token) {
+  const payload = verifyToken(services, 'newsletter-unsubscribe', token);
+  return payload ? payload.email : null;
+}
+
+module.exports = {
+  CONFIRM_TOKEN_TTL_HOURS,
+  isActiveSubscriber,
+  confirmUrl,
+  unsubscribeUrl,
+  listUnsubscribeHeaders,
+  readConfirmToken,
+  readUnsubscribeToken
+};
@@ -0,0 +1,106 @@
+/**
+ * Per-user notification preferences, stored on users/{uid}.notificationPreferences
+ *
+ * {
+ *   channels:   { email: true },
+ *   priceAlerts: true,                                    // master switch for price-drop emails
+ *   categories: { electronics: true, furniture: true },   // product categories to hear about
+ *   minDropPercent: 0                                     // ignore drops smaller than this
+ * }
+ *
+ * Missing fields fall back to DEFAULT_PREFERENCES, so existing users keep getting alerts.
+ */
+
+const schema = require('./schema');
+
+const CHANNELS = ['email'];
+const CATEGORIES = ['electronics', 'furniture'];
+
+const DEFAULT_PREFERENCES = {
+  channels: { email: true },
+  priceAlerts: true,
+  categories: { electronics: true, furniture: true },
+  minDropPercent: 0
+};
+
+/**
+ * Merge a user's stored preferences over the defaults
+ */
+function resolvePreferences(user) {
+  const stored = (user && user.notificationPreferences) || {};
+  return {
+    channels: { ...DEFAULT_PREFERENCES.channels, ...(stored.channels || {}) },
+    priceAlerts: stored.priceAlerts !== undefined ? stored.priceAlerts : DEFAULT_PREFERENCES.priceAlerts,
+    categories: { ...DEFAULT_PREFERENCES.categories, ...(stored.categories || {}) },
+    minDropPercent: stored.minDropPercent !== undefined ? stored.minDropPercent : DEFAULT_PREFERENCES.minDropPercent
+  };
+}
+
+/**
+ * Switches keyed by name; names we don't know are rejected rather than stored
+ */
+function switches(names) {
+  return schema.object(
+    Object.fromEntries(names.map((name) => [name, schema.boolean().optional()])),
+    { unknown: 'reject' }
+  );
+}
+
+/**
+ * Body of a partial preferences update
+ */
+const preferencesUpdateSchema = schema.object({
+  channels: switches(CHANNELS).optional(),
+  priceAlerts: schema.boolean().optional(),
+  categories: switches(CATEGORIES).optional(),
+  minDropPercent: schema.number({ min: 0, max: 100 }).optional()
+});
+
+/**
+ * Turn a validated preferences update into Firestore fields
+ * @param {object} update - validated against preferencesUpdateSchema
+ * @returns {{ error?: string, data?: object }} data holds dotted Firestore field paths
+ */
+function validatePreferencesUpdate(update) {
+  const data = {};
+
+  for (const group of ['channels', 'categories']) {
+    for (const [name, enabled] of Object.entries(update[group] || {})) {
+      data[`notificationPreferences.${group}.${name}`] = enabled;
+    }
+  }
+  for (const field of ['priceAlerts', 'minDropPercent']) {
+    if (update[field] !== undefined) data[`notificationPreferences.${field}`] = update[field];
+  }
+
+  if (Object.keys(data).length === 0) {
+    return { error: 'No preferences to update' };
+  }
+
+  return { data };
+}
+
+/**
+ * Decide whether a price-drop email should go to a user
+ * @param {object} preferences - resolved preferences
+ * @param {object} drop - { category?, dropPercent, targetMet? }
+ * @returns {string|null} reason for skipping, or null to send
+ */
+function priceAlertSkipReason(preferences, drop) {
+  if (!preferences.channels.email) return 'email_disabled';
+  if (!preferences.priceAlerts) return 'price_alerts_disabled';
+  if (drop.category && preferences.categories[drop.category] === false) return 'category_disabled';
+  // A target price the user chose themselves overrides the generic threshold
+  if (!drop.targetMet && drop.dropPercent < preferences.minDropPercent) return 'below_threshold';
+  return null;
+}
+
+module.exports = {
+  CHANNELS,
+  CATEGORIES,
+  DEFAULT_PREFERENCES,
+  resolvePreferences,
+  preferencesUpdateSchema,
+  validatePreferencesUpdate,
+  priceAlertSkipReason
+};
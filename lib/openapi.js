@@ -0,0 +1,271 @@
+/**
+ * OpenAPI document
+ * Generated from the routers themselves, so it can't drift from what the API does: each route's
+ * method and path, the request schemas its validate() middleware carries (middleware/validate),
+ * the auth middleware guarding it (on the route or router.use()'d before it), rate limits and
+ * image uploads. A new route shows up in the docs - and the root endpoint list - as soon as it
+ * is mounted.
+ */
+
+const { toJSONSchema } = require('./schema');
+const { brand } = require('./templates/brand');
+const { requireAuth, optionalAuth, requireAdmin, requireCronOrAdmin } = require('../middleware/auth');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const securitySchemes = {
+  firebaseAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Firebase ID token of the signed-in user'
+  },
+  cronSecret: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'CRON_SECRET, as sent by the scheduled jobs'
+  }
+};
+
+const envelope = {
+  success: { type: 'boolean' },
+  message: { type: 'string' },
+  requestId: { type: 'string', description: 'Also sent as the X-Request-Id header' }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: envelope,
+    required: ['success', 'message']
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      ...envelope,
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['params', 'query', 'body'] },
+            field: { type: 'string', example: 'email' },
+            message: { type: 'string', example: 'email must be a valid email address' }
+          },
+          required: ['in', 'field', 'message']
+        }
+      }
+    },
+    required: ['success', 'message', 'errors']
+  }
+};
+
+function errorResponse(description, schema = 'Error') {
+  return { description, content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } } };
+}
+
+const responses = {
+  ValidationError: errorResponse('The request is invalid; every problem is listed', 'ValidationError'),
+  Unauthorized: errorResponse('Missing or invalid bearer token'),
+  Forbidden: errorResponse('Admin access required'),
+  TooManyRequests: errorResponse('Rate limited; try again later'),
+  Error: errorResponse('Error')
+};
+
+function ref(name) {
+  return { $ref: `#/components/responses/${name}` };
+}
+
+/**
+ * '/orders/:id/invoice' -> '/orders/{id}/invoice' (the (*) of wildcard params is dropped)
+ */
+function openApiPath(path) {
+  return path.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+}
+
+function joinPaths(...parts) {
+  return `/${parts.join('/')}`.replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+}
+
+/**
+ * 'post', '/api/v1/products/{id}/images' -> 'postProductsIdImages'
+ */
+function operationId(method, path) {
+  const words = path
+    .replace(/^\/api(\/v\d+)?/, '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1));
+  return method + words.join('');
+}
+
+/**
+ * Parameters from an object schema; descriptions move from the schema to the parameter
+ */
+function parametersFrom(objectSchema, location) {
+  if (!objectSchema) return [];
+
+  return Object.entries(objectSchema.shape).map(([name, field]) => {
+    const { description, ...fieldSchema } = toJSONSchema(field);
+    const parameter = { name, in: location, required: location === 'path' || field.required, schema: fieldSchema };
+    if (description) parameter.description = description;
+    return parameter;
+  });
+}
+
+/**
+ * Request body: JSON (or form fields) from the body schema, multipart when the route takes uploads
+ */
+function requestBodyFrom(bodySchema, handles) {
+  const upload = handles.find((handle) => handle.upload);
+  const json = bodySchema ? toJSONSchema(bodySchema) : null;
+
+  if (upload) {
+    const file = { type: 'string', format: 'binary' };
+    const properties = {
+      ...(json ? json.properties : {}),
+      [upload.upload.field]: upload.upload.maxCount === 1 ? file : { type: 'array', items: file, maxItems: upload.upload.maxCount }
+    };
+    return {
+      required: true,
+      content: {
+        'multipart/form-data': { schema: { type: 'object', properties, required: [upload.upload.field] } }
+      }
+    };
+  }
+
+  if (!json) return null;
+
+  const content = { 'application/json': { schema: json } };
+  if (handles.some((handle) => handle.name === 'urlencodedParser')) {
+    content['application/x-www-form-urlencoded'] = { schema: json };
+  }
+  return { required: Boolean(json.required), content };
+}
+
+/**
+ * Describe one route
+ * @param {object} route - { method, path, handles, tag }
+ */
+function buildOperation({ method, path, handles, tag }) {
+  const operation = { tags: [tag], operationId: operationId(method, path) };
+  const notes = [];
+
+  const validation = handles.find((handle) => handle.schemas);
+  const { params, query, body } = validation ? validation.schemas : {};
+
+  // Path parameters without a schema are still documented, as plain strings
+  const pathParameters = parametersFrom(params, 'path');
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    if (!pathParameters.some((parameter) => parameter.name === name)) {
+      pathParameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+  const parameters = [...pathParameters, ...parametersFrom(query, 'query')];
+  if (parameters.length) operation.parameters = parameters;
+
+  const requestBody = requestBodyFrom(body, handles);
+  if (requestBody) operation.requestBody = requestBody;
+
+  operation.responses = { '2XX': { description: 'Success' } };
+  if (validation) operation.responses['400'] = ref('ValidationError');
+
+  if (handles.includes(requireCronOrAdmin)) {
+    operation.security = [{ cronSecret: [] }, { firebaseAuth: [] }];
+    notes.push('Called by a cron job or an admin.');
+    Object.assign(operation.responses, { 401: ref('Unauthorized'), 403: ref('Forbidden') });
+  } else if (handles.includes(requireAuth)) {
+    operation.security = [{ firebaseAuth: [] }];
+    operation.responses['401'] = ref('Unauthorized');
+    if (handles.includes(requireAdmin)) {
+      notes.push('Admin only.');
+      operation.responses['403'] = ref('Forbidden');
+    }
+  } else if (handles.includes(optionalAuth)) {
+    operation.security = [{ firebaseAuth: [] }, {}];
+    notes.push('Sign-in is optional.');
+  }
+
+  if (handles.some((handle) => handle.name === 'rateLimitMiddleware')) {
+    operation.responses['429'] = ref('TooManyRequests');
+  }
+  operation.responses.default = ref('Error');
+
+  if (notes.length) operation.description = notes.join(' ');
+  return operation;
+}
+
+/**
+ * Every route of a router, with the router-level middleware that runs before it
+ * @returns {Array<{ method: string, path: string, handles: Function[] }>}
+ */
+function routesOf(router, mountPath) {
+  const routes = [];
+  const inherited = [];
+
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      // router.use(fn) without a path applies to every route after it
+      if (layer.regexp.fast_slash) inherited.push(layer.handle);
+      continue;
+    }
+
+    const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+    for (const path of paths) {
+      for (const method of METHODS.filter((name) => layer.route.methods[name])) {
+        routes.push({
+          method,
+          path: openApiPath(joinPaths(mountPath, path)),
+          handles: [...inherited, ...layer.route.stack.map((routeLayer) => routeLayer.handle)]
+        });
+      }
+    }
+  }
+  return routes;
+}
+
+/**
+ * @param {Array<{ path: string, router: object, tag: string, description?: string }>} mounts -
+ *   routers with the full path they are served at
+ * @param {object} options
+ * @param {string} options.version - API version, e.g. 'v1'
+ * @param {string} [options.description]
+ * @returns {object} OpenAPI 3.0 document
+ */
+function buildOpenApiSpec(mounts, { version, description }) {
+  const paths = {};
+  const tags = [];
+
+  for (const { path: mountPath, router, tag, description: tagDescription } of mounts) {
+    if (!tags.some((existing) => existing.name === tag)) {
+      tags.push(tagDescription ? { name: tag, description: tagDescription } : { name: tag });
+    }
+    for (const route of routesOf(router, mountPath)) {
+      paths[route.path] = paths[route.path] || {};
+      paths[route.path][route.method] = buildOperation({ ...route, tag });
+    }
+  }
+
+  const info = { title: `${brand.name} API`, version };
+  if (description) info.description = description;
+
+  return {
+    openapi: '3.0.3',
+    info,
+    tags,
+    paths,
+    components: { securitySchemes, schemas, responses }
+  };
+}
+
+/**
+ * 'GET|POST /api/v1/campaigns' style lines, one per path
+ */
+function listEndpoints(spec) {
+  return Object.entries(spec.paths).map(([path, operations]) => {
+    const methods = Object.keys(operations).map((method) => method.toUpperCase()).join('|');
+    return `${methods} ${path.replace(/\{(\w+)\}/g, ':$1')}`;
+  });
+}
+
+module.exports = { buildOpenApiSpec, listEndpoints };
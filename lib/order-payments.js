@@ -0,0 +1,258 @@
+/**
+ * Paying for orders
+ * orders/{id}.payment: { provider, providerOrderId, amount (paise), currency, status, paymentId,
+ * method, paidAt, failedAt, error, refundDue }
+ *
+ * Payment status: created -> paid
+ *                         -> failed -> paid (the customer can retry the same checkout)
+ *
+ * A payment is recorded from either the checkout callback (signature checked with the key
+ * secret) or the provider's webhook (HMAC over the raw body), whichever arrives first. Every
+ * payment event is stored in paymentEvents/{hash} in the same transaction that applies it, so a
+ * redelivered event is recognised and changes nothing. A paid order that is still 'placed' is
+ * confirmed automatically.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { updateOrderStatus } = require('./orders');
+const { logger } = require('./logger');
+
+const CURRENCY = 'INR';
+
+const PAID_EVENTS = ['payment.captured', 'order.paid'];
+const FAILED_EVENTS = ['payment.failed'];
+
+function paymentError(status, message) {
+  return { status, error: message };
+}
+
+function toPaise(rupees) {
+  return Math.round(rupees * 100);
+}
+
+/**
+ * Start (or resume) the checkout for an order
+ * @returns {Promise<{ checkout?: object, status?: number, error?: string }|null>} null when the order isn't the user's
+ */
+async function startCheckout(services, orderId, uid) {
+  const driver = services.payments && services.payments.driver;
+  if (!driver) return paymentError(503, 'Online payments are not available right now');
+
+  const orderRef = services.db.collection('orders').doc(orderId);
+  const doc = await orderRef.get();
+  if (!doc.exists || doc.data().uid !== uid) return null;
+
+  let order = doc.data();
+  if (order.status !== 'placed') {
+    return paymentError(409, `An order that is ${order.status} can't be paid for`);
+  }
+  if (order.payment && order.payment.status === 'paid') {
+    return paymentError(409, 'This order has already been paid for');
+  }
+
+  // One provider order per order, so a second checkout can't lead to a second charge
+  let payment = order.payment && order.payment.provider === driver.name ? order.payment : null;
+  if (!payment) {
+    const providerOrder = await driver.createOrder({
+      amount: toPaise(order.total),
+      currency: CURRENCY,
+      receipt: order.orderNumber,
+      notes: { orderId }
+    });
+
+    payment = await services.db.runTransaction(async (tx) => {
+      const current = await tx.get(orderRef);
+      order = current.data();
+      // Someone else started a checkout meanwhile - use theirs, ours is never shown to anyone
+      if (order.payment && order.payment.provider === driver.name) return order.payment;
+
+      const created = {
+        provider: driver.name,
+        providerOrderId: providerOrder.id,
+        amount: providerOrder.amount,
+        currency: providerOrder.currency,
+        status: 'created',
+        createdAt: admin.firestore.Timestamp.fromMillis(services.clock.now())
+      };
+      tx.update(orderRef, { payment: created, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return created;
+    });
+  }
+
+  return {
+    checkout: {
+      provider: driver.name,
+      keyId: driver.keyId,
+      providerOrderId: payment.providerOrderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      orderId,
+      orderNumber: order.orderNumber,
+      prefill: {
+        name: order.shippingAddress.name,
+        email: order.email,
+        contact: order.shippingAddress.phone
+      }
+    }
+  };
+}
+
+/**
+ * Apply one payment event to its order, once
+ * @param {object} services
+ * @param {string} orderId
+ * @param {object} event - { id, source, type, providerOrderId, paymentId, amount, method, error }
+ * @returns {Promise<{ duplicate: boolean, result: string, payment: object|null }>}
+ */
+async function applyPaymentEvent(services, orderId, event) {
+  const orderRef = services.db.collection('orders').doc(orderId);
+  const eventRef = services.db.collection('paymentEvents').doc(
+    crypto.createHash('sha256').update(`${event.provider}:${event.id}`).digest('hex')
+  );
+
+  return services.db.runTransaction(async (tx) => {
+    const [eventDoc, orderDoc] = await tx.getAll(eventRef, orderRef);
+    if (eventDoc.exists) {
+      return { duplicate: true, result: eventDoc.data().result, payment: orderDoc.data().payment };
+    }
+
+    const order = orderDoc.data();
+    const payment = order.payment;
+    const now = admin.firestore.Timestamp.fromMillis(services.clock.now());
+    let result = 'ignored';
+    let update = null;
+
+    if (!payment || payment.providerOrderId !== event.providerOrderId) {
+      result = 'order_mismatch';
+    } else if (PAID_EVENTS.includes(event.type)) {
+      if (payment.status === 'paid') {
+        result = 'already_paid';
+      } else if (event.amount !== undefined && event.amount !== payment.amount) {
+        result = 'amount_mismatch';
+        logger.error('Payment amount does not match the order', { orderId, amount: event.amount, expected: payment.amount });
+      } else {
+        result = 'paid';
+        if (order.status === 'cancelled') {
+          logger.warn('Order was paid after it was cancelled - refund due', { orderId, orderNumber: order.orderNumber });
+        }
+        update = {
+          status: 'paid',
+          paymentId: event.paymentId,
+          method: event.method || null,
+          paidAt: now,
+          error: null,
+          // Paid after being cancelled - the money has to go back
+          refundDue: order.status === 'cancelled'
+        };
+      }
+    } else if (FAILED_EVENTS.includes(event.type)) {
+      if (payment.status !== 'paid') {
+        result = 'failed';
+        update = { status: 'failed', paymentId: event.paymentId, error: event.error || 'Payment failed', failedAt: now };
+      }
+    }
+
+    if (update) {
+      tx.update(orderRef, {
+        payment: { ...payment, ...update },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    tx.create(eventRef, {
+      provider: event.provider,
+      eventId: event.id,
+      source: event.source,
+      type: event.type,
+      orderId,
+      providerOrderId: event.providerOrderId,
+      paymentId: event.paymentId || null,
+      amount: event.amount === undefined ? null : event.amount,
+      result,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { duplicate: false, result, payment: update ? { ...payment, ...update } : payment };
+  });
+}
+
+/**
+ * Confirm a paid order that is still waiting in 'placed'
+ * Safe to call repeatedly - it only acts on the first call after the payment lands.
+ */
+async function confirmIfPaid(services, orderId) {
+  const doc = await services.db.collection('orders').doc(orderId).get();
+  const order = doc.data();
+
+  if (!order.payment || order.payment.status !== 'paid' || order.status !== 'placed') return;
+
+  await updateOrderStatus(services, orderId, 'confirmed', {
+    by: 'payments',
+    allowedFrom: ['placed'],
+    note: 'Payment received'
+  });
+}
+
+/**
+ * Record a payment from the checkout callback
+ * @param {object} services
+ * @param {object} options - { orderId, uid, providerOrderId, paymentId, signature }
+ * @returns {Promise<{ payment?: object, status?: number, error?: string }|null>} null when the order isn't the user's
+ */
+async function completeCheckout(services, { orderId, uid, providerOrderId, paymentId, signature }) {
+  const driver = services.payments && services.payments.driver;
+  if (!driver) return paymentError(503, 'Online payments are not available right now');
+
+  const doc = await services.db.collection('orders').doc(orderId).get();
+  if (!doc.exists || doc.data().uid !== uid) return null;
+
+  const { payment } = doc.data();
+  if (!payment || payment.providerOrderId !== providerOrderId) {
+    return paymentError(400, 'This payment does not belong to this order');
+  }
+  if (!driver.verifyPayment({ orderId: providerOrderId, paymentId, signature })) {
+    return paymentError(400, 'Payment signature is invalid');
+  }
+
+  const applied = await applyPaymentEvent(services, orderId, {
+    provider: driver.name,
+    id: `checkout:${paymentId}`,
+    source: 'checkout',
+    type: 'payment.captured',
+    providerOrderId,
+    paymentId
+  });
+  await confirmIfPaid(services, orderId);
+
+  return { payment: applied.payment };
+}
+
+/**
+ * Handle a webhook delivery whose signature has already been checked
+ * @returns {Promise<{ duplicate: boolean, result: string }>}
+ */
+async function handlePaymentWebhook(services, event) {
+  const driver = services.payments && services.payments.driver;
+
+  if (!event.providerOrderId) {
+    return { duplicate: false, result: 'ignored' };
+  }
+
+  const snapshot = await services.db.collection('orders')
+    .where('payment.providerOrderId', '==', event.providerOrderId)
+    .limit(1)
+    .get();
+  if (snapshot.empty) {
+    logger.warn('Payment webhook for an unknown provider order', { providerOrderId: event.providerOrderId });
+    return { duplicate: false, result: 'unknown_order' };
+  }
+
+  const orderId = snapshot.docs[0].id;
+  const applied = await applyPaymentEvent(services, orderId, { ...event, provider: driver.name, source: 'webhook' });
+  // Also on redeliveries, in case confirming failed the first time round
+  await confirmIfPaid(services, orderId);
+
+  return { duplicate: applied.duplicate, result: applied.result };
+}
+
+module.exports = { startCheckout, completeCheckout, handlePaymentWebhook };
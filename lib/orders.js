@@ -0,0 +1,426 @@
+/**
+ * Orders
+ * orders/{id} documents: { uid, email, orderNumber, items: [{ productId, name, category, imageUrl,
+ * price, mrp, hsnCode, gstRate, quantity, lineTotal }], subtotal, shippingFee, total,
+ * shippingAddress, status, statusHistory: [{ status, at, by, note }], invoice, placedAt,
+ * <status>At, createdAt, updatedAt }
+ *
+ * Prices are always taken from the products collection at checkout, never from the client, and
+ * the items are copied into the order so later catalog changes don't rewrite it. Stock is taken
+ * in the same transaction that creates the order, and given back when an order is cancelled or
+ * returned. Each order is given a GST invoice when it is confirmed (see invoices.js), which is
+ * attached to the order confirmed email.
+ *
+ * Lifecycle: placed -> confirmed -> shipped -> delivered -> returned
+ *            placed | confirmed -> cancelled
+ *
+ * An order that is still unpaid ORDER_PAYMENT_TIMEOUT_MINUTES after it was placed is cancelled
+ * by expireUnpaidOrders() (run from the maintenance cron), which puts its stock back. Finding
+ * them needs a composite index on status + placedAt.
+ *
+ *   SHIPPING_FEE                     flat shipping charge in rupees (default 0)
+ *   FREE_SHIPPING_THRESHOLD          subtotal from which shipping is free (default: never)
+ *   ORDER_PAYMENT_TIMEOUT_MINUTES    how long a placed order waits for payment (default 60)
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const schema = require('./schema');
+const { enqueueEmail } = require('./mail-queue');
+const { renderEmail } = require('./templates');
+const { brand } = require('./templates/brand');
+const { normalizePhone } = require('./phone');
+const { findState } = require('./gst');
+const { cartCollection, priceCart } = require('./cart');
+const { issueInvoice, buildInvoice, invoiceFilename } = require('./invoices');
+const { renderInvoicePdf } = require('./invoice-pdf');
+const { logger } = require('./logger');
+
+const SHIPPING_FEE = Number(process.env.SHIPPING_FEE) || 0;
+const FREE_SHIPPING_THRESHOLD = Number(process.env.FREE_SHIPPING_THRESHOLD) || null;
+const PAYMENT_TIMEOUT_MINUTES = Number(process.env.ORDER_PAYMENT_TIMEOUT_MINUTES) || 60;
+
+const ORDER_STATUSES = ['placed', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Which status each status can move to
+const TRANSITIONS = {
+  placed: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+// Statuses that put the ordered quantities back into stock
+const RESTOCK_STATUSES = ['cancelled', 'returned'];
+
+// Customers may cancel their own order until it ships
+const CUSTOMER_CANCELLABLE = ['placed', 'confirmed'];
+
+function ordersCollection(services) {
+  return services.db.collection('orders');
+}
+
+function shippingFeeFor(subtotal) {
+  if (FREE_SHIPPING_THRESHOLD !== null && subtotal >= FREE_SHIPPING_THRESHOLD) return 0;
+  return SHIPPING_FEE;
+}
+
+/**
+ * Human-friendly order reference, e.g. SL-261019-4F2A9C
+ */
+function generateOrderNumber(date = new Date()) {
+  const day = date.toISOString().slice(2, 10).replace(/-/g, '');
+  return `SL-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Shipping address from a request body; state becomes the state's name plus its GST stateCode
+ */
+const addressSchema = schema.object({
+  name: schema.string({ max: 200 }),
+  phone: schema.string({ max: 30 }).transform(normalizePhone, 'must be a valid mobile number'),
+  line1: schema.string({ max: 200 }),
+  line2: schema.string({ max: 200 }).nullable().optional(),
+  city: schema.string({ max: 200 }),
+  // The state decides how GST is charged, so it has to be one we know
+  state: schema.string({ max: 100 })
+    .transform(findState, 'must be an Indian state or union territory')
+    .describe('State or union territory name or code'),
+  pincode: schema.string({ pattern: /^[1-9]\d{5}$/, patternReason: 'must be a valid 6-digit pincode' })
+}).transform(({ state, line2, ...address }) => ({
+  ...address,
+  line2: line2 || null,
+  state: state.name,
+  stateCode: state.code
+}));
+
+/**
+ * Link to the order in the storefront
+ */
+function orderUrl(orderId) {
+  return brand.storeLink(`/orders/${orderId}`);
+}
+
+async function customerName(services, uid, fallback) {
+  const userDoc = await services.db.collection('users').doc(uid).get();
+  if (!userDoc.exists) return fallback;
+  return userDoc.data().fullName || userDoc.data().displayName || fallback;
+}
+
+/**
+ * The order's invoice as an email attachment
+ */
+async function invoiceAttachment(order) {
+  return {
+    filename: invoiceFilename(order.invoice),
+    content: await renderInvoicePdf(buildInvoice(order)),
+    contentType: 'application/pdf'
+  };
+}
+
+/**
+ * Queue the email for an order reaching a status (one per order and status)
+ */
+async function sendOrderEmail(services, orderId, order, status, details = {}) {
+  if (!order.email) return null;
+
+  const name = await customerName(services, order.uid, order.shippingAddress.name);
+  const message = status === 'placed'
+    ? renderEmail('order-placed', { name, order, orderUrl: orderUrl(orderId) })
+    : renderEmail('order-status', {
+      name,
+      order,
+      status,
+      note: details.note,
+      trackingNumber: details.trackingNumber,
+      carrier: details.carrier,
+      orderUrl: orderUrl(orderId),
+      invoiceAttached: Boolean(details.attachments)
+    });
+
+  return enqueueEmail(services, { to: order.email, ...message, attachments: details.attachments }, {
+    category: 'order',
+    idempotencyKey: `order:${orderId}:${status}`
+  });
+}
+
+/**
+ * Turn the user's cart into an order, taking the stock for it
+ * @param {object} services
+ * @param {object} options
+ * @param {string} options.uid
+ * @param {string} options.email - where order emails go
+ * @param {object} options.address - validated shipping address
+ * @param {string} [options.idempotencyKey] - retries with the same key return the first order
+ * @returns {Promise<{ id?: string, order?: object, duplicate?: boolean, status?: number, error?: string, problems?: object[] }>}
+ */
+async function placeOrder(services, { uid, email, address, idempotencyKey }) {
+  // The key is scoped to the user, so two customers can't collide on the same key
+  const orderRef = idempotencyKey
+    ? ordersCollection(services).doc(crypto.createHash('sha256').update(`${uid}:${idempotencyKey}`).digest('hex').slice(0, 20))
+    : ordersCollection(services).doc();
+
+  const result = await services.db.runTransaction(async (tx) => {
+    const existing = await tx.get(orderRef);
+    if (existing.exists) {
+      return { order: existing.data(), duplicate: true };
+    }
+
+    const cart = await tx.get(cartCollection(services, uid).orderBy('addedAt'));
+    if (cart.empty) {
+      return { status: 400, error: 'Your cart is empty' };
+    }
+
+    const productRefs = cart.docs.map((doc) => services.db.collection('products').doc(doc.data().productId));
+    const productDocs = await tx.getAll(...productRefs);
+    const { items, subtotal } = priceCart(cart.docs, productDocs);
+
+    const problems = items
+      .filter((item) => !item.available)
+      .map(({ productId, name, quantity, stock, problem }) => ({ productId, name, quantity, stock, problem }));
+    if (problems.length) {
+      return { status: 409, error: 'Some items in your cart are no longer available', problems };
+    }
+
+    const shippingFee = shippingFeeFor(subtotal);
+    const now = admin.firestore.Timestamp.fromMillis(services.clock.now());
+    const order = {
+      uid,
+      email: email || null,
+      orderNumber: generateOrderNumber(now.toDate()),
+      items: items.map(({ productId, name, category, imageUrl, price, mrp, hsnCode, gstRate, quantity, lineTotal }) => ({
+        productId, name, category, imageUrl, price, mrp, hsnCode, gstRate, quantity, lineTotal
+      })),
+      subtotal,
+      shippingFee,
+      total: Math.round((subtotal + shippingFee) * 100) / 100,
+      shippingAddress: address,
+      status: 'placed',
+      statusHistory: [{ status: 'placed', at: now, by: uid, note: null }],
+      idempotencyKey: idempotencyKey || null,
+      placedAt: now,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    productDocs.forEach((productDoc, index) => {
+      const stock = productDoc.data().stock - items[index].quantity;
+      tx.update(productDoc.ref, {
+        stock,
+        inStock: stock > 0,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    cart.docs.forEach((doc) => tx.delete(doc.ref));
+    tx.create(orderRef, order);
+
+    return { order, duplicate: false };
+  });
+
+  if (result.error) return result;
+
+  if (!result.duplicate) {
+    try {
+      await sendOrderEmail(services, orderRef.id, result.order, 'placed');
+    } catch (error) {
+      logger.error('Error queueing order confirmation email', { err: error });
+    }
+  }
+
+  return { id: orderRef.id, ...result };
+}
+
+/**
+ * Move an order to a new status
+ * @param {object} services
+ * @param {string} orderId
+ * @param {string} status
+ * @param {object} options
+ * @param {string} options.by - uid making the change
+ * @param {string} [options.uid] - only change the order if it belongs to this user
+ * @param {string[]} [options.allowedFrom] - statuses the order may currently be in
+ * @param {boolean} [options.unlessPaid] - leave the order alone once its payment has come in
+ * @param {string} [options.note]
+ * @param {string} [options.trackingNumber]
+ * @param {string} [options.carrier]
+ * @returns {Promise<{ order?: object, status?: number, error?: string }|null>} null when the order doesn't exist
+ */
+async function updateOrderStatus(services, orderId, status, options) {
+  const orderRef = ordersCollection(services).doc(orderId);
+
+  const result = await services.db.runTransaction(async (tx) => {
+    const doc = await tx.get(orderRef);
+    if (!doc.exists || (options.uid && doc.data().uid !== options.uid)) return null;
+
+    const order = doc.data();
+    if (options.allowedFrom && !options.allowedFrom.includes(order.status)) {
+      return { status: 409, error: `An order that is ${order.status} can no longer be ${status}` };
+    }
+    if (options.unlessPaid && order.payment && order.payment.status === 'paid') {
+      return { status: 409, error: 'This order has been paid' };
+    }
+    if (!TRANSITIONS[order.status].includes(status)) {
+      return { status: 409, error: `An order that is ${order.status} can't be marked as ${status}` };
+    }
+
+    // All reads before the first write
+    const restock = RESTOCK_STATUSES.includes(status);
+    const productDocs = restock
+      ? await tx.getAll(...order.items.map((item) => services.db.collection('products').doc(item.productId)))
+      : [];
+
+    const now = admin.firestore.Timestamp.fromMillis(services.clock.now());
+    const update = {
+      status,
+      [`${status}At`]: now,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        status,
+        at: now,
+        by: options.by,
+        note: options.note || null
+      }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (options.trackingNumber) update.trackingNumber = options.trackingNumber;
+    // Refunds are made from the payment provider's dashboard
+    if (RESTOCK_STATUSES.includes(status) && order.payment && order.payment.status === 'paid') {
+      update['payment.refundDue'] = true;
+    }
+    if (options.carrier) update.carrier = options.carrier;
+
+    productDocs.forEach((productDoc, index) => {
+      if (!productDoc.exists) return;
+      const stock = (productDoc.data().stock || 0) + order.items[index].quantity;
+      tx.update(productDoc.ref, {
+        stock,
+        inStock: stock > 0,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    tx.update(orderRef, update);
+
+    return {
+      order: {
+        ...order,
+        status,
+        [`${status}At`]: now,
+        trackingNumber: options.trackingNumber || order.trackingNumber || null,
+        carrier: options.carrier || order.carrier || null,
+        statusHistory: [...order.statusHistory, { status, at: now, by: options.by, note: options.note || null }]
+      }
+    };
+  });
+
+  if (!result || result.error) return result;
+
+  // Confirming the order (on payment, or by the shop) issues its invoice. The order is confirmed
+  // even if the invoice can't be made now - it can still be issued on download.
+  let attachments;
+  if (status === 'confirmed') {
+    try {
+      const issued = await issueInvoice(services, orderId);
+      if (issued.error) throw new Error(issued.error);
+      result.order = { ...result.order, invoice: issued.order.invoice };
+      attachments = [await invoiceAttachment(result.order)];
+    } catch (error) {
+      logger.error('Error generating invoice', { err: error, orderId });
+    }
+  }
+
+  try {
+    await sendOrderEmail(services, orderId, result.order, status, {
+      note: options.note,
+      trackingNumber: result.order.trackingNumber,
+      carrier: result.order.carrier,
+      attachments
+    });
+  } catch (error) {
+    logger.error('Error queueing order status email', { err: error, orderId, status });
+  }
+
+  return result;
+}
+
+/**
+ * Cancel placed orders that weren't paid in time, giving their stock back. A payment that
+ * still arrives afterwards is marked for refund (see order-payments.js).
+ * @param {object} services
+ * @param {object} [options]
+ * @param {number} [options.olderThanMinutes] - default ORDER_PAYMENT_TIMEOUT_MINUTES
+ * @param {number} [options.limit=100]
+ * @returns {Promise<{ scanned: number, cancelled: string[], skipped: string[] }>} order ids
+ */
+async function expireUnpaidOrders(services, options = {}) {
+  const olderThanMinutes = options.olderThanMinutes !== undefined ? options.olderThanMinutes : PAYMENT_TIMEOUT_MINUTES;
+  const summary = { scanned: 0, cancelled: [], skipped: [] };
+
+  // Without a payment driver nobody can pay online, so waiting for a payment means nothing
+  if (!services.payments || !services.payments.driver) return summary;
+
+  const cutoff = admin.firestore.Timestamp.fromMillis(services.clock.now() - olderThanMinutes * 60 * 1000);
+  const snapshot = await ordersCollection(services)
+    .where('status', '==', 'placed')
+    .where('placedAt', '<=', cutoff)
+    .orderBy('placedAt')
+    .limit(options.limit || 100)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    summary.scanned++;
+    const result = await updateOrderStatus(services, doc.id, 'cancelled', {
+      by: 'system',
+      allowedFrom: ['placed'],
+      unlessPaid: true,
+      note: 'Not paid in time'
+    });
+    if (result && !result.error) summary.cancelled.push(doc.id);
+    else summary.skipped.push(doc.id);
+  }
+
+  return summary;
+}
+
+/**
+ * List orders newest first, one page at a time
+ * @param {object} services
+ * @param {object} options - { uid?, status?, limit, cursor? }
+ * @returns {Promise<{ docs: object[], nextCursor: string|null }>}
+ */
+async function listOrders(services, options) {
+  let query = ordersCollection(services);
+  if (options.uid) query = query.where('uid', '==', options.uid);
+  if (options.status) query = query.where('status', '==', options.status);
+
+  query = query
+    .orderBy('placedAt', 'desc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+  if (options.cursor) {
+    const cursorDoc = await ordersCollection(services).doc(options.cursor).get();
+    if (!cursorDoc.exists || (options.uid && cursorDoc.data().uid !== options.uid)) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(options.limit + 1).get();
+  const docs = snapshot.docs.slice(0, options.limit);
+  const nextCursor = snapshot.docs.length > options.limit ? docs[docs.length - 1].id : null;
+
+  return { docs, nextCursor };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  CUSTOMER_CANCELLABLE,
+  addressSchema,
+  placeOrder,
+  updateOrderStatus,
+  expireUnpaidOrders,
+  listOrders
+};
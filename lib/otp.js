@@ -0,0 +1,286 @@
+/**
+ * One-time codes
+ *
+ * A flow (signup email verification, password reset, ...) stores one record per key in
+ * otpVerifications and its send/lockout counters in otpRateLimits. Codes come from the
+ * CSPRNG and only a salted scrypt hash is stored. Verification runs in a transaction,
+ * so parallel guesses can't get past the attempt limit.
+ *
+ * Limits per key:
+ *   - resendCooldownSeconds between two codes
+ *   - dailyLimit codes per rolling 24 hours
+ *   - maxAttempts guesses per code; using them all locks the key out for
+ *     lockoutMinutes, doubling on every further lockout up to maxLockoutMinutes
+ *
+ * A code that couldn't be delivered is withdrawn, which also gives back its cooldown and
+ * its place in the daily cap.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const admin = require('firebase-admin');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised for every expected failure; status is the HTTP status to answer with
+ */
+class OtpError extends Error {
+  constructor(code, status, message, details = {}) {
+    super(message);
+    this.name = 'OtpError';
+    this.code = code;
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Generate a random 6-digit code
+ */
+function generateOTP() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+async function hashOTP(otp, salt) {
+  const hash = await scrypt(String(otp), salt, 32);
+  return hash.toString('hex');
+}
+
+function minutesText(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Flow name used in logs
+ * @param {Function} [options.docId] - key -> document id in otpVerifications / otpRateLimits
+ * @param {number} [options.ttlMinutes=10]
+ * @param {number} [options.maxAttempts=5]
+ * @param {number} [options.resendCooldownSeconds=60]
+ * @param {number} [options.dailyLimit=5]
+ * @param {number} [options.lockoutMinutes=15]
+ * @param {number} [options.maxLockoutMinutes=1440]
+ */
+function createOtpFlow(options) {
+  const {
+    name,
+    docId = (key) => `${name}:${key}`,
+    ttlMinutes = 10,
+    maxAttempts = 5,
+    resendCooldownSeconds = 60,
+    dailyLimit = 5,
+    lockoutMinutes = 15,
+    maxLockoutMinutes = 24 * 60
+  } = options;
+
+  function refs(services, key) {
+    const id = docId(key);
+    return {
+      otpRef: services.db.collection('otpVerifications').doc(id),
+      limitRef: services.db.collection('otpRateLimits').doc(id)
+    };
+  }
+
+  function lockedError(lockedUntil, now) {
+    const retryMs = lockedUntil.toMillis() - now;
+    return new OtpError('locked', 429, `Too many failed attempts. Please try again in ${minutesText(retryMs)}.`, {
+      retryAfter: Math.ceil(retryMs / 1000)
+    });
+  }
+
+  return {
+    ttlMinutes,
+
+    /**
+     * Create a new code for a key, enforcing cooldown, daily cap and lockout
+     * @param {object} services
+     * @param {string} key - e.g. the email address
+     * @param {object} [data] - Extra fields stored with the code and returned by verify()
+     * @returns {Promise<{ otp: string, expiresAt: Date }>}
+     * @throws {OtpError}
+     */
+    async issue(services, key, data = {}) {
+      const { otpRef, limitRef } = refs(services, key);
+      const otp = generateOTP();
+      const salt = crypto.randomBytes(16).toString('hex');
+      const otpHash = await hashOTP(otp, salt);
+
+      const result = await services.db.runTransaction(async (transaction) => {
+        const now = services.clock.now();
+        const limitDoc = await transaction.get(limitRef);
+        const limits = limitDoc.exists ? limitDoc.data() : {};
+
+        if (limits.lockedUntil && limits.lockedUntil.toMillis() > now) {
+          return { error: lockedError(limits.lockedUntil, now) };
+        }
+
+        if (limits.lastSentAt && now - limits.lastSentAt.toMillis() < resendCooldownSeconds * 1000) {
+          const retryAfter = Math.ceil((limits.lastSentAt.toMillis() + resendCooldownSeconds * 1000 - now) / 1000);
+          return {
+            error: new OtpError('cooldown', 429, `Please wait ${retryAfter} seconds before requesting a new code.`, { retryAfter })
+          };
+        }
+
+        // Rolling 24 hour window for the daily cap
+        const windowActive = limits.windowStart && now - limits.windowStart.toMillis() < DAY_MS;
+        const sendCount = windowActive ? limits.sendCount || 0 : 0;
+        if (sendCount >= dailyLimit) {
+          const retryAfter = Math.ceil((limits.windowStart.toMillis() + DAY_MS - now) / 1000);
+          return {
+            error: new OtpError('daily_limit', 429, 'Too many codes requested today. Please try again later.', { retryAfter })
+          };
+        }
+
+        const expiresAt = new Date(now + ttlMinutes * 60 * 1000);
+
+        transaction.set(limitRef, {
+          lastSentAt: admin.firestore.Timestamp.fromMillis(now),
+          windowStart: windowActive ? limits.windowStart : admin.firestore.Timestamp.fromMillis(now),
+          sendCount: sendCount + 1
+        }, { merge: true });
+
+        transaction.set(otpRef, {
+          ...data,
+          flow: name,
+          otpHash,
+          salt,
+          expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          attempts: 0
+        });
+
+        return { expiresAt };
+      });
+
+      if (result.error) throw result.error;
+      return { otp, expiresAt: result.expiresAt };
+    },
+
+    /**
+     * Check a code. The record is deleted once it is used, expired or out of attempts.
+     * @returns {Promise<object>} the extra data stored by issue()
+     * @throws {OtpError}
+     */
+    async verify(services, key, code) {
+      const { otpRef, limitRef } = refs(services, key);
+
+      const result = await services.db.runTransaction(async (transaction) => {
+        const now = services.clock.now();
+        const [limitDoc, otpDoc] = await Promise.all([transaction.get(limitRef), transaction.get(otpRef)]);
+        const limits = limitDoc.exists ? limitDoc.data() : {};
+
+        if (limits.lockedUntil && limits.lockedUntil.toMillis() > now) {
+          return { error: lockedError(limits.lockedUntil, now) };
+        }
+
+        // Records written before codes were hashed can't be checked - ask for a new one
+        if (!otpDoc.exists || !otpDoc.data().otpHash) {
+          return {
+            error: new OtpError('not_found', 404, 'No verification code found. Please request a new one.')
+          };
+        }
+
+        const record = otpDoc.data();
+
+        if (record.expiresAt.toMillis() < now) {
+          transaction.delete(otpRef);
+          return {
+            error: new OtpError('expired', 400, 'Verification code has expired. Please request a new one.')
+          };
+        }
+
+        const expected = Buffer.from(record.otpHash, 'hex');
+        const actual = Buffer.from(await hashOTP(code, record.salt), 'hex');
+
+        if (crypto.timingSafeEqual(expected, actual)) {
+          transaction.delete(otpRef);
+          transaction.set(limitRef, { lockoutLevel: 0 }, { merge: true });
+          return { record };
+        }
+
+        const attempts = (record.attempts || 0) + 1;
+        const remainingAttempts = maxAttempts - attempts;
+
+        if (remainingAttempts > 0) {
+          transaction.update(otpRef, { attempts });
+          return {
+            error: new OtpError('invalid', 400, `Invalid code. ${remainingAttempts} attempts remaining.`, { remainingAttempts })
+          };
+        }
+
+        // Out of attempts: burn the code and lock the key out, longer each time
+        const lockoutLevel = (limits.lockoutLevel || 0) + 1;
+        const lockMs = Math.min(lockoutMinutes * 2 ** (lockoutLevel - 1), maxLockoutMinutes) * 60 * 1000;
+        transaction.delete(otpRef);
+        transaction.set(limitRef, {
+          lockoutLevel,
+          lockedUntil: admin.firestore.Timestamp.fromMillis(now + lockMs)
+        }, { merge: true });
+
+        return {
+          error: new OtpError('too_many_attempts', 429, `Too many failed attempts. Please try again in ${minutesText(lockMs)}.`, {
+            retryAfter: Math.ceil(lockMs / 1000)
+          })
+        };
+      });
+
+      if (result.error) throw result.error;
+
+      const { otpHash, salt, attempts, expiresAt, createdAt, flow, ...data } = result.record;
+      return data;
+    },
+
+    /**
+     * Take back a code that couldn't be delivered, undoing the send it counted as
+     * @param {object} services
+     * @param {string} key
+     * @param {string} otp - the code issue() returned
+     * @returns {Promise<boolean>} false when the code was already replaced or used
+     */
+    async withdraw(services, key, otp) {
+      const { otpRef, limitRef } = refs(services, key);
+
+      return services.db.runTransaction(async (transaction) => {
+        const [limitDoc, otpDoc] = await Promise.all([transaction.get(limitRef), transaction.get(otpRef)]);
+        if (!otpDoc.exists || !otpDoc.data().otpHash) return false;
+
+        const record = otpDoc.data();
+        const expected = Buffer.from(record.otpHash, 'hex');
+        const actual = Buffer.from(await hashOTP(otp, record.salt), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) return false;
+
+        // issue() only got past the cooldown because any earlier send was long enough ago,
+        // so forgetting lastSentAt ends the cooldown just as restoring it would
+        const limits = limitDoc.exists ? limitDoc.data() : {};
+        transaction.delete(otpRef);
+        transaction.set(limitRef, {
+          lastSentAt: admin.firestore.FieldValue.delete(),
+          sendCount: Math.max((limits.sendCount || 1) - 1, 0)
+        }, { merge: true });
+        return true;
+      });
+    }
+  };
+}
+
+/**
+ * Send an OtpError as JSON, with Retry-After for 429s
+ */
+function sendOtpError(res, error) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+    ...(error.remainingAttempts !== undefined ? { remainingAttempts: error.remainingAttempts } : {})
+  });
+}
+
+module.exports = { OtpError, createOtpFlow, generateOTP, sendOtpError };
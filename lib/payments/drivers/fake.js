@@ -0,0 +1,93 @@
+/**
+ * Fake payment driver for tests and local development
+ * Speaks the Razorpay protocol (same signatures and webhook payloads) against an in-memory
+ * "API", so the whole checkout runs without network access. completePayment() and
+ * webhookEvent() play the part of the customer's checkout and of Razorpay's servers.
+ */
+
+const crypto = require('crypto');
+const createRazorpayDriver = require('./razorpay');
+
+const KEY_SECRET = 'fake_key_secret';
+const WEBHOOK_SECRET = 'fake_webhook_secret';
+
+function fakeId(prefix) {
+  return `${prefix}_fake${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function createFakeDriver() {
+  const orders = new Map();
+
+  const driver = createRazorpayDriver({
+    name: 'fake',
+    keyId: 'rzp_test_fake',
+    keySecret: KEY_SECRET,
+    webhookSecret: WEBHOOK_SECRET,
+
+    async request(method, path, body) {
+      if (method === 'POST' && path === '/orders') {
+        const order = { id: fakeId('order'), amount: body.amount, currency: body.currency, receipt: body.receipt, notes: body.notes };
+        orders.set(order.id, order);
+        return order;
+      }
+      return { items: [...orders.values()] };
+    }
+  });
+
+  return {
+    ...driver,
+
+    orders,
+
+    /**
+     * What the storefront checkout hands back after a successful payment
+     * @returns {{ razorpay_order_id: string, razorpay_payment_id: string, razorpay_signature: string }}
+     */
+    completePayment(providerOrderId) {
+      const paymentId = fakeId('pay');
+      return {
+        razorpay_order_id: providerOrderId,
+        razorpay_payment_id: paymentId,
+        razorpay_signature: createRazorpayDriver.hmacHex(KEY_SECRET, `${providerOrderId}|${paymentId}`)
+      };
+    },
+
+    /**
+     * A signed webhook delivery, as Razorpay would send it
+     * @param {string} event - e.g. 'payment.captured', 'payment.failed'
+     * @param {object} payment - { providerOrderId, paymentId?, amount, currency?, method?, error? }
+     * @returns {{ body: Buffer, headers: object }}
+     */
+    webhookEvent(event, payment) {
+      const body = Buffer.from(JSON.stringify({
+        entity: 'event',
+        event,
+        payload: {
+          payment: {
+            entity: {
+              id: payment.paymentId || fakeId('pay'),
+              order_id: payment.providerOrderId,
+              amount: payment.amount,
+              currency: payment.currency || 'INR',
+              method: payment.method || 'upi',
+              status: event === 'payment.failed' ? 'failed' : 'captured',
+              error_description: payment.error || null
+            }
+          }
+        },
+        created_at: Math.floor(Date.now() / 1000)
+      }));
+
+      return {
+        body,
+        headers: {
+          'content-type': 'application/json',
+          'x-razorpay-event-id': payment.eventId || fakeId('evt'),
+          'x-razorpay-signature': createRazorpayDriver.hmacHex(WEBHOOK_SECRET, body)
+        }
+      };
+    }
+  };
+}
+
+module.exports = createFakeDriver;
@@ -0,0 +1,100 @@
+/**
+ * Razorpay payment driver
+ * https://razorpay.com/docs/api/orders/create/
+ * https://razorpay.com/docs/payments/server-integration/nodejs/integration-steps/#verify-payment-signature
+ * https://razorpay.com/docs/webhooks/validate-test/
+ */
+
+const crypto = require('crypto');
+
+function hmacHex(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Constant-time comparison of a hex signature
+ */
+function signatureMatches(expected, signature) {
+  if (typeof signature !== 'string' || !/^[0-9a-f]+$/i.test(signature)) return false;
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(signature, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.keyId - RAZORPAY_KEY_ID
+ * @param {string} options.keySecret - RAZORPAY_KEY_SECRET
+ * @param {string} options.webhookSecret - RAZORPAY_WEBHOOK_SECRET (set when creating the webhook)
+ * @param {Function} [options.request] - (method, path, body) -> response data; defaults to the Razorpay API
+ * @param {string} [options.name] - Driver name used in logs
+ */
+function createRazorpayDriver(options) {
+  if (!options.keyId || !options.keySecret || !options.webhookSecret) {
+    throw new Error('RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET are required for the razorpay payment driver');
+  }
+
+  const authorization = 'Basic ' + Buffer.from(`${options.keyId}:${options.keySecret}`).toString('base64');
+
+  const request = options.request || (async (method, path, body) => {
+    const response = await fetch(`https://api.razorpay.com/v1${path}`, {
+      method,
+      headers: { authorization, 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = data.error || {};
+      throw new Error(`Razorpay error ${error.code || response.status}: ${error.description || response.statusText}`);
+    }
+    return data;
+  });
+
+  return {
+    name: options.name || 'razorpay',
+    keyId: options.keyId,
+
+    async createOrder({ amount, currency, receipt, notes }) {
+      const data = await request('POST', '/orders', { amount, currency, receipt, notes });
+      return { id: data.id, amount: data.amount, currency: data.currency };
+    },
+
+    verifyPayment({ orderId, paymentId, signature }) {
+      if (!orderId || !paymentId) return false;
+      return signatureMatches(hmacHex(options.keySecret, `${orderId}|${paymentId}`), signature);
+    },
+
+    verifyWebhook(rawBody, signature) {
+      if (!Buffer.isBuffer(rawBody) || !rawBody.length) return false;
+      return signatureMatches(hmacHex(options.webhookSecret, rawBody), signature);
+    },
+
+    parseWebhook(rawBody, headers) {
+      const body = JSON.parse(rawBody.toString('utf8'));
+      const payment = body.payload && body.payload.payment ? body.payload.payment.entity : {};
+      const order = body.payload && body.payload.order ? body.payload.order.entity : {};
+
+      return {
+        // Razorpay resends an event with the same id, so it is the idempotency key
+        id: headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex'),
+        type: body.event,
+        providerOrderId: payment.order_id || order.id || null,
+        paymentId: payment.id || null,
+        amount: payment.amount !== undefined ? payment.amount : order.amount_paid,
+        currency: payment.currency || order.currency || null,
+        method: payment.method || null,
+        error: payment.error_description || null
+      };
+    },
+
+    async verify() {
+      await request('GET', '/orders?count=1');
+      return true;
+    }
+  };
+}
+
+createRazorpayDriver.hmacHex = hmacHex;
+
+module.exports = createRazorpayDriver;
@@ -0,0 +1,66 @@
+/**
+ * Payment provider
+ * Single entry point for taking payments. The driver is chosen from env:
+ *
+ *   PAYMENT_DRIVER  razorpay | fake (default: razorpay if RAZORPAY_KEY_ID is set)
+ *
+ * The fake driver signs with well-known secrets, so anyone could forge its payments: it is only
+ * used when PAYMENT_DRIVER=fake asks for it, and never in production. Without a driver online
+ * payments are unavailable (checkout answers 503) and the rest of the shop keeps working.
+ *
+ *   RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET    razorpay
+ *
+ * Every driver exposes:
+ *   keyId                                          public key the storefront checkout needs
+ *   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency }   (amount in paise)
+ *   verifyPayment({ orderId, paymentId, signature }) -> boolean   checkout callback signature
+ *   verifyWebhook(rawBody, signature) -> boolean                  webhook HMAC over the raw body
+ *   parseWebhook(rawBody, headers) -> { id, type, providerOrderId, paymentId, amount, currency, method, error }
+ *   verify()
+ */
+
+const createRazorpayDriver = require('./drivers/razorpay');
+const createFakeDriver = require('./drivers/fake');
+const { logger } = require('../logger');
+
+const DRIVERS = ['razorpay', 'fake'];
+
+/**
+ * Build the driver from env config
+ */
+function createDriver(name, env) {
+  switch (name) {
+    case 'razorpay':
+      return createRazorpayDriver({
+        keyId: env.RAZORPAY_KEY_ID,
+        keySecret: env.RAZORPAY_KEY_SECRET,
+        webhookSecret: env.RAZORPAY_WEBHOOK_SECRET
+      });
+    case 'fake':
+      return createFakeDriver();
+    default:
+      throw new Error(`Unknown payment driver "${name}". Expected one of: ${DRIVERS.join(', ')}`);
+  }
+}
+
+/**
+ * Create a payment provider from env config
+ * @param {object} [env=process.env]
+ * @returns {{ driver: object|null }} driver is null when no driver is configured
+ * @throws when the configured driver can't be used
+ */
+function createPaymentProvider(env = process.env) {
+  const name = (env.PAYMENT_DRIVER || (env.RAZORPAY_KEY_ID ? 'razorpay' : '')).toLowerCase();
+
+  if (!name) {
+    logger.warn('No payment driver configured - online payments are unavailable. Set RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET (or PAYMENT_DRIVER=fake for local development)');
+    return { driver: null };
+  }
+  if (name === 'fake' && env.NODE_ENV === 'production') {
+    throw new Error('The fake payment driver accepts forged payments and can\'t be used in production');
+  }
+
+  return { driver: createDriver(name, env) };
+}
+
+module.exports = { createPaymentProvider };
@@ -0,0 +1,50 @@
+/**
+ * Phone numbers
+ * Everything is stored and compared in E.164 (+<country code><number>, at most 15 digits).
+ * Numbers without a country code are taken to be Indian (PHONE_DEFAULT_COUNTRY_CODE, default 91).
+ */
+
+const DEFAULT_COUNTRY_CODE = process.env.PHONE_DEFAULT_COUNTRY_CODE || '91';
+
+/**
+ * Normalise user input to E.164
+ * Accepts "+91 98765 43210", "0091-98765-43210", "098765 43210", "9876543210", ...
+ * @returns {string|null} null when the input can't be a phone number
+ */
+function normalizePhone(input, countryCode = DEFAULT_COUNTRY_CODE) {
+  if (typeof input !== 'string' && typeof input !== 'number') return null;
+
+  let value = String(input).trim().replace(/[\s().-]/g, '');
+
+  if (value.startsWith('00')) {
+    value = '+' + value.slice(2);
+  }
+
+  let digits;
+  if (value.startsWith('+')) {
+    digits = value.slice(1);
+  } else if (/^0\d+$/.test(value)) {
+    // Trunk prefix ("0" + national number)
+    digits = countryCode + value.slice(1);
+  } else if (value.startsWith(countryCode) && value.length === countryCode.length + 10) {
+    digits = value;
+  } else {
+    digits = countryCode + value;
+  }
+
+  if (!/^[1-9]\d{7,14}$/.test(digits)) return null;
+
+  // Indian mobile numbers are 10 digits starting with 6-9
+  if (digits.startsWith('91') && !/^91[6-9]\d{9}$/.test(digits)) return null;
+
+  return '+' + digits;
+}
+
+/**
+ * Mask a number for logs and responses: +91******3210
+ */
+function maskPhone(phone) {
+  return phone.slice(0, 3) + '*'.repeat(Math.max(0, phone.length - 7)) + phone.slice(-4);
+}
+
+module.exports = { normalizePhone, maskPhone };
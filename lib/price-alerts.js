@@ -0,0 +1,262 @@
+/**
+ * Price-drop alerts for wishlisted products
+ *
+ * Watchers are found with a collection group query over every users/{uid}/wishlist
+ * subcollection, so the cost grows with the number of people watching the product
+ * rather than with the whole user base.
+ *
+ * Firestore needs a collection-group index for wishlist.productId
+ * (Console → Firestore → Indexes → Single field → add exemption, scope "Collection group").
+ *
+ * Each watcher's notification preferences are respected, and a cooldown stored in
+ * priceAlertCooldowns/{uid}_{productId} stops repeat alerts for the same product.
+ *
+ * Wishlist entries may carry an optional targetPrice. Users with a target are only
+ * alerted once the new price is at or below it; users without one hear about any drop.
+ *
+ *   PRICE_ALERT_COOLDOWN_HOURS  minimum time between alerts for one user and product (default 24)
+ */
+
+const admin = require('firebase-admin');
+const { enqueueEmail } = require('./mail-queue');
+const { renderEmail } = require('./templates');
+const { brand } = require('./templates/brand');
+const { signToken, verifyToken } = require('./tokens');
+const { resolvePreferences, priceAlertSkipReason } = require('./notification-preferences');
+
+const PAGE_SIZE = 500;
+const GET_ALL_CHUNK = 100;
+const COOLDOWN_MS = (Number(process.env.PRICE_ALERT_COOLDOWN_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * One-click link that turns off price alerts for a user (never expires)
+ */
+function priceAlertsUnsubscribeUrl(services, uid) {
+  const token = signToken(services, 'price-alerts-unsubscribe', { uid });
+  return brand.apiLink(`/api/v1/users/price-alerts/unsubscribe?token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Returns the uid from a price-alerts unsubscribe token, or null
+ */
+function readPriceAlertsUnsubscribeToken(services, token) {
+  const payload = verifyToken(services, 'price-alerts-unsubscribe', token);
+  return payload ? payload.uid : null;
+}
+
+/**
+ * Find every user with the product in their wishlist
+ * Users who saved the product more than once are returned once.
+ * @returns {Promise<Array<{ uid: string, email: string, name: string, user: object, entries: object[] }>>}
+ */
+async function findWishlistWatchers(services, productId) {
+  const entriesByUid = new Map();
+
+  // Page through the matching wishlist entries
+  let lastDoc = null;
+  for (;;) {
+    let query = services.db.collectionGroup('wishlist')
+      .where('productId', '==', productId)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const page = await query.get();
+    for (const doc of page.docs) {
+      // users/{uid}/wishlist/{entryId}
+      const userRef = doc.ref.parent.parent;
+      if (!userRef || userRef.parent.id !== 'users') continue;
+
+      if (!entriesByUid.has(userRef.id)) {
+        entriesByUid.set(userRef.id, { ref: userRef, entries: [] });
+      }
+      entriesByUid.get(userRef.id).entries.push({ id: doc.id, ...doc.data() });
+    }
+
+    if (page.size < PAGE_SIZE) break;
+    lastDoc = page.docs[page.docs.length - 1];
+  }
+
+  // Load the users in a few batched reads instead of one read each
+  const watchers = [];
+  const seenEmails = new Set();
+  const owners = [...entriesByUid.values()];
+  for (let i = 0; i < owners.length; i += GET_ALL_CHUNK) {
+    const chunk = owners.slice(i, i + GET_ALL_CHUNK);
+    const userDocs = await services.db.getAll(...chunk.map((owner) => owner.ref));
+
+    userDocs.forEach((userDoc, index) => {
+      if (!userDoc.exists) return;
+
+      const user = userDoc.data();
+      const email = user.email && user.email.toLowerCase();
+      // Duplicate user documents for the same person share an email address
+      if (!email || seenEmails.has(email)) return;
+      seenEmails.add(email);
+
+      watchers.push({
+        uid: userDoc.id,
+        email: user.email,
+        name: user.fullName || user.displayName || 'Valued Customer',
+        user,
+        entries: chunk[index].entries
+      });
+    });
+  }
+
+  return watchers;
+}
+
+function cooldownRef(services, uid, productId) {
+  return services.db.collection('priceAlertCooldowns').doc(`${uid}_${productId}`);
+}
+
+/**
+ * The target price for a watcher, or null if they didn't set one
+ * With several entries for the same product the most generous target wins.
+ */
+function watcherTargetPrice(watcher) {
+  const targets = watcher.entries
+    .map((entry) => entry.targetPrice)
+    .filter((target) => typeof target === 'number');
+  return targets.length ? Math.max(...targets) : null;
+}
+
+/**
+ * Split watchers into those to alert and those to skip (target, preferences or cooldown)
+ */
+async function filterWatchers(services, watchers, drop) {
+  const dropPercent = ((drop.oldPrice - drop.newPrice) / drop.oldPrice) * 100;
+  const eligible = [];
+  const skipped = [];
+
+  const candidates = [];
+  for (const watcher of watchers) {
+    watcher.targetPrice = watcherTargetPrice(watcher);
+    if (watcher.targetPrice !== null && drop.newPrice > watcher.targetPrice) {
+      skipped.push({ watcher, reason: 'target_not_met' });
+      continue;
+    }
+
+    const reason = priceAlertSkipReason(resolvePreferences(watcher.user), {
+      category: drop.category,
+      dropPercent,
+      targetMet: watcher.targetPrice !== null
+    });
+    if (reason) skipped.push({ watcher, reason });
+    else candidates.push(watcher);
+  }
+
+  for (let i = 0; i < candidates.length; i += GET_ALL_CHUNK) {
+    const chunk = candidates.slice(i, i + GET_ALL_CHUNK);
+    const cooldowns = await services.db.getAll(...chunk.map((watcher) => cooldownRef(services, watcher.uid, drop.productId)));
+
+    cooldowns.forEach((cooldown, index) => {
+      const watcher = chunk[index];
+      const { lastSentAt, lastPrice } = cooldown.exists ? cooldown.data() : {};
+      // Reaching the target is news even within the cooldown, unless the last alert already met it
+      const targetNewlyMet = watcher.targetPrice !== null && !(lastPrice <= watcher.targetPrice);
+
+      if (lastSentAt && services.clock.now() - lastSentAt.toMillis() < COOLDOWN_MS && !targetNewlyMet) {
+        skipped.push({ watcher, reason: 'cooldown' });
+      } else {
+        watcher.lastAlertAt = lastSentAt ? lastSentAt.toMillis() : null;
+        eligible.push(watcher);
+      }
+    });
+  }
+
+  return { eligible, skipped };
+}
+
+/**
+ * Notify the watchers of a product about a price drop
+ * @param {object} services
+ * @param {object} drop - { productId, productName, productImage, category?, oldPrice, newPrice }
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report who would be notified
+ * @returns {Promise<object>} summary
+ */
+async function notifyPriceDrop(services, drop, options = {}) {
+  const { productId, productName, productImage, oldPrice, newPrice } = drop;
+  const watchers = await findWishlistWatchers(services, productId);
+  const { eligible, skipped } = await filterWatchers(services, watchers, drop);
+
+  const skippedCounts = {};
+  for (const { reason } of skipped) {
+    skippedCounts[reason] = (skippedCounts[reason] || 0) + 1;
+  }
+
+  if (options.dryRun) {
+    return {
+      dryRun: true,
+      totalWishlistUsers: watchers.length,
+      recipients: eligible.map((watcher) => ({
+        uid: watcher.uid,
+        email: watcher.email,
+        name: watcher.name,
+        targetPrice: watcher.targetPrice
+      })),
+      skipped: skipped.map(({ watcher, reason }) => ({ uid: watcher.uid, email: watcher.email, reason })),
+      skippedCounts
+    };
+  }
+
+  // Queue one email per user - the mail queue worker delivers them.
+  // The idempotency key stops a repeated call for the same drop from emailing anyone twice. It
+  // includes the watcher's previous alert, so the price dropping to the same figure again later
+  // (after going back up) is a new alert rather than a duplicate of the old one.
+  let queuedCount = 0;
+  let duplicateCount = 0;
+  for (let i = 0; i < eligible.length; i += 25) {
+    const chunk = eligible.slice(i, i + 25);
+    const results = await Promise.all(chunk.map((watcher) => {
+      const unsubscribeUrl = priceAlertsUnsubscribeUrl(services, watcher.uid);
+      return enqueueEmail(services, {
+        to: watcher.email,
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        },
+        ...renderEmail('price-drop', {
+          name: watcher.name,
+          productName,
+          productImage,
+          oldPrice,
+          newPrice,
+          targetPrice: watcher.targetPrice,
+          unsubscribeUrl
+        })
+      }, {
+        category: 'price-drop',
+        idempotencyKey: `price-drop:${productId}:${oldPrice}-${newPrice}:${watcher.lastAlertAt || 'first'}:${watcher.email.toLowerCase()}`
+      });
+    }));
+
+    // Start the cooldown for everyone we just queued
+    const batch = services.db.batch();
+    results.forEach((result, index) => {
+      if (result.duplicate) {
+        duplicateCount++;
+        return;
+      }
+      queuedCount++;
+      batch.set(cooldownRef(services, chunk[index].uid, productId), {
+        uid: chunk[index].uid,
+        productId,
+        lastPrice: newPrice,
+        lastSentAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    await batch.commit();
+  }
+
+  return { queuedCount, duplicateCount, skippedCounts, totalWishlistUsers: watchers.length };
+}
+
+module.exports = {
+  findWishlistWatchers,
+  notifyPriceDrop,
+  priceAlertsUnsubscribeUrl,
+  readPriceAlertsUnsubscribeToken
+};
@@ -0,0 +1,211 @@
+/**
+ * Product image galleries
+ * products/{id}.images is an ordered list of { url, publicId }; the first image is the primary one
+ * and is mirrored to imageUrl for listings and emails.
+ *
+ * Gallery uploads go to the storage folder products/{productId}. Images that are removed from a
+ * gallery are deleted from storage right away (failed deletes are queued for retry); uploads that
+ * were never attached to a product show up in findOrphanedImages.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { deleteImagesOrQueue } = require('./image-deletions');
+const { MAX_IMAGES } = require('./products');
+
+const PRODUCT_IMAGE_FOLDER = 'products';
+
+const PRODUCT_IMAGE_SIZE = { width: 800, height: 800, fit: 'inside' };
+
+// Upload checks (see acceptImages)
+const PRODUCT_IMAGE_LIMITS = { minWidth: 200, minHeight: 200 };
+
+function productImagePublicId() {
+  return `product_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Images are addressed by publicId, or by URL for images that that aren't in our storage
+ */
+function imageKey(image) {
+  return image.publicId || image.url;
+}
+
+function galleryFields(images) {
+  return {
+    images,
+    imageUrl: images.length ? images[0].url : null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Images that were in `before` but not in `after`
+ */
+function removedImages(before, after) {
+  const kept = new Set(after.map(imageKey));
+  return before.filter((image) => !kept.has(imageKey(image)));
+}
+
+/**
+ * Change a gallery in a transaction, then delete the images it dropped from storage
+ * @param {object} services
+ * @param {string} productId
+ * @param {Function} change - (currentImages) -> { images } | { error }
+ * @returns {Promise<{ notFound?: true, error?: string, images?: object[], removed?: object[] }>}
+ */
+async function updateGallery(services, productId, change) {
+  const ref = services.db.collection('products').doc(productId);
+
+  const result = await services.db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return { notFound: true };
+
+    const current = doc.data().images || [];
+    const { error, images } = change(current);
+    if (error) return { error };
+
+    tx.update(ref, galleryFields(images));
+    return { images, removed: removedImages(current, images) };
+  });
+
+  if (result.removed && result.removed.length) {
+    await deleteImagesOrQueue(services, result.removed.map((image) => image.publicId), { source: 'product', productId });
+  }
+  return result;
+}
+
+/**
+ * Upload files and add them to a product's gallery
+ * @param {object} services
+ * @param {string} productId
+ * @param {object[]} files - multer files
+ * @param {object} [options]
+ * @param {boolean} [options.primary] - put the new images first
+ */
+async function addProductImages(services, productId, files, options = {}) {
+  // Upload outside the transaction - it may run more than once, uploads must not
+  const uploaded = [];
+  try {
+    for (const file of files) {
+      uploaded.push(await services.storage.upload(file.buffer, {
+        folder: `${PRODUCT_IMAGE_FOLDER}/${productId}`,
+        publicId: productImagePublicId(),
+        extension: file.image.extension,
+        resize: PRODUCT_IMAGE_SIZE
+      }));
+    }
+  } catch (error) {
+    await deleteImagesOrQueue(services, uploaded.map((image) => image.publicId), { source: 'product', productId });
+    throw error;
+  }
+
+  const result = await updateGallery(services, productId, (current) => {
+    if (current.length + uploaded.length > MAX_IMAGES) {
+      return { error: `A product can have at most ${MAX_IMAGES} images (it has ${current.length})` };
+    }
+    return { images: options.primary ? [...uploaded, ...current] : [...current, ...uploaded] };
+  });
+
+  if (!result.images) {
+    await deleteImagesOrQueue(services, uploaded.map((image) => image.publicId), { source: 'product', productId });
+  }
+  return { ...result, added: uploaded };
+}
+
+/**
+ * Reorder a gallery; images left out of `keys` are removed
+ * @param {object} services
+ * @param {string} productId
+ * @param {string[]} keys - publicIds (or URLs) in the new order, primary first
+ */
+function arrangeProductImages(services, productId, keys) {
+  return updateGallery(services, productId, (current) => {
+    if (new Set(keys).size !== keys.length) {
+      return { error: 'Each image can only be listed once' };
+    }
+
+    const byKey = new Map(current.map((image) => [imageKey(image), image]));
+    const unknown = keys.find((key) => !byKey.has(key));
+    if (unknown) {
+      return { error: `Image "${unknown}" is not in this product's gallery` };
+    }
+
+    return { images: keys.map((key) => byKey.get(key)) };
+  });
+}
+
+/**
+ * Remove one image from a gallery
+ */
+function removeProductImage(services, productId, key) {
+  return updateGallery(services, productId, (current) => {
+    if (!current.some((image) => imageKey(image) === key)) {
+      return { error: `Image "${key}" is not in this product's gallery` };
+    }
+    return { images: current.filter((image) => imageKey(image) !== key) };
+  });
+}
+
+/**
+ * Every storage public id a product document points at
+ * Products written by the old admin UI keep image URLs in different fields, so look at every string
+ */
+function referencedPublicIds(services, value, ids = new Set()) {
+  if (typeof value === 'string') {
+    const publicId = services.storage.publicIdFromUrl(value);
+    if (publicId) ids.add(publicId);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => referencedPublicIds(services, item, ids));
+  } else if (value && typeof value === 'object' && value.constructor === Object) {
+    if (typeof value.publicId === 'string') ids.add(value.publicId);
+    Object.values(value).forEach((item) => referencedPublicIds(services, item, ids));
+  }
+  return ids;
+}
+
+/**
+ * Stored images in the products folder that no product (deleted ones included) references
+ * @param {object} services
+ * @param {object} [options]
+ * @param {number} [options.olderThanHours=24] - skip recent uploads that may not be attached yet
+ * @returns {Promise<{ scanned: number, orphaned: object[] }>}
+ */
+async function findOrphanedImages(services, options = {}) {
+  const olderThanHours = options.olderThanHours === undefined ? 24 : options.olderThanHours;
+
+  const [assets, products] = await Promise.all([
+    services.storage.listImages(`${PRODUCT_IMAGE_FOLDER}/`),
+    services.db.collection('products').get()
+  ]);
+
+  const referenced = new Set();
+  products.docs.forEach((doc) => referencedPublicIds(services, doc.data(), referenced));
+
+  const cutoff = services.clock.now() - olderThanHours * 60 * 60 * 1000;
+  const orphaned = assets.filter((asset) => !referenced.has(asset.publicId) && Date.parse(asset.createdAt) < cutoff);
+
+  return { scanned: assets.length, orphaned };
+}
+
+/**
+ * Delete the images findOrphanedImages reports
+ */
+async function purgeOrphanedImages(services, options = {}) {
+  const { scanned, orphaned } = await findOrphanedImages(services, options);
+  const { deleted, failed } = await services.storage.destroyImages(orphaned.map((asset) => asset.publicId));
+  return { scanned, orphaned, deleted, failed };
+}
+
+module.exports = {
+  PRODUCT_IMAGE_FOLDER,
+  PRODUCT_IMAGE_SIZE,
+  PRODUCT_IMAGE_LIMITS,
+  productImagePublicId,
+  removedImages,
+  addProductImages,
+  arrangeProductImages,
+  removeProductImage,
+  findOrphanedImages,
+  purgeOrphanedImages
+};
@@ -0,0 +1,259 @@
+/**
+ * Product catalog
+ * products/{id} documents: { name, nameLower, description, category, price, mrp, stock, inStock,
+ * images: [{ url, publicId }], imageUrl, hsnCode, gstRate, deleted, createdAt, updatedAt, ... }
+ * The image gallery is managed in product-images.js. hsnCode and gstRate are printed on GST
+ * invoices; products without them use their category's defaults (see gst.js).
+ *
+ * Deleting only flags the product (deleted: true) so orders, wishlists and alerts that
+ * point at it keep working; listings hide deleted products.
+ *
+ * Listing combines equality filters with one orderBy, so Firestore needs composite indexes on
+ * deleted + category/inStock + the sort field (the error message links to create them).
+ */
+
+const admin = require('firebase-admin');
+const schema = require('./schema');
+const { safeUrl } = require('./templates/html');
+const { CATEGORIES } = require('./notification-preferences');
+const { notifyPriceDrop } = require('./price-alerts');
+const { GST_RATES, isHsnCode } = require('./gst');
+const { logger } = require('./logger');
+
+const MAX_IMAGES = 10;
+const MAX_PRICE = 10000000;
+
+const SORTS = {
+  newest: ['createdAt', 'desc'],
+  oldest: ['createdAt', 'asc'],
+  price_asc: ['price', 'asc'],
+  price_desc: ['price', 'desc'],
+  name: ['nameLower', 'asc']
+};
+
+function productsCollection(services) {
+  return services.db.collection('products');
+}
+
+// Rounded to paise
+const priceField = schema.number({ positive: true, max: MAX_PRICE })
+  .transform((value) => Math.round(value * 100) / 100);
+
+// An image URL (e.g. imageUrl from /api/v1/upload/product-image) or { url, publicId }
+const imageField = schema.anyOf([
+  schema.string({ max: 2048 }),
+  schema.object({ url: schema.string({ max: 2048 }), publicId: schema.string({ max: 512 }).optional() })
+], 'must be an image URL or { url, publicId }');
+
+/**
+ * Body of a new product; updates accept any of the same fields (productUpdateSchema)
+ */
+const productSchema = schema.object({
+  name: schema.string({ max: 200 }),
+  description: schema.string({ max: 5000 }).nullable().optional(),
+  category: schema.oneOf(CATEGORIES),
+  price: priceField,
+  mrp: priceField.describe('Maximum retail price, at least the price'),
+  stock: schema.integer({ min: 0 }).default(0),
+  hsnCode: schema.string({ max: 8 })
+    .transform((value) => (isHsnCode(value) ? value : null), 'must be a 4, 6 or 8 digit HSN code')
+    .nullable()
+    .optional()
+    .describe('Printed on GST invoices; the category default is used when not set'),
+  gstRate: schema.number()
+    .transform((value) => (GST_RATES.includes(value) ? value : null), `must be one of: ${GST_RATES.join(', ')}`)
+    .nullable()
+    .optional(),
+  images: schema.array(imageField, { max: MAX_IMAGES }).default([])
+});
+
+const productUpdateSchema = schema.partial(productSchema);
+
+/**
+ * Listing query parameters; see also listQueryError
+ */
+const listQuerySchema = schema.object({
+  category: schema.oneOf(CATEGORIES).optional(),
+  inStock: schema.boolean().optional(),
+  minPrice: schema.number({ min: 0 }).optional(),
+  maxPrice: schema.number({ min: 0 }).optional(),
+  sort: schema.oneOf(Object.keys(SORTS)).default('newest'),
+  limit: schema.integer({ min: 1, max: 100 }).default(20),
+  cursor: schema.docId().optional().describe('nextCursor from the previous page'),
+  includeDeleted: schema.boolean().default(false).describe('Admin only')
+});
+
+/**
+ * Give every image a publicId (looked up from the URL when missing)
+ */
+function normalizeImages(services, images) {
+  const normalized = [];
+  for (const image of images) {
+    const url = typeof image === 'string' ? image : image.url;
+    if (!safeUrl(url)) return { error: 'Every image must be an http(s) URL' };
+
+    const publicId = typeof image === 'object' && image.publicId
+      ? image.publicId
+      : services.storage.publicIdFromUrl(url);
+    normalized.push({ url, publicId });
+  }
+  return { images: normalized };
+}
+
+/**
+ * Turn validated product fields into the fields to write
+ * @param {object} services
+ * @param {object} body - validated against productSchema (create) or productUpdateSchema (update)
+ * @param {object|null} existing - current product data for updates, null on create
+ * @returns {{ error?: string, data?: object }} data holds only the fields to write
+ */
+function validateProduct(services, body, existing) {
+  const data = {};
+
+  if (body.name !== undefined) {
+    data.name = body.name;
+    data.nameLower = data.name.toLowerCase();
+  }
+
+  if (body.description !== undefined) {
+    data.description = body.description || '';
+  }
+
+  for (const field of ['category', 'price', 'mrp', 'hsnCode', 'gstRate']) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+
+  const price = data.price !== undefined ? data.price : existing && existing.price;
+  const mrp = data.mrp !== undefined ? data.mrp : existing && existing.mrp;
+  if (price > mrp) {
+    return { error: 'Price cannot be higher than the MRP' };
+  }
+
+  if (body.stock !== undefined) {
+    data.stock = body.stock;
+    data.inStock = body.stock > 0;
+  }
+
+  if (body.images !== undefined) {
+    const { error, images } = normalizeImages(services, body.images);
+    if (error) return { error };
+    data.images = images;
+    data.imageUrl = images.length ? images[0].url : null;
+  }
+
+  if (existing && Object.keys(data).length === 0) {
+    return { error: 'No product fields to update' };
+  }
+
+  return { data };
+}
+
+/**
+ * Rules between listing query parameters that listQuerySchema can't express
+ * @param {object} query - validated against listQuerySchema
+ * @returns {string|null} error
+ */
+function listQueryError(query) {
+  // Firestore only allows a range filter on the field the results are sorted by
+  if ((query.minPrice !== undefined || query.maxPrice !== undefined) && SORTS[query.sort][0] !== 'price') {
+    return 'minPrice and maxPrice can only be used with sort=price_asc or sort=price_desc';
+  }
+  return null;
+}
+
+/**
+ * List products, one page at a time
+ * @param {object} services
+ * @param {object} options - query validated against listQuerySchema
+ * @returns {Promise<{ docs: object[], nextCursor: string|null }>}
+ */
+async function listProducts(services, options) {
+  const [sortField, direction] = SORTS[options.sort];
+  let query = productsCollection(services);
+
+  if (!options.includeDeleted) query = query.where('deleted', '==', false);
+  if (options.category) query = query.where('category', '==', options.category);
+  if (options.inStock !== undefined) query = query.where('inStock', '==', options.inStock);
+  if (options.minPrice !== undefined) query = query.where('price', '>=', options.minPrice);
+  if (options.maxPrice !== undefined) query = query.where('price', '<=', options.maxPrice);
+
+  // Tie-break on the document id so the cursor is stable when sort values repeat
+  query = query
+    .orderBy(sortField, direction)
+    .orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+  if (options.cursor) {
+    const cursorDoc = await productsCollection(services).doc(options.cursor).get();
+    if (!cursorDoc.exists) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  // Fetch one extra to know whether there is a next page
+  const snapshot = await query.limit(options.limit + 1).get();
+  const docs = snapshot.docs.slice(0, options.limit);
+  const nextCursor = snapshot.docs.length > options.limit ? docs[docs.length - 1].id : null;
+
+  return { docs, nextCursor };
+}
+
+/**
+ * Apply a validated update in a transaction
+ * @returns {Promise<{ before: object, after: object }|null>} null when the product doesn't exist
+ */
+async function updateProduct(services, id, body, updatedBy) {
+  const ref = productsCollection(services).doc(id);
+
+  return services.db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+
+    const before = doc.data();
+    const { error, data } = validateProduct(services, body, before);
+    if (error) return { error };
+
+    tx.update(ref, {
+      ...data,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { before, after: { ...before, ...data } };
+  });
+}
+
+/**
+ * Run the price-drop alerts when an update lowered the price of a live product
+ * @returns {Promise<object|null>} notifyPriceDrop summary, or null when the price didn't drop
+ */
+async function handlePriceChange(services, id, before, after) {
+  if (after.deleted || !(after.price < before.price)) {
+    return null;
+  }
+
+  logger.info('Price drop', { productId: id, oldPrice: before.price, newPrice: after.price });
+  return notifyPriceDrop(services, {
+    productId: id,
+    productName: after.name,
+    productImage: after.imageUrl,
+    category: after.category,
+    oldPrice: before.price,
+    newPrice: after.price
+  });
+}
+
+module.exports = {
+  MAX_IMAGES,
+  SORTS,
+  productSchema,
+  productUpdateSchema,
+  listQuerySchema,
+  validateProduct,
+  listQueryError,
+  listProducts,
+  updateProduct,
+  handlePriceChange
+};
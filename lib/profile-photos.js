@@ -0,0 +1,106 @@
+/**
+ * Profile photos
+ * users/{uid} keeps photoURL and photoPublicId (the stored image behind it).
+ *
+ * Firestore is the source of truth: a new photo is uploaded first and only then swapped in with a
+ * transaction; if the swap fails the new upload is deleted again. The old asset is deleted after the
+ * swap succeeds, and a failed delete is queued for retry instead of being lost.
+ */
+
+const admin = require('firebase-admin');
+const { deleteImagesOrQueue } = require('./image-deletions');
+
+const PROFILE_PHOTO_SIZE = { width: 400, height: 400, fit: 'cover', focus: 'face' };
+
+function profileFolder(uid) {
+  return `profile_photos/${uid}`;
+}
+
+/**
+ * The stored image behind a user's current photo, if it is one of ours
+ * Older user documents only have photoURL; Google sign-in photos aren't ours at all
+ */
+function currentPublicId(services, user, uid) {
+  if (user.photoPublicId) return user.photoPublicId;
+  const publicId = services.storage.publicIdFromUrl(user.photoURL);
+  return publicId && publicId.startsWith(`${profileFolder(uid)}/`) ? publicId : null;
+}
+
+/**
+ * Upload a new profile photo and replace the current one
+ * @param {object} services
+ * @param {string} uid
+ * @param {object} file - multer file checked by acceptImages
+ * @returns {Promise<{ notFound?: true, photoURL?: string, publicId?: string }>}
+ */
+async function replaceProfilePhoto(services, uid, file) {
+  const uploadResult = await services.storage.upload(file.buffer, {
+    folder: profileFolder(uid),
+    publicId: `profile_${Date.now()}`,
+    extension: file.image.extension,
+    resize: PROFILE_PHOTO_SIZE
+  });
+
+  const userRef = services.db.collection('users').doc(uid);
+  let previousPublicId;
+  try {
+    const found = await services.db.runTransaction(async (tx) => {
+      const userDoc = await tx.get(userRef);
+      if (!userDoc.exists) return false;
+
+      previousPublicId = currentPublicId(services, userDoc.data(), uid);
+      tx.update(userRef, {
+        photoURL: uploadResult.url,
+        photoPublicId: uploadResult.publicId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return true;
+    });
+
+    if (!found) {
+      await deleteImagesOrQueue(services, [uploadResult.publicId], { source: 'profile-photo', uid });
+      return { notFound: true };
+    }
+  } catch (error) {
+    // Nothing points at the new upload - don't leave it behind
+    await deleteImagesOrQueue(services, [uploadResult.publicId], { source: 'profile-photo', uid });
+    throw error;
+  }
+
+  if (previousPublicId && previousPublicId !== uploadResult.publicId) {
+    await deleteImagesOrQueue(services, [previousPublicId], { source: 'profile-photo', uid });
+  }
+
+  return { photoURL: uploadResult.url, publicId: uploadResult.publicId };
+}
+
+/**
+ * Clear the user's photo and delete the asset
+ * @returns {Promise<{ notFound?: true, removed?: boolean }>} removed is false when there was no photo
+ */
+async function removeProfilePhoto(services, uid) {
+  const userRef = services.db.collection('users').doc(uid);
+
+  const result = await services.db.runTransaction(async (tx) => {
+    const userDoc = await tx.get(userRef);
+    if (!userDoc.exists) return { notFound: true };
+
+    const user = userDoc.data();
+    if (!user.photoURL && !user.photoPublicId) return { removed: false };
+
+    tx.update(userRef, {
+      photoURL: null,
+      photoPublicId: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { removed: true, publicId: currentPublicId(services, user, uid) };
+  });
+
+  if (result.publicId) {
+    await deleteImagesOrQueue(services, [result.publicId], { source: 'profile-photo', uid });
+  }
+
+  return { notFound: result.notFound, removed: result.removed };
+}
+
+module.exports = { replaceProfilePhoto, removeProfilePhoto };
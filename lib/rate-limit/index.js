@@ -0,0 +1,35 @@
+/**
+ * Rate limit store
+ * Shared counters for middleware/rate-limit. The store is chosen from env:
+ *
+ *   RATE_LIMIT_STORE  firestore | memory
+ *                     (default: firestore in production when Firebase is configured, else memory)
+ *
+ * Every store exposes increment(key, windowMs) -> { count, resetAt }
+ */
+
+const createMemoryStore = require('./stores/memory');
+const createFirestoreStore = require('./stores/firestore');
+
+const STORES = ['firestore', 'memory'];
+
+/**
+ * Create a store from env config
+ * @param {object} [env=process.env]
+ * @param {{ db?: object, clock?: object }} [services] - Firestore for the firestore store; clock for both
+ */
+function createRateLimitStore(env = process.env, { db, clock } = {}) {
+  const name = (env.RATE_LIMIT_STORE ||
+    (env.NODE_ENV === 'production' && db ? 'firestore' : 'memory')).toLowerCase();
+
+  switch (name) {
+    case 'firestore':
+      return createFirestoreStore({ db, clock });
+    case 'memory':
+      return createMemoryStore({ clock });
+    default:
+      throw new Error(`Unknown rate limit store "${name}". Expected one of: ${STORES.join(', ')}`);
+  }
+}
+
+module.exports = { createRateLimitStore, createMemoryStore, createFirestoreStore };
@@ -0,0 +1,56 @@
+/**
+ * Firestore rate limit store
+ * One document per key in rateLimits, updated in a transaction so concurrent serverless
+ * instances share the same counter. expiresAt can be used as a Firestore TTL field to
+ * clean up old windows.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const COLLECTION = 'rateLimits';
+
+/**
+ * @param {object} options
+ * @param {object} options.db - Firestore
+ * @param {{ now: Function }} [options.clock] - defaults to the system clock
+ */
+function createFirestoreStore({ db, clock = { now: Date.now } }) {
+  if (!db) {
+    throw new Error('Firestore rate limit store requires Firebase');
+  }
+
+  return {
+    name: 'firestore',
+
+    /**
+     * Count one hit for key in the current fixed window
+     * @returns {Promise<{ count: number, resetAt: number }>}
+     */
+    async increment(key, windowMs) {
+      // Keys contain emails - hash them into the document id
+      const id = crypto.createHash('sha256').update(key).digest('hex');
+      const ref = db.collection(COLLECTION).doc(id);
+
+      return db.runTransaction(async (tx) => {
+        const now = clock.now();
+        const doc = await tx.get(ref);
+        const data = doc.exists ? doc.data() : null;
+        const current = data && data.resetAt && data.resetAt.toMillis() > now ? data : null;
+
+        const count = current ? current.count + 1 : 1;
+        const resetAt = current ? current.resetAt.toMillis() : now + windowMs;
+
+        tx.set(ref, {
+          count,
+          resetAt: admin.firestore.Timestamp.fromMillis(resetAt),
+          expiresAt: admin.firestore.Timestamp.fromMillis(resetAt)
+        });
+
+        return { count, resetAt };
+      });
+    }
+  };
+}
+
+module.exports = createFirestoreStore;
@@ -0,0 +1,51 @@
+/**
+ * In-memory rate limit store
+ * Counters live in this process only - fine for local development and a single server,
+ * but every serverless instance would get its own counters
+ */
+
+const PRUNE_EVERY = 1000;
+
+/**
+ * @param {object} [options]
+ * @param {{ now: Function }} [options.clock] - defaults to the system clock
+ */
+function createMemoryStore({ clock = { now: Date.now } } = {}) {
+  const windows = new Map();
+  let hits = 0;
+
+  function prune(now) {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    /**
+     * Count one hit for key in the current fixed window
+     * @returns {Promise<{ count: number, resetAt: number }>}
+     */
+    async increment(key, windowMs) {
+      const now = clock.now();
+
+      if (++hits % PRUNE_EVERY === 0) {
+        prune(now);
+      }
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,371 @@
+/**
+ * Request schemas
+ * Declarative descriptions of what an endpoint accepts in its params, query and body
+ * (see middleware/validate). Validating a value coerces it to the declared type - query strings
+ * and numeric strings become numbers, 'true'/'false' become booleans - and sanitises it: strings
+ * are trimmed, emails lowercased and keys an object doesn't declare are dropped. Every invalid
+ * field is reported, not just the first. toJSONSchema() turns the same schemas into the
+ * (OpenAPI 3.0 flavour of) JSON Schema used by the API docs.
+ *
+ *   schema.object({
+ *     email: schema.email(),
+ *     limit: schema.integer({ min: 1, max: 100 }).default(20),
+ *     note: schema.string({ max: 500 }).optional()
+ *   })
+ *
+ * Fields are required unless marked optional() or given a default(). null counts as missing
+ * unless the field is nullable(); an empty string counts as missing for required fields.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Firestore document ids: no slashes, not "." or "..", not __reserved__
+const DOC_ID_PATTERN = /^(?!\.\.?$)(?!__.*__$)[^/]+$/;
+
+class Schema {
+  /**
+   * @param {function} parse - (value, path, errors) -> { value } or { error: reason }
+   * @param {function} json - () -> JSON Schema for this type
+   */
+  constructor(parse, json) {
+    this.parse = parse;
+    this.json = json;
+    this.required = true;
+    this.isNullable = false;
+    this.nonEmpty = false;
+    this.defaultValue = undefined;
+    this.transforms = [];
+    this.description = null;
+  }
+
+  with(changes) {
+    return Object.assign(Object.create(Schema.prototype), this, changes);
+  }
+
+  optional() {
+    return this.with({ required: false });
+  }
+
+  nullable() {
+    return this.with({ isNullable: true });
+  }
+
+  default(value) {
+    return this.with({ required: false, defaultValue: value });
+  }
+
+  describe(description) {
+    return this.with({ description });
+  }
+
+  /**
+   * Convert the value once it passed the type checks
+   * @param {function} fn - returns the new value, or null/undefined when the value is invalid
+   * @param {string} reason - e.g. 'must be a valid mobile number'
+   */
+  transform(fn, reason) {
+    return this.with({ transforms: [...this.transforms, { fn, reason }] });
+  }
+}
+
+/**
+ * Validate one value against a schema, collecting { field, reason } errors
+ * @returns {*} the sanitised value (undefined when it is missing or invalid)
+ */
+function run(schema, input, path, errors) {
+  if (input === null && schema.isNullable) return null;
+
+  if (input === undefined || input === null) {
+    if (schema.defaultValue !== undefined) return schema.defaultValue;
+    if (schema.required) errors.push({ field: path, reason: 'is required' });
+    return undefined;
+  }
+
+  const errorCount = errors.length;
+  const result = schema.parse(input, path, errors);
+  if (result.error) {
+    errors.push({ field: path, reason: result.error });
+    return undefined;
+  }
+  if (errors.length > errorCount) return undefined;
+
+  let value = result.value;
+  if (value === '' && (schema.required || schema.nonEmpty)) {
+    errors.push({ field: path, reason: schema.required ? 'is required' : 'cannot be empty' });
+    return undefined;
+  }
+
+  for (const { fn, reason } of schema.transforms) {
+    value = fn(value);
+    if (value === undefined || value === null) {
+      errors.push({ field: path, reason });
+      return undefined;
+    }
+  }
+  return value;
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * "from 1 to 100", "of 0 or more", "of at most 5"
+ */
+function rangeText(min, max) {
+  if (min !== undefined && max !== undefined) return `from ${min} to ${max}`;
+  if (min !== undefined) return `of ${min} or more`;
+  return `of at most ${max}`;
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.min] - minimum length
+ * @param {number} [options.max] - maximum length
+ * @param {RegExp} [options.pattern]
+ * @param {string} [options.patternReason] - error when the pattern doesn't match
+ * @param {boolean} [options.lowercase]
+ * @param {boolean} [options.trim=true]
+ * @param {string} [options.format] - JSON Schema format, for the docs
+ */
+function string(options = {}) {
+  const { min, max, pattern, patternReason = 'has an invalid format', lowercase = false, trim = true, format } = options;
+
+  return new Schema((input) => {
+    // Numbers are accepted where text is expected (e.g. an OTP sent as 123456)
+    let value = typeof input === 'number' && Number.isFinite(input) ? String(input) : input;
+    if (typeof value !== 'string') return { error: 'must be a string' };
+
+    if (trim) value = value.trim();
+    if (lowercase) value = value.toLowerCase();
+    if (value === '') return { value };
+
+    if (min !== undefined && value.length < min) return { error: `must be at least ${min} characters` };
+    if (max !== undefined && value.length > max) return { error: `must be ${max} characters or less` };
+    if (pattern && !pattern.test(value)) return { error: patternReason };
+    return { value };
+  }, () => {
+    const json = { type: 'string' };
+    if (min !== undefined) json.minLength = min;
+    if (max !== undefined) json.maxLength = max;
+    if (format) json.format = format;
+    else if (pattern) json.pattern = pattern.source;
+    return json;
+  });
+}
+
+function email() {
+  return string({
+    max: 254,
+    lowercase: true,
+    pattern: EMAIL_PATTERN,
+    patternReason: 'must be a valid email address',
+    format: 'email'
+  });
+}
+
+/**
+ * A Firestore document id taken from the request (product, order, user ids, ...)
+ */
+function docId() {
+  return string({ max: 128, pattern: DOC_ID_PATTERN, patternReason: 'must be a valid id' });
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @param {boolean} [options.integer]
+ * @param {boolean} [options.positive] - greater than 0
+ */
+function number(options = {}) {
+  const { min, max, integer: wholeNumber = false, positive = false } = options;
+  const kind = wholeNumber ? 'a whole number' : 'a number';
+
+  return new Schema((input) => {
+    let value = input;
+    if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+    if (typeof value !== 'number' || !Number.isFinite(value) || (wholeNumber && !Number.isInteger(value))) {
+      return { error: `must be ${kind}` };
+    }
+
+    if (positive && value <= 0) {
+      return { error: max === undefined ? `must be ${kind} greater than 0` : `must be ${kind} greater than 0 and at most ${max}` };
+    }
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      return { error: `must be ${kind} ${rangeText(min, max)}` };
+    }
+    return { value };
+  }, () => {
+    const json = { type: wholeNumber ? 'integer' : 'number' };
+    if (positive) Object.assign(json, { minimum: 0, exclusiveMinimum: true });
+    if (min !== undefined) json.minimum = min;
+    if (max !== undefined) json.maximum = max;
+    return json;
+  });
+}
+
+function integer(options = {}) {
+  return number({ ...options, integer: true });
+}
+
+function boolean() {
+  return new Schema((input) => {
+    if (input === true || input === 'true') return { value: true };
+    if (input === false || input === 'false') return { value: false };
+    return { error: 'must be true or false' };
+  }, () => ({ type: 'boolean' }));
+}
+
+/**
+ * One of a fixed list of strings
+ */
+function oneOf(values) {
+  return new Schema((input) => {
+    const value = typeof input === 'string' ? input.trim() : input;
+    if (value === '') return { value };
+    if (!values.includes(value)) return { error: `must be one of: ${values.join(', ')}` };
+    return { value };
+  }, () => ({ type: 'string', enum: [...values] }));
+}
+
+/**
+ * An ISO 8601 date-time (or epoch millis); the value becomes a Date
+ */
+function date() {
+  return new Schema((input) => {
+    const value = typeof input === 'string' || typeof input === 'number' ? new Date(input) : null;
+    if (!value || isNaN(value.getTime())) return { error: 'must be an ISO 8601 date' };
+    return { value };
+  }, () => ({ type: 'string', format: 'date-time' }));
+}
+
+/**
+ * @param {object} shape - { key: schema }
+ * @param {object} [options]
+ * @param {'strip'|'reject'} [options.unknown='strip'] - what to do with keys the shape doesn't list
+ */
+function object(shape, { unknown = 'strip' } = {}) {
+  const result = new Schema((input, path, errors) => {
+    if (typeof input !== 'object' || Array.isArray(input) || Buffer.isBuffer(input)) {
+      return { error: 'must be an object' };
+    }
+
+    const value = {};
+    for (const [key, field] of Object.entries(shape)) {
+      const fieldValue = run(field, input[key], childPath(path, key), errors);
+      if (fieldValue !== undefined) value[key] = fieldValue;
+    }
+    if (unknown === 'reject') {
+      for (const key of Object.keys(input)) {
+        if (!Object.prototype.hasOwnProperty.call(shape, key)) {
+          errors.push({ field: childPath(path, key), reason: 'is not allowed' });
+        }
+      }
+    }
+    return { value };
+  }, () => {
+    const json = { type: 'object', properties: {} };
+    const required = [];
+    for (const [key, field] of Object.entries(shape)) {
+      json.properties[key] = toJSONSchema(field);
+      if (field.required) required.push(key);
+    }
+    if (required.length) json.required = required;
+    if (unknown === 'reject') json.additionalProperties = false;
+    return json;
+  });
+  result.shape = shape;
+  result.unknown = unknown;
+  return result;
+}
+
+/**
+ * The same object with every field optional and without defaults, for partial updates.
+ * Fields that were required still can't be cleared with an empty string.
+ */
+function partial(objectSchema) {
+  const shape = {};
+  for (const [key, field] of Object.entries(objectSchema.shape)) {
+    shape[key] = field.with({ required: false, defaultValue: undefined, nonEmpty: field.required });
+  }
+  return object(shape, { unknown: objectSchema.unknown });
+}
+
+/**
+ * @param {Schema} item
+ * @param {object} [options] - { min, max } number of items
+ */
+function array(item, { min, max } = {}) {
+  return new Schema((input, path, errors) => {
+    if (!Array.isArray(input)) return { error: 'must be a list' };
+    if (min !== undefined && input.length < min) return { error: `must have at least ${min} items` };
+    if (max !== undefined && input.length > max) return { error: `must have at most ${max} items` };
+
+    const value = input.map((entry, index) => run(item.with({ required: true }), entry, childPath(path, index), errors));
+    return { value };
+  }, () => {
+    const json = { type: 'array', items: toJSONSchema(item) };
+    if (min !== undefined) json.minItems = min;
+    if (max !== undefined) json.maxItems = max;
+    return json;
+  });
+}
+
+/**
+ * The first of several schemas the value matches
+ */
+function anyOf(schemas, reason = 'is not valid') {
+  return new Schema((input, path) => {
+    for (const candidate of schemas) {
+      const errors = [];
+      const value = run(candidate.with({ required: true }), input, path, errors);
+      if (errors.length === 0) return { value };
+    }
+    return { error: reason };
+  }, () => ({ anyOf: schemas.map(toJSONSchema) }));
+}
+
+/**
+ * Validate a value
+ * @param {Schema} schema
+ * @param {*} input
+ * @param {string} [name] - what the value is ('body', 'query', ...), used when the value itself is invalid
+ * @returns {{ value: *, errors: Array<{ field: string, message: string }> }}
+ */
+function validateValue(schema, input, name = 'value') {
+  const found = [];
+  const value = run(schema, input, '', found);
+  const errors = found.map(({ field, reason }) => ({ field: field || name, message: `${field || name} ${reason}` }));
+  return { value, errors };
+}
+
+/**
+ * JSON Schema for a schema (OpenAPI 3.0 dialect: nullable, boolean exclusiveMinimum)
+ */
+function toJSONSchema(schema) {
+  const json = schema.json();
+  if (schema.description) json.description = schema.description;
+  if (schema.isNullable) json.nullable = true;
+  if (schema.defaultValue !== undefined) json.default = schema.defaultValue;
+  return json;
+}
+
+module.exports = {
+  Schema,
+  string,
+  email,
+  docId,
+  number,
+  integer,
+  boolean,
+  oneOf,
+  date,
+  object,
+  partial,
+  array,
+  anyOf,
+  validateValue,
+  toJSONSchema
+};
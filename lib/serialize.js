@@ -0,0 +1,28 @@
+/**
+ * Convert Firestore documents into plain JSON for API responses
+ * Timestamps become ISO strings instead of { _seconds, _nanoseconds }
+ */
+
+function serializeValue(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (typeof value === 'object' && value.constructor === Object) {
+    const out = {};
+    for (const [key, nested] of Object.entries(value)) {
+      out[key] = serializeValue(nested);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {object} document data with its id
+ */
+function serializeDoc(doc) {
+  return { id: doc.id, ...serializeValue(doc.data()) };
+}
+
+module.exports = { serializeDoc, serializeValue };
@@ -0,0 +1,75 @@
+/**
+ * Shared services
+ * Firestore, Firebase Auth, email, SMS, image storage, payments and the clock are handed to the
+ * code that uses them instead of being created when a module is loaded. createApp() takes them
+ * as an argument: the entry points (api/index.js, server.js) pass the real services from
+ * createServices(), tests pass in-memory fakes. Every app keeps its own set, so two apps in one
+ * process (parallel tests) never see each other's services.
+ *
+ *   db        Firestore (null when Firebase isn't configured)
+ *   auth      Firebase Auth
+ *   mailer    from lib/mailer
+ *   sms       from lib/sms (null when no SMS driver is configured)
+ *   storage   from lib/storage
+ *   payments  from lib/payments
+ *   clock     { now() } -> epoch millis; expiry, cooldowns and schedules are measured with it
+ *   rateLimitStore  counters for middleware/rate-limit (default: picked by RATE_LIMIT_STORE on first use)
+ *
+ * Routes and middleware read them from req.services (set by createApp, also on
+ * app.locals.services); lib functions that need them take them as their first argument.
+ */
+
+const { initFirebase } = require('./firebase');
+const { createMailer } = require('./mailer');
+const { createSmsProvider } = require('./sms');
+const { createStorage } = require('./storage');
+const { createPaymentProvider } = require('./payments');
+const { logger } = require('./logger');
+
+const systemClock = {
+  now: () => Date.now()
+};
+
+/**
+ * A complete set of services: anything not given is unavailable (null), except the clock
+ * @param {object} [provided] - { db, auth, mailer, sms, storage, payments, clock, rateLimitStore }
+ * @returns {object} a new object - the caller's is left alone
+ */
+function resolveServices(provided = {}) {
+  return {
+    db: null,
+    auth: null,
+    mailer: null,
+    sms: null,
+    storage: null,
+    payments: null,
+    clock: systemClock,
+    rateLimitStore: null,
+    ...provided
+  };
+}
+
+/**
+ * The real services, configured from env
+ * @param {object} [env=process.env]
+ */
+function createServices(env = process.env) {
+  const firebase = initFirebase(env);
+  const mailer = createMailer(env);
+
+  mailer.verify()
+    .then((driver) => logger.info('Email server ready', { driver }))
+    .catch((error) => logger.error('Email configuration error', { err: error }));
+
+  return {
+    db: firebase.db,
+    auth: firebase.db ? firebase.admin.auth() : null,
+    mailer,
+    sms: createSmsProvider(env),
+    storage: createStorage(env),
+    payments: createPaymentProvider(env),
+    clock: systemClock
+  };
+}
+
+module.exports = { resolveServices, createServices, systemClock };
@@ -0,0 +1,68 @@
+/**
+ * Console SMS driver
+ * Writes each message as a JSON file instead of sending it, and logs where it went.
+ * Meant for local development and tests - nothing leaves the machine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../../logger');
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - Directory the JSON files are written to
+ */
+function createConsoleDriver(options) {
+  const dir = path.resolve(options.dir);
+
+  return {
+    name: 'console',
+    dir,
+
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const record = { id, sentAt: new Date().toISOString(), ...message };
+
+      const file = path.join(dir, `${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(record, null, 2));
+      logger.info('SMS written to outbox', { phone: message.to, file });
+      return { id };
+    },
+
+    async verify() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      return true;
+    },
+
+    /**
+     * Read back every stored message, oldest first
+     */
+    async list() {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const messages = [];
+      for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+        messages.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+      }
+      return messages;
+    },
+
+    /**
+     * Delete every stored message
+     */
+    async clear() {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = createConsoleDriver;
@@ -0,0 +1,51 @@
+/**
+ * Twilio SMS driver
+ * https://www.twilio.com/docs/messaging/api/message-resource#create-a-message-resource
+ */
+
+/**
+ * @param {object} options
+ * @param {string} options.accountSid - TWILIO_ACCOUNT_SID
+ * @param {string} options.authToken - TWILIO_AUTH_TOKEN
+ * @param {string} options.from - TWILIO_FROM, a sender number or a messaging service SID (MG...)
+ */
+function createTwilioDriver(options) {
+  if (!options.accountSid || !options.authToken || !options.from) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM are required for the twilio SMS driver');
+  }
+
+  const baseUrl = `https://api.twilio.com/2010-04-01/Accounts/${options.accountSid}`;
+  const authorization = 'Basic ' + Buffer.from(`${options.accountSid}:${options.authToken}`).toString('base64');
+
+  return {
+    name: 'twilio',
+
+    async send(message) {
+      const form = new URLSearchParams({ To: message.to, Body: message.body });
+      form.set(options.from.startsWith('MG') ? 'MessagingServiceSid' : 'From', options.from);
+
+      const response = await fetch(`${baseUrl}/Messages.json`, {
+        method: 'POST',
+        headers: { authorization, 'content-type': 'application/x-www-form-urlencoded' },
+        body: form
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(`Twilio error ${data.code || response.status}: ${data.message || response.statusText}`);
+      }
+
+      return { id: data.sid };
+    },
+
+    async verify() {
+      const response = await fetch(`${baseUrl}.json`, { headers: { authorization } });
+      if (!response.ok) {
+        throw new Error(`Twilio credentials rejected (${response.status})`);
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = createTwilioDriver;
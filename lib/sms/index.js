@@ -0,0 +1,89 @@
+/**
+ * SMS provider
+ * Single entry point for outgoing text messages. The driver is chosen from env:
+ *
+ *   SMS_DRIVER  twilio | console (default: twilio if TWILIO_ACCOUNT_SID is set, else console)
+ *
+ *   TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM    twilio
+ *   SMS_OUTBOX_DIR (default: ./outbox/sms)                console
+ *
+ * SMS is optional: without a working driver there is no provider (null) and phone verification
+ * answers 503, while the rest of the API keeps running. The console driver only writes files on
+ * this machine, so it is the default for development and refused in production.
+ *
+ * Every driver exposes send({ to, body }) -> { id } and verify(); `to` is an E.164 number.
+ */
+
+const path = require('path');
+const createTwilioDriver = require('./drivers/twilio');
+const createConsoleDriver = require('./drivers/console');
+const { logger } = require('../logger');
+
+const DRIVERS = ['twilio', 'console'];
+
+/**
+ * Build the driver from env config
+ */
+function createDriver(name, env) {
+  switch (name) {
+    case 'twilio':
+      return createTwilioDriver({
+        accountSid: env.TWILIO_ACCOUNT_SID,
+        authToken: env.TWILIO_AUTH_TOKEN,
+        from: env.TWILIO_FROM
+      });
+    case 'console':
+      return createConsoleDriver({
+        dir: env.SMS_OUTBOX_DIR || path.join(process.cwd(), 'outbox', 'sms')
+      });
+    default:
+      throw new Error(`Unknown SMS driver "${name}". Expected one of: ${DRIVERS.join(', ')}`);
+  }
+}
+
+/**
+ * Create an SMS provider from env config
+ * @param {object} [env=process.env]
+ * @returns {{ send: Function, verify: Function, driver: object }|null} null when SMS isn't available
+ * @throws when the console driver is asked for in production
+ */
+function createSmsProvider(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  const name = (env.SMS_DRIVER || (env.TWILIO_ACCOUNT_SID ? 'twilio' : production ? '' : 'console')).toLowerCase();
+
+  if (!name) {
+    logger.warn('No SMS driver configured - phone verification is unavailable');
+    return null;
+  }
+  if (production && name === 'console') {
+    throw new Error('The console SMS driver only writes files and can\'t be used in production');
+  }
+
+  let driver;
+  try {
+    driver = createDriver(name, env);
+  } catch (error) {
+    logger.error('SMS driver could not be configured', { err: error, driver: name });
+    return null;
+  }
+
+  return {
+    driver,
+
+    /**
+     * @param {{ to: string, body: string }} message
+     * @returns {Promise<{ id: string, driver: string }>}
+     */
+    async send(message) {
+      const result = await driver.send(message);
+      return { id: result.id, driver: driver.name };
+    },
+
+    async verify() {
+      await driver.verify();
+      return driver.name;
+    }
+  };
+}
+
+module.exports = { createSmsProvider };
@@ -0,0 +1,209 @@
+/**
+ * Back-in-stock alerts
+ *
+ * Subscriptions:  stockAlertSubscriptions/{productId}_{emailHash}
+ *                 { productId, email, uid, status: 'active' | 'notified', subscribedAt, ... }
+ * Notifications:  stockAlertNotifications/{id}
+ *                 one document per admin trigger with recipient and click counts
+ *
+ * The "Shop Now" link in the email goes through a signed click-tracking redirect, so
+ * each subscription records whether the customer came back (clickedAt).
+ *
+ * Notifications are listed newest first; filtering them by product needs a composite index
+ * on productId + createdAt desc (the error message links to create it).
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { enqueueEmail } = require('./mail-queue');
+const { renderEmail } = require('./templates');
+const { brand } = require('./templates/brand');
+const { signToken, verifyToken } = require('./tokens');
+
+function subscriptionId(productId, email) {
+  const emailHash = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+  return `${productId}_${emailHash}`;
+}
+
+/**
+ * Register interest in a product
+ * @param {object} services
+ * @param {object} subscription - { productId, email, uid? }
+ * @returns {Promise<{ id: string, alreadySubscribed: boolean }>}
+ */
+async function subscribeToStockAlert(services, { productId, email, uid }) {
+  const id = subscriptionId(productId, email);
+  const ref = services.db.collection('stockAlertSubscriptions').doc(id);
+
+  const alreadySubscribed = await services.db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(ref);
+    if (existing.exists && existing.data().status === 'active') {
+      return true;
+    }
+
+    transaction.set(ref, {
+      productId,
+      email,
+      uid: uid || null,
+      status: 'active',
+      subscribedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return false;
+  });
+
+  return { id, alreadySubscribed };
+}
+
+/**
+ * Signed redirect used for the email's Shop Now button
+ */
+function clickUrl(services, notificationId, subscriptionDocId) {
+  const token = signToken(services, 'stock-alert-click', { n: notificationId, s: subscriptionDocId });
+  return brand.apiLink(`/api/v1/stock-alerts/click?token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Record a click from a back-in-stock email
+ * @returns {Promise<boolean>} false if the token is invalid
+ */
+async function recordClick(services, token) {
+  const payload = verifyToken(services, 'stock-alert-click', token);
+  if (!payload) return false;
+
+  const subscriptionRef = services.db.collection('stockAlertSubscriptions').doc(payload.s);
+  const notificationRef = services.db.collection('stockAlertNotifications').doc(payload.n);
+
+  // Count each subscriber's first click only
+  await services.db.runTransaction(async (transaction) => {
+    const subscription = await transaction.get(subscriptionRef);
+    if (!subscription.exists || subscription.data().clickedAt) return;
+
+    transaction.update(subscriptionRef, { clickedAt: admin.firestore.FieldValue.serverTimestamp() });
+    transaction.update(notificationRef, { clickCount: admin.firestore.FieldValue.increment(1) });
+  });
+
+  return true;
+}
+
+/**
+ * Email every active subscriber of a product and clear their subscriptions
+ * @param {object} services
+ * @param {object} product - { productId, productName, productImage?, price? }
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report who would be notified
+ * @param {string} [options.triggeredBy] - uid of the admin
+ * @returns {Promise<object>} summary
+ */
+async function notifyBackInStock(services, product, options = {}) {
+  const { productId, productName, productImage, price } = product;
+
+  const subscriptions = await services.db.collection('stockAlertSubscriptions')
+    .where('productId', '==', productId)
+    .where('status', '==', 'active')
+    .get();
+
+  if (options.dryRun) {
+    return {
+      dryRun: true,
+      subscriberCount: subscriptions.size,
+      recipients: subscriptions.docs.map((doc) => ({ email: doc.data().email, uid: doc.data().uid }))
+    };
+  }
+
+  if (subscriptions.empty) {
+    return { notificationId: null, queuedCount: 0, subscriberCount: 0 };
+  }
+
+  // Look up names of signed-in subscribers for a friendlier greeting
+  const userIds = [...new Set(subscriptions.docs.map((doc) => doc.data().uid).filter(Boolean))];
+  const names = new Map();
+  for (let i = 0; i < userIds.length; i += 100) {
+    const userDocs = await services.db.getAll(...userIds.slice(i, i + 100).map((uid) => services.db.collection('users').doc(uid)));
+    for (const userDoc of userDocs) {
+      if (userDoc.exists) names.set(userDoc.id, userDoc.data().fullName || userDoc.data().displayName);
+    }
+  }
+
+  const notificationRef = services.db.collection('stockAlertNotifications').doc();
+  await notificationRef.set({
+    productId,
+    productName,
+    subscriberCount: subscriptions.size,
+    queuedCount: 0,
+    clickCount: 0,
+    triggeredBy: options.triggeredBy || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  let queuedCount = 0;
+  for (let i = 0; i < subscriptions.docs.length; i += 25) {
+    const chunk = subscriptions.docs.slice(i, i + 25);
+
+    await Promise.all(chunk.map((doc) => {
+      const subscription = doc.data();
+      return enqueueEmail(services, {
+        to: subscription.email,
+        ...renderEmail('back-in-stock', {
+          name: names.get(subscription.uid),
+          productName,
+          productImage,
+          price,
+          shopUrl: clickUrl(services, notificationRef.id, doc.id)
+        })
+      }, {
+        category: 'back-in-stock',
+        idempotencyKey: `back-in-stock:${doc.id}:${subscription.subscribedAt ? subscription.subscribedAt.toMillis() : ''}`
+      });
+    }));
+
+    // Clear the subscriptions we just notified, keeping them for conversion stats
+    const batch = services.db.batch();
+    for (const doc of chunk) {
+      batch.update(doc.ref, {
+        status: 'notified',
+        notificationId: notificationRef.id,
+        notifiedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    await batch.commit();
+    queuedCount += chunk.length;
+  }
+
+  await notificationRef.update({ queuedCount });
+
+  return { notificationId: notificationRef.id, queuedCount, subscriberCount: subscriptions.size };
+}
+
+/**
+ * List back-in-stock notifications newest first, one page at a time
+ * @param {object} services
+ * @param {object} options - { productId?, limit, cursor? }
+ * @returns {Promise<{ docs: object[], nextCursor: string|null }>}
+ */
+async function listNotifications(services, options) {
+  const notifications = services.db.collection('stockAlertNotifications');
+  let query = notifications;
+  if (options.productId) query = query.where('productId', '==', options.productId);
+
+  query = query
+    .orderBy('createdAt', 'desc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+  if (options.cursor) {
+    const cursorDoc = await notifications.doc(options.cursor).get();
+    if (!cursorDoc.exists || (options.productId && cursorDoc.data().productId !== options.productId)) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(options.limit + 1).get();
+  const docs = snapshot.docs.slice(0, options.limit);
+  const nextCursor = snapshot.docs.length > options.limit ? docs[docs.length - 1].id : null;
+
+  return { docs, nextCursor };
+}
+
+module.exports = { subscribeToStockAlert, notifyBackInStock, recordClick, listNotifications };
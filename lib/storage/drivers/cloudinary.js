@@ -0,0 +1,111 @@
+/**
+ * Cloudinary storage driver
+ * https://cloudinary.com/documentation/image_upload_api_reference
+ */
+
+const cloudinary = require('cloudinary').v2;
+
+/**
+ * Cloudinary transformation for a resize preset
+ */
+function transformation(resize) {
+  if (!resize) return undefined;
+  return [
+    resize.fit === 'cover'
+      ? { width: resize.width, height: resize.height, crop: 'fill', gravity: resize.focus || 'auto' }
+      : { width: resize.width, height: resize.height, crop: 'limit' },
+    { quality: 'auto', fetch_format: 'auto' }
+  ];
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.cloudName - CLOUDINARY_CLOUD_NAME
+ * @param {string} options.apiKey - CLOUDINARY_API_KEY
+ * @param {string} options.apiSecret - CLOUDINARY_API_SECRET
+ */
+function createCloudinaryDriver(options) {
+  if (!options.cloudName || !options.apiKey || !options.apiSecret) {
+    throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required for the cloudinary storage driver');
+  }
+
+  cloudinary.config({
+    cloud_name: options.cloudName,
+    api_key: options.apiKey,
+    api_secret: options.apiSecret
+  });
+
+  return {
+    name: 'cloudinary',
+
+    upload(buffer, { folder, publicId, resize }) {
+      return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          { folder, public_id: publicId, transformation: transformation(resize) },
+          (error, result) => {
+            if (error) reject(error);
+            else resolve({ url: result.secure_url, publicId: result.public_id });
+          }
+        );
+        uploadStream.end(buffer);
+      });
+    },
+
+    /**
+     * @returns {Promise<boolean>} false when the image didn't exist
+     */
+    async destroy(publicId) {
+      const result = await cloudinary.uploader.destroy(publicId, { invalidate: true });
+      if (result.result !== 'ok' && result.result !== 'not found') {
+        throw new Error(result.result);
+      }
+      return result.result === 'ok';
+    },
+
+    /**
+     * Every image under a folder prefix (Admin API, paged)
+     */
+    async list(prefix) {
+      const images = [];
+      let nextCursor;
+
+      do {
+        const page = await cloudinary.api.resources({
+          type: 'upload',
+          resource_type: 'image',
+          prefix,
+          max_results: 500,
+          next_cursor: nextCursor
+        });
+        for (const resource of page.resources) {
+          images.push({
+            publicId: resource.public_id,
+            url: resource.secure_url,
+            createdAt: resource.created_at,
+            bytes: resource.bytes
+          });
+        }
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+
+      return images;
+    },
+
+    /**
+     * https://res.cloudinary.com/demo/image/upload/c_limit,w_800/v1712345678/products/abc/image_1.jpg
+     *   -> products/abc/image_1
+     */
+    publicIdFromUrl(url) {
+      if (typeof url !== 'string') return null;
+      const match = url.match(/^https?:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/(?:.*?\/)?v\d+\/(.+?)(?:\.[a-z0-9]+)?$/i);
+      return match ? decodeURIComponent(match[1]) : null;
+    },
+
+    async verify() {
+      await cloudinary.api.ping();
+      return true;
+    }
+  };
+}
+
+module.exports = createCloudinaryDriver;
@@ -0,0 +1,115 @@
+/**
+ * Local disk storage driver
+ * Keeps uploads in a directory served by the app's static /uploads route, so uploads work offline.
+ * Meant for local development and tests - files are stored as uploaded (no resizing), and
+ * serverless deployments don't keep files between requests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSION = /\.(jpg|png|gif|webp)$/;
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - Directory the files are written to
+ * @param {string} options.baseUrl - Public URL the directory is served from, e.g. http://localhost:5000/uploads
+ */
+function createLocalDriver(options) {
+  const dir = path.resolve(options.dir);
+  const baseUrl = options.baseUrl.replace(/\/$/, '');
+
+  // Public ids become file paths - never let one point outside the upload directory
+  function resolve(publicId) {
+    const file = path.resolve(dir, publicId);
+    if (!file.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid public id "${publicId}"`);
+    }
+    return file;
+  }
+
+  async function findFile(publicId) {
+    const base = resolve(publicId);
+    let names;
+    try {
+      names = await fs.promises.readdir(path.dirname(base));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const name = names.find((entry) => entry.replace(EXTENSION, '') === path.basename(base) && EXTENSION.test(entry));
+    return name ? path.join(path.dirname(base), name) : null;
+  }
+
+  async function walk(folder) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(folder, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const full = path.join(folder, entry.name);
+      if (entry.isDirectory()) files.push(...await walk(full));
+      else if (EXTENSION.test(entry.name)) files.push(full);
+    }
+    return files;
+  }
+
+  return {
+    name: 'local',
+    dir,
+
+    async upload(buffer, { folder, publicId, extension }) {
+      const id = path.posix.join(folder, publicId);
+      const file = `${resolve(id)}.${extension}`;
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+
+      return { url: `${baseUrl}/${id}.${extension}`, publicId: id };
+    },
+
+    async destroy(publicId) {
+      const file = await findFile(publicId);
+      if (!file) return false;
+      await fs.promises.unlink(file);
+      return true;
+    },
+
+    async list(prefix) {
+      const files = await walk(dir);
+      const images = [];
+
+      for (const file of files) {
+        const relative = path.relative(dir, file).split(path.sep).join('/');
+        const publicId = relative.replace(EXTENSION, '');
+        if (!publicId.startsWith(prefix)) continue;
+
+        const stat = await fs.promises.stat(file);
+        images.push({
+          publicId,
+          url: `${baseUrl}/${relative}`,
+          createdAt: stat.mtime.toISOString(),
+          bytes: stat.size
+        });
+      }
+      return images;
+    },
+
+    publicIdFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+      return decodeURIComponent(url.slice(baseUrl.length + 1)).replace(EXTENSION, '');
+    },
+
+    async verify() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      return true;
+    }
+  };
+}
+
+module.exports = createLocalDriver;
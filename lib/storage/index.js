@@ -0,0 +1,146 @@
+/**
+ * Image storage
+ * Single entry point for uploaded images. The driver is chosen from env:
+ *
+ *   STORAGE_DRIVER  cloudinary | local (default: cloudinary if CLOUDINARY_CLOUD_NAME is set, else local)
+ *
+ *   CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET   cloudinary
+ *   UPLOAD_DIR (default: ./uploads), served by the app at /uploads     local
+ *
+ * The local driver keeps files on this machine's disk, which serverless deployments lose, so it
+ * is for development: in production it is refused, there is no default driver and a driver that
+ * can't be configured stops startup.
+ *
+ * Images are addressed by a public id such as products/<productId>/product_123 (no extension).
+ */
+
+const path = require('path');
+const createCloudinaryDriver = require('./drivers/cloudinary');
+const createLocalDriver = require('./drivers/local');
+const { brand } = require('../templates/brand');
+const { logger } = require('../logger');
+
+const DRIVERS = ['cloudinary', 'local'];
+
+// URL path the local driver's files are served from
+const LOCAL_UPLOADS_PATH = '/uploads';
+
+/**
+ * Build the driver from env config
+ */
+function createDriver(name, env) {
+  switch (name) {
+    case 'cloudinary':
+      return createCloudinaryDriver({
+        cloudName: env.CLOUDINARY_CLOUD_NAME,
+        apiKey: env.CLOUDINARY_API_KEY,
+        apiSecret: env.CLOUDINARY_API_SECRET
+      });
+    case 'local':
+      return createLocalDriver({
+        dir: env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'),
+        baseUrl: brand.apiLink(LOCAL_UPLOADS_PATH)
+      });
+    default:
+      throw new Error(`Unknown storage driver "${name}". Expected one of: ${DRIVERS.join(', ')}`);
+  }
+}
+
+/**
+ * Create image storage from env config
+ * @param {object} [env=process.env]
+ * @throws in production, when no driver is configured or the configured one can't be used
+ */
+function createStorage(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  const name = (env.STORAGE_DRIVER || (env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : production ? '' : 'local')).toLowerCase();
+
+  if (!name) {
+    throw new Error('No storage driver configured. Set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+  }
+  if (production && name === 'local') {
+    throw new Error('The local storage driver keeps images on this machine\'s disk and can\'t be used in production');
+  }
+
+  let driver = null;
+  try {
+    driver = createDriver(name, env);
+    logger.info('Image storage configured', { driver: driver.name });
+  } catch (error) {
+    if (production) throw error;
+    logger.error('Storage driver could not be configured', { err: error, driver: name });
+  }
+
+  function requireDriver() {
+    if (!driver) {
+      throw new Error('No storage driver configured');
+    }
+    return driver;
+  }
+
+  return {
+    driver,
+
+    /**
+     * Store an image
+     * @param {Buffer} buffer - already checked with inspectImage
+     * @param {object} options
+     * @param {string} options.folder
+     * @param {string} options.publicId - name inside the folder
+     * @param {string} options.extension - from inspectImage
+     * @param {object} [options.resize] - { width, height, fit: 'cover' | 'inside', focus? } (cloudinary only)
+     * @returns {Promise<{ url: string, publicId: string }>} publicId includes the folder
+     */
+    upload(buffer, options) {
+      return requireDriver().upload(buffer, options);
+    },
+
+    /**
+     * Delete images, a few at a time
+     * Failures are logged, not thrown - callers decide whether to retry them later
+     * @param {string[]} publicIds
+     * @returns {Promise<{ deleted: string[], failed: string[] }>}
+     */
+    async destroyImages(publicIds) {
+      const deleted = [];
+      const failed = [];
+
+      for (let i = 0; i < publicIds.length; i += 10) {
+        const chunk = publicIds.slice(i, i + 10);
+        await Promise.all(chunk.map(async (publicId) => {
+          try {
+            // A missing image counts as deleted - it's gone either way
+            await requireDriver().destroy(publicId);
+            deleted.push(publicId);
+          } catch (error) {
+            logger.error('Failed to delete image', { err: error, publicId });
+            failed.push(publicId);
+          }
+        }));
+      }
+
+      if (deleted.length) {
+        logger.info('Images deleted', { count: deleted.length });
+      }
+      return { deleted, failed };
+    },
+
+    /**
+     * Every stored image under a folder prefix, e.g. 'products/'
+     * @returns {Promise<Array<{ publicId: string, url: string, createdAt: string, bytes: number }>>}
+     */
+    listImages(prefix) {
+      return requireDriver().list(prefix);
+    },
+
+    /**
+     * Recover the public id from an image URL
+     * @returns {string|null} null for URLs this driver didn't produce
+     */
+    publicIdFromUrl(url) {
+      return driver ? driver.publicIdFromUrl(url) : null;
+    }
+  };
+}
+
+module.exports = { createStorage, LOCAL_UPLOADS_PATH };
@@ -0,0 +1,46 @@
+/**
+ * Brand settings shared by every email
+ *
+ *   STORE_URL       public storefront URL (falls back to FRONTEND_URL, then localhost)
+ *   BRAND_LOGO_URL  logo shown in the email header
+ *   API_URL         public URL of this backend, used for confirm/unsubscribe links
+ *                   (falls back to VERCEL_URL, then localhost)
+ */
+
+const storeUrl = (process.env.STORE_URL || process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+const apiUrl = (
+  process.env.API_URL ||
+  (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : `http://localhost:${process.env.PORT || 5000}`)
+).replace(/\/+$/, '');
+
+const brand = {
+  name: 'SRE LAKSHME',
+  tagline: 'Electronicss & Furnituress',
+  legalName: 'SRE LAKSHME Electronicss & Furnituress',
+  logoUrl: process.env.BRAND_LOGO_URL || 'https://i.pinimg.com/1200x/0c/89/cb/0c89cb3c1fdb66f6833fc6e0dfb04ba4.jpg',
+  storeUrl,
+  apiUrl,
+
+  /**
+   * Absolute link into the storefront, e.g. storeLink('/products')
+   */
+  storeLink(pathname = '/') {
+    return `${storeUrl}${pathname.startsWith('/') ? '' : '/'}${pathname}`;
+  },
+
+  /**
+   * Absolute link to a backend route, e.g. apiLink('/api/v1/newsletter/unsubscribe?token=...')
+   */
+  apiLink(pathname) {
+    return `${apiUrl}${pathname.startsWith('/') ? '' : '/'}${pathname}`;
+  }
+};
+
+/**
+ * Format a rupee amount the way the storefront does, e.g. ₹1,25,000
+ */
+function formatPrice(amount) {
+  return `₹${Number(amount).toLocaleString('en-IN')}`;
+}
+
+module.exports = { brand, formatPrice };
@@ -0,0 +1,56 @@
+/**
+ * Back-in-stock notification
+ */
+
+const { html, safeUrl } = require('../html');
+const { brand, formatPrice } = require('../brand');
+const { button } = require('../layout');
+
+module.exports = {
+  subject: ({ productName }) => `✅ Back in stock: ${productName}`,
+
+  footerNote: 'You’re receiving this because you asked us to let you know when this product is available again.',
+
+  body: ({ name, productName, productImage, price, shopUrl }) => {
+    const imageUrl = safeUrl(productImage);
+
+    return html`
+              <div style="text-align: center; margin: 0 0 24px;">
+                <div style="font-size: 36px;">📦</div>
+                <h2 style="margin: 8px 0; color: #111827; font-size: 24px;">It’s Back in Stock!</h2>
+              </div>
+
+              <p style="font-size: 16px; color: #374151; margin: 0 0 20px;">
+                Hello <strong>${name || 'there'}</strong>, good news - the product you were waiting for is available again.
+              </p>
+
+              <!-- Product Card -->
+              <table width="100%" cellpadding="0" cellspacing="0" style="background: #f9fafb; border-radius: 14px; padding: 20px; border: 1px solid #e5e7eb;">
+                <tr>
+                  <td width="100" valign="top">
+                    ${imageUrl
+                      ? html`<img src="${imageUrl}" alt="${productName}" style="width: 100px; height: 100px; border-radius: 10px; object-fit: cover;">`
+                      : html`<div style="width: 100px; height: 100px; border-radius: 10px; background: #e5e7eb; text-align: center; line-height: 100px; font-size: 36px;">📦</div>`}
+                  </td>
+                  <td style="padding-left: 20px;">
+                    <h3 style="margin: 0 0 8px; font-size: 18px; color: #111827;">${productName}</h3>
+                    ${price ? html`<div style="font-size: 24px; font-weight: 700; color: #111827; margin: 6px 0;">${formatPrice(price)}</div>` : ''}
+                  </td>
+                </tr>
+              </table>
+
+              ${button(shopUrl || brand.storeLink('/products'), '🛒 Shop Now')}
+
+              <p style="text-align: center; font-size: 14px; color: #6b7280; margin: 0;">
+                Stock is limited - order soon so you don’t miss out again.
+              </p>`;
+  },
+
+  sample: {
+    name: 'Priya Sharma',
+    productName: '55" 4K Smart LED TV',
+    productImage: 'https://res.cloudinary.com/demo/image/upload/sample.jpg',
+    price: 42990,
+    shopUrl: brand.storeLink('/products')
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Newsletter campaign composed by an admin
+ * Content is plain text: blank lines separate paragraphs, single newlines become line breaks
+ */
+
+const { html, safeUrl } = require('../html');
+const { brand } = require('../brand');
+const { button } = require('../layout');
+
+function paragraphs(content) {
+  return String(content || '')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => html`
+              <p style="margin: 0 0 16px; color: #4b5563; font-size: 16px; line-height: 24px;">${paragraph.split('\n').map((line, i) => (i ? html`<br>${line}` : line))}</p>`);
+}
+
+module.exports = {
+  subject: ({ subject }) => subject,
+
+  footerNote: `You’re receiving this because you subscribed to the ${brand.name} newsletter.`,
+
+  body: ({ heading, content, imageUrl, ctaLabel, ctaUrl }) => {
+    const image = safeUrl(imageUrl);
+    const cta = safeUrl(ctaUrl);
+
+    return html`
+              ${heading ? html`<h2 style="margin: 0 0 20px; color: #111827; font-size: 24px; font-weight: 600; text-align: center;">${heading}</h2>` : ''}
+              ${image ? html`<img src="${image}" alt="" style="display: block; width: 100%; border-radius: 12px; margin: 0 0 20px;">` : ''}
+              ${paragraphs(content)}
+              ${cta ? button(cta, ctaLabel || 'Shop Now') : ''}`;
+  },
+
+  sample: {
+    subject: 'Diwali Sale - up to 40% off on sofas and TVs',
+    heading: '🪔 Diwali Sale is Live!',
+    content: 'Celebrate the festival of lights with our biggest sale of the year.\n\nEnjoy up to 40% off on sofas, dining sets, LED TVs and more.\nOffer valid while stocks last.',
+    imageUrl: 'https://res.cloudinary.com/demo/image/upload/sample.jpg',
+    ctaLabel: '🛒 Shop the Sale',
+    ctaUrl: brand.storeLink('/products'),
+    unsubscribeUrl: brand.apiLink('/api/v1/newsletter/unsubscribe?token=sample')
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Newsletter double opt-in confirmation email
+ */
+
+const { html } = require('../html');
+const { brand } = require('../brand');
+const { button } = require('../layout');
+
+module.exports = {
+  subject: () => `Confirm your ${brand.name} newsletter subscription`,
+
+  footerNote: 'If you didn’t sign up, you can ignore this email - you won’t be subscribed.',
+
+  body: ({ confirmUrl, expiresInHours = 48 }) => html`
+              <h2 style="margin: 0 0 20px; color: #111827; font-size: 24px; font-weight: 600; text-align: center;">
+                Confirm Your Subscription
+              </h2>
+
+              <p style="margin: 0 0 20px; color: #4b5563; font-size: 16px; line-height: 24px; text-align: center;">
+                Thanks for your interest in the ${brand.name} newsletter! Please confirm your email address to start receiving our latest offers.
+              </p>
+
+              ${button(confirmUrl, 'Confirm Subscription')}
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px; text-align: center;">
+                This link will expire in <strong style="color: #374151;">${expiresInHours} hours</strong>.
+              </p>`,
+
+  sample: {
+    confirmUrl: brand.apiLink('/api/v1/newsletter/confirm?token=sample'),
+    expiresInHours: 48
+  }
+};
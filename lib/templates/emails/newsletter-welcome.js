@@ -0,0 +1,42 @@
+/**
+ * Newsletter welcome email
+ */
+
+const { html } = require('../html');
+const { brand } = require('../brand');
+const { button } = require('../layout');
+
+module.exports = {
+  subject: () => `Welcome to ${brand.name} Newsletter! 🎉`,
+
+  footerNote: 'You can unsubscribe at any time using the link below.',
+
+  body: () => html`
+              <h2 style="margin: 0 0 20px; color: #111827; font-size: 24px; font-weight: 600; text-align: center;">
+                🎉 Welcome to Our Newsletter!
+              </h2>
+
+              <p style="margin: 0 0 20px; color: #4b5563; font-size: 16px; line-height: 24px; text-align: center;">
+                Thank you for subscribing to the ${brand.name} newsletter! You're now part of our community.
+              </p>
+
+              <div style="background: linear-gradient(135deg, #f9fafb 0%, #e5e7eb 100%); border-radius: 12px; padding: 25px; margin: 20px 0; border: 1px solid #d1d5db;">
+                <h3 style="margin: 0 0 15px; color: #374151; font-size: 18px; font-weight: 600;">What to expect:</h3>
+                <ul style="margin: 0; padding-left: 20px; color: #4b5563; font-size: 14px; line-height: 24px;">
+                  <li>🆕 Latest product launches & arrivals</li>
+                  <li>💰 Exclusive discounts & special offers</li>
+                  <li>🏷️ Early access to sales & promotions</li>
+                  <li>💡 Tips & guides for home improvement</li>
+                </ul>
+              </div>
+
+              <p style="margin: 20px 0 0; color: #6b7280; font-size: 14px; text-align: center;">
+                Stay tuned for amazing deals on electronics and furniture!
+              </p>
+
+              ${button(brand.storeLink('/products'), '🛒 Start Shopping')}`,
+
+  sample: {
+    unsubscribeUrl: brand.apiLink('/api/v1/newsletter/unsubscribe?token=sample')
+  }
+};
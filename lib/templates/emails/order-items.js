@@ -0,0 +1,76 @@
+/**
+ * Order summary table shared by the order emails (not a template on its own)
+ */
+
+const { html, safeUrl } = require('../html');
+const { formatPrice } = require('../brand');
+
+function orderItems({ items, subtotal, shippingFee, total }) {
+  return html`
+              <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #e5e7eb; border-radius: 14px; padding: 8px 16px; margin: 0 0 24px;">
+                ${items.map((item) => {
+                  const imageUrl = safeUrl(item.imageUrl);
+                  return html`
+                <tr>
+                  <td width="64" style="padding: 12px 0; border-bottom: 1px solid #f3f4f6;">
+                    ${imageUrl
+                      ? html`<img src="${imageUrl}" alt="${item.name}" style="width: 56px; height: 56px; border-radius: 8px; object-fit: cover;">`
+                      : html`<div style="width: 56px; height: 56px; border-radius: 8px; background: #e5e7eb; text-align: center; line-height: 56px; font-size: 24px;">📦</div>`}
+                  </td>
+                  <td style="padding: 12px; border-bottom: 1px solid #f3f4f6; font-size: 15px; color: #111827;">
+                    ${item.name}
+                    <div style="font-size: 13px; color: #6b7280;">Qty ${item.quantity} × ${formatPrice(item.price)}</div>
+                  </td>
+                  <td align="right" style="padding: 12px 0; border-bottom: 1px solid #f3f4f6; font-size: 15px; color: #111827; white-space: nowrap;">
+                    ${formatPrice(item.lineTotal)}
+                  </td>
+                </tr>`;
+                })}
+                <tr>
+                  <td colspan="2" style="padding: 12px 0 4px; font-size: 14px; color: #6b7280;">Subtotal</td>
+                  <td align="right" style="padding: 12px 0 4px; font-size: 14px; color: #6b7280;">${formatPrice(subtotal)}</td>
+                </tr>
+                <tr>
+                  <td colspan="2" style="padding: 4px 0; font-size: 14px; color: #6b7280;">Shipping</td>
+                  <td align="right" style="padding: 4px 0; font-size: 14px; color: #6b7280;">${shippingFee ? formatPrice(shippingFee) : 'Free'}</td>
+                </tr>
+                <tr>
+                  <td colspan="2" style="padding: 8px 0 12px; font-size: 16px; font-weight: 700; color: #111827;">Total</td>
+                  <td align="right" style="padding: 8px 0 12px; font-size: 16px; font-weight: 700; color: #111827;">${formatPrice(total)}</td>
+                </tr>
+              </table>`;
+}
+
+const sampleOrder = {
+  orderNumber: 'SL-261019-4F2A9C',
+  items: [
+    {
+      name: 'Teak Wood 3-Seater Sofa',
+      imageUrl: 'https://res.cloudinary.com/demo/image/upload/sample.jpg',
+      quantity: 1,
+      price: 38999,
+      lineTotal: 38999
+    },
+    {
+      name: 'LED Table Lamp',
+      imageUrl: null,
+      quantity: 2,
+      price: 1499,
+      lineTotal: 2998
+    }
+  ],
+  subtotal: 41997,
+  shippingFee: 0,
+  total: 41997,
+  shippingAddress: {
+    name: 'Priya Sharma',
+    line1: '12, Gandhi Street',
+    line2: 'T. Nagar',
+    city: 'Chennai',
+    state: 'Tamil Nadu',
+    pincode: '600017',
+    phone: '+919876543210'
+  }
+};
+
+module.exports = { orderItems, sampleOrder };
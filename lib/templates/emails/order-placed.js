@@ -0,0 +1,47 @@
+/**
+ * Order confirmation sent when an order is placed
+ */
+
+const { html } = require('../html');
+const { brand } = require('../brand');
+const { button } = require('../layout');
+const { orderItems, sampleOrder } = require('./order-items');
+
+module.exports = {
+  subject: ({ order }) => `🧾 Order ${order.orderNumber} placed - ${brand.legalName}`,
+
+  footerNote: 'You’re receiving this because you placed an order with us.',
+
+  body: ({ name, order, orderUrl }) => {
+    const address = order.shippingAddress;
+
+    return html`
+              <div style="text-align: center; margin: 0 0 24px;">
+                <div style="font-size: 36px;">🎉</div>
+                <h2 style="margin: 8px 0; color: #111827; font-size: 24px;">Thank You for Your Order!</h2>
+                <p style="margin: 0; color: #6b7280; font-size: 14px;">Order <strong>${order.orderNumber}</strong></p>
+              </div>
+
+              <p style="font-size: 16px; color: #374151; margin: 0 0 20px;">
+                Hello <strong>${name || address.name || 'there'}</strong>, we’ve received your order and will let you know as soon as it’s confirmed.
+              </p>
+
+              ${orderItems(order)}
+
+              <p style="font-size: 14px; color: #374151; margin: 0 0 4px;"><strong>Delivering to</strong></p>
+              <p style="font-size: 14px; color: #6b7280; margin: 0; line-height: 20px;">
+                ${address.name}<br>
+                ${address.line1}${address.line2 ? html`, ${address.line2}` : ''}<br>
+                ${address.city}, ${address.state} - ${address.pincode}<br>
+                ${address.phone}
+              </p>
+
+              ${button(orderUrl || brand.storeLink('/orders'), '📦 View Your Order')}`;
+  },
+
+  sample: {
+    name: 'Priya Sharma',
+    order: sampleOrder,
+    orderUrl: brand.storeLink('/orders')
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Order status update (confirmed, shipped, delivered, cancelled, returned)
+ */
+
+const { html } = require('../html');
+const { brand } = require('../brand');
+const { button } = require('../layout');
+const { orderItems, sampleOrder } = require('./order-items');
+
+const STATUS_COPY = {
+  confirmed: {
+    icon: '✅',
+    title: 'Your Order Is Confirmed',
+    subject: 'confirmed',
+    message: 'We’ve confirmed your order and are getting it ready to ship.'
+  },
+  shipped: {
+    icon: '🚚',
+    title: 'Your Order Is on Its Way',
+    subject: 'shipped',
+    message: 'Your order has left our store and is on its way to you.'
+  },
+  delivered: {
+    icon: '🏠',
+    title: 'Your Order Was Delivered',
+    subject: 'delivered',
+    message: 'Your order has been delivered. We hope you love it!'
+  },
+  cancelled: {
+    icon: '❌',
+    title: 'Your Order Was Cancelled',
+    subject: 'cancelled',
+    message: 'Your order has been cancelled. If you already paid, the refund will reach you in 5-7 working days.'
+  },
+  returned: {
+    icon: '↩️',
+    title: 'Your Return Is Complete',
+    subject: 'returned',
+    message: 'We’ve received your return. Your refund will reach you in 5-7 working days.'
+  }
+};
+
+module.exports = {
+  subject: ({ order, status }) => `${STATUS_COPY[status].icon} Order ${order.orderNumber} ${STATUS_COPY[status].subject} - ${brand.legalName}`,
+
+  footerNote: 'You’re receiving this because you placed an order with us.',
+
+  body: ({ name, order, status, note, trackingNumber, carrier, orderUrl, invoiceAttached }) => {
+    const copy = STATUS_COPY[status];
+
+    return html`
+              <div style="text-align: center; margin: 0 0 24px;">
+                <div style="font-size: 36px;">${copy.icon}</div>
+                <h2 style="margin: 8px 0; color: #111827; font-size: 24px;">${copy.title}</h2>
+                <p style="margin: 0; color: #6b7280; font-size: 14px;">Order <strong>${order.orderNumber}</strong></p>
+              </div>
+
+              <p style="font-size: 16px; color: #374151; margin: 0 0 20px;">
+                Hello <strong>${name || order.shippingAddress.name || 'there'}</strong>, ${copy.message}
+              </p>
+
+              ${trackingNumber ? html`
+              <div style="background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 12px; padding: 16px; margin: 0 0 20px; text-align: center;">
+                <p style="margin: 0 0 4px; font-size: 13px; color: #6b7280; text-transform: uppercase; letter-spacing: 1px;">Tracking number</p>
+                <p style="margin: 0; font-size: 18px; font-weight: 700; color: #111827;">${carrier ? html`${carrier} · ` : ''}${trackingNumber}</p>
+              </div>` : ''}
+
+              ${note ? html`<p style="font-size: 15px; color: #374151; margin: 0 0 20px;"><em>${note}</em></p>` : ''}
+
+              ${orderItems(order)}
+
+              ${invoiceAttached ? html`<p style="font-size: 14px; color: #6b7280; margin: 0 0 20px;">📎 Your GST invoice is attached to this email.</p>` : ''}
+
+              ${button(orderUrl || brand.storeLink('/orders'), '📦 View Your Order')}`;
+  },
+
+  sample: {
+    name: 'Priya Sharma',
+    order: sampleOrder,
+    status: 'shipped',
+    trackingNumber: 'EK123456789IN',
+    carrier: 'India Post',
+    orderUrl: brand.storeLink('/orders')
+  }
+};
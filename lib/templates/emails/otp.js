@@ -0,0 +1,42 @@
+/**
+ * OTP verification email
+ */
+
+const { html } = require('../html');
+const { brand } = require('../brand');
+
+module.exports = {
+  subject: () => `Verify Your Email - ${brand.legalName}`,
+
+  body: ({ fullName, otp, expiresInMinutes = 10 }) => html`
+              <h2 style="margin: 0 0 20px; color: #111827; font-size: 24px; font-weight: 600; text-align: center;">
+                Verify Your Email
+              </h2>
+
+              <p style="margin: 0 0 30px; color: #4b5563; font-size: 16px; line-height: 24px; text-align: center;">
+                Hello ${fullName || 'there'}! Use the verification code below to complete your registration.
+              </p>
+
+              <div style="background: linear-gradient(135deg, #f9fafb 0%, #e5e7eb 100%); border-radius: 12px; padding: 30px; text-align: center; margin: 0 0 30px; border: 2px solid #d1d5db;">
+                <p style="margin: 0 0 10px; color: #374151; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">
+                  Your Verification Code
+                </p>
+                <div style="font-size: 36px; font-weight: 700; color: #111827; letter-spacing: 8px; font-family: 'Courier New', monospace;">
+                  ${otp}
+                </div>
+              </div>
+
+              <p style="margin: 0 0 10px; color: #6b7280; font-size: 14px; text-align: center;">
+                This code will expire in <strong style="color: #374151;">${expiresInMinutes} minutes</strong>.
+              </p>
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px; text-align: center;">
+                If you didn't request this code, please ignore this email.
+              </p>`,
+
+  sample: {
+    fullName: 'Priya Sharma',
+    otp: '482913',
+    expiresInMinutes: 10
+  }
+};
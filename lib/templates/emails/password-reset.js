@@ -0,0 +1,44 @@
+/**
+ * Password reset code email
+ */
+
+const { html } = require('../html');
+const { brand } = require('../brand');
+
+module.exports = {
+  subject: () => `Reset Your Password - ${brand.legalName}`,
+
+  body: ({ fullName, otp, expiresInMinutes = 15 }) => html`
+              <h2 style="margin: 0 0 20px; color: #111827; font-size: 24px; font-weight: 600; text-align: center;">
+                Reset Your Password
+              </h2>
+
+              <p style="margin: 0 0 30px; color: #4b5563; font-size: 16px; line-height: 24px; text-align: center;">
+                Hello ${fullName || 'there'}! We received a request to reset the password for your account. Use the code below to choose a new password.
+              </p>
+
+              <div style="background: linear-gradient(135deg, #f9fafb 0%, #e5e7eb 100%); border-radius: 12px; padding: 30px; text-align: center; margin: 0 0 30px; border: 2px solid #d1d5db;">
+                <p style="margin: 0 0 10px; color: #374151; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">
+                  Your Reset Code
+                </p>
+                <div style="font-size: 36px; font-weight: 700; color: #111827; letter-spacing: 8px; font-family: 'Courier New', monospace;">
+                  ${otp}
+                </div>
+              </div>
+
+              <p style="margin: 0 0 10px; color: #6b7280; font-size: 14px; text-align: center;">
+                This code will expire in <strong style="color: #374151;">${expiresInMinutes} minutes</strong>.
+              </p>
+
+              <p style="margin: 0; color: #6b7280; font-size: 14px; text-align: center;">
+                If you didn't ask to reset your password, you can ignore this email - your password will stay the same.
+              </p>`,
+
+  footerNote: 'You received this email because a password reset was requested for your account.',
+
+  sample: {
+    fullName: 'Priya Sharma',
+    otp: '275104',
+    expiresInMinutes: 15
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * Wishlist price-drop alert
+ */
+
+const { html, safeUrl } = require('../html');
+const { brand, formatPrice } = require('../brand');
+const { button } = require('../layout');
+
+module.exports = {
+  subject: ({ productName, newPrice, targetPrice }) => (typeof targetPrice === 'number'
+    ? `🎯 Target price reached! ${productName} is now ${formatPrice(newPrice)}`
+    : `🎉 Price Drop Alert! ${productName} is now ${formatPrice(newPrice)}`),
+
+  footerNote: 'You’re receiving this because the product is in your wishlist. You can turn off price alerts below.',
+
+  body: ({ name, productName, productImage, oldPrice, newPrice, targetPrice }) => {
+    const savings = oldPrice - newPrice;
+    const savingsPercent = Math.round((savings / oldPrice) * 100);
+    const imageUrl = safeUrl(productImage);
+    const targetMet = typeof targetPrice === 'number';
+
+    return html`
+              <div style="text-align: center; margin: 0 0 24px;">
+                <div style="font-size: 36px;">${targetMet ? '🎯' : '🎉'}</div>
+                <h2 style="margin: 8px 0; color: #111827; font-size: 24px;">${targetMet ? 'Your Target Price Was Hit!' : 'Price Drop Alert!'}</h2>
+              </div>
+
+              <p style="font-size: 16px; color: #374151; margin: 0 0 20px;">
+                Hello <strong>${name || 'Valued Customer'}</strong>, we’ve got exciting news for you 🎊
+              </p>
+
+              <!-- Product Card -->
+              <table width="100%" cellpadding="0" cellspacing="0" style="background: #f9fafb; border-radius: 14px; padding: 20px; border: 1px solid #e5e7eb;">
+                <tr>
+                  <td width="100" valign="top">
+                    ${imageUrl
+                      ? html`<img src="${imageUrl}" alt="${productName}" style="width: 100px; height: 100px; border-radius: 10px; object-fit: cover;">`
+                      : html`<div style="width: 100px; height: 100px; border-radius: 10px; background: #e5e7eb; text-align: center; line-height: 100px; font-size: 36px;">📦</div>`}
+                  </td>
+                  <td style="padding-left: 20px;">
+                    <h3 style="margin: 0 0 8px; font-size: 18px; color: #111827;">${productName}</h3>
+                    <div style="font-size: 15px; color: #9ca3af; text-decoration: line-through;">${formatPrice(oldPrice)}</div>
+                    <div style="font-size: 24px; font-weight: 700; color: #16a34a; margin: 6px 0;">${formatPrice(newPrice)}</div>
+                    <span style="display: inline-block; margin-top: 6px; background: #dcfce7; color: #166534; padding: 6px 14px; border-radius: 999px; font-size: 13px; font-weight: 600;">
+                      Save ${formatPrice(savings)} (${savingsPercent}% OFF)
+                    </span>
+                  </td>
+                </tr>
+              </table>
+
+              ${targetMet ? html`
+              <p style="margin: 20px 0 0; padding: 14px 18px; background: #eff6ff; border: 1px solid #bfdbfe; border-radius: 10px; color: #1e3a8a; font-size: 15px; text-align: center;">
+                🎯 You asked us to tell you when this dropped to <strong>${formatPrice(targetPrice)}</strong> or less - it’s now <strong>${formatPrice(newPrice)}</strong>.
+              </p>` : ''}
+
+              ${button(brand.storeLink('/products'), '🛒 Shop Now')}
+
+              <p style="text-align: center; font-size: 14px; color: #6b7280; margin: 0;">
+                Hurry! Limited-time price drop ⏰
+              </p>`;
+  },
+
+  sample: {
+    name: 'Priya Sharma',
+    productName: 'Teak Wood 3-Seater Sofa',
+    productImage: 'https://res.cloudinary.com/demo/image/upload/sample.jpg',
+    oldPrice: 45999,
+    newPrice: 38999,
+    targetPrice: 40000,
+    unsubscribeUrl: brand.apiLink('/api/v1/users/price-alerts/unsubscribe?token=sample')
+  }
+};
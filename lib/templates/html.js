@@ -0,0 +1,99 @@
+/**
+ * HTML helpers for email templates
+ * Interpolated values are escaped unless they are already SafeHtml
+ */
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+/**
+ * Mark a string as trusted markup so html`` does not escape it
+ */
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * Nested html`` results and arrays of them are inserted as-is
+ */
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+/**
+ * Only allow http(s) URLs in href/src attributes
+ */
+function safeUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(String(url));
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.toString() : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  nbsp: ' ',
+  '#39': "'"
+};
+
+/**
+ * Convert rendered email HTML into a readable plain-text alternative
+ */
+function htmlToText(markup) {
+  return String(markup)
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+      return text && text !== href ? `${text} (${href})` : href;
+    })
+    .replace(/<img\s[^>]*>/gi, '')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|nbsp|#39);/g, (match, entity) => ENTITIES[entity])
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { SafeHtml, html, raw, escapeHtml, safeUrl, htmlToText };
@@ -0,0 +1,96 @@
+/**
+ * Email templates
+ * Every template renders inside the shared brand layout and gets a plain-text part.
+ *
+ * A template module exports:
+ *   subject(data)  -> string
+ *   body(data)     -> SafeHtml (use the html`` tag so values are escaped)
+ *   footerNote     -> optional string or function(data) shown under the footer
+ *   sample         -> example data used by the preview route
+ *
+ * Pass data.unsubscribeUrl to any template to add an unsubscribe link to the footer.
+ */
+
+const { layout, button, formButton } = require('./layout');
+const { html, htmlToText } = require('./html');
+const { brand } = require('./brand');
+
+const templates = {
+  otp: require('./emails/otp'),
+  'newsletter-confirm': require('./emails/newsletter-confirm'),
+  'newsletter-welcome': require('./emails/newsletter-welcome'),
+  'newsletter-campaign': require('./emails/newsletter-campaign'),
+  'price-drop': require('./emails/price-drop'),
+  'back-in-stock': require('./emails/back-in-stock'),
+  'password-reset': require('./emails/password-reset'),
+  'order-placed': require('./emails/order-placed'),
+  'order-status': require('./emails/order-status')
+};
+
+/**
+ * Render a template into { subject, html, text }
+ * @param {string} name - Template name, e.g. 'otp'
+ * @param {object} [data]
+ */
+function renderEmail(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const subject = template.subject(data);
+  const footerNote = typeof template.footerNote === 'function'
+    ? template.footerNote(data)
+    : template.footerNote;
+  const html = layout({
+    content: template.body(data),
+    title: subject,
+    footerNote,
+    unsubscribeUrl: data.unsubscribeUrl
+  }).toString();
+
+  return { subject, html, text: htmlToText(html) };
+}
+
+/**
+ * Render a template with its built-in sample data
+ */
+function renderSample(name) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return renderEmail(name, template.sample || {});
+}
+
+/**
+ * Render a small standalone HTML page in the brand layout
+ * Used for links opened from emails (confirm, unsubscribe)
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} options.message
+ * @param {object} [options.form] - { action, fields, label }: a button that POSTs the fields to
+ *   action, in place of the link to the store. Links that change something ask first this way -
+ *   mail scanners and link previews open every link in an email.
+ */
+function renderPage({ title, message, form }) {
+  return layout({
+    title,
+    content: html`
+              <h2 style="margin: 0 0 20px; color: #111827; font-size: 24px; font-weight: 600; text-align: center;">${title}</h2>
+              <p style="margin: 0; color: #4b5563; font-size: 16px; line-height: 24px; text-align: center;">${message}</p>
+              ${form ? formButton(form.action, form.fields, form.label) : button(brand.storeLink('/'), 'Continue to the store')}`
+  }).toString();
+}
+
+function hasTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(templates, name);
+}
+
+module.exports = {
+  renderEmail,
+  renderSample,
+  renderPage,
+  hasTemplate,
+  templateNames: Object.keys(templates)
+};
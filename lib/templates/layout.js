@@ -0,0 +1,85 @@
+/**
+ * Shared brand layout: header with logo, content slot and footer
+ */
+
+const { html } = require('./html');
+const { brand } = require('./brand');
+
+/**
+ * @param {object} options
+ * @param {SafeHtml} options.content - Rendered body of the email
+ * @param {string} [options.title] - Document title
+ * @param {string} [options.footerNote] - Small print under the copyright line
+ * @param {string} [options.unsubscribeUrl] - Adds an unsubscribe link to the footer (marketing emails)
+ */
+function layout({ content, title, footerNote, unsubscribeUrl }) {
+  return html`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title || brand.legalName}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f3f4f6;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td align="center" style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.08);">
+
+          <!-- Header -->
+          <tr>
+            <td style="padding: 30px 40px; text-align: center; background: linear-gradient(135deg, #374151 0%, #111827 100%); border-radius: 16px 16px 0 0;">
+              <img src="${brand.logoUrl}" alt="${brand.name}" style="width: 80px; height: 80px; border-radius: 50%; object-fit: cover; margin-bottom: 10px; border: 3px solid #e5e7eb;">
+              <h1 style="margin: 0; color: #f9fafb; font-size: 22px; font-weight: 700;">${brand.name}</h1>
+              <p style="margin: 5px 0 0; color: #d1d5db; font-size: 12px;">${brand.tagline}</p>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              ${content}
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 20px 40px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+              <p style="margin: 0; color: #374151; font-size: 12px; font-weight: 600;">
+                © ${new Date().getFullYear()} ${brand.legalName}. All rights reserved.
+              </p>
+              ${footerNote ? html`<p style="margin: 10px 0 0; color: #9ca3af; font-size: 11px;">${footerNote}</p>` : ''}
+              ${unsubscribeUrl ? html`<p style="margin: 10px 0 0; font-size: 11px;"><a href="${unsubscribeUrl}" style="color: #6b7280;">Unsubscribe</a></p>` : ''}
+            </td>
+          </tr>
+
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Call-to-action button used by several templates
+ */
+function button(href, label) {
+  return html`<div style="text-align: center; margin: 32px 0;">
+                <a href="${href}" style="background: linear-gradient(135deg, #1f2933, #111827); color: #ffffff; padding: 14px 36px; font-size: 16px; font-weight: 600; border-radius: 10px; text-decoration: none; display: inline-block;">${label}</a>
+              </div>`;
+}
+
+/**
+ * Button that POSTs hidden fields, for pages that ask before changing anything
+ * (email clients don't submit forms, so emails use button())
+ */
+function formButton(action, fields, label) {
+  return html`<form method="post" action="${action}" style="text-align: center; margin: 32px 0;">
+                ${Object.entries(fields).map(([name, value]) => html`<input type="hidden" name="${name}" value="${value}">`)}
+                <button type="submit" style="background: linear-gradient(135deg, #1f2933, #111827); color: #ffffff; padding: 14px 36px; font-size: 16px; font-weight: 600; border: 0; border-radius: 10px; cursor: pointer;">${label}</button>
+              </form>`;
+}
+
+module.exports = { layout, button, formButton };
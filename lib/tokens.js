@@ -0,0 +1,72 @@
+/**
+ * Signed tokens for links in emails (confirm, unsubscribe, ...)
+ * Format: base64url(JSON payload).base64url(HMAC-SHA256)
+ *
+ *   TOKEN_SECRET  HMAC key. Required in production: every instance has to sign with the same key,
+ *                 or links stop working on other instances and after restarts. Elsewhere a random
+ *                 key is used when it is missing.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+let secret = process.env.TOKEN_SECRET;
+if (!secret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('TOKEN_SECRET is required in production');
+  }
+  secret = crypto.randomBytes(32).toString('hex');
+  logger.warn('TOKEN_SECRET not set - using a random key, signed links will stop working after a restart');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {object} services - expiry is measured with services.clock
+ * @param {string} purpose - What the token may be used for, e.g. 'newsletter-unsubscribe'
+ * @param {object} payload - Data to carry (keep it small, it ends up in URLs)
+ * @param {object} [options]
+ * @param {number} [options.expiresIn] - Lifetime in seconds; omit for tokens that never expire
+ */
+function signToken(services, purpose, payload, options = {}) {
+  const body = { ...payload, purpose };
+  if (options.expiresIn) {
+    body.exp = Math.floor(services.clock.now() / 1000) + options.expiresIn;
+  }
+
+  const data = Buffer.from(JSON.stringify(body)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Verify a token and return its payload, or null if it is invalid, expired or for another purpose
+ */
+function verifyToken(services, purpose, token) {
+  if (typeof token !== 'string') return null;
+
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose) return null;
+  if (payload.exp && payload.exp < Math.floor(services.clock.now() / 1000)) return null;
+
+  return payload;
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,93 @@
+/**
+ * Authentication & Authorization Middleware
+ * Verifies Firebase ID tokens and checks user roles stored in Firestore
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../lib/logger');
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Require a valid Firebase ID token
+ * Sets req.user to the decoded token ({ uid, email, ... })
+ */
+async function requireAuth(req, res, next) {
+  const idToken = getBearerToken(req);
+
+  if (!idToken) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  if (!req.services.db) {
+    return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+  }
+
+  try {
+    req.user = await req.services.auth.verifyIdToken(idToken);
+    next();
+  } catch (error) {
+    logger.warn('ID token verification failed', { reason: error.code || error.message });
+    res.status(401).json({ success: false, message: 'Invalid or expired authentication token' });
+  }
+}
+
+/**
+ * Verify the ID token if one is sent, but let anonymous requests through
+ * req.user is only set for signed-in callers
+ */
+function optionalAuth(req, res, next) {
+  if (!getBearerToken(req)) {
+    return next();
+  }
+  requireAuth(req, res, next);
+}
+
+/**
+ * Require the authenticated user to have role 'admin' on their users document
+ * Must run after requireAuth
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    const userDoc = await req.services.db.collection('users').doc(req.user.uid).get();
+
+    if (!userDoc.exists || userDoc.data().role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    req.userDoc = userDoc.data();
+    next();
+  } catch (error) {
+    logger.error('Error checking admin role', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to verify permissions' });
+  }
+}
+
+/**
+ * Allow either a scheduler presenting CRON_SECRET as a bearer token
+ * (Vercel Cron sends it this way) or a signed-in admin
+ */
+function requireCronOrAdmin(req, res, next) {
+  const token = getBearerToken(req);
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (token && cronSecret) {
+    const expected = Buffer.from(cronSecret);
+    const actual = Buffer.from(token);
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+      req.cron = true;
+      return next();
+    }
+  }
+
+  requireAuth(req, res, () => requireAdmin(req, res, next));
+}
+
+module.exports = { requireAuth, optionalAuth, requireAdmin, requireCronOrAdmin };
@@ -0,0 +1,22 @@
+/**
+ * Deprecated Path Middleware
+ * The unversioned /api/... paths keep working as aliases of /api/v1/... Responses on them say so
+ * with a Deprecation header (RFC 9745) and a successor-version Link to the path to use instead,
+ * so clients can find and move their remaining calls.
+ */
+
+// When the unversioned paths were deprecated, in favour of /api/v1
+const DEPRECATED_AT = Date.parse('2026-10-19T00:00:00Z');
+
+/**
+ * @param {string} successorPrefix - where the same routes live now, e.g. '/api/v1'
+ */
+function deprecatedAlias(successorPrefix) {
+  return function deprecatedAliasMiddleware(req, res, next) {
+    res.set('Deprecation', `@${Math.floor(DEPRECATED_AT / 1000)}`);
+    res.set('Link', `<${successorPrefix}${req.path}>; rel="successor-version"`);
+    next();
+  };
+}
+
+module.exports = { deprecatedAlias };
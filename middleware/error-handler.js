@@ -0,0 +1,53 @@
+/**
+ * Central error handling
+ * Routes handle the errors they expect themselves; anything else (bad JSON bodies, errors passed
+ * to next(), exceptions thrown by middleware) ends up here. The full error is logged, the client
+ * only gets the standard envelope:
+ *
+ *   { success: false, message, requestId }
+ *
+ * Error details are only shown for 4xx errors that are meant for the client (error.expose, as
+ * set by body-parser and http-errors); everything else gets a generic message.
+ */
+
+const { logger } = require('../lib/logger');
+
+const MESSAGES = {
+  'entity.parse.failed': 'Request body is not valid JSON',
+  'entity.too.large': 'Request body is too large',
+  'encoding.unsupported': 'Unsupported request body encoding',
+  'charset.unsupported': 'Unsupported request body charset'
+};
+
+/**
+ * 404 for API routes that don't exist
+ */
+function notFound(req, res) {
+  res.status(404).json({ success: false, message: 'Not found', requestId: req.id });
+}
+
+// Express recognises error handlers by their four arguments
+function errorHandler(error, req, res, next) {
+  const status = Number(error.status || error.statusCode) || 500;
+  const clientError = status >= 400 && status < 500;
+
+  if (clientError) {
+    logger.warn('Request error', { err: error, status, path: req.baseUrl + req.path });
+  } else {
+    logger.error('Unhandled error', { err: error, status, method: req.method, path: req.baseUrl + req.path });
+  }
+
+  // Too late for the envelope - Express's default handler closes the connection
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  let message = 'Something went wrong. Please try again later.';
+  if (clientError) {
+    message = MESSAGES[error.type] || (error.expose ? error.message : 'Bad request');
+  }
+
+  res.status(clientError ? status : 500).json({ success: false, message, requestId: req.id });
+}
+
+module.exports = { notFound, errorHandler };
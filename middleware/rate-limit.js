@@ -0,0 +1,98 @@
+/**
+ * Rate Limiting Middleware
+ * Fixed-window limits per route, counted separately for each key:
+ *   ip    - client IP (req.ip, see the trust proxy setting in server.js)
+ *   email - req.body.email, lowercased
+ *   uid   - req.user.uid, so it must run after requireAuth / optionalAuth
+ *
+ * Every response carries RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset for the
+ * tightest limit; blocked requests get a 429 with Retry-After. If the store can't be
+ * reached the request is let through rather than locking everyone out.
+ */
+
+const { createRateLimitStore } = require('../lib/rate-limit');
+const { logger } = require('../lib/logger');
+
+const KEY_EXTRACTORS = {
+  ip: (req) => req.ip || (req.socket && req.socket.remoteAddress) || null,
+  email: (req) => {
+    const email = req.body && req.body.email;
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+  },
+  uid: (req) => (req.user ? req.user.uid : null)
+};
+
+// Kept with the app's services, so every app created gets its own counters
+function getDefaultStore(services) {
+  if (!services.rateLimitStore) {
+    try {
+      services.rateLimitStore = createRateLimitStore(process.env, services);
+    } catch (error) {
+      logger.error('Rate limit store could not be configured, using memory', { err: error });
+      services.rateLimitStore = createRateLimitStore({ RATE_LIMIT_STORE: 'memory' }, services);
+    }
+  }
+  return services.rateLimitStore;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Limit name, part of every counter key
+ * @param {number} options.windowMs - Window length
+ * @param {object} options.limits - Max requests per window by key, e.g. { ip: 10, email: 5 }
+ * @param {object} [options.store] - Defaults to the store picked by RATE_LIMIT_STORE
+ * @param {string} [options.message]
+ */
+function rateLimit({ name, windowMs, limits, store, message = 'Too many requests. Please try again later.' }) {
+  for (const by of Object.keys(limits)) {
+    if (!KEY_EXTRACTORS[by]) {
+      throw new Error(`Unknown rate limit key "${by}" for ${name}. Expected one of: ${Object.keys(KEY_EXTRACTORS).join(', ')}`);
+    }
+  }
+
+  return async function rateLimitMiddleware(req, res, next) {
+    const checks = Object.entries(limits)
+      .map(([by, max]) => ({ by, max, value: KEY_EXTRACTORS[by](req) }))
+      .filter((check) => check.value);
+
+    if (checks.length === 0) {
+      return next();
+    }
+
+    let results;
+    try {
+      const limitStore = store || getDefaultStore(req.services);
+      results = await Promise.all(checks.map(async (check) => ({
+        ...check,
+        ...(await limitStore.increment(`${name}:${check.by}:${check.value}`, windowMs))
+      })));
+    } catch (error) {
+      logger.error('Rate limit check failed', { err: error, limit: name });
+      return next();
+    }
+
+    const now = req.services.clock.now();
+    const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+    // Report the limit closest to running out
+    const tightest = results.reduce((a, b) => (b.max - b.count < a.max - a.count ? b : a));
+    res.set({
+      'RateLimit-Limit': String(tightest.max),
+      'RateLimit-Remaining': String(Math.max(0, tightest.max - tightest.count)),
+      'RateLimit-Reset': String(secondsUntil(tightest.resetAt)),
+      'RateLimit-Policy': results.map((r) => `${r.max};w=${Math.round(windowMs / 1000)}`).join(', ')
+    });
+
+    const exceeded = results.filter((r) => r.count > r.max);
+    if (exceeded.length === 0) {
+      return next();
+    }
+
+    const retryAfter = Math.max(...exceeded.map((r) => secondsUntil(r.resetAt)));
+    logger.warn('Rate limit exceeded', { limit: name, by: exceeded.map((r) => r.by) });
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ success: false, message, retryAfter });
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,37 @@
+/**
+ * Request IDs and access logging
+ * Every request gets an id - the caller's X-Request-Id when it is a sensible value, otherwise a
+ * new UUID. It is echoed back in the X-Request-Id response header and added to every log line
+ * written while the request is handled, so one request's logs can be found together.
+ */
+
+const crypto = require('crypto');
+const { logger, runWithLogContext } = require('../lib/logger');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      // The query string is left out - some links carry tokens in it
+      path: req.baseUrl + req.path,
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - started) / 1000000n),
+      uid: req.user ? req.user.uid : undefined
+    };
+    if (res.statusCode >= 500) logger.error('Request failed', fields);
+    else if (res.statusCode >= 400) logger.warn('Request rejected', fields);
+    else logger.info('Request completed', fields);
+  });
+
+  runWithLogContext({ requestId: req.id }, next);
+}
+
+module.exports = { requestContext };
@@ -0,0 +1,71 @@
+/**
+ * Image Upload Middleware
+ * Multer keeps files in memory; every file is then identified from its bytes and checked
+ * for size and dimensions before a route sees it (see lib/image-validation).
+ */
+
+const multer = require('multer');
+const { inspectImage, ImageValidationError } = require('../lib/image-validation');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE }
+});
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Images must be ${MAX_FILE_SIZE / (1024 * 1024)}MB or smaller`,
+  LIMIT_FILE_COUNT: 'Too many files',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field or too many files'
+};
+
+/**
+ * Accept image uploads in one multipart field
+ * Single uploads (maxCount 1) end up in req.file, others in req.files. Each file gets
+ * file.image = { type, mimeType, extension, width, height }.
+ * @param {object} options
+ * @param {string} options.field - multipart field name
+ * @param {number} [options.maxCount=1]
+ * @param {number} [options.minWidth] ...and minHeight, maxWidth, maxHeight, maxPixels
+ * @returns {Function[]} middleware
+ */
+function acceptImages({ field, maxCount = 1, ...limits }) {
+  const parse = maxCount === 1 ? upload.single(field) : upload.array(field, maxCount);
+
+  function parseUpload(req, res, next) {
+    parse(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ success: false, message: MULTER_MESSAGES[error.code] || error.message });
+      }
+      next(error);
+    });
+  }
+
+  function validateImages(req, res, next) {
+    const files = req.file ? [req.file] : req.files || [];
+
+    for (const file of files) {
+      try {
+        file.image = inspectImage(file.buffer, limits);
+        file.mimetype = file.image.mimeType;
+      } catch (error) {
+        if (error instanceof ImageValidationError) {
+          const name = files.length > 1 ? `${file.originalname}: ` : '';
+          return res.status(400).json({ success: false, message: `${name}${error.message}` });
+        }
+        return next(error);
+      }
+    }
+    next();
+  }
+
+  // Lets the API docs (lib/openapi) describe the multipart body
+  parseUpload.upload = { field, maxCount };
+
+  return [parseUpload, validateImages];
+}
+
+module.exports = { acceptImages, MAX_FILE_SIZE };
@@ -0,0 +1,56 @@
+/**
+ * Request Validation Middleware
+ * validate({ params, query, body }) checks the request against the schemas from lib/schema and
+ * replaces each part with its coerced, sanitised value, so handlers only ever see valid input.
+ * Invalid requests are answered with a 400 that lists every problem:
+ *
+ *   { success: false, message, errors: [{ in: 'body', field: 'email', message: 'email is required' }], requestId }
+ *
+ * The schemas stay attached to the middleware (.schemas) so the API docs can be generated from
+ * the routes themselves.
+ */
+
+const { validateValue } = require('../lib/schema');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * @param {object} schemas - { params?, query?, body? } object schemas
+ */
+function validate(schemas) {
+  for (const location of Object.keys(schemas)) {
+    if (!LOCATIONS.includes(location)) {
+      throw new Error(`Unknown request part "${location}". Expected one of: ${LOCATIONS.join(', ')}`);
+    }
+  }
+
+  function validateRequest(req, res, next) {
+    const errors = [];
+    const values = {};
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const result = validateValue(schemas[location], req[location] || {}, location);
+      errors.push(...result.errors.map((error) => ({ in: location, ...error })));
+      values[location] = result.value;
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.map((error) => error.message).join('; '),
+        errors,
+        requestId: req.id
+      });
+    }
+
+    Object.assign(req, values);
+    next();
+  }
+
+  validateRequest.schemas = schemas;
+  return validateRequest;
+}
+
+module.exports = { validate };
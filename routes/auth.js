@@ -0,0 +1,219 @@
+/**
+ * Email Verification Routes
+ * Mounted at /api/v1
+ *
+ * New accounts confirm their email address with a 6-digit code. A correct code sets
+ * customEmailVerified on the users document (created if the signup didn't write one).
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { rateLimit } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { OtpError, createOtpFlow, sendOtpError } = require('../lib/otp');
+const { enqueueEmail } = require('../lib/mail-queue');
+const { renderEmail } = require('../lib/templates');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+// Signup email verification codes (stored under otpVerifications/{email})
+const emailVerification = createOtpFlow({
+  name: 'email-verification',
+  docId: (email) => email,
+  ttlMinutes: 10,
+  maxAttempts: 5,
+  resendCooldownSeconds: Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+  dailyLimit: Number(process.env.OTP_DAILY_LIMIT) || 5
+});
+
+/**
+ * Queue the OTP email and try to deliver it right away - the user is waiting for it
+ * @returns {Promise<{ id: string, status: string }>} status is 'sent' or 'queued' (retrying)
+ */
+async function sendOTPEmail(services, email, fullName, otp) {
+  return enqueueEmail(services, {
+    to: email,
+    ...renderEmail('otp', { fullName, otp, expiresInMinutes: emailVerification.ttlMinutes })
+  }, { category: 'otp', sensitive: true, sendNow: true });
+}
+
+const otpSendLimit = rateLimit({ name: 'send-otp', windowMs: 15 * 60 * 1000, limits: { ip: 10, email: 5 } });
+const otpVerifyLimit = rateLimit({ name: 'verify-otp', windowMs: 15 * 60 * 1000, limits: { ip: 30, email: 10 } });
+
+const sendOtpSchema = {
+  body: schema.object({
+    email: schema.email(),
+    fullName: schema.string({ max: 100 }).optional(),
+    uid: schema.docId().optional().describe('Firebase Auth uid of the new account')
+  })
+};
+
+/**
+ * POST /api/v1/send-otp
+ * Generates and sends OTP to user's email
+ * Limited by a resend cooldown, a daily cap and lockouts after failed attempts
+ */
+router.post('/send-otp', otpSendLimit, validate(sendOtpSchema), async (req, res) => {
+  try {
+    const { email, fullName, uid } = req.body;
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    // Generate and store the OTP (also store fullName and uid for user creation after verification)
+    let otp;
+    try {
+      ({ otp } = await emailVerification.issue(req.services, email, {
+        email: email,
+        fullName: fullName || '',
+        uid: uid || null
+      }));
+    } catch (error) {
+      if (error instanceof OtpError) {
+        logger.warn('OTP request refused', { email, reason: error.code });
+        return sendOtpError(res, error);
+      }
+      throw error;
+    }
+
+    // Send email
+    const delivery = await sendOTPEmail(req.services, email, fullName, otp);
+
+    if (delivery.status !== 'sent') {
+      // Still in the queue and will be retried by the worker
+      logger.warn('OTP email queued for retry', { email, jobId: delivery.id });
+      return res.status(202).json({ success: true, message: 'OTP is on its way. It may take a few minutes to arrive.' });
+    }
+
+    logger.info('OTP sent', { email, uid: uid || null });
+    res.json({ success: true, message: 'OTP sent successfully' });
+
+  } catch (error) {
+    logger.error('Error sending OTP', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to send OTP. Please try again.' });
+  }
+});
+
+const verifyOtpSchema = {
+  body: schema.object({
+    email: schema.email(),
+    otp: schema.string({ pattern: /^\d{6}$/, patternReason: 'must be a 6-digit code' }),
+    uid: schema.docId().optional().describe('Firebase Auth uid of the new account')
+  })
+};
+
+/**
+ * POST /api/v1/verify-otp
+ * Verifies the OTP code
+ */
+router.post('/verify-otp', otpVerifyLimit, validate(verifyOtpSchema), async (req, res) => {
+  try {
+    const { email, otp, uid: requestUid } = req.body;
+
+    logger.debug('Verifying OTP', { email, uid: requestUid || null });
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    // Check the code against the stored hash (expiry, attempt limit and lockout included)
+    let otpData;
+    try {
+      otpData = await emailVerification.verify(req.services, email, otp);
+    } catch (error) {
+      if (error instanceof OtpError) {
+        logger.warn('OTP verification failed', { email, reason: error.code });
+        return sendOtpError(res, error);
+      }
+      throw error;
+    }
+
+    // Use UID from request if OTP record doesn't have it
+    const targetUid = otpData.uid || requestUid || null;
+    logger.debug('OTP code is correct', { email, otpUid: otpData.uid || null, requestUid: requestUid || null, uid: targetUid });
+
+    // OTP is valid - Update user's customEmailVerified status
+    const usersRef = req.services.db.collection('users');
+    let userUpdated = false;
+
+    // First, try to find user by UID (primary method - users are stored with UID as doc ID)
+    if (targetUid) {
+      const userDocRef = usersRef.doc(targetUid);
+      const userDoc = await userDocRef.get();
+
+      if (userDoc.exists) {
+        await userDocRef.update({
+          customEmailVerified: true,
+          emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        userUpdated = true;
+        logger.debug('Updated user by UID', { uid: targetUid });
+      } else {
+        logger.debug('No user document found by UID', { uid: targetUid });
+      }
+    }
+
+    // Fallback: try to find user by email query
+    if (!userUpdated) {
+      const userQuery = await usersRef.where('email', '==', email).get();
+
+      if (!userQuery.empty) {
+        // Update all matching documents
+        for (const doc of userQuery.docs) {
+          await doc.ref.update({
+            customEmailVerified: true,
+            emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          // If document ID doesn't match the Firebase Auth UID, also create/update the correct UID document
+          if (targetUid && doc.id !== targetUid) {
+            logger.warn('User document ID does not match the Auth UID - copying it', { docId: doc.id, uid: targetUid });
+            const correctDocRef = usersRef.doc(targetUid);
+            const existingData = doc.data();
+            await correctDocRef.set({
+              ...existingData,
+              uid: targetUid,
+              customEmailVerified: true,
+              emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+          }
+        }
+
+        userUpdated = true;
+        logger.debug('Updated user by email query', { email, count: userQuery.size });
+      } else {
+        logger.debug('No user document found by email query', { email });
+      }
+    }
+
+    // If still no user found, create new user document with the UID from Firebase Auth
+    if (!userUpdated) {
+      const docId = targetUid || req.services.db.collection('users').doc().id;
+      const newUserRef = req.services.db.collection('users').doc(docId);
+      await newUserRef.set({
+        uid: docId,
+        email: email,
+        fullName: otpData.fullName || 'User',
+        displayName: otpData.fullName || 'User',
+        provider: 'email',
+        role: 'user',
+        customEmailVerified: true,
+        emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      logger.info('Created user document', { uid: docId });
+    }
+
+    logger.info('Email verified', { email, uid: targetUid });
+    res.json({ success: true, message: 'Email verified successfully' });
+
+  } catch (error) {
+    logger.error('Error verifying OTP', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to verify OTP' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,372 @@
+/**
+ * Newsletter Campaign Routes (admin)
+ * Mounted at /api/v1/campaigns
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { requireAuth, requireAdmin, requireCronOrAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { serializeDoc } = require('../lib/serialize');
+const { safeUrl } = require('../lib/templates/html');
+const {
+  CONTENT_FIELDS,
+  renderCampaign,
+  sendTestEmail,
+  sendCampaign,
+  dispatchDueCampaigns
+} = require('../lib/campaigns');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const RECIPIENT_STATUSES = ['pending', 'queued', 'sent', 'dead', 'failed', 'skipped'];
+
+const urlField = schema.string({ max: 2048 })
+  .transform((value) => (value === '' || safeUrl(value) ? value : null), 'must be an http(s) URL');
+
+// Optional fields can be cleared with null
+const campaignSchema = schema.object({
+  subject: schema.string({ max: 200 }),
+  heading: schema.string({ max: 200 }).nullable().optional(),
+  content: schema.string({ max: 100000 }).describe('Body text; blank lines separate paragraphs'),
+  imageUrl: urlField.nullable().optional(),
+  ctaLabel: schema.string({ max: 100 }).nullable().optional(),
+  ctaUrl: urlField.nullable().optional()
+});
+
+const campaignParams = schema.object({ id: schema.docId() });
+
+const createSchema = { body: campaignSchema };
+
+const updateSchema = { params: campaignParams, body: schema.partial(campaignSchema) };
+
+const campaignIdSchema = { params: campaignParams };
+
+const previewSchema = {
+  params: campaignParams,
+  query: schema.object({ format: schema.oneOf(['html', 'text', 'json']).default('html') })
+};
+
+const testSchema = {
+  params: campaignParams,
+  body: schema.object({ email: schema.email() })
+};
+
+const scheduleSchema = {
+  params: campaignParams,
+  body: schema.object({ sendAt: schema.date().describe('When to send; must be in the future') })
+};
+
+const recipientsSchema = {
+  params: campaignParams,
+  query: schema.object({
+    status: schema.oneOf(RECIPIENT_STATUSES).optional(),
+    limit: schema.integer({ min: 1, max: 500 }).default(100)
+  })
+};
+
+/**
+ * Campaign fields to store from a validated body (null becomes '')
+ */
+function campaignContent(body) {
+  const data = {};
+  for (const field of CONTENT_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field] === null ? '' : body[field];
+  }
+  return data;
+}
+
+/**
+ * Load a campaign by id or send 404
+ */
+async function loadCampaign(req, res) {
+  const doc = await req.services.db.collection('newsletterCampaigns').doc(req.params.id).get();
+  if (!doc.exists) {
+    res.status(404).json({ success: false, message: 'Campaign not found' });
+    return null;
+  }
+  return doc;
+}
+
+/**
+ * GET|POST /api/v1/campaigns/dispatch
+ * Starts due scheduled campaigns and resumes interrupted sends
+ * Called by a cron job (Authorization: Bearer CRON_SECRET) or an admin
+ */
+async function dispatchHandler(req, res) {
+  try {
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    const results = await dispatchDueCampaigns(req.services);
+    res.json({ success: true, campaigns: results });
+
+  } catch (error) {
+    logger.error('Error dispatching campaigns', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to dispatch campaigns' });
+  }
+}
+
+router.get('/dispatch', requireCronOrAdmin, dispatchHandler);
+router.post('/dispatch', requireCronOrAdmin, dispatchHandler);
+
+// Everything below is admin only
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /api/v1/campaigns
+ * Lists the most recent campaigns
+ */
+router.get('/', async (req, res) => {
+  try {
+    const snapshot = await req.services.db.collection('newsletterCampaigns')
+      .orderBy('createdAt', 'desc')
+      .limit(50)
+      .get();
+
+    res.json({ success: true, campaigns: snapshot.docs.map(serializeDoc) });
+
+  } catch (error) {
+    logger.error('Error listing campaigns', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load campaigns' });
+  }
+});
+
+/**
+ * POST /api/v1/campaigns
+ * Creates a draft campaign
+ */
+router.post('/', validate(createSchema), async (req, res) => {
+  try {
+    const ref = await req.services.db.collection('newsletterCampaigns').add({
+      ...campaignContent(req.body),
+      status: 'draft',
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info('Campaign created', { campaignId: ref.id });
+    res.status(201).json({ success: true, campaign: serializeDoc(await ref.get()) });
+
+  } catch (error) {
+    logger.error('Error creating campaign', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to create campaign' });
+  }
+});
+
+/**
+ * GET /api/v1/campaigns/:id
+ */
+router.get('/:id', validate(campaignIdSchema), async (req, res) => {
+  try {
+    const doc = await loadCampaign(req, res);
+    if (!doc) return;
+
+    res.json({ success: true, campaign: serializeDoc(doc) });
+
+  } catch (error) {
+    logger.error('Error loading campaign', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load campaign' });
+  }
+});
+
+/**
+ * PUT /api/v1/campaigns/:id
+ * Updates the content of a draft or scheduled campaign
+ */
+router.put('/:id', validate(updateSchema), async (req, res) => {
+  try {
+    const doc = await loadCampaign(req, res);
+    if (!doc) return;
+
+    if (!EDITABLE_STATUSES.includes(doc.data().status)) {
+      return res.status(409).json({ success: false, message: 'Only draft or scheduled campaigns can be edited' });
+    }
+
+    await doc.ref.update({ ...campaignContent(req.body), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    res.json({ success: true, campaign: serializeDoc(await doc.ref.get()) });
+
+  } catch (error) {
+    logger.error('Error updating campaign', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to update campaign' });
+  }
+});
+
+/**
+ * GET /api/v1/campaigns/:id/preview
+ * Renders the campaign as a subscriber would see it
+ * ?format=html (default) | text | json
+ */
+router.get('/:id/preview', validate(previewSchema), async (req, res) => {
+  try {
+    const doc = await loadCampaign(req, res);
+    if (!doc) return;
+
+    const email = renderCampaign(req.services, doc.data(), 'subscriber@example.com');
+
+    switch (req.query.format) {
+      case 'text':
+        return res.type('text/plain').send(email.text);
+      case 'json':
+        return res.json({ success: true, ...email });
+      default:
+        return res.type('html').send(email.html);
+    }
+
+  } catch (error) {
+    logger.error('Error previewing campaign', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to preview campaign' });
+  }
+});
+
+/**
+ * POST /api/v1/campaigns/:id/test
+ * Sends a single test copy to { email }, through the mail queue
+ */
+router.post('/:id/test', validate(testSchema), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const doc = await loadCampaign(req, res);
+    if (!doc) return;
+
+    const delivery = await sendTestEmail(req.services, doc.data(), email);
+    if (delivery.status !== 'sent') {
+      // Still in the queue and will be retried by the worker
+      logger.warn('Campaign test copy queued for retry', { campaignId: doc.id, email, jobId: delivery.id });
+      return res.status(202).json({ success: true, message: `Test email to ${email} is queued and will be retried` });
+    }
+
+    logger.info('Campaign test copy sent', { campaignId: doc.id, email });
+    res.json({ success: true, message: `Test email sent to ${email}` });
+
+  } catch (error) {
+    logger.error('Error sending test campaign', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to send test email' });
+  }
+});
+
+/**
+ * POST /api/v1/campaigns/:id/schedule
+ * Schedules the campaign for { sendAt } (ISO date in the future)
+ */
+router.post('/:id/schedule', validate(scheduleSchema), async (req, res) => {
+  try {
+    const { sendAt } = req.body;
+    if (sendAt.getTime() <= req.services.clock.now()) {
+      return res.status(400).json({ success: false, message: 'sendAt must be a date in the future' });
+    }
+
+    const doc = await loadCampaign(req, res);
+    if (!doc) return;
+
+    if (!EDITABLE_STATUSES.includes(doc.data().status)) {
+      return res.status(409).json({ success: false, message: 'Only draft or scheduled campaigns can be scheduled' });
+    }
+
+    await doc.ref.update({
+      status: 'scheduled',
+      scheduledAt: admin.firestore.Timestamp.fromDate(sendAt),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info('Campaign scheduled', { campaignId: doc.id, sendAt: sendAt.toISOString() });
+    res.json({ success: true, campaign: serializeDoc(await doc.ref.get()) });
+
+  } catch (error) {
+    logger.error('Error scheduling campaign', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to schedule campaign' });
+  }
+});
+
+/**
+ * POST /api/v1/campaigns/:id/unschedule
+ * Moves a scheduled campaign back to draft
+ */
+router.post('/:id/unschedule', validate(campaignIdSchema), async (req, res) => {
+  try {
+    const doc = await loadCampaign(req, res);
+    if (!doc) return;
+
+    if (doc.data().status !== 'scheduled') {
+      return res.status(409).json({ success: false, message: 'Campaign is not scheduled' });
+    }
+
+    await doc.ref.update({
+      status: 'draft',
+      scheduledAt: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, campaign: serializeDoc(await doc.ref.get()) });
+
+  } catch (error) {
+    logger.error('Error unscheduling campaign', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to unschedule campaign' });
+  }
+});
+
+/**
+ * POST /api/v1/campaigns/:id/send
+ * Queues the campaign for every subscriber now, or resumes a send that stopped partway; the
+ * mail queue worker delivers it. Large audiences may need several calls (or the cron
+ * dispatcher) to finish.
+ */
+router.post('/:id/send', validate(campaignIdSchema), async (req, res) => {
+  try {
+    const doc = await loadCampaign(req, res);
+    if (!doc) return;
+
+    const status = doc.data().status;
+    if (!['draft', 'scheduled', 'sending'].includes(status)) {
+      return res.status(409).json({ success: false, message: `Campaign is already ${status}` });
+    }
+
+    const result = await sendCampaign(req.services, doc.id);
+    if (result.locked) {
+      return res.status(409).json({ success: false, message: 'Campaign is already being sent' });
+    }
+
+    res.json({
+      success: true,
+      message: result.status === 'sent' ? 'Campaign queued for delivery' : 'Campaign partially queued, call again to continue',
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Error sending campaign', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to send campaign' });
+  }
+});
+
+/**
+ * GET /api/v1/campaigns/:id/recipients
+ * Per-recipient delivery status, optionally filtered with ?status=pending|queued|sent|dead|failed|skipped
+ * Queued copies become sent (or dead) when the mail queue delivers them - see mailJobId
+ */
+router.get('/:id/recipients', validate(recipientsSchema), async (req, res) => {
+  try {
+    const doc = await loadCampaign(req, res);
+    if (!doc) return;
+
+    let query = doc.ref.collection('recipients');
+    if (req.query.status) {
+      query = query.where('status', '==', req.query.status);
+    }
+
+    const snapshot = await query.limit(req.query.limit).get();
+
+    res.json({ success: true, recipients: snapshot.docs.map(serializeDoc) });
+
+  } catch (error) {
+    logger.error('Error loading campaign recipients', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load recipients' });
+  }
+});
+
+module.exports = router;
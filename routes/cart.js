@@ -0,0 +1,92 @@
+/**
+ * Shopping Cart Routes
+ * Mounted at /api/v1/cart
+ *
+ * Every route needs a signed-in user. The cart is returned with current prices and a
+ * problem flag on items that can't be bought right now (out of stock, not enough stock,
+ * or removed from the catalog).
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { MAX_QUANTITY, getCart, setCartItem, clearCart } = require('../lib/cart');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * GET /api/v1/cart
+ */
+router.get('/', async (req, res) => {
+  try {
+    const cart = await getCart(req.services, req.user.uid);
+    res.json({ success: true, cart });
+
+  } catch (error) {
+    logger.error('Error loading cart', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load cart' });
+  }
+});
+
+const itemParams = schema.object({ productId: schema.docId() });
+
+const setItemSchema = {
+  params: itemParams,
+  body: schema.object({ quantity: schema.integer({ min: 0, max: MAX_QUANTITY }).describe('0 removes the item') })
+};
+
+const removeItemSchema = { params: itemParams };
+
+/**
+ * PUT /api/v1/cart/items/:productId
+ * Body: { quantity } - 0 removes the item
+ */
+router.put('/items/:productId', validate(setItemSchema), async (req, res) => {
+  try {
+    const result = await setCartItem(req.services, req.user.uid, req.params.productId, req.body.quantity);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, cart: await getCart(req.services, req.user.uid) });
+
+  } catch (error) {
+    logger.error('Error updating cart', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to update cart' });
+  }
+});
+
+/**
+ * DELETE /api/v1/cart/items/:productId
+ */
+router.delete('/items/:productId', validate(removeItemSchema), async (req, res) => {
+  try {
+    await setCartItem(req.services, req.user.uid, req.params.productId, 0);
+    res.json({ success: true, cart: await getCart(req.services, req.user.uid) });
+
+  } catch (error) {
+    logger.error('Error removing cart item', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to update cart' });
+  }
+});
+
+/**
+ * DELETE /api/v1/cart
+ * Empty the cart
+ */
+router.delete('/', async (req, res) => {
+  try {
+    await clearCart(req.services, req.user.uid);
+    res.json({ success: true, cart: { items: [], subtotal: 0 } });
+
+  } catch (error) {
+    logger.error('Error clearing cart', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to clear cart' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Email Template Preview Routes
+ * Mounted at /api/v1/email-templates
+ *
+ * Open during development and admin-only in production.
+ */
+
+const express = require('express');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { renderSample, hasTemplate, templateNames } = require('../lib/templates');
+
+const router = express.Router();
+
+// Email previews are open during development and admin-only in production
+const previewGuard = process.env.NODE_ENV === 'production' ? [requireAuth, requireAdmin] : [];
+
+/**
+ * GET /api/v1/email-templates
+ * Lists the available email templates
+ */
+router.get('/', previewGuard, (req, res) => {
+  res.json({ success: true, templates: templateNames });
+});
+
+const previewSchema = {
+  params: schema.object({ name: schema.string({ max: 100 }).describe(`One of: ${templateNames.join(', ')}`) }),
+  query: schema.object({ format: schema.oneOf(['html', 'text', 'json']).default('html') })
+};
+
+/**
+ * GET /api/v1/email-templates/:name/preview
+ * Renders a template with its sample data
+ * ?format=html (default) | text | json
+ */
+router.get('/:name/preview', previewGuard, validate(previewSchema), (req, res) => {
+  const { name } = req.params;
+
+  if (!hasTemplate(name)) {
+    return res.status(404).json({ success: false, message: `Unknown email template "${name}"` });
+  }
+
+  const email = renderSample(name);
+
+  switch (req.query.format) {
+    case 'text':
+      return res.type('text/plain').send(email.text);
+    case 'json':
+      return res.json({ success: true, template: name, ...email });
+    default:
+      return res.type('html').send(email.html);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * API Routes
+ * Every API router, in mount order. createApiRouter() mounts them all under one router, which
+ * the app serves at /api/v1 (and, deprecated, at /api). The tags group the endpoints in the
+ * generated API docs (lib/openapi).
+ */
+
+const express = require('express');
+const authRoutes = require('./auth');
+const newsletterRoutes = require('./newsletter');
+const emailTemplateRoutes = require('./email-templates');
+const uploadRoutes = require('./uploads');
+const notificationRoutes = require('./notifications');
+const campaignRoutes = require('./campaigns');
+const mailQueueRoutes = require('./mail-queue');
+const userRoutes = require('./users');
+const stockAlertRoutes = require('./stock-alerts');
+const passwordResetRoutes = require('./password-reset');
+const phoneRoutes = require('./phone');
+const productRoutes = require('./products');
+const maintenanceRoutes = require('./maintenance');
+const cartRoutes = require('./cart');
+const orderRoutes = require('./orders');
+const paymentRoutes = require('./payments');
+
+const API_VERSION = 'v1';
+const API_PREFIX = `/api/${API_VERSION}`;
+
+const API_ROUTES = [
+  { path: '/', router: authRoutes, tag: 'Email verification', description: 'Signup email verification' },
+  { path: '/newsletter', router: newsletterRoutes, tag: 'Newsletter', description: 'Newsletter double opt-in and unsubscribe links' },
+  { path: '/email-templates', router: emailTemplateRoutes, tag: 'Email templates', description: 'Email template previews' },
+  { path: '/phone', router: phoneRoutes, tag: 'Phone verification', description: 'Phone number verification via SMS code' },
+  { path: '/password-reset', router: passwordResetRoutes, tag: 'Password reset', description: 'Password reset via emailed code' },
+  { path: '/products', router: productRoutes, tag: 'Products', description: 'Product catalog' },
+  { path: '/cart', router: cartRoutes, tag: 'Cart', description: 'Shopping cart' },
+  { path: '/orders', router: orderRoutes, tag: 'Orders', description: 'Orders, invoices and the order lifecycle' },
+  { path: '/payments', router: paymentRoutes, tag: 'Payments', description: 'Online payments (checkout, verification, provider webhooks)' },
+  { path: '/upload', router: uploadRoutes, tag: 'Uploads', description: 'Profile photos and product images' },
+  { path: '/', router: notificationRoutes, tag: 'Customer notifications', description: 'Price drop and back-in-stock emails (admin)' },
+  { path: '/maintenance', router: maintenanceRoutes, tag: 'Maintenance', description: 'Cleanup jobs (cron or admin)' },
+  { path: '/campaigns', router: campaignRoutes, tag: 'Campaigns', description: 'Newsletter campaigns (admin)' },
+  { path: '/mail-queue', router: mailQueueRoutes, tag: 'Mail queue', description: 'Outgoing mail queue (worker + admin)' },
+  { path: '/users', router: userRoutes, tag: 'Users', description: 'User settings (notification preferences, wishlist target prices)' },
+  { path: '/stock-alerts', router: stockAlertRoutes, tag: 'Stock alerts', description: 'Back-in-stock subscriptions' }
+];
+
+/**
+ * One router with every API route mounted at its path
+ */
+function createApiRouter() {
+  const router = express.Router();
+  for (const { path, router: routes } of API_ROUTES) {
+    router.use(path, routes);
+  }
+  return router;
+}
+
+module.exports = { API_VERSION, API_PREFIX, API_ROUTES, createApiRouter };
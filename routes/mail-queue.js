@@ -0,0 +1,113 @@
+/**
+ * Mail Queue Routes
+ * Mounted at /api/v1/mail-queue
+ */
+
+const express = require('express');
+const { requireAuth, requireAdmin, requireCronOrAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { serializeDoc } = require('../lib/serialize');
+const { processQueue, retryJob } = require('../lib/mail-queue');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'processing', 'sent', 'dead'];
+
+const listSchema = {
+  query: schema.object({
+    status: schema.oneOf(JOB_STATUSES).optional(),
+    limit: schema.integer({ min: 1, max: 200 }).default(50)
+  })
+};
+
+const retrySchema = {
+  params: schema.object({ id: schema.docId() })
+};
+
+/**
+ * GET|POST /api/v1/mail-queue/process
+ * Drains due jobs from the queue
+ * Called by a cron job (Authorization: Bearer CRON_SECRET) or an admin
+ */
+async function processHandler(req, res) {
+  try {
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    const summary = await processQueue(req.services);
+    if (summary.processed > 0) {
+      logger.info('Mail queue processed', { sent: summary.sent, retrying: summary.retrying, dead: summary.dead });
+    }
+    res.json({ success: true, ...summary });
+
+  } catch (error) {
+    logger.error('Error processing mail queue', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to process mail queue' });
+  }
+}
+
+router.get('/process', requireCronOrAdmin, processHandler);
+router.post('/process', requireCronOrAdmin, processHandler);
+
+// Everything below is admin only
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /api/v1/mail-queue?status=dead
+ * Lists jobs, optionally filtered by status
+ */
+router.get('/', validate(listSchema), async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+
+    let query = req.services.db.collection('mailJobs');
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.limit(limit).get();
+
+    // Leave the rendered body out of listings
+    const jobs = snapshot.docs.map((doc) => {
+      const { message, ...job } = serializeDoc(doc);
+      return { ...job, to: message && message.to, subject: message && message.subject };
+    });
+
+    res.json({ success: true, jobs });
+
+  } catch (error) {
+    logger.error('Error listing mail jobs', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load mail jobs' });
+  }
+});
+
+/**
+ * POST /api/v1/mail-queue/:id/retry
+ * Re-queues a dead job with a fresh set of attempts
+ */
+router.post('/:id/retry', validate(retrySchema), async (req, res) => {
+  try {
+    const status = await retryJob(req.services, req.params.id);
+
+    if (!status) {
+      return res.status(404).json({ success: false, message: 'Mail job not found' });
+    }
+    if (status === 'sent') {
+      return res.status(409).json({ success: false, message: 'Mail job was already sent' });
+    }
+    if (status === 'scrubbed') {
+      return res.status(409).json({ success: false, message: 'Mail job held a one-time code and can\'t be sent again' });
+    }
+
+    res.json({ success: true, message: 'Mail job re-queued' });
+
+  } catch (error) {
+    logger.error('Error retrying mail job', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to retry mail job' });
+  }
+});
+
+module.exports = router;
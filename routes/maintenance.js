@@ -0,0 +1,137 @@
+/**
+ * Maintenance Routes
+ * Mounted at /api/v1/maintenance
+ * Called by a cron job (Authorization: Bearer CRON_SECRET) or an admin
+ */
+
+const express = require('express');
+const { requireCronOrAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { findOrphanedImages, purgeOrphanedImages } = require('../lib/product-images');
+const { retryImageDeletions } = require('../lib/image-deletions');
+const { expireUnpaidOrders } = require('../lib/orders');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireCronOrAdmin);
+
+const DEFAULT_AGE_HOURS = 24;
+
+// Images younger than this may belong to a product that is still being created
+const ageField = schema.number({ min: 0 }).optional()
+  .describe(`Only images at least this many hours old (default ${DEFAULT_AGE_HOURS})`);
+
+const listSchema = {
+  query: schema.object({ olderThanHours: ageField })
+};
+
+const purgeSchema = {
+  query: schema.object({ olderThanHours: ageField }),
+  body: schema.object({ olderThanHours: ageField })
+};
+
+const expireOrdersSchema = {
+  body: schema.object({
+    olderThanMinutes: schema.number({ min: 0 }).optional()
+      .describe('Only orders placed at least this many minutes ago (default ORDER_PAYMENT_TIMEOUT_MINUTES)')
+  })
+};
+
+/**
+ * Read olderThanHours from the body or the query
+ */
+function ageFrom(req) {
+  if (req.body && req.body.olderThanHours !== undefined) return req.body.olderThanHours;
+  if (req.query.olderThanHours !== undefined) return req.query.olderThanHours;
+  return DEFAULT_AGE_HOURS;
+}
+
+/**
+ * GET /api/v1/maintenance/orphaned-images?olderThanHours=24
+ * Lists stored product images that no product references
+ */
+router.get('/orphaned-images', validate(listSchema), async (req, res) => {
+  try {
+    const olderThanHours = ageFrom(req);
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    const { scanned, orphaned } = await findOrphanedImages(req.services, { olderThanHours });
+    res.json({ success: true, scanned, orphanedCount: orphaned.length, orphaned });
+
+  } catch (error) {
+    logger.error('Error finding orphaned images', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to check images' });
+  }
+});
+
+/**
+ * POST /api/v1/maintenance/orphaned-images/purge
+ * Body: { olderThanHours? } - deletes the images the GET endpoint lists
+ */
+router.post('/orphaned-images/purge', validate(purgeSchema), async (req, res) => {
+  try {
+    const olderThanHours = ageFrom(req);
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    const { scanned, orphaned, deleted, failed } = await purgeOrphanedImages(req.services, { olderThanHours });
+    logger.info('Orphaned image purge', { deleted: deleted.length, orphaned: orphaned.length, scanned });
+
+    res.json({ success: true, scanned, orphanedCount: orphaned.length, deleted, failed });
+
+  } catch (error) {
+    logger.error('Error purging orphaned images', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to purge images' });
+  }
+});
+
+/**
+ * POST /api/v1/maintenance/image-deletions/retry
+ * Retries image deletes that failed earlier (replaced profile photos, removed gallery images)
+ */
+router.post('/image-deletions/retry', async (req, res) => {
+  try {
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    const result = await retryImageDeletions(req.services);
+    logger.info('Image deletion retry', { deleted: result.deleted, failed: result.failed });
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error('Error retrying image deletions', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to retry image deletions' });
+  }
+});
+
+/**
+ * POST /api/v1/maintenance/unpaid-orders/expire
+ * Body: { olderThanMinutes? } - cancels placed orders that weren't paid in time, restocking them
+ */
+router.post('/unpaid-orders/expire', validate(expireOrdersSchema), async (req, res) => {
+  try {
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    const result = await expireUnpaidOrders(req.services, { olderThanMinutes: req.body.olderThanMinutes });
+    logger.info('Unpaid order expiry', { cancelled: result.cancelled.length, skipped: result.skipped.length });
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error('Error expiring unpaid orders', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to expire unpaid orders' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+/**
+ * Newsletter Routes
+ * Mounted at /api/v1/newsletter
+ *
+ * Double opt-in: subscribing stores a pending subscriber and emails a signed confirmation
+ * link; the welcome email goes out once the subscription is confirmed. Every newsletter email
+ * carries a signed unsubscribe link, including the RFC 8058 one-click variant. Opening either
+ * link only asks - mail scanners open links too - and the page's button POSTs the token.
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { rateLimit } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { enqueueEmail } = require('../lib/mail-queue');
+const { renderEmail, renderPage } = require('../lib/templates');
+const {
+  CONFIRM_TOKEN_TTL_HOURS,
+  isActiveSubscriber,
+  confirmUrl,
+  unsubscribeUrl,
+  listUnsubscribeHeaders,
+  readConfirmToken,
+  readUnsubscribeToken
+} = require('../lib/newsletter');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const newsletterSubscribeLimit = rateLimit({ name: 'newsletter-subscribe', windowMs: 60 * 60 * 1000, limits: { ip: 10, email: 3 } });
+const newsletterLinkLimit = rateLimit({ name: 'newsletter-link', windowMs: 15 * 60 * 1000, limits: { ip: 30 } });
+
+const subscribeSchema = {
+  body: schema.object({ email: schema.email() })
+};
+
+// Signed token from a newsletter email. A missing or bad token on a link opened in the browser
+// gets the friendly HTML page, not the JSON 400, so it is optional here and checked by the route.
+const tokenField = schema.string({ max: 2048 }).optional();
+
+const linkSchema = {
+  query: schema.object({ token: tokenField })
+};
+
+// The confirmation page's button sends the token as a form field
+const confirmSchema = {
+  body: schema.object({ token: tokenField })
+};
+
+// One-click unsubscribe sends the token in the query or as a form field
+const oneClickSchema = {
+  query: schema.object({ token: tokenField }),
+  body: schema.object({ token: tokenField })
+};
+
+/**
+ * POST /api/v1/newsletter/subscribe
+ * Starts a double opt-in subscription: stores the subscriber as pending
+ * and emails a signed confirmation link
+ */
+router.post('/subscribe', newsletterSubscribeLimit, validate(subscribeSchema), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    // Check if already subscribed
+    const subscriberRef = req.services.db.collection('newsletterSubscribers').doc(email);
+    const existingSubscriber = await subscriberRef.get();
+    if (existingSubscriber.exists && isActiveSubscriber(existingSubscriber.data())) {
+      logger.info('Newsletter subscription request for an active subscriber', { email });
+      return res.json({ success: true, message: 'You are already subscribed to our newsletter!' });
+    }
+
+    // Store subscriber as pending until the confirmation link is clicked
+    await subscriberRef.set({
+      email: email,
+      status: 'pending',
+      active: false,
+      requestedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    // Send confirmation email
+    await enqueueEmail(req.services, {
+      to: email,
+      ...renderEmail('newsletter-confirm', {
+        confirmUrl: confirmUrl(req.services, email),
+        expiresInHours: CONFIRM_TOKEN_TTL_HOURS
+      })
+    }, { category: 'newsletter-confirm', sendNow: true });
+    logger.info('Newsletter confirmation link sent', { email });
+
+    res.json({ success: true, message: 'Almost done! Check your email to confirm your subscription.' });
+
+  } catch (error) {
+    logger.error('Error subscribing to newsletter', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to subscribe. Please try again.' });
+  }
+});
+
+/**
+ * GET /api/v1/newsletter/confirm?token=...
+ * Opened from the confirmation email - asks for confirmation, then POSTs the token
+ */
+router.get('/confirm', newsletterLinkLimit, validate(linkSchema), (req, res) => {
+  if (!readConfirmToken(req.services, req.query.token)) {
+    return res.status(400).type('html').send(renderPage({
+      title: 'Link expired',
+      message: 'This confirmation link is invalid or has expired. Please subscribe again.'
+    }));
+  }
+
+  res.type('html').send(renderPage({
+    title: 'Confirm your subscription',
+    message: 'Confirm that you want to receive the SRE LAKSHME newsletter.',
+    form: { action: req.baseUrl + req.path, fields: { token: req.query.token }, label: 'Confirm subscription' }
+  }));
+});
+
+/**
+ * POST /api/v1/newsletter/confirm
+ * The confirmation page's button - activates the subscription and sends the welcome email.
+ * Browsers get a page back, everything else JSON.
+ */
+router.post('/confirm', newsletterLinkLimit, express.urlencoded({ extended: false }), validate(confirmSchema), async (req, res) => {
+  try {
+    const email = readConfirmToken(req.services, req.body.token);
+    const wantsPage = req.accepts(['json', 'html']) === 'html';
+
+    if (!email) {
+      if (wantsPage) {
+        return res.status(400).type('html').send(renderPage({
+          title: 'Link expired',
+          message: 'This confirmation link is invalid or has expired. Please subscribe again.'
+        }));
+      }
+      return res.status(400).json({ success: false, message: 'Invalid or expired confirmation token' });
+    }
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    const subscriberRef = req.services.db.collection('newsletterSubscribers').doc(email);
+    const subscriber = await subscriberRef.get();
+
+    if (!subscriber.exists || !isActiveSubscriber(subscriber.data())) {
+      await subscriberRef.set({
+        email: email,
+        status: 'active',
+        active: true,
+        confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
+        subscribedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      await enqueueEmail(req.services, {
+        to: email,
+        headers: listUnsubscribeHeaders(req.services, email),
+        ...renderEmail('newsletter-welcome', { unsubscribeUrl: unsubscribeUrl(req.services, email) })
+      }, { category: 'newsletter-welcome', sendNow: true });
+      logger.info('Newsletter subscription confirmed', { email });
+    }
+
+    if (wantsPage) {
+      return res.type('html').send(renderPage({
+        title: 'Subscription confirmed',
+        message: 'Thank you! You are now subscribed to the SRE LAKSHME newsletter.'
+      }));
+    }
+    res.json({ success: true, message: 'Subscription confirmed' });
+
+  } catch (error) {
+    logger.error('Error confirming newsletter subscription', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to confirm subscription. Please try again.' });
+  }
+});
+
+/**
+ * Mark a subscriber as unsubscribed
+ */
+async function unsubscribeNewsletter(services, email) {
+  await services.db.collection('newsletterSubscribers').doc(email).set({
+    email: email,
+    status: 'unsubscribed',
+    active: false,
+    unsubscribedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  logger.info('Newsletter unsubscribed', { email });
+}
+
+/**
+ * GET /api/v1/newsletter/unsubscribe?token=...
+ * Unsubscribe link in the footer of marketing emails - asks for confirmation, then POSTs the token
+ */
+router.get('/unsubscribe', newsletterLinkLimit, validate(linkSchema), (req, res) => {
+  if (!readUnsubscribeToken(req.services, req.query.token)) {
+    return res.status(400).type('html').send(renderPage({
+      title: 'Invalid link',
+      message: 'This unsubscribe link is invalid. Please use the link from one of our emails.'
+    }));
+  }
+
+  res.type('html').send(renderPage({
+    title: 'Unsubscribe from our newsletter?',
+    message: 'You will no longer receive newsletter emails from SRE LAKSHME.',
+    form: { action: req.baseUrl + req.path, fields: { token: req.query.token }, label: 'Unsubscribe' }
+  }));
+});
+
+/**
+ * POST /api/v1/newsletter/unsubscribe?token=...
+ * The confirmation page's button, and RFC 8058 one-click unsubscribe called by mail clients via
+ * List-Unsubscribe-Post. Browsers get a page back, everything else JSON.
+ */
+router.post('/unsubscribe', newsletterLinkLimit, express.urlencoded({ extended: false }), validate(oneClickSchema), async (req, res) => {
+  try {
+    const email = readUnsubscribeToken(req.services, req.query.token || req.body.token);
+    const wantsPage = req.accepts(['json', 'html']) === 'html';
+
+    if (!email) {
+      if (wantsPage) {
+        return res.status(400).type('html').send(renderPage({
+          title: 'Invalid link',
+          message: 'This unsubscribe link is invalid. Please use the link from one of our emails.'
+        }));
+      }
+      return res.status(400).json({ success: false, message: 'Invalid unsubscribe token' });
+    }
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    await unsubscribeNewsletter(req.services, email);
+
+    if (wantsPage) {
+      return res.type('html').send(renderPage({
+        title: 'You have been unsubscribed',
+        message: 'You will no longer receive newsletter emails from SRE LAKSHME.'
+      }));
+    }
+    res.json({ success: true, message: 'You have been unsubscribed' });
+
+  } catch (error) {
+    logger.error('Error unsubscribing from newsletter', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to unsubscribe. Please try again.' });
+  }
+});
+
+module.exports = router;
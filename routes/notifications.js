@@ -0,0 +1,160 @@
+/**
+ * Customer Notification Routes
+ * Mounted at /api/v1
+ *
+ * Admin triggers for the price drop and back-in-stock emails. Recipients are worked out by
+ * lib/price-alerts and lib/stock-alerts; the emails themselves go through the mail queue.
+ */
+
+const express = require('express');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { CATEGORIES } = require('../lib/notification-preferences');
+const { notifyPriceDrop } = require('../lib/price-alerts');
+const { notifyBackInStock } = require('../lib/stock-alerts');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const dryRunField = schema.boolean().default(false);
+
+const priceDropSchema = {
+  query: schema.object({ dryRun: dryRunField }),
+  body: schema.object({
+    productId: schema.docId(),
+    productName: schema.string({ max: 200 }),
+    productImage: schema.string({ max: 2048 }).optional(),
+    category: schema.oneOf(CATEGORIES).optional(),
+    oldPrice: schema.number({ positive: true }),
+    newPrice: schema.number({ positive: true }),
+    dryRun: dryRunField
+  })
+};
+
+const backInStockSchema = {
+  query: schema.object({ dryRun: dryRunField }),
+  body: schema.object({
+    productId: schema.docId(),
+    productName: schema.string({ max: 200 }),
+    productImage: schema.string({ max: 2048 }).optional(),
+    price: schema.number({ positive: true }).optional(),
+    dryRun: dryRunField
+  })
+};
+
+/**
+ * POST /api/v1/notify-price-drop
+ * Sends email notifications to users who have the product in their wishlist when price is reduced
+ * Users' notification preferences, wishlist target prices and the per-product alert cooldown are respected.
+ * Optional category ('electronics' | 'furniture') is matched against users' category toggles.
+ * Pass dryRun: true (or ?dryRun=true) to list who would be notified without sending anything
+ * Admin only
+ */
+router.post('/notify-price-drop', requireAuth, requireAdmin, validate(priceDropSchema), async (req, res) => {
+  try {
+    const { productId, productName, productImage, category, oldPrice, newPrice } = req.body;
+    const dryRun = req.body.dryRun || req.query.dryRun;
+
+    // Only send notifications if price was reduced
+    if (newPrice >= oldPrice) {
+      return res.json({
+        success: true,
+        message: 'Price was not reduced, no notifications sent',
+        notifiedCount: 0
+      });
+    }
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    logger.info('Price drop detected', { productId, oldPrice, newPrice, dryRun });
+
+    const result = await notifyPriceDrop(req.services, { productId, productName, productImage, category, oldPrice, newPrice }, { dryRun });
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${result.recipients.length} users would be notified`,
+        ...result
+      });
+    }
+
+    if (result.totalWishlistUsers === 0) {
+      return res.json({
+        success: true,
+        message: 'No users have this product in their wishlist',
+        notifiedCount: 0
+      });
+    }
+
+    logger.info('Price drop notifications queued', { productId, queued: result.queuedCount, duplicates: result.duplicateCount, wishlistUsers: result.totalWishlistUsers });
+
+    res.status(202).json({
+      success: true,
+      message: `Price drop notifications queued for ${result.queuedCount} users`,
+      notifiedCount: result.queuedCount,
+      duplicateCount: result.duplicateCount,
+      skippedCounts: result.skippedCounts,
+      totalWishlistUsers: result.totalWishlistUsers
+    });
+
+  } catch (error) {
+    logger.error('Error sending price drop notifications', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to send notifications' });
+  }
+});
+
+/**
+ * POST /api/v1/notify-back-in-stock
+ * Emails everyone who asked to be told when the product is available again,
+ * then clears their subscriptions
+ * Pass dryRun: true (or ?dryRun=true) to list who would be notified without sending anything
+ * Admin only
+ */
+router.post('/notify-back-in-stock', requireAuth, requireAdmin, validate(backInStockSchema), async (req, res) => {
+  try {
+    const { productId, productName, productImage, price } = req.body;
+    const dryRun = req.body.dryRun || req.query.dryRun;
+
+    logger.info('Back in stock', { productId, dryRun });
+
+    const result = await notifyBackInStock(
+      req.services,
+      { productId, productName, productImage, price },
+      { dryRun, triggeredBy: req.user.uid }
+    );
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${result.subscriberCount} subscribers would be notified`,
+        ...result
+      });
+    }
+
+    if (result.subscriberCount === 0) {
+      return res.json({
+        success: true,
+        message: 'No one is waiting for this product',
+        notifiedCount: 0
+      });
+    }
+
+    logger.info('Back-in-stock notifications queued', { productId, queued: result.queuedCount });
+
+    res.status(202).json({
+      success: true,
+      message: `Back-in-stock notifications queued for ${result.queuedCount} subscribers`,
+      notifiedCount: result.queuedCount,
+      notificationId: result.notificationId
+    });
+
+  } catch (error) {
+    logger.error('Error sending back-in-stock notifications', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to send notifications' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+/**
+ * Order Routes
+ * Mounted at /api/v1/orders
+ *
+ * Customers place orders from their cart, see their own orders, download GST invoices and
+ * can cancel orders until they ship. Admins see every order and move orders through the
+ * lifecycle; each status change emails the customer.
+ */
+
+const express = require('express');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { serializeDoc, serializeValue } = require('../lib/serialize');
+const {
+  ORDER_STATUSES,
+  CUSTOMER_CANCELLABLE,
+  addressSchema,
+  placeOrder,
+  updateOrderStatus,
+  listOrders
+} = require('../lib/orders');
+const { issueInvoice, buildInvoice, invoiceFilename } = require('../lib/invoices');
+const { renderInvoicePdf } = require('../lib/invoice-pdf');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const placeLimit = rateLimit({ name: 'place-order', windowMs: 60 * 60 * 1000, limits: { uid: 20 } });
+
+const orderParams = schema.object({ id: schema.docId() });
+
+const placeSchema = {
+  body: schema.object({ shippingAddress: addressSchema })
+};
+
+const listSchema = {
+  query: schema.object({
+    status: schema.oneOf(ORDER_STATUSES).optional(),
+    limit: schema.integer({ min: 1, max: 100 }).default(20),
+    cursor: schema.docId().optional().describe('nextCursor from the previous page')
+  })
+};
+
+const orderIdSchema = { params: orderParams };
+
+const cancelSchema = {
+  params: orderParams,
+  body: schema.object({ reason: schema.string({ max: 500 }).nullable().optional() })
+};
+
+const statusSchema = {
+  params: orderParams,
+  body: schema.object({
+    status: schema.oneOf(ORDER_STATUSES.filter((status) => status !== 'placed')),
+    note: schema.string({ max: 500 }).nullable().optional(),
+    trackingNumber: schema.string({ max: 100 }).nullable().optional(),
+    carrier: schema.string({ max: 100 }).nullable().optional()
+  })
+};
+
+async function sendOrderList(req, res, options) {
+  try {
+    const { docs, nextCursor } = await listOrders(req.services, options);
+    res.json({ success: true, orders: docs.map(serializeDoc), nextCursor });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Error listing orders', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load orders' });
+  }
+}
+
+/**
+ * Load an order the signed-in user may see (their own, or any for admins) or send 404
+ */
+async function loadVisibleOrder(req, res) {
+  const doc = await req.services.db.collection('orders').doc(req.params.id).get();
+
+  let visible = doc.exists && doc.data().uid === req.user.uid;
+  if (doc.exists && !visible) {
+    const userDoc = await req.services.db.collection('users').doc(req.user.uid).get();
+    visible = userDoc.exists && userDoc.data().role === 'admin';
+  }
+  if (!visible) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return null;
+  }
+  return doc;
+}
+
+router.use(requireAuth);
+
+/**
+ * POST /api/v1/orders
+ * Place an order for everything in the cart
+ * Body: { shippingAddress: { name, phone, line1, line2?, city, state, pincode } }
+ * Headers: Idempotency-Key (optional) - retries with the same key return the first order
+ */
+router.post('/', placeLimit, validate(placeSchema), async (req, res) => {
+  try {
+    const address = req.body.shippingAddress;
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && !/^[\w-]{8,128}$/.test(idempotencyKey)) {
+      return res.status(400).json({ success: false, message: 'Idempotency-Key must be 8-128 letters, digits, dashes or underscores' });
+    }
+
+    const result = await placeOrder(req.services, {
+      uid: req.user.uid,
+      email: req.user.email,
+      address,
+      idempotencyKey
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error, problems: result.problems });
+    }
+
+    if (!result.duplicate) {
+      logger.info('Order placed', { orderId: result.id, orderNumber: result.order.orderNumber, total: result.order.total });
+    }
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      duplicate: result.duplicate,
+      order: { id: result.id, ...serializeValue(result.order) }
+    });
+
+  } catch (error) {
+    logger.error('Error placing order', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to place order' });
+  }
+});
+
+/**
+ * GET /api/v1/orders
+ * The signed-in user's orders, newest first
+ * Query: status, limit (1-100, default 20), cursor
+ */
+router.get('/', validate(listSchema), (req, res) => {
+  sendOrderList(req, res, { ...req.query, uid: req.user.uid });
+});
+
+/**
+ * GET /api/v1/orders/all
+ * Every order, newest first (admin only)
+ * Query: status, limit (1-100, default 20), cursor
+ */
+router.get('/all', requireAdmin, validate(listSchema), (req, res) => {
+  sendOrderList(req, res, req.query);
+});
+
+/**
+ * GET /api/v1/orders/:id
+ * Customers can only see their own orders; admins can see any
+ */
+router.get('/:id', validate(orderIdSchema), async (req, res) => {
+  try {
+    const doc = await loadVisibleOrder(req, res);
+    if (!doc) return;
+
+    res.json({ success: true, order: serializeDoc(doc) });
+
+  } catch (error) {
+    logger.error('Error loading order', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load order' });
+  }
+});
+
+/**
+ * GET /api/v1/orders/:id/invoice
+ * GST tax invoice as a PDF (issued now if the order doesn't have one yet)
+ * 409 for orders that aren't confirmed yet, and for cancelled orders
+ */
+router.get('/:id/invoice', validate(orderIdSchema), async (req, res) => {
+  try {
+    const doc = await loadVisibleOrder(req, res);
+    if (!doc) return;
+
+    const result = await issueInvoice(req.services, doc.id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const pdf = await renderInvoicePdf(buildInvoice(result.order));
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${invoiceFilename(result.order.invoice)}"`);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(pdf);
+
+  } catch (error) {
+    logger.error('Error generating invoice', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to generate invoice' });
+  }
+});
+
+/**
+ * POST /api/v1/orders/:id/cancel
+ * Cancel your own order before it ships
+ * Body: { reason? }
+ */
+router.post('/:id/cancel', validate(cancelSchema), async (req, res) => {
+  try {
+    const reason = req.body.reason || null;
+
+    const result = await updateOrderStatus(req.services, req.params.id, 'cancelled', {
+      by: req.user.uid,
+      uid: req.user.uid,
+      allowedFrom: CUSTOMER_CANCELLABLE,
+      note: reason
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    logger.info('Order cancelled by customer', { orderId: req.params.id, orderNumber: result.order.orderNumber });
+    res.json({ success: true, order: { id: req.params.id, ...serializeValue(result.order) } });
+
+  } catch (error) {
+    logger.error('Error cancelling order', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to cancel order' });
+  }
+});
+
+/**
+ * PUT /api/v1/orders/:id/status
+ * Move an order to its next status (admin only)
+ * Body: { status, note?, trackingNumber?, carrier? }
+ */
+router.put('/:id/status', requireAdmin, validate(statusSchema), async (req, res) => {
+  try {
+    const { status, note, trackingNumber, carrier } = req.body;
+
+    const result = await updateOrderStatus(req.services, req.params.id, status, {
+      by: req.user.uid,
+      note: note || null,
+      trackingNumber: trackingNumber || null,
+      carrier: carrier || null
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    logger.info('Order status changed', { orderId: req.params.id, orderNumber: result.order.orderNumber, status });
+    res.json({ success: true, order: { id: req.params.id, ...serializeValue(result.order) } });
+
+  } catch (error) {
+    logger.error('Error updating order status', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to update order status' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * Password Reset Routes
+ * Mounted at /api/v1/password-reset
+ *
+ * A 6-digit code is emailed with our branded layout; confirming it sets the new password
+ * through Firebase Auth and signs the user out everywhere. Codes have their own expiry,
+ * attempt and resend limits, separate from signup verification.
+ */
+
+const express = require('express');
+const { OtpError, createOtpFlow, sendOtpError } = require('../lib/otp');
+const { enqueueEmail } = require('../lib/mail-queue');
+const { renderEmail } = require('../lib/templates');
+const { rateLimit } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const passwordReset = createOtpFlow({
+  name: 'password-reset',
+  ttlMinutes: 15,
+  maxAttempts: 3,
+  resendCooldownSeconds: 60,
+  dailyLimit: 3,
+  lockoutMinutes: 30
+});
+
+const requestLimit = rateLimit({ name: 'password-reset-request', windowMs: 15 * 60 * 1000, limits: { ip: 10, email: 5 } });
+const confirmLimit = rateLimit({ name: 'password-reset-confirm', windowMs: 15 * 60 * 1000, limits: { ip: 20, email: 10 } });
+
+// Same answer whether or not the account exists - and whether or not a code could be sent, since
+// only existing accounts hit the cooldown and daily limits - so the endpoint can't probe emails.
+// The code is left to the mail worker rather than sent inline, so the answer isn't slower either.
+const REQUEST_ACCEPTED = 'If an account exists for this email, a reset code has been sent.';
+
+const requestSchema = {
+  body: schema.object({ email: schema.email() })
+};
+
+// All of it is checked before the code, so a weak password doesn't use up an attempt
+const confirmSchema = {
+  body: schema.object({
+    email: schema.email(),
+    otp: schema.string({ pattern: /^\d{6}$/, patternReason: 'must be a 6-digit code' }),
+    newPassword: schema.string({ min: MIN_PASSWORD_LENGTH, max: 4096, trim: false })
+  })
+};
+
+/**
+ * POST /api/v1/password-reset/request
+ * Body: { email }
+ * Queues a reset code for an existing account
+ */
+router.post('/request', requestLimit, validate(requestSchema), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    let user;
+    try {
+      user = await req.services.auth.getUserByEmail(email);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        logger.warn('Password reset requested for an unknown email', { email });
+        return res.json({ success: true, message: REQUEST_ACCEPTED });
+      }
+      throw error;
+    }
+
+    let otp;
+    try {
+      ({ otp } = await passwordReset.issue(req.services, email, { uid: user.uid, email }));
+    } catch (error) {
+      if (error instanceof OtpError) {
+        logger.warn('Password reset code refused', { email, reason: error.code });
+        return res.json({ success: true, message: REQUEST_ACCEPTED });
+      }
+      throw error;
+    }
+
+    await enqueueEmail(req.services, {
+      to: email,
+      ...renderEmail('password-reset', {
+        fullName: user.displayName,
+        otp,
+        expiresInMinutes: passwordReset.ttlMinutes
+      })
+    }, { category: 'password-reset', sensitive: true });
+
+    logger.info('Password reset code queued', { email });
+    res.json({ success: true, message: REQUEST_ACCEPTED });
+
+  } catch (error) {
+    logger.error('Error requesting password reset', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to send reset code. Please try again.' });
+  }
+});
+
+/**
+ * POST /api/v1/password-reset/confirm
+ * Body: { email, otp, newPassword }
+ * Sets the new password and revokes existing refresh tokens
+ */
+router.post('/confirm', confirmLimit, validate(confirmSchema), async (req, res) => {
+  try {
+    const { email, otp, newPassword } = req.body;
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    let record;
+    try {
+      record = await passwordReset.verify(req.services, email, otp);
+    } catch (error) {
+      if (error instanceof OtpError) {
+        logger.warn('Password reset verification failed', { email, reason: error.code });
+        return sendOtpError(res, error);
+      }
+      throw error;
+    }
+
+    await req.services.auth.updateUser(record.uid, { password: newPassword });
+    await req.services.auth.revokeRefreshTokens(record.uid);
+
+    logger.info('Password reset', { email, uid: record.uid });
+    res.json({ success: true, message: 'Password updated. Please sign in with your new password.' });
+
+  } catch (error) {
+    logger.error('Error confirming password reset', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to reset password. Please try again.' });
+  }
+});
+
+module.exports = router;
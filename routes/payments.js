@@ -0,0 +1,138 @@
+/**
+ * Payment Routes
+ * Mounted at /api/v1/payments
+ *
+ * The storefront starts a checkout for a placed order, opens the provider's checkout with the
+ * details returned, and sends the signed result back to /verify. The provider also reports
+ * payments to /webhook, so an order is marked paid even if the customer closes the page
+ * before /verify is called.
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { startCheckout, completeCheckout, handlePaymentWebhook } = require('../lib/order-payments');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const checkoutLimit = rateLimit({ name: 'payment-checkout', windowMs: 15 * 60 * 1000, limits: { uid: 20 } });
+
+router.use((req, res, next) => {
+  if (!req.services.db) {
+    return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+  }
+  next();
+});
+
+/**
+ * POST /api/v1/payments/webhook
+ * Called by the payment provider. The body arrives unparsed (see server.js) because the
+ * signature is an HMAC of the exact bytes sent.
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const driver = req.services.payments && req.services.payments.driver;
+    if (!driver) {
+      return res.status(503).json({ success: false, message: 'Payments are not configured' });
+    }
+
+    const signature = req.get('X-Razorpay-Signature');
+    if (!Buffer.isBuffer(req.body) || !driver.verifyWebhook(req.body, signature)) {
+      logger.warn('Payment webhook with an invalid signature rejected');
+      return res.status(400).json({ success: false, message: 'Invalid signature' });
+    }
+
+    let event;
+    try {
+      event = driver.parseWebhook(req.body, req.headers);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook payload' });
+    }
+
+    const { duplicate, result } = await handlePaymentWebhook(req.services, event);
+    logger.info('Payment webhook handled', { type: event.type, eventId: event.id, duplicate, result });
+    res.json({ success: true, duplicate, result });
+
+  } catch (error) {
+    // A non-2xx response makes the provider deliver the event again later
+    logger.error('Error handling payment webhook', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to process webhook' });
+  }
+});
+
+router.use(requireAuth);
+
+const checkoutSchema = {
+  body: schema.object({ orderId: schema.docId() })
+};
+
+const providerId = schema.string({ max: 256 });
+
+const verifySchema = {
+  body: schema.object({
+    orderId: schema.docId(),
+    razorpay_order_id: providerId,
+    razorpay_payment_id: providerId,
+    razorpay_signature: providerId
+  })
+};
+
+/**
+ * POST /api/v1/payments/checkout
+ * Body: { orderId }
+ * Returns what the provider's checkout needs (key, provider order id, amount in paise, prefill)
+ */
+router.post('/checkout', checkoutLimit, validate(checkoutSchema), async (req, res) => {
+  try {
+    const result = await startCheckout(req.services, req.body.orderId, req.user.uid);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, checkout: result.checkout });
+
+  } catch (error) {
+    logger.error('Error starting checkout', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to start payment' });
+  }
+});
+
+/**
+ * POST /api/v1/payments/verify
+ * Body: { orderId, razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ * (the fields the checkout hands back after a successful payment)
+ */
+router.post('/verify', validate(verifySchema), async (req, res) => {
+  try {
+    const { body } = req;
+
+    const result = await completeCheckout(req.services, {
+      orderId: body.orderId,
+      uid: req.user.uid,
+      providerOrderId: body.razorpay_order_id,
+      paymentId: body.razorpay_payment_id,
+      signature: body.razorpay_signature
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const { status, paymentId, method } = result.payment;
+    res.json({ success: true, payment: { status, paymentId, method } });
+
+  } catch (error) {
+    logger.error('Error verifying payment', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to verify payment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+/**
+ * Phone Verification Routes
+ * Mounted at /api/v1/phone
+ *
+ * Signed-in users verify a mobile number with a 6-digit SMS code. Codes use the same
+ * otpVerifications record model as email verification, keyed by the user and the E.164 number,
+ * so nobody can replace, guess at or lock out a code someone else requested for a number.
+ * A successful check sets phoneNumber and phoneVerified on the users document.
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { OtpError, createOtpFlow, sendOtpError } = require('../lib/otp');
+const { normalizePhone, maskPhone } = require('../lib/phone');
+const { brand } = require('../lib/templates/brand');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+// SMS is optional (lib/sms) - without it nobody can receive a code
+router.use((req, res, next) => {
+  if (!req.services.sms) {
+    return res.status(503).json({ success: false, message: 'Phone verification is not available right now' });
+  }
+  next();
+});
+
+const phoneVerification = createOtpFlow({
+  name: 'phone-verification',
+  ttlMinutes: 10,
+  maxAttempts: 5,
+  resendCooldownSeconds: Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+  dailyLimit: Number(process.env.OTP_DAILY_LIMIT) || 5
+});
+
+// A code only ever verifies the number for the user who asked for it
+function verificationKey(uid, phone) {
+  return `${uid}:${phone}`;
+}
+
+const sendLimit = rateLimit({ name: 'phone-send-otp', windowMs: 15 * 60 * 1000, limits: { uid: 5, ip: 10 } });
+const verifyLimit = rateLimit({ name: 'phone-verify-otp', windowMs: 15 * 60 * 1000, limits: { uid: 20, ip: 30 } });
+
+/**
+ * Another account that already verified this number, if any
+ */
+async function findOtherOwner(services, phone, uid) {
+  const snapshot = await services.db.collection('users')
+    .where('phoneNumber', '==', phone)
+    .where('phoneVerified', '==', true)
+    .limit(2)
+    .get();
+  return snapshot.docs.find((doc) => doc.id !== uid) || null;
+}
+
+// Any common way of writing the number; the route gets it in E.164
+const phoneField = schema.string({ max: 30 })
+  .transform(normalizePhone, 'must be a valid mobile number')
+  .describe('Mobile number, e.g. "98765 43210" or "+91 98765 43210"');
+
+const sendOtpSchema = {
+  body: schema.object({ phone: phoneField })
+};
+
+const verifyOtpSchema = {
+  body: schema.object({
+    phone: phoneField,
+    otp: schema.string({ pattern: /^\d{6}$/, patternReason: 'must be a 6-digit code' })
+  })
+};
+
+/**
+ * POST /api/v1/phone/send-otp
+ * Body: { phone }
+ */
+router.post('/send-otp', requireAuth, sendLimit, validate(sendOtpSchema), async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    if (await findOtherOwner(req.services, phone, req.user.uid)) {
+      return res.status(409).json({ success: false, message: 'This mobile number is already linked to another account' });
+    }
+
+    let otp;
+    try {
+      ({ otp } = await phoneVerification.issue(req.services, verificationKey(req.user.uid, phone), { uid: req.user.uid, phone }));
+    } catch (error) {
+      if (error instanceof OtpError) {
+        logger.warn('Phone OTP request refused', { phone, reason: error.code });
+        return sendOtpError(res, error);
+      }
+      throw error;
+    }
+
+    try {
+      await req.services.sms.send({
+        to: phone,
+        body: `${otp} is your ${brand.name} verification code. It expires in ${phoneVerification.ttlMinutes} minutes. Do not share it with anyone.`
+      });
+    } catch (error) {
+      // The user never got this code, so it mustn't hold them to the cooldown or daily cap
+      logger.error('Phone OTP SMS failed', { err: error, phone });
+      await phoneVerification.withdraw(req.services, verificationKey(req.user.uid, phone), otp);
+      return res.status(502).json({ success: false, message: 'Could not send the code by SMS. Please try again.' });
+    }
+
+    logger.info('Phone OTP sent', { phone, uid: req.user.uid });
+    res.json({ success: true, message: 'OTP sent successfully', phone: maskPhone(phone) });
+
+  } catch (error) {
+    logger.error('Error sending phone OTP', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to send OTP. Please try again.' });
+  }
+});
+
+/**
+ * POST /api/v1/phone/verify-otp
+ * Body: { phone, otp }
+ */
+router.post('/verify-otp', requireAuth, verifyLimit, validate(verifyOtpSchema), async (req, res) => {
+  try {
+    const { phone, otp } = req.body;
+
+    try {
+      await phoneVerification.verify(req.services, verificationKey(req.user.uid, phone), otp);
+    } catch (error) {
+      if (error instanceof OtpError) {
+        logger.warn('Phone OTP verification failed', { phone, reason: error.code });
+        return sendOtpError(res, error);
+      }
+      throw error;
+    }
+
+    if (await findOtherOwner(req.services, phone, req.user.uid)) {
+      return res.status(409).json({ success: false, message: 'This mobile number is already linked to another account' });
+    }
+
+    await req.services.db.collection('users').doc(req.user.uid).set({
+      phoneNumber: phone,
+      phoneVerified: true,
+      phoneVerifiedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    logger.info('Phone number verified', { phone, uid: req.user.uid });
+    res.json({ success: true, message: 'Mobile number verified successfully', phoneNumber: phone });
+
+  } catch (error) {
+    logger.error('Error verifying phone OTP', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to verify OTP. Please try again.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,337 @@
+/**
+ * Product Catalog Routes
+ * Mounted at /api/v1/products
+ *
+ * Reading is public; creating, updating and deleting is admin only.
+ * Lowering the price of a product sends the wishlist price-drop alerts automatically.
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { acceptImages } = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { serializeDoc } = require('../lib/serialize');
+const { deleteImagesOrQueue } = require('../lib/image-deletions');
+const {
+  productSchema,
+  productUpdateSchema,
+  listQuerySchema,
+  validateProduct,
+  listQueryError,
+  listProducts,
+  updateProduct,
+  handlePriceChange,
+  MAX_IMAGES
+} = require('../lib/products');
+const {
+  PRODUCT_IMAGE_LIMITS,
+  removedImages,
+  addProductImages,
+  arrangeProductImages,
+  removeProductImage
+} = require('../lib/product-images');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+/**
+ * Deleted products are only visible to admins who ask for them with ?includeDeleted=true
+ * (after validation, which turns the flag into a boolean)
+ */
+function adminForDeleted(req, res, next) {
+  if (req.query.includeDeleted !== true) {
+    return next();
+  }
+  requireAuth(req, res, () => requireAdmin(req, res, next));
+}
+
+/**
+ * Load a product by id or send 404 (deleted products count as missing unless includeDeleted)
+ */
+async function loadProduct(req, res) {
+  const doc = await req.services.db.collection('products').doc(req.params.id).get();
+  if (!doc.exists || (doc.data().deleted && req.query.includeDeleted !== true)) {
+    res.status(404).json({ success: false, message: 'Product not found' });
+    return null;
+  }
+  return doc;
+}
+
+router.use((req, res, next) => {
+  if (!req.services.db) {
+    return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+  }
+  next();
+});
+
+const productParams = schema.object({ id: schema.docId() });
+
+const listSchema = { query: listQuerySchema };
+
+const getSchema = {
+  params: productParams,
+  query: schema.object({ includeDeleted: schema.boolean().default(false).describe('Admin only') })
+};
+
+const createSchema = { body: productSchema };
+
+const updateSchema = { params: productParams, body: productUpdateSchema };
+
+const productIdSchema = { params: productParams };
+
+const primaryField = schema.boolean().optional().describe('Put the new images at the front of the gallery');
+
+const addImagesSchema = {
+  params: productParams,
+  query: schema.object({ primary: primaryField }),
+  body: schema.object({ primary: primaryField })
+};
+
+const arrangeImagesSchema = {
+  params: productParams,
+  body: schema.object({
+    images: schema.array(schema.string({ max: 2048 }), { max: MAX_IMAGES })
+      .describe('Image public ids (or URLs) in the new order, primary image first')
+  })
+};
+
+const removeImageSchema = {
+  params: schema.object({ id: schema.docId(), publicId: schema.string({ max: 512 }) })
+};
+
+/**
+ * GET /api/v1/products
+ * Query: category, inStock, minPrice, maxPrice, sort (newest|oldest|price_asc|price_desc|name),
+ *        limit (1-100, default 20), cursor (nextCursor from the previous page), includeDeleted (admin)
+ */
+router.get('/', validate(listSchema), adminForDeleted, async (req, res) => {
+  try {
+    const error = listQueryError(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { docs, nextCursor } = await listProducts(req.services, req.query);
+    res.json({ success: true, products: docs.map(serializeDoc), nextCursor });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Error listing products', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load products' });
+  }
+});
+
+/**
+ * GET /api/v1/products/:id
+ */
+router.get('/:id', validate(getSchema), adminForDeleted, async (req, res) => {
+  try {
+    const doc = await loadProduct(req, res);
+    if (!doc) return;
+
+    res.json({ success: true, product: serializeDoc(doc) });
+
+  } catch (error) {
+    logger.error('Error loading product', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load product' });
+  }
+});
+
+// Everything below is admin only
+router.use(requireAuth, requireAdmin);
+
+/**
+ * POST /api/v1/products
+ * Body: { name, category, price, mrp, stock?, images?, description?, hsnCode?, gstRate? }
+ */
+router.post('/', validate(createSchema), async (req, res) => {
+  try {
+    const { error, data } = validateProduct(req.services, req.body, null);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const ref = await req.services.db.collection('products').add({
+      ...data,
+      deleted: false,
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info('Product created', { productId: ref.id, name: data.name });
+    res.status(201).json({ success: true, product: serializeDoc(await ref.get()) });
+
+  } catch (error) {
+    logger.error('Error creating product', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to create product' });
+  }
+});
+
+/**
+ * PUT /api/v1/products/:id
+ * Partial update - send only the fields to change
+ * A lower price queues price-drop emails for everyone watching the product;
+ * images left out of a new images list are deleted from storage
+ */
+router.put('/:id', validate(updateSchema), async (req, res) => {
+  try {
+    const result = await updateProduct(req.services, req.params.id, req.body, req.user.uid);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    // Images dropped from the gallery are deleted from storage
+    const removed = removedImages(result.before.images || [], result.after.images || []);
+    if (removed.length) {
+      await deleteImagesOrQueue(req.services, removed.map((image) => image.publicId), { source: 'product', productId: req.params.id });
+    }
+
+    // The update is already saved - a failure here must not turn it into an error response
+    let priceDrop = null;
+    try {
+      priceDrop = await handlePriceChange(req.services, req.params.id, result.before, result.after);
+    } catch (error) {
+      logger.error('Error sending price drop notifications', { err: error });
+      priceDrop = { error: 'Failed to queue price drop notifications' };
+    }
+
+    const doc = await req.services.db.collection('products').doc(req.params.id).get();
+    res.json({ success: true, product: serializeDoc(doc), priceDrop });
+
+  } catch (error) {
+    logger.error('Error updating product', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to update product' });
+  }
+});
+
+/**
+ * DELETE /api/v1/products/:id
+ * Soft delete - the product is hidden from listings but stays in Firestore
+ */
+router.delete('/:id', validate(productIdSchema), async (req, res) => {
+  try {
+    const doc = await loadProduct(req, res);
+    if (!doc) return;
+
+    await doc.ref.update({
+      deleted: true,
+      deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+      deletedBy: req.user.uid
+    });
+
+    logger.info('Product deleted', { productId: doc.id });
+    res.json({ success: true, message: 'Product deleted' });
+
+  } catch (error) {
+    logger.error('Error deleting product', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to delete product' });
+  }
+});
+
+/**
+ * POST /api/v1/products/:id/restore
+ * Undo a soft delete
+ */
+router.post('/:id/restore', validate(productIdSchema), async (req, res) => {
+  try {
+    const doc = await req.services.db.collection('products').doc(req.params.id).get();
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    await doc.ref.update({
+      deleted: false,
+      deletedAt: admin.firestore.FieldValue.delete(),
+      deletedBy: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info('Product restored', { productId: doc.id });
+    res.json({ success: true, product: serializeDoc(await doc.ref.get()) });
+
+  } catch (error) {
+    logger.error('Error restoring product', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to restore product' });
+  }
+});
+
+/**
+ * Send the result of a gallery change
+ */
+function sendGallery(res, result, status = 200) {
+  if (result.notFound) {
+    return res.status(404).json({ success: false, message: 'Product not found' });
+  }
+  if (result.error) {
+    return res.status(400).json({ success: false, message: result.error });
+  }
+  res.status(status).json({ success: true, images: result.images });
+}
+
+/**
+ * POST /api/v1/products/:id/images
+ * Multipart upload of up to 10 files in the "images" field
+ * New images are added to the end of the gallery, or to the front with primary=true
+ */
+router.post('/:id/images', acceptImages({ field: 'images', maxCount: MAX_IMAGES, ...PRODUCT_IMAGE_LIMITS }), validate(addImagesSchema), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No image files provided' });
+    }
+
+    const doc = await loadProduct(req, res);
+    if (!doc) return;
+
+    const primary = Boolean(req.body.primary || req.query.primary);
+    const result = await addProductImages(req.services, doc.id, req.files, { primary });
+
+    if (result.images) {
+      logger.info('Product images added', { productId: doc.id, count: result.added.length });
+    }
+    sendGallery(res, result, 201);
+
+  } catch (error) {
+    logger.error('Error uploading product images', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to upload images. Please try again.' });
+  }
+});
+
+/**
+ * PUT /api/v1/products/:id/images
+ * Body: { images: [publicId, ...] } - the gallery in its new order, primary image first.
+ * Images left out are removed from the product and deleted from storage.
+ * (Images without a publicId are identified by their URL.)
+ */
+router.put('/:id/images', validate(arrangeImagesSchema), async (req, res) => {
+  try {
+    sendGallery(res, await arrangeProductImages(req.services, req.params.id, req.body.images));
+
+  } catch (error) {
+    logger.error('Error reordering product images', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to update images' });
+  }
+});
+
+/**
+ * DELETE /api/v1/products/:id/images/:publicId
+ * publicId may contain slashes (products/<id>/product_...)
+ */
+router.delete('/:id/images/:publicId(*)', validate(removeImageSchema), async (req, res) => {
+  try {
+    sendGallery(res, await removeProductImage(req.services, req.params.id, req.params.publicId));
+
+  } catch (error) {
+    logger.error('Error removing product image', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to remove image' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * Service Routes
+ * Mounted at /api (not versioned)
+ *
+ * Health check, the OpenAPI document generated from the routes (lib/openapi) and an
+ * interactive docs page for it.
+ */
+
+const express = require('express');
+const { buildOpenApiSpec } = require('../lib/openapi');
+const { html } = require('../lib/templates/html');
+const { brand } = require('../lib/templates/brand');
+const { API_VERSION, API_PREFIX, API_ROUTES } = require('./index');
+
+const router = express.Router();
+
+const SPEC_PATH = '/api/openapi.json';
+const SWAGGER_UI = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14';
+
+const DESCRIPTION = [
+  `Every endpoint is served under ${API_PREFIX}. The same paths without the version (/api/...)`,
+  'still work but are deprecated: their responses carry Deprecation and Link headers pointing',
+  'to the versioned path.\n\nErrors use one envelope, { success: false, message, requestId };',
+  'invalid requests also list each problem in errors.'
+].join(' ');
+
+let spec = null;
+
+/**
+ * The OpenAPI document; built on first use, once every route is defined
+ */
+function getOpenApiSpec() {
+  if (!spec) {
+    spec = buildOpenApiSpec([
+      { path: '/api', router, tag: 'Service', description: 'Health check and API docs' },
+      ...API_ROUTES.map((mount) => ({ ...mount, path: `${API_PREFIX}${mount.path}` }))
+    ], { version: API_VERSION, description: DESCRIPTION });
+  }
+  return spec;
+}
+
+/**
+ * GET /api/health
+ * Health check endpoint
+ */
+router.get('/health', (req, res) => {
+  const { db, mailer, sms, storage, payments } = req.services;
+  res.json({
+    status: 'ok',
+    message: 'Server is running',
+    firebase: db ? 'connected' : 'not connected',
+    email: mailer && mailer.drivers.length ? mailer.drivers.map((driver) => driver.name).join(' → ') : 'not configured',
+    sms: sms && sms.driver ? sms.driver.name : 'not configured',
+    storage: storage && storage.driver ? storage.driver.name : 'not configured',
+    payments: payments && payments.driver ? payments.driver.name : 'not configured'
+  });
+});
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3 description of the API
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(getOpenApiSpec());
+});
+
+/**
+ * GET /api/docs
+ * Interactive API docs (Swagger UI) for /api/openapi.json
+ */
+router.get('/docs', (req, res) => {
+  res.type('html').send(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${brand.name} API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs" data-spec="${SPEC_PATH}"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({
+      url: document.getElementById('docs').dataset.spec,
+      dom_id: '#docs',
+      deepLinking: true,
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>`.toString());
+});
+
+module.exports = { serviceRouter: router, getOpenApiSpec };
@@ -0,0 +1,114 @@
+/**
+ * Back-in-stock Alert Routes
+ * Mounted at /api/v1/stock-alerts
+ */
+
+const express = require('express');
+const { requireAuth, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { serializeDoc } = require('../lib/serialize');
+const { brand } = require('../lib/templates/brand');
+const { subscribeToStockAlert, recordClick, listNotifications } = require('../lib/stock-alerts');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const subscribeLimit = rateLimit({ name: 'stock-alert-subscribe', windowMs: 60 * 60 * 1000, limits: { ip: 20, email: 5 } });
+const clickLimit = rateLimit({ name: 'stock-alert-click', windowMs: 15 * 60 * 1000, limits: { ip: 60 } });
+
+const subscribeSchema = {
+  body: schema.object({
+    productId: schema.docId(),
+    email: schema.email().optional().describe('Required for guests; signed-in users get alerts at their account email')
+  })
+};
+
+const notificationsSchema = {
+  query: schema.object({
+    productId: schema.docId().optional(),
+    limit: schema.integer({ min: 1, max: 200 }).default(50),
+    cursor: schema.docId().optional().describe('nextCursor from the previous page')
+  })
+};
+
+/**
+ * POST /api/v1/stock-alerts/subscribe
+ * Body: { productId, email? }
+ * Signed-in users are subscribed with their account email; guests must pass an email
+ */
+router.post('/subscribe', optionalAuth, subscribeLimit, validate(subscribeSchema), async (req, res) => {
+  try {
+    const { productId } = req.body;
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    const email = (req.user && req.user.email) || req.body.email;
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'email is required' });
+    }
+
+    const result = await subscribeToStockAlert(req.services, {
+      productId,
+      email,
+      uid: req.user ? req.user.uid : null
+    });
+
+    if (result.alreadySubscribed) {
+      return res.json({ success: true, message: 'You are already on the list for this product' });
+    }
+
+    logger.info('Stock alert subscription', { productId, email });
+    res.status(201).json({ success: true, message: 'We will email you when this product is back in stock' });
+
+  } catch (error) {
+    logger.error('Error subscribing to stock alert', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to subscribe. Please try again.' });
+  }
+});
+
+/**
+ * GET /api/v1/stock-alerts/click?token=...
+ * Click-tracking redirect from the back-in-stock email to the store
+ * Not validated: the customer is redirected whatever the token looks like
+ */
+router.get('/click', clickLimit, async (req, res) => {
+  try {
+    if (req.services.db) {
+      await recordClick(req.services, req.query.token);
+    }
+  } catch (error) {
+    // Never block the customer on tracking
+    logger.error('Error recording stock alert click', { err: error });
+  }
+  res.redirect(302, brand.storeLink('/products'));
+});
+
+/**
+ * GET /api/v1/stock-alerts/notifications
+ * Back-in-stock sends, newest first, with subscriber and click counts (admin)
+ * Query: productId, limit (1-200, default 50), cursor (nextCursor from the previous page)
+ */
+router.get('/notifications', requireAuth, requireAdmin, validate(notificationsSchema), async (req, res) => {
+  try {
+    const { docs, nextCursor } = await listNotifications(req.services, req.query);
+    const notifications = docs.map(serializeDoc).map((notification) => ({
+      ...notification,
+      clickRate: notification.queuedCount ? notification.clickCount / notification.queuedCount : 0
+    }));
+
+    res.json({ success: true, notifications, nextCursor });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Error loading stock alert notifications', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load notifications' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+/**
+ * Image Upload Routes
+ * Mounted at /api/v1/upload
+ *
+ * Uploads are checked by content (see middleware/upload) before they reach storage.
+ */
+
+const express = require('express');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { acceptImages } = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const {
+  PRODUCT_IMAGE_FOLDER,
+  PRODUCT_IMAGE_SIZE,
+  PRODUCT_IMAGE_LIMITS,
+  productImagePublicId
+} = require('../lib/product-images');
+const { replaceProfilePhoto, removeProfilePhoto } = require('../lib/profile-photos');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const profileUploadLimit = rateLimit({ name: 'upload-profile', windowMs: 60 * 60 * 1000, limits: { uid: 10, ip: 30 } });
+const productUploadLimit = rateLimit({ name: 'upload-product', windowMs: 60 * 60 * 1000, limits: { uid: 100 } });
+
+const profileImageSchema = {
+  body: schema.object({ userId: schema.docId().optional().describe('Must be the signed-in user when sent') })
+};
+
+/**
+ * Upload Profile Image
+ * POST /api/v1/upload/profile-image
+ * Requires a Firebase ID token; users can only update their own photo.
+ * The previous photo is deleted from storage once the new one is saved.
+ */
+router.post('/profile-image', requireAuth, profileUploadLimit, acceptImages({ field: 'image', minWidth: 64, minHeight: 64 }), validate(profileImageSchema), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No image file provided' });
+    }
+
+    const userId = req.user.uid;
+    if (req.body.userId && req.body.userId !== userId) {
+      return res.status(403).json({ success: false, message: 'You can only update your own profile image' });
+    }
+
+    const result = await replaceProfilePhoto(req.services, userId, req.file);
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'User profile not found' });
+    }
+
+    logger.info('Profile image updated', { uid: userId, publicId: result.publicId });
+
+    res.json({
+      success: true,
+      message: 'Profile image uploaded successfully',
+      photoURL: result.photoURL,
+      publicId: result.publicId
+    });
+
+  } catch (error) {
+    logger.error('Error uploading profile image', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to upload image. Please try again.' });
+  }
+});
+
+/**
+ * Remove Profile Image
+ * DELETE /api/v1/upload/profile-image
+ * Clears photoURL and deletes the photo from storage
+ */
+router.delete('/profile-image', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const result = await removeProfilePhoto(req.services, userId);
+
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'User profile not found' });
+    }
+
+    if (!result.removed) {
+      return res.json({ success: true, message: 'No profile image to remove' });
+    }
+
+    logger.info('Profile image removed', { uid: userId });
+    res.json({ success: true, message: 'Profile image removed' });
+
+  } catch (error) {
+    logger.error('Error removing profile image', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to remove image. Please try again.' });
+  }
+});
+
+/**
+ * Upload Product Image
+ * POST /api/v1/upload/product-image
+ * Admin only
+ */
+router.post('/product-image', requireAuth, requireAdmin, productUploadLimit, acceptImages({ field: 'image', ...PRODUCT_IMAGE_LIMITS }), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No image file provided' });
+    }
+
+    // Not attached to a product yet - if it never is, the orphaned image check finds it
+    const uploadResult = await req.services.storage.upload(req.file.buffer, {
+      folder: PRODUCT_IMAGE_FOLDER,
+      publicId: productImagePublicId(),
+      extension: req.file.image.extension,
+      resize: PRODUCT_IMAGE_SIZE
+    });
+
+    logger.info('Product image uploaded', { publicId: uploadResult.publicId });
+
+    res.json({
+      success: true,
+      message: 'Product image uploaded successfully',
+      imageUrl: uploadResult.url,
+      publicId: uploadResult.publicId
+    });
+
+  } catch (error) {
+    logger.error('Error uploading product image', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to upload image. Please try again.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+/**
+ * User Routes
+ * Mounted at /api/v1/users
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schema = require('../lib/schema');
+const { renderPage } = require('../lib/templates');
+const {
+  resolvePreferences,
+  preferencesUpdateSchema,
+  validatePreferencesUpdate
+} = require('../lib/notification-preferences');
+const { readPriceAlertsUnsubscribeToken } = require('../lib/price-alerts');
+const { logger } = require('../lib/logger');
+
+const router = express.Router();
+
+const unsubscribeLimit = rateLimit({ name: 'price-alerts-unsubscribe', windowMs: 15 * 60 * 1000, limits: { ip: 30 } });
+
+const preferencesSchema = { body: preferencesUpdateSchema };
+
+const wishlistParams = schema.object({ productId: schema.docId() });
+
+const targetPriceSchema = {
+  params: wishlistParams,
+  body: schema.object({ targetPrice: schema.number({ positive: true }) })
+};
+
+const wishlistItemSchema = { params: wishlistParams };
+
+// Signed token from a price-drop email. Optional here so a bad link opened in the browser gets
+// the HTML page rather than the JSON 400; the route checks it.
+const tokenField = schema.string({ max: 2048 }).optional();
+
+const linkSchema = {
+  query: schema.object({ token: tokenField })
+};
+
+const oneClickSchema = {
+  query: schema.object({ token: tokenField }),
+  body: schema.object({ token: tokenField })
+};
+
+/**
+ * GET /api/v1/users/me/notification-preferences
+ * Returns the caller's preferences with defaults filled in
+ */
+router.get('/me/notification-preferences', requireAuth, async (req, res) => {
+  try {
+    const userDoc = await req.services.db.collection('users').doc(req.user.uid).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ success: false, message: 'User profile not found' });
+    }
+
+    res.json({ success: true, preferences: resolvePreferences(userDoc.data()) });
+
+  } catch (error) {
+    logger.error('Error loading notification preferences', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to load preferences' });
+  }
+});
+
+/**
+ * PUT /api/v1/users/me/notification-preferences
+ * Partial update, e.g. { priceAlerts: false } or { categories: { furniture: false }, minDropPercent: 10 }
+ */
+router.put('/me/notification-preferences', requireAuth, validate(preferencesSchema), async (req, res) => {
+  try {
+    const { error, data } = validatePreferencesUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const userRef = req.services.db.collection('users').doc(req.user.uid);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ success: false, message: 'User profile not found' });
+    }
+
+    await userRef.update(data);
+    const updated = await userRef.get();
+
+    res.json({ success: true, preferences: resolvePreferences(updated.data()) });
+
+  } catch (error) {
+    logger.error('Error updating notification preferences', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to update preferences' });
+  }
+});
+
+/**
+ * Find the caller's wishlist entries for a product, or send 404
+ */
+async function loadWishlistEntries(req, res) {
+  const snapshot = await req.services.db.collection('users').doc(req.user.uid)
+    .collection('wishlist')
+    .where('productId', '==', req.params.productId)
+    .get();
+
+  if (snapshot.empty) {
+    res.status(404).json({ success: false, message: 'Product is not in your wishlist' });
+    return null;
+  }
+  return snapshot.docs;
+}
+
+/**
+ * PUT /api/v1/users/me/wishlist/:productId/target-price
+ * Body: { targetPrice } - only alert me when the price drops to this or lower
+ */
+router.put('/me/wishlist/:productId/target-price', requireAuth, validate(targetPriceSchema), async (req, res) => {
+  try {
+    const { targetPrice } = req.body;
+
+    const entries = await loadWishlistEntries(req, res);
+    if (!entries) return;
+
+    const batch = req.services.db.batch();
+    for (const entry of entries) {
+      batch.update(entry.ref, {
+        targetPrice,
+        targetPriceUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    await batch.commit();
+
+    res.json({ success: true, productId: req.params.productId, targetPrice });
+
+  } catch (error) {
+    logger.error('Error setting target price', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to set target price' });
+  }
+});
+
+/**
+ * DELETE /api/v1/users/me/wishlist/:productId/target-price
+ * Go back to being alerted about any price drop
+ */
+router.delete('/me/wishlist/:productId/target-price', requireAuth, validate(wishlistItemSchema), async (req, res) => {
+  try {
+    const entries = await loadWishlistEntries(req, res);
+    if (!entries) return;
+
+    const batch = req.services.db.batch();
+    for (const entry of entries) {
+      batch.update(entry.ref, {
+        targetPrice: admin.firestore.FieldValue.delete(),
+        targetPriceUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    await batch.commit();
+
+    res.json({ success: true, productId: req.params.productId, targetPrice: null });
+
+  } catch (error) {
+    logger.error('Error clearing target price', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to clear target price' });
+  }
+});
+
+/**
+ * Turn off price alerts for a user. update() rather than a merge, so an unsubscribe link from
+ * an old email can't bring a deleted account's document back.
+ */
+async function disablePriceAlerts(services, uid) {
+  try {
+    await services.db.collection('users').doc(uid).update({ 'notificationPreferences.priceAlerts': false });
+    logger.info('Price alerts turned off', { uid });
+  } catch (error) {
+    // gRPC NOT_FOUND: the account is gone, so there is nothing left to send it
+    if (error.code !== 5) throw error;
+    logger.info('Price alerts unsubscribe for a deleted user', { uid });
+  }
+}
+
+/**
+ * GET /api/v1/users/price-alerts/unsubscribe?token=...
+ * Link in the footer of price-drop emails - asks for confirmation, then POSTs the token
+ * (mail scanners open links too)
+ */
+router.get('/price-alerts/unsubscribe', unsubscribeLimit, validate(linkSchema), (req, res) => {
+  if (!readPriceAlertsUnsubscribeToken(req.services, req.query.token)) {
+    return res.status(400).type('html').send(renderPage({
+      title: 'Invalid link',
+      message: 'This link is invalid. Please use the link from one of our emails.'
+    }));
+  }
+
+  res.type('html').send(renderPage({
+    title: 'Turn off price alerts?',
+    message: 'You will no longer receive price-drop emails. Your wishlist stays as it is.',
+    form: { action: req.baseUrl + req.path, fields: { token: req.query.token }, label: 'Turn off price alerts' }
+  }));
+});
+
+/**
+ * POST /api/v1/users/price-alerts/unsubscribe?token=...
+ * The confirmation page's button, and RFC 8058 one-click unsubscribe for price-drop emails.
+ * Browsers get a page back, everything else JSON.
+ */
+router.post('/price-alerts/unsubscribe', unsubscribeLimit, express.urlencoded({ extended: false }), validate(oneClickSchema), async (req, res) => {
+  try {
+    const uid = readPriceAlertsUnsubscribeToken(req.services, req.query.token || req.body.token);
+    const wantsPage = req.accepts(['json', 'html']) === 'html';
+
+    if (!uid) {
+      if (wantsPage) {
+        return res.status(400).type('html').send(renderPage({
+          title: 'Invalid link',
+          message: 'This link is invalid. Please use the link from one of our emails.'
+        }));
+      }
+      return res.status(400).json({ success: false, message: 'Invalid unsubscribe token' });
+    }
+
+    if (!req.services.db) {
+      return res.status(500).json({ success: false, message: 'Firebase not initialized' });
+    }
+
+    await disablePriceAlerts(req.services, uid);
+
+    if (wantsPage) {
+      return res.type('html').send(renderPage({
+        title: 'Price alerts turned off',
+        message: 'You will no longer receive price-drop emails. Your wishlist is unchanged.'
+      }));
+    }
+    res.json({ success: true, message: 'Price alerts turned off' });
+
+  } catch (error) {
+    logger.error('Error turning off price alerts', { err: error });
+    res.status(500).json({ success: false, message: 'Failed to update preferences' });
+  }
+});
+
+module.exports = router;
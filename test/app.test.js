@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { once } = require('events');
+const { spawnSync } = require('child_process');
+const express = require('express');
+const { createTestApp } = require('./helpers/app');
+const { errorHandler } = require('../middleware/error-handler');
+
+describe('app', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+  });
+
+  after(() => t.close());
+
+  it('lists endpoints at the root', async () => {
+    const res = await t.request('GET', '/');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.docs, '/api/docs');
+    assert.ok(res.body.endpoints.includes('POST /api/v1/send-otp'));
+    assert.ok(res.body.endpoints.includes('POST /api/v1/upload/product-image'));
+    assert.ok(res.body.endpoints.includes('GET /api/health'));
+  });
+
+  it('keeps the unversioned paths as deprecated aliases', async () => {
+    const current = await t.request('GET', '/api/v1/products');
+    assert.equal(current.status, 200);
+    assert.equal(current.headers.get('deprecation'), null);
+
+    const alias = await t.request('GET', '/api/products?limit=5');
+    assert.equal(alias.status, 200);
+    assert.deepEqual(alias.body, current.body);
+    assert.match(alias.headers.get('deprecation'), /^@\d+$/);
+    assert.equal(alias.headers.get('link'), '</api/v1/products>; rel="successor-version"');
+
+    assert.equal((await t.request('GET', '/api/nope')).status, 404);
+    assert.equal((await t.request('GET', '/api/health')).headers.get('deprecation'), null);
+  });
+
+  it('reports the configured services on /api/health', async () => {
+    const res = await t.request('GET', '/api/health');
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      { firebase: res.body.firebase, email: res.body.email, sms: res.body.sms, storage: res.body.storage, payments: res.body.payments },
+      { firebase: 'connected', email: 'memory', sms: 'memory', storage: 'memory', payments: 'fake' }
+    );
+  });
+
+  it('echoes a valid X-Request-Id and generates one otherwise', async () => {
+    let res = await t.request('GET', '/api/health', { headers: { 'X-Request-Id': 'abc-123' } });
+    assert.equal(res.headers.get('x-request-id'), 'abc-123');
+
+    res = await t.request('GET', '/api/health', { headers: { 'X-Request-Id': 'not valid!' } });
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('answers unknown API routes with a JSON 404', async () => {
+    const res = await t.request('GET', '/api/v1/nope');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.requestId, res.headers.get('x-request-id'));
+  });
+
+  it('rejects malformed JSON without leaking parser details', async () => {
+    const res = await t.request('POST', '/api/v1/send-otp', {
+      raw: '{"email":',
+      headers: { 'content-type': 'application/json' }
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Request body is not valid JSON');
+  });
+
+  it('reports missing services instead of crashing', async () => {
+    const bare = await createTestApp({ db: null, mailer: null, sms: null, storage: null, payments: null });
+    try {
+      const health = await bare.request('GET', '/api/health');
+      assert.equal(health.body.firebase, 'not connected');
+      assert.equal(health.body.email, 'not configured');
+
+      const res = await bare.request('POST', '/api/v1/send-otp', { body: { email: 'a@example.com' } });
+      assert.equal(res.status, 500);
+      assert.equal(res.body.message, 'Firebase not initialized');
+    } finally {
+      await bare.close();
+    }
+  });
+
+  it('leaves errors after the response has started to Express, which drops the connection', async () => {
+    const app = express();
+    app.get('/', (req, res, next) => {
+      res.write('partial');
+      next(new Error('stream failed'));
+    });
+    app.use(errorHandler);
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/`);
+      assert.equal(res.status, 200);
+      await assert.rejects(res.text());
+    } finally {
+      server.close();
+    }
+  });
+
+  it('keeps each app to its own services', async () => {
+    const bare = await createTestApp({ db: null });
+    const other = await createTestApp();
+    try {
+      const res = await t.request('POST', '/api/v1/newsletter/subscribe', { body: { email: 'mine@example.com' } });
+      assert.equal(res.status, 200);
+
+      assert.ok(t.services.mailer.sent.some((mail) => mail.to === 'mine@example.com'));
+      assert.equal(other.services.mailer.sent.length, 0);
+      assert.ok((await t.db.collection('newsletterSubscribers').doc('mine@example.com').get()).exists);
+      assert.equal((await other.db.collection('newsletterSubscribers').doc('mine@example.com').get()).exists, false);
+      assert.equal((await t.request('GET', '/api/health')).body.firebase, 'connected');
+    } finally {
+      await Promise.all([bare.close(), other.close()]);
+    }
+  });
+
+  it('refuses to start in production without TOKEN_SECRET', () => {
+    const { TOKEN_SECRET, ...env } = process.env;
+    const run = spawnSync(process.execPath, ['-e', "require('./app')"], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...env, NODE_ENV: 'production' },
+      encoding: 'utf8'
+    });
+    assert.notEqual(run.status, 0);
+    assert.match(run.stderr, /TOKEN_SECRET is required in production/);
+  });
+});
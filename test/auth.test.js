@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, lastCode } = require('./helpers/app');
+
+describe('email verification', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+  });
+
+  afterEach(() => t.close());
+
+  describe('POST /api/v1/send-otp', () => {
+    it('requires an email', async () => {
+      const res = await t.request('POST', '/api/v1/send-otp', { body: {} });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects a malformed email or uid before sending anything', async () => {
+      const res = await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@', uid: '../users' } });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { in: 'body', field: 'email', message: 'email must be a valid email address' },
+        { in: 'body', field: 'uid', message: 'uid must be a valid id' }
+      ]);
+      assert.equal(t.services.mailer.sent.length, 0);
+    });
+
+    it('emails a 6-digit code and stores only its hash', async () => {
+      const res = await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com', fullName: 'Asha' } });
+      assert.equal(res.status, 200);
+
+      const code = lastCode(t.services.mailer, 'asha@example.com');
+      assert.match(code, /^\d{6}$/);
+
+      const record = (await t.db.collection('otpVerifications').doc('asha@example.com').get()).data();
+      assert.ok(record);
+      assert.ok(!JSON.stringify(record).includes(code));
+    });
+
+    it('enforces the resend cooldown', async () => {
+      await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+      const res = await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+      assert.equal(res.status, 429);
+      assert.ok(res.headers.get('retry-after'));
+
+      t.clock.advance(61 * 1000);
+      const retry = await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+      assert.equal(retry.status, 200);
+    });
+
+    it('accepts the request when the email has to be retried later', async () => {
+      t.services.mailer.failNext();
+      const res = await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+      assert.equal(res.status, 202);
+      assert.equal(t.services.mailer.sent.length, 0);
+    });
+
+    it('rate limits by email', async () => {
+      let res;
+      for (let i = 0; i < 6; i++) {
+        res = await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+      }
+      assert.equal(res.status, 429);
+      assert.equal(res.headers.get('ratelimit-remaining'), '0');
+    });
+  });
+
+  describe('POST /api/v1/verify-otp', () => {
+    it('requires an email and a code', async () => {
+      const res = await t.request('POST', '/api/v1/verify-otp', { body: { email: 'asha@example.com' } });
+      assert.equal(res.status, 400);
+    });
+
+    it('404s when no code was requested', async () => {
+      const res = await t.request('POST', '/api/v1/verify-otp', { body: { email: 'asha@example.com', otp: '123456' } });
+      assert.equal(res.status, 404);
+    });
+
+    it('rejects a wrong code and counts the attempt', async () => {
+      await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+      const code = lastCode(t.services.mailer, 'asha@example.com');
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      const res = await t.request('POST', '/api/v1/verify-otp', { body: { email: 'asha@example.com', otp: wrong } });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.remainingAttempts, 4);
+    });
+
+    it('marks the existing user document as verified', async () => {
+      await t.db.collection('users').doc('u1').set({ uid: 'u1', email: 'asha@example.com' });
+      await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com', uid: 'u1' } });
+
+      const res = await t.request('POST', '/api/v1/verify-otp', {
+        body: { email: 'asha@example.com', otp: lastCode(t.services.mailer, 'asha@example.com') }
+      });
+      assert.equal(res.status, 200);
+
+      const user = (await t.db.collection('users').doc('u1').get()).data();
+      assert.equal(user.customEmailVerified, true);
+    });
+
+    it('creates the user document when signup did not write one', async () => {
+      await t.request('POST', '/api/v1/send-otp', { body: { email: 'ravi@example.com', fullName: 'Ravi', uid: 'u2' } });
+      await t.request('POST', '/api/v1/verify-otp', {
+        body: { email: 'ravi@example.com', otp: lastCode(t.services.mailer, 'ravi@example.com') }
+      });
+
+      const user = (await t.db.collection('users').doc('u2').get()).data();
+      assert.equal(user.fullName, 'Ravi');
+      assert.equal(user.customEmailVerified, true);
+    });
+
+    it('rejects an expired code', async () => {
+      await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+      t.clock.advance(11 * 60 * 1000);
+
+      const res = await t.request('POST', '/api/v1/verify-otp', {
+        body: { email: 'asha@example.com', otp: lastCode(t.services.mailer, 'asha@example.com') }
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'expired');
+    });
+
+    it('only accepts a code once', async () => {
+      await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+      const otp = lastCode(t.services.mailer, 'asha@example.com');
+
+      assert.equal((await t.request('POST', '/api/v1/verify-otp', { body: { email: 'asha@example.com', otp } })).status, 200);
+      assert.equal((await t.request('POST', '/api/v1/verify-otp', { body: { email: 'asha@example.com', otp } })).status, 404);
+    });
+  });
+});
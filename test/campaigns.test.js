@@ -0,0 +1,162 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { createTestApp } = require('./helpers/app');
+
+describe('campaigns', () => {
+  let t;
+  let adminToken;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    adminToken = await t.signInAdmin();
+    for (const email of ['asha@example.com', 'ravi@example.com']) {
+      await t.db.collection('newsletterSubscribers').doc(email).set({ email, status: 'active', active: true });
+    }
+    await t.db.collection('newsletterSubscribers').doc('gone@example.com')
+      .set({ email: 'gone@example.com', status: 'unsubscribed', active: false });
+  });
+
+  afterEach(() => t.close());
+
+  function call(method, path, body) {
+    return t.request(method, `/api/v1/campaigns${path}`, { token: adminToken, body });
+  }
+
+  async function createCampaign(fields = {}) {
+    const res = await call('POST', '', { subject: 'Diwali sale', content: 'Up to 40% off sofas', ...fields });
+    assert.equal(res.status, 201);
+    return res.body.campaign;
+  }
+
+  it('is admin only', async () => {
+    assert.equal((await t.request('GET', '/api/v1/campaigns', { token: t.signIn('asha') })).status, 403);
+  });
+
+  it('creates, edits, lists and previews drafts', async () => {
+    const campaign = await createCampaign();
+    assert.equal(campaign.status, 'draft');
+
+    const edited = await call('PUT', `/${campaign.id}`, { heading: 'Festive offers' });
+    assert.equal(edited.status, 200);
+
+    const list = await call('GET', '');
+    assert.deepEqual(list.body.campaigns.map((c) => c.id), [campaign.id]);
+
+    const preview = await t.request('GET', `/api/v1/campaigns/${campaign.id}/preview`, { token: adminToken });
+    assert.match(preview.body, /Festive offers/);
+    assert.equal((await call('GET', '/missing')).status, 404);
+  });
+
+  it('validates content', async () => {
+    assert.equal((await call('POST', '', { content: 'No subject' })).status, 400);
+    assert.equal((await call('POST', '', { subject: 'Sale', content: 'x', ctaUrl: 'javascript:alert(1)' })).status, 400);
+  });
+
+  it('sends a test copy', async () => {
+    const campaign = await createCampaign();
+    const res = await call('POST', `/${campaign.id}/test`, { email: 'me@example.com' });
+    assert.equal(res.status, 200);
+    assert.equal(t.services.mailer.sent.at(-1).to, 'me@example.com');
+    assert.match(t.services.mailer.sent.at(-1).subject, /^\[TEST\]/);
+
+    const job = await t.db.collection('mailJobs').where('category', '==', 'newsletter-test').get();
+    assert.equal(job.docs[0].data().status, 'sent');
+    assert.equal((await call('POST', `/${campaign.id}/test`, { email: 'me' })).status, 400);
+  });
+
+  it('sends to active subscribers only, once', async () => {
+    const campaign = await createCampaign();
+
+    const res = await call('POST', `/${campaign.id}/send`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'sent');
+    assert.deepEqual(res.body.stats, { total: 2, queued: 2, sent: 0, dead: 0, failed: 0, skipped: 0 });
+    assert.equal((await call('GET', `/${campaign.id}/recipients?status=queued`)).body.recipients.length, 2);
+
+    // Delivered by the mail queue worker, at the campaign send rate (5 a second)
+    assert.equal(t.services.mailer.sent.length, 0);
+    const startedAt = Date.now();
+    await t.deliverMail();
+    assert.ok(Date.now() - startedAt >= 190);
+    assert.deepEqual(t.services.mailer.sent.map((mail) => mail.to).sort(), ['asha@example.com', 'ravi@example.com']);
+    assert.ok(t.services.mailer.sent[0].headers['List-Unsubscribe']);
+
+    const recipients = await call('GET', `/${campaign.id}/recipients?status=sent`);
+    assert.equal(recipients.body.recipients.length, 2);
+    assert.ok(recipients.body.recipients.every((recipient) => recipient.mailJobId && recipient.sentAt));
+    const sent = await call('GET', `/${campaign.id}`);
+    assert.deepEqual(sent.body.campaign.stats, { total: 2, queued: 0, sent: 2, dead: 0, failed: 0, skipped: 0 });
+
+    assert.equal((await call('POST', `/${campaign.id}/send`)).status, 409);
+    assert.equal((await call('PUT', `/${campaign.id}`, { subject: 'Too late' })).status, 409);
+  });
+
+  it('records copies the mail queue gives up on, and their later delivery', async () => {
+    const campaign = await createCampaign();
+    await call('POST', `/${campaign.id}/send`);
+
+    t.services.mailer.failNext(10);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await t.deliverMail();
+      t.clock.advance(60 * 60 * 1000);
+    }
+
+    const dead = await call('GET', `/${campaign.id}/recipients?status=dead`);
+    assert.equal(dead.body.recipients.length, 2);
+    assert.ok(dead.body.recipients[0].error);
+    assert.equal((await call('GET', `/${campaign.id}`)).body.campaign.stats.dead, 2);
+
+    const retry = await t.request('POST', `/api/v1/mail-queue/${dead.body.recipients[0].mailJobId}/retry`, { token: adminToken });
+    assert.equal(retry.status, 200);
+    await t.deliverMail();
+
+    const { stats } = (await call('GET', `/${campaign.id}`)).body.campaign;
+    assert.deepEqual({ sent: stats.sent, dead: stats.dead }, { sent: 1, dead: 1 });
+    assert.equal((await call('GET', `/${campaign.id}/recipients?status=sent`)).body.recipients[0].email, dead.body.recipients[0].email);
+  });
+
+  it('schedules campaigns and dispatches them when due', async () => {
+    const campaign = await createCampaign();
+    const sendAt = new Date(t.clock.now() + 60 * 60 * 1000).toISOString();
+
+    assert.equal((await call('POST', `/${campaign.id}/schedule`, { sendAt: '2020-01-01T00:00:00Z' })).status, 400);
+    const scheduled = await call('POST', `/${campaign.id}/schedule`, { sendAt });
+    assert.equal(scheduled.body.campaign.status, 'scheduled');
+
+    const early = await t.request('POST', '/api/v1/campaigns/dispatch', { token: t.cronToken });
+    assert.deepEqual(early.body.campaigns, []);
+
+    t.clock.advance(61 * 60 * 1000);
+    const due = await t.request('POST', '/api/v1/campaigns/dispatch', { token: t.cronToken });
+    assert.equal(due.body.campaigns.length, 1);
+    await t.deliverMail();
+    assert.equal(t.services.mailer.sent.length, 2);
+  });
+
+  it('unschedules back to draft', async () => {
+    const campaign = await createCampaign();
+    assert.equal((await call('POST', `/${campaign.id}/unschedule`)).status, 409);
+
+    await call('POST', `/${campaign.id}/schedule`, { sendAt: new Date(t.clock.now() + 60000).toISOString() });
+    const res = await call('POST', `/${campaign.id}/unschedule`);
+    assert.equal(res.body.campaign.status, 'draft');
+  });
+
+  it('takes over an expired lock without mailing anyone twice', async () => {
+    const campaign = await createCampaign();
+    const ref = t.db.collection('newsletterCampaigns').doc(campaign.id);
+
+    // A run that stalled: its lock expired with ravi still pending, after asha's copy was queued
+    await call('POST', `/${campaign.id}/send`);
+    await ref.collection('recipients').doc('asha@example.com').update({ status: 'pending' });
+    await ref.update({ status: 'sending', lockId: 'stale-run', lockedUntil: admin.firestore.Timestamp.fromMillis(t.clock.now() - 1000) });
+
+    const res = await call('POST', `/${campaign.id}/send`);
+    assert.equal(res.body.status, 'sent');
+    assert.equal((await ref.get()).data().lockId, undefined);
+
+    await t.deliverMail();
+    assert.deepEqual(t.services.mailer.sent.map((mail) => mail.to).sort(), ['asha@example.com', 'ravi@example.com']);
+  });
+});
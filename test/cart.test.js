@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createProduct } = require('./helpers/shop');
+
+describe('cart', () => {
+  let t;
+  let token;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    token = t.signIn('asha');
+  });
+
+  afterEach(() => t.close());
+
+  function setQuantity(productId, quantity) {
+    return t.request('PUT', `/api/v1/cart/items/${productId}`, { token, body: { quantity } });
+  }
+
+  it('requires sign-in', async () => {
+    assert.equal((await t.request('GET', '/api/v1/cart')).status, 401);
+  });
+
+  it('adds, changes and removes items with a live subtotal', async () => {
+    const sofa = await createProduct(t, { name: 'Sofa', price: 1000 });
+    const lamp = await createProduct(t, { name: 'Lamp', price: 250.5 });
+
+    await setQuantity(sofa.id, 2);
+    const res = await setQuantity(lamp.id, 1);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cart.items.length, 2);
+    assert.equal(res.body.cart.subtotal, 2250.5);
+
+    const removed = await t.request('DELETE', `/api/v1/cart/items/${sofa.id}`, { token });
+    assert.equal(removed.body.cart.subtotal, 250.5);
+
+    await setQuantity(lamp.id, 0);
+    assert.deepEqual((await t.request('GET', '/api/v1/cart', { token })).body.cart.items, []);
+  });
+
+  it('validates quantities and products', async () => {
+    const sofa = await createProduct(t);
+    const outOfStock = await createProduct(t, { name: 'Fan', stock: 0 });
+
+    assert.equal((await setQuantity(sofa.id, 11)).status, 400);
+    assert.equal((await setQuantity(sofa.id, 1.5)).status, 400);
+    assert.equal((await setQuantity('missing', 1)).status, 404);
+    assert.equal((await setQuantity(outOfStock.id, 1)).status, 409);
+  });
+
+  it('empties the cart', async () => {
+    const sofa = await createProduct(t);
+    await setQuantity(sofa.id, 1);
+
+    const res = await t.request('DELETE', '/api/v1/cart', { token });
+    assert.deepEqual(res.body.cart, { items: [], subtotal: 0 });
+  });
+});
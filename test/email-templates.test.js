@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+
+describe('email template previews', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+  });
+
+  after(() => t.close());
+
+  it('lists the templates', async () => {
+    const res = await t.request('GET', '/api/v1/email-templates');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.templates.includes('otp'));
+  });
+
+  it('renders every template as html, text and json', async () => {
+    const { body } = await t.request('GET', '/api/v1/email-templates');
+    for (const name of body.templates) {
+      const html = await t.request('GET', `/api/v1/email-templates/${name}/preview`);
+      assert.equal(html.status, 200, name);
+      assert.match(html.headers.get('content-type'), /text\/html/);
+
+      const text = await t.request('GET', `/api/v1/email-templates/${name}/preview?format=text`);
+      assert.match(text.headers.get('content-type'), /text\/plain/);
+      assert.ok(text.body.length > 0);
+
+      const json = await t.request('GET', `/api/v1/email-templates/${name}/preview?format=json`);
+      assert.equal(json.body.template, name);
+      assert.ok(json.body.subject);
+    }
+  });
+
+  it('returns 404 for an unknown template', async () => {
+    const res = await t.request('GET', '/api/v1/email-templates/nope/preview');
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Test app
+ * createTestApp() builds the real app around in-memory services and starts it on a free port.
+ * Require this before anything from the app - it sets the env the app reads at load time.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.TOKEN_SECRET = 'test-token-secret';
+process.env.CRON_SECRET = 'test-cron-secret';
+process.env.FRONTEND_URL = 'https://shop.test';
+process.env.API_URL = 'https://api.test';
+
+const { createApp } = require('../../app');
+const { createPaymentProvider } = require('../../lib/payments');
+const { FakeFirestore } = require('./fake-firestore');
+const {
+  createFakeClock,
+  createFakeAuth,
+  createFakeMailer,
+  createFakeSms,
+  createFakeStorage
+} = require('./fakes');
+
+const CRON_SECRET = process.env.CRON_SECRET;
+
+/**
+ * @param {object} [overrides] - services to use instead of the fakes
+ * @returns {Promise<object>} { services, request, signIn, signInAdmin, deliverMail, close, ... }
+ */
+async function createTestApp(overrides = {}) {
+  const clock = overrides.clock || createFakeClock();
+  const app = createApp({
+    db: new FakeFirestore({ clock: () => clock.now() }),
+    auth: createFakeAuth(),
+    mailer: createFakeMailer(),
+    sms: createFakeSms(),
+    storage: createFakeStorage(clock),
+    payments: createPaymentProvider({ PAYMENT_DRIVER: 'fake' }),
+    clock,
+    ...overrides
+  });
+  // The app's own copy - rateLimitStore is filled in there on first use
+  const { services } = app.locals;
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @param {object} [options]
+   * @param {string} [options.token] - bearer token
+   * @param {*} [options.body] - sent as JSON
+   * @param {FormData|string|Buffer} [options.raw] - sent as is
+   * @param {object} [options.headers]
+   * @returns {Promise<{ status: number, headers: Headers, body: *, buffer?: Buffer }>}
+   */
+  async function request(method, path, { token, body, raw, headers = {} } = {}) {
+    const requestHeaders = { ...headers };
+    if (token) requestHeaders.authorization = `Bearer ${token}`;
+
+    let payload = raw;
+    if (body !== undefined) {
+      requestHeaders['content-type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const res = await fetch(baseUrl + path, { method, headers: requestHeaders, body: payload, redirect: 'manual' });
+    const type = res.headers.get('content-type') || '';
+
+    if (type.includes('application/json')) {
+      return { status: res.status, headers: res.headers, body: await res.json() };
+    }
+    if (type.startsWith('text/')) {
+      return { status: res.status, headers: res.headers, body: await res.text() };
+    }
+    const buffer = Buffer.from(await res.arrayBuffer());
+    return { status: res.status, headers: res.headers, body: null, buffer };
+  }
+
+  function signIn(uid, email) {
+    return services.auth.signIn(uid, email);
+  }
+
+  async function signInAdmin(uid = 'admin') {
+    await services.db.collection('users').doc(uid).set({ uid, email: `${uid}@example.com`, role: 'admin' });
+    return signIn(uid);
+  }
+
+  /**
+   * Run the mail queue worker, as the cron job would
+   */
+  async function deliverMail() {
+    const res = await request('POST', '/api/v1/mail-queue/process', { token: CRON_SECRET });
+    if (res.status !== 200) throw new Error(`Mail queue run failed: ${res.status}`);
+    return res.body;
+  }
+
+  return {
+    app,
+    services,
+    db: services.db,
+    clock,
+    baseUrl,
+    request,
+    signIn,
+    signInAdmin,
+    deliverMail,
+    cronToken: CRON_SECRET,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+/**
+ * The 6-digit code in the last email sent to an address
+ */
+function lastCode(mailer, to) {
+  const message = [...mailer.sent].reverse().find((mail) => mail.to === to);
+  const match = message && message.text.match(/\b(\d{6})\b/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Links to an API path found in an email, as paths to request, e.g.
+ * linksIn(mail, '/api/v1/newsletter/confirm') -> ['/api/v1/newsletter/confirm?token=...']
+ */
+function linksIn(message, path) {
+  const urls = `${message.html}\n${message.text}`.match(/https?:\/\/[^\s"'<>()]+/g) || [];
+  const paths = urls
+    .map((url) => new URL(url.replace(/&amp;/g, '&')))
+    .filter((url) => url.pathname === path)
+    .map((url) => `${url.pathname}?${url.searchParams}`);
+  return [...new Set(paths)];
+}
+
+module.exports = { createTestApp, lastCode, linksIn };
@@ -0,0 +1,473 @@
+/**
+ * In-memory Firestore fake
+ * Implements the subset of the Admin SDK API the app uses. FieldValue sentinels and
+ * Timestamps are the real firebase-admin classes so app code runs unchanged.
+ * Transactions run one at a time and writes are applied when they commit.
+ */
+
+const admin = require('firebase-admin');
+
+const { Timestamp } = admin.firestore;
+
+let autoId = 0;
+function generateId() {
+  autoId += 1;
+  return `auto${String(autoId).padStart(6, '0')}`;
+}
+
+function clone(value) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Timestamp) return value;
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (typeof value === 'object' && value.constructor === Object) {
+    const out = {};
+    for (const [key, nested] of Object.entries(value)) out[key] = clone(nested);
+    return out;
+  }
+  return value;
+}
+
+function getPath(data, fieldPath) {
+  if (fieldPath === '__name__') return undefined;
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+function transformName(value) {
+  return value && typeof value === 'object' && typeof value.methodName === 'string' && value.methodName.startsWith('FieldValue.')
+    ? value.methodName
+    : null;
+}
+
+function applyValue(current, value, clock) {
+  switch (transformName(value)) {
+    case 'FieldValue.serverTimestamp':
+      return Timestamp.fromMillis(clock());
+    case 'FieldValue.increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'FieldValue.arrayUnion': {
+      const list = Array.isArray(current) ? [...current] : [];
+      for (const element of value.elements) {
+        if (!list.some((item) => equals(item, element))) list.push(clone(element));
+      }
+      return list;
+    }
+    case 'FieldValue.arrayRemove':
+      return (Array.isArray(current) ? current : []).filter((item) => !value.elements.some((element) => equals(item, element)));
+    default:
+      if (value && typeof value === 'object' && value.constructor === Object) {
+        const out = {};
+        for (const [key, nested] of Object.entries(value)) {
+          if (transformName(nested) === 'FieldValue.delete') continue;
+          out[key] = applyValue(undefined, nested, clock);
+        }
+        return out;
+      }
+      return clone(value);
+  }
+}
+
+function setPath(data, fieldPath, value, clock) {
+  const keys = fieldPath.split('.');
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  const last = keys[keys.length - 1];
+  if (transformName(value) === 'FieldValue.delete') {
+    delete target[last];
+  } else {
+    target[last] = applyValue(target[last], value, clock);
+  }
+}
+
+function mergeInto(target, value, clock) {
+  for (const [key, nested] of Object.entries(value)) {
+    if (transformName(nested) === 'FieldValue.delete') {
+      delete target[key];
+    } else if (nested && typeof nested === 'object' && nested.constructor === Object && !transformName(nested)) {
+      if (!target[key] || typeof target[key] !== 'object' || target[key] instanceof Timestamp) target[key] = {};
+      mergeInto(target[key], nested, clock);
+    } else {
+      target[key] = applyValue(target[key], nested, clock);
+    }
+  }
+}
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function equals(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+function matches(data, id, { field, op, value }) {
+  const actual = field === '__name__' ? id : getPath(data, field);
+  switch (op) {
+    case '==': return actual !== undefined && equals(actual, value);
+    case '!=': return actual !== undefined && !equals(actual, value);
+    case '<': return actual !== undefined && compare(actual, value) < 0;
+    case '<=': return actual !== undefined && compare(actual, value) <= 0;
+    case '>': return actual !== undefined && compare(actual, value) > 0;
+    case '>=': return actual !== undefined && compare(actual, value) >= 0;
+    case 'in': return value.some((candidate) => equals(actual, candidate));
+    case 'not-in': return actual !== undefined && !value.some((candidate) => equals(actual, candidate));
+    case 'array-contains': return Array.isArray(actual) && actual.some((item) => equals(item, value));
+    case 'array-contains-any': return Array.isArray(actual) && actual.some((item) => value.some((candidate) => equals(item, candidate)));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this._data = data;
+    this.exists = data !== undefined;
+  }
+
+  data() {
+    return this._data === undefined ? undefined : clone(this._data);
+  }
+
+  get(fieldPath) {
+    return this._data === undefined ? undefined : clone(getPath(this._data, fieldPath));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this._db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this._db, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this._db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this._db._snapshot(this);
+  }
+
+  async set(data, options) {
+    this._db._set(this, data, options);
+  }
+
+  async create(data) {
+    this._db._create(this, data);
+  }
+
+  async update(data) {
+    this._db._update(this, data);
+  }
+
+  async delete() {
+    this._db._delete(this);
+  }
+
+  isEqual(other) {
+    return other && other.path === this.path;
+  }
+}
+
+class Query {
+  constructor(db, options) {
+    this._db = db;
+    this._options = { filters: [], orders: [], limit: null, offset: 0, startAfter: null, group: false, ...options };
+  }
+
+  _with(changes) {
+    return new Query(this._db, { ...this._options, ...changes });
+  }
+
+  where(field, op, value) {
+    const fieldPath = typeof field === 'string' ? field : field.toString();
+    return this._with({ filters: [...this._options.filters, { field: fieldPath, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    const fieldPath = typeof field === 'string' ? field : field.toString();
+    return this._with({ orders: [...this._options.orders, { field: fieldPath, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  offset(offset) {
+    return this._with({ offset });
+  }
+
+  startAfter(...values) {
+    return this._with({ startAfter: values });
+  }
+
+  select() {
+    return this;
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const { size } = await this.get();
+        return { data: () => ({ count: size }) };
+      }
+    };
+  }
+
+  async get() {
+    const { path, filters, orders, limit, offset, startAfter, group } = this._options;
+    let docs = this._db._documents(path, group)
+      .filter(([id, data]) => filters.every((filter) => matches(data, id, filter)))
+      .map(([id, data, ref]) => ({ id, data, ref }));
+
+    docs.sort((a, b) => {
+      for (const { field, direction } of orders) {
+        const result = field === '__name__' ? compare(a.ref.path, b.ref.path) : compare(getPath(a.data, field), getPath(b.data, field));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return compare(a.ref.path, b.ref.path);
+    });
+
+    if (startAfter) {
+      const cursor = startAfter[0] instanceof DocumentSnapshot ? startAfter[0] : null;
+      const index = docs.findIndex((doc) => {
+        if (cursor) return doc.ref.path === cursor.ref.path;
+        return false;
+      });
+      if (cursor) {
+        docs = index >= 0 ? docs.slice(index + 1) : docs;
+      } else {
+        docs = docs.filter((doc) => {
+          for (let i = 0; i < orders.length && i < startAfter.length; i++) {
+            const { field, direction } = orders[i];
+            const value = field === '__name__' ? doc.id : getPath(doc.data, field);
+            const result = compare(value, startAfter[i]);
+            if (result !== 0) return direction === 'desc' ? result < 0 : result > 0;
+          }
+          return false;
+        });
+      }
+    }
+
+    docs = docs.slice(offset);
+    if (limit !== null) docs = docs.slice(0, limit);
+    return new QuerySnapshot(docs.map((doc) => new DocumentSnapshot(doc.ref, doc.data)));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, { path });
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const segments = this.path.split('/');
+    return segments.length > 1 ? new DocumentReference(this._db, segments.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id) {
+    return new DocumentReference(this._db, `${this.path}/${id || generateId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    this._db._set(ref, data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return this._db._documents(this.path, false).map(([, , ref]) => ref);
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._ops = [];
+  }
+
+  set(ref, data, options) {
+    this._ops.push(() => this._db._set(ref, data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this._ops.push(() => this._db._create(ref, data));
+    return this;
+  }
+
+  update(ref, data) {
+    this._ops.push(() => this._db._update(ref, data));
+    return this;
+  }
+
+  delete(ref) {
+    this._ops.push(() => this._db._delete(ref));
+    return this;
+  }
+
+  async commit() {
+    // Validate everything first so a failing write leaves nothing applied
+    const snapshot = new Map(this._db._store);
+    try {
+      for (const op of this._ops) op();
+    } catch (error) {
+      this._db._store = snapshot;
+      throw error;
+    }
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    if (refOrQuery instanceof DocumentReference) return refOrQuery.get();
+    return refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((ref) => ref.get()));
+  }
+}
+
+class FakeFirestore {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.clock] - () => epoch millis, used for serverTimestamp
+   */
+  constructor(options = {}) {
+    this._store = new Map();
+    this._clock = options.clock || (() => Date.now());
+    this._queue = Promise.resolve();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  collectionGroup(id) {
+    return new Query(this, { path: id, group: true });
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  /**
+   * Transactions are serialised, which gives the same isolation guarantees as Firestore
+   */
+  runTransaction(callback) {
+    const run = this._queue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await callback(transaction);
+      await transaction.commit();
+      return result;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((ref) => ref.get()));
+  }
+
+  _documents(path, group) {
+    const results = [];
+    for (const [docPath, data] of this._store) {
+      const segments = docPath.split('/');
+      const collectionPath = segments.slice(0, -1).join('/');
+      const matchesPath = group ? segments[segments.length - 2] === path : collectionPath === path;
+      if (matchesPath) results.push([segments[segments.length - 1], data, new DocumentReference(this, docPath)]);
+    }
+    return results;
+  }
+
+  _snapshot(ref) {
+    const data = this._store.get(ref.path);
+    return new DocumentSnapshot(ref, data === undefined ? undefined : clone(data));
+  }
+
+  _set(ref, data, options = {}) {
+    if (options.merge) {
+      const existing = clone(this._store.get(ref.path)) || {};
+      mergeInto(existing, data, this._clock);
+      this._store.set(ref.path, existing);
+    } else {
+      this._store.set(ref.path, applyValue(undefined, data, this._clock));
+    }
+  }
+
+  _create(ref, data) {
+    if (this._store.has(ref.path)) {
+      const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${ref.path}`);
+      error.code = 6;
+      throw error;
+    }
+    this._set(ref, data);
+  }
+
+  _update(ref, data) {
+    const existing = this._store.get(ref.path);
+    if (existing === undefined) {
+      const error = new Error(`5 NOT_FOUND: No document to update: ${ref.path}`);
+      error.code = 5;
+      throw error;
+    }
+    const updated = clone(existing);
+    for (const [fieldPath, value] of Object.entries(data)) {
+      setPath(updated, fieldPath, value, this._clock);
+    }
+    this._store.set(ref.path, updated);
+  }
+
+  _delete(ref) {
+    this._store.delete(ref.path);
+  }
+
+  /**
+   * Test helper: every document as { path: data }
+   */
+  dump() {
+    const out = {};
+    for (const [path, data] of this._store) out[path] = clone(data);
+    return out;
+  }
+}
+
+module.exports = { FakeFirestore };
@@ -0,0 +1,229 @@
+/**
+ * In-memory stand-ins for the services in lib/services.js
+ * Each keeps what it was asked to do (sent emails, SMS, stored images) so tests can look at it.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Clock that only moves when told to
+ */
+function createFakeClock(start = Date.parse('2026-06-15T06:30:00Z')) {
+  let now = start;
+  return {
+    now: () => now,
+    advance(ms) {
+      now += ms;
+    }
+  };
+}
+
+/**
+ * Firebase Auth: ID tokens are handed out by signIn
+ */
+function createFakeAuth() {
+  const users = new Map();
+  const tokens = new Map();
+
+  function notFound() {
+    const error = new Error('There is no user record corresponding to the provided identifier.');
+    error.code = 'auth/user-not-found';
+    return error;
+  }
+
+  return {
+    users,
+    passwordUpdates: [],
+    revoked: [],
+
+    /**
+     * Create (or reuse) a user and return an ID token for them
+     */
+    signIn(uid, email = `${uid}@example.com`) {
+      users.set(uid, { uid, email });
+      const token = `token-${uid}`;
+      tokens.set(token, uid);
+      return token;
+    },
+
+    async verifyIdToken(token) {
+      const uid = tokens.get(token);
+      if (!uid) {
+        const error = new Error('Decoding Firebase ID token failed.');
+        error.code = 'auth/argument-error';
+        throw error;
+      }
+      return { uid, email: users.get(uid).email };
+    },
+
+    async getUserByEmail(email) {
+      const user = [...users.values()].find((candidate) => candidate.email === email);
+      if (!user) throw notFound();
+      return user;
+    },
+
+    async updateUser(uid, properties) {
+      if (!users.has(uid)) throw notFound();
+      this.passwordUpdates.push({ uid, ...properties });
+      return users.get(uid);
+    },
+
+    async revokeRefreshTokens(uid) {
+      this.revoked.push(uid);
+    }
+  };
+}
+
+/**
+ * Mailer that keeps every message; failures can be queued with failNext()
+ */
+function createFakeMailer() {
+  let failures = 0;
+
+  return {
+    drivers: [{ name: 'memory' }],
+    sent: [],
+
+    failNext(count = 1) {
+      failures += count;
+    },
+
+    async send(message) {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error('Mail server unavailable');
+      }
+      const id = `mail-${this.sent.length + 1}`;
+      this.sent.push({ id, ...message });
+      return { id, driver: 'memory' };
+    },
+
+    async verify() {
+      return 'memory';
+    }
+  };
+}
+
+/**
+ * SMS provider that keeps every message; failures can be queued with failNext()
+ */
+function createFakeSms() {
+  let failures = 0;
+
+  return {
+    driver: { name: 'memory' },
+    sent: [],
+
+    failNext(count = 1) {
+      failures += count;
+    },
+
+    async send(message) {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error('SMS gateway unavailable');
+      }
+      const id = `sms-${this.sent.length + 1}`;
+      this.sent.push({ id, ...message });
+      return { id, driver: 'memory' };
+    },
+
+    async verify() {
+      return 'memory';
+    }
+  };
+}
+
+/**
+ * Image storage keyed by public id; failDeletes holds ids whose deletion should fail
+ */
+function createFakeStorage(clock) {
+  const baseUrl = 'https://images.test/';
+  const images = new Map();
+  const failDeletes = new Set();
+
+  return {
+    driver: { name: 'memory' },
+    images,
+    failDeletes,
+
+    async upload(buffer, { folder, publicId, extension }) {
+      const id = `${folder}/${publicId}`;
+      const url = `${baseUrl}${id}.${extension}`;
+      images.set(id, { publicId: id, url, createdAt: new Date(clock.now()).toISOString(), bytes: buffer.length });
+      return { url, publicId: id };
+    },
+
+    async destroyImages(publicIds) {
+      const deleted = [];
+      const failed = [];
+      for (const publicId of publicIds) {
+        if (failDeletes.has(publicId)) {
+          failed.push(publicId);
+        } else {
+          images.delete(publicId);
+          deleted.push(publicId);
+        }
+      }
+      return { deleted, failed };
+    },
+
+    async listImages(prefix) {
+      return [...images.values()].filter((image) => image.publicId.startsWith(prefix));
+    },
+
+    publicIdFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(baseUrl)) return null;
+      return url.slice(baseUrl.length).replace(/\.(jpg|png|gif|webp)$/, '');
+    }
+  };
+}
+
+/**
+ * A valid PNG of the given size (solid grey), for upload tests
+ */
+function createPng(width, height) {
+  function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) {
+      crc ^= byte;
+      for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+    return (crc ^ -1) >>> 0;
+  }
+
+  function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // greyscale
+
+  const row = Buffer.alloc(width + 1, 0x80);
+  row[0] = 0; // no filter
+  const pixels = zlib.deflateSync(Buffer.concat(Array.from({ length: height }, () => row)));
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', pixels),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  createFakeClock,
+  createFakeAuth,
+  createFakeMailer,
+  createFakeSms,
+  createFakeStorage,
+  createPng
+};
@@ -0,0 +1,42 @@
+/**
+ * Catalog and checkout steps shared by the cart, order and payment tests
+ */
+
+const assert = require('node:assert/strict');
+
+const ADDRESS = {
+  name: 'Asha Raman',
+  phone: '98765 43210',
+  line1: '12 Anna Salai',
+  city: 'Chennai',
+  state: 'Tamil Nadu',
+  pincode: '600002'
+};
+
+/**
+ * Create a product through the admin API
+ */
+async function createProduct(t, fields = {}) {
+  const res = await t.request('POST', '/api/v1/products', {
+    token: await t.signInAdmin(),
+    body: { name: 'Teak Sofa', category: 'furniture', price: 1000, mrp: 1500, stock: 5, gstRate: 18, ...fields }
+  });
+  assert.equal(res.status, 201, res.body.message);
+  return res.body.product;
+}
+
+/**
+ * Fill the cart and place an order
+ * @param {object} items - { [productId]: quantity }
+ */
+async function placeOrder(t, token, items, address = ADDRESS) {
+  for (const [productId, quantity] of Object.entries(items)) {
+    const res = await t.request('PUT', `/api/v1/cart/items/${productId}`, { token, body: { quantity } });
+    assert.equal(res.status, 200, res.body.message);
+  }
+  const res = await t.request('POST', '/api/v1/orders', { token, body: { shippingAddress: address } });
+  assert.equal(res.status, 201, res.body.message);
+  return res.body.order;
+}
+
+module.exports = { ADDRESS, createProduct, placeOrder };
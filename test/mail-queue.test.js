@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createMailer } = require('../lib/mailer');
+
+describe('mail queue', () => {
+  let t;
+  let adminToken;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    adminToken = await t.signInAdmin();
+  });
+
+  afterEach(() => t.close());
+
+  // Queues one email through the back-in-stock trigger
+  async function queueEmail() {
+    await t.request('POST', '/api/v1/stock-alerts/subscribe', { body: { productId: 'lamp', email: 'guest@example.com' } });
+    await t.request('POST', '/api/v1/notify-back-in-stock', { token: adminToken, body: { productId: 'lamp', productName: 'Brass Lamp' } });
+  }
+
+  function listJobs(status) {
+    return t.request('GET', `/api/v1/mail-queue${status ? `?status=${status}` : ''}`, { token: adminToken });
+  }
+
+  it('only runs for the cron secret or an admin', async () => {
+    assert.equal((await t.request('POST', '/api/v1/mail-queue/process')).status, 401);
+    assert.equal((await t.request('POST', '/api/v1/mail-queue/process', { token: 'wrong' })).status, 401);
+    assert.equal((await t.request('GET', '/api/v1/mail-queue/process', { token: adminToken })).status, 200);
+  });
+
+  it('delivers queued jobs', async () => {
+    await queueEmail();
+    assert.equal((await listJobs('queued')).body.jobs.length, 1);
+
+    const summary = await t.deliverMail();
+    assert.equal(summary.sent, 1);
+    assert.equal(t.services.mailer.sent.at(-1).to, 'guest@example.com');
+
+    const [job] = (await listJobs('sent')).body.jobs;
+    assert.equal(job.to, 'guest@example.com');
+    assert.equal(job.message, undefined);
+  });
+
+  it('retries with backoff, dead-letters, and lets an admin re-queue', async () => {
+    await queueEmail();
+    t.services.mailer.failNext(5);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await t.deliverMail();
+      t.clock.advance(60 * 60 * 1000);
+    }
+    const [dead] = (await listJobs('dead')).body.jobs;
+    assert.ok(dead);
+    assert.equal(t.services.mailer.sent.length, 0);
+
+    const retry = await t.request('POST', `/api/v1/mail-queue/${dead.id}/retry`, { token: adminToken });
+    assert.equal(retry.status, 200);
+    await t.deliverMail();
+    assert.equal(t.services.mailer.sent.length, 1);
+
+    const again = await t.request('POST', `/api/v1/mail-queue/${dead.id}/retry`, { token: adminToken });
+    assert.equal(again.status, 409);
+  });
+
+  it('drops the code from a code email once it is sent or dead', async () => {
+    const sent = await t.request('POST', '/api/v1/send-otp', { body: { email: 'asha@example.com' } });
+    assert.equal(sent.status, 200);
+    const [delivered] = (await t.db.collection('mailJobs').where('status', '==', 'sent').get()).docs;
+    assert.deepEqual(delivered.data().message, { to: 'asha@example.com', subject: t.services.mailer.sent[0].subject });
+
+    t.services.mailer.failNext(5);
+    await t.request('POST', '/api/v1/send-otp', { body: { email: 'ravi@example.com' } });
+    for (let attempt = 0; attempt < 5; attempt++) {
+      t.clock.advance(60 * 60 * 1000);
+      await t.deliverMail();
+    }
+    const [dead] = (await t.db.collection('mailJobs').where('status', '==', 'dead').get()).docs;
+    assert.deepEqual(Object.keys(dead.data().message).sort(), ['subject', 'to']);
+
+    const retry = await t.request('POST', `/api/v1/mail-queue/${dead.id}/retry`, { token: adminToken });
+    assert.equal(retry.status, 409);
+  });
+
+  it('validates the status filter and job id', async () => {
+    assert.equal((await listJobs('lost')).status, 400);
+    assert.equal((await t.request('POST', '/api/v1/mail-queue/missing/retry', { token: adminToken })).status, 404);
+  });
+
+  describe('createMailer', () => {
+    it('only falls back to the outbox outside production', () => {
+      assert.equal(createMailer({}).drivers[0].name, 'outbox');
+      assert.throws(() => createMailer({ NODE_ENV: 'production' }), /No mail driver configured/);
+      assert.throws(() => createMailer({ NODE_ENV: 'production', MAIL_DRIVER: 'outbox' }), /production/);
+      assert.throws(
+        () => createMailer({ NODE_ENV: 'production', EMAIL_USER: 'shop@example.com', MAIL_FALLBACK_DRIVER: 'outbox' }),
+        /production/
+      );
+      assert.equal(createMailer({ NODE_ENV: 'production', EMAIL_USER: 'shop@example.com' }).drivers[0].name, 'gmail');
+    });
+
+    it('fails in production when a driver is missing its settings', () => {
+      assert.deepEqual(createMailer({ MAIL_DRIVER: 'resend' }).drivers, []);
+      assert.throws(() => createMailer({ NODE_ENV: 'production', MAIL_DRIVER: 'resend' }), /RESEND_API_KEY/);
+    });
+  });
+});
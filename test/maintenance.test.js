@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createPng } = require('./helpers/fakes');
+const { createProduct, placeOrder } = require('./helpers/shop');
+
+describe('maintenance', () => {
+  let t;
+  let adminToken;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    adminToken = await t.signInAdmin();
+  });
+
+  afterEach(() => t.close());
+
+  function imageForm(file) {
+    const form = new FormData();
+    form.append('image', new Blob([file], { type: 'image/png' }), 'photo.png');
+    return form;
+  }
+
+  async function uploadProductImage() {
+    const res = await t.request('POST', '/api/v1/upload/product-image', { token: adminToken, raw: imageForm(createPng(200, 200)) });
+    return res.body;
+  }
+
+  it('accepts the cron secret or an admin, nobody else', async () => {
+    assert.equal((await t.request('GET', '/api/v1/maintenance/orphaned-images')).status, 401);
+    assert.equal((await t.request('GET', '/api/v1/maintenance/orphaned-images', { token: t.signIn('asha') })).status, 403);
+    assert.equal((await t.request('GET', '/api/v1/maintenance/orphaned-images', { token: t.cronToken })).status, 200);
+    assert.equal((await t.request('GET', '/api/v1/maintenance/orphaned-images', { token: adminToken })).status, 200);
+  });
+
+  describe('orphaned images', () => {
+    it('lists and purges old product images that no product uses', async () => {
+      const unused = await uploadProductImage();
+      const used = await uploadProductImage();
+      await t.request('POST', '/api/v1/products', {
+        token: adminToken,
+        body: { name: 'Sofa', category: 'furniture', price: 1, mrp: 1, images: [{ url: used.imageUrl, publicId: used.publicId }] }
+      });
+
+      const fresh = await t.request('GET', '/api/v1/maintenance/orphaned-images', { token: t.cronToken });
+      assert.equal(fresh.body.orphanedCount, 0);
+
+      t.clock.advance(25 * 60 * 60 * 1000);
+      const old = await t.request('GET', '/api/v1/maintenance/orphaned-images', { token: t.cronToken });
+      assert.equal(old.body.scanned, 2);
+      assert.deepEqual(old.body.orphaned.map((image) => image.publicId), [unused.publicId]);
+
+      const purge = await t.request('POST', '/api/v1/maintenance/orphaned-images/purge', { token: t.cronToken, body: {} });
+      assert.deepEqual(purge.body.deleted, [unused.publicId]);
+      assert.deepEqual([...t.services.storage.images.keys()], [used.publicId]);
+    });
+
+    it('validates olderThanHours', async () => {
+      const res = await t.request('GET', '/api/v1/maintenance/orphaned-images?olderThanHours=-1', { token: t.cronToken });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  it('retries image deletions that failed earlier', async () => {
+    await t.db.collection('users').doc('asha').set({ email: 'asha@example.com' });
+    const token = t.signIn('asha');
+    const first = await t.request('POST', '/api/v1/upload/profile-image', { token, raw: imageForm(createPng(64, 64)) });
+
+    t.services.storage.failDeletes.add(first.body.publicId);
+    t.clock.advance(1000);
+    await t.request('POST', '/api/v1/upload/profile-image', { token, raw: imageForm(createPng(64, 64)) });
+    assert.ok(t.services.storage.images.has(first.body.publicId));
+
+    const failing = await t.request('POST', '/api/v1/maintenance/image-deletions/retry', { token: t.cronToken });
+    assert.deepEqual([failing.body.deleted, failing.body.failed], [0, 1]);
+
+    t.services.storage.failDeletes.clear();
+    const res = await t.request('POST', '/api/v1/maintenance/image-deletions/retry', { token: t.cronToken });
+    assert.deepEqual([res.body.deleted, res.body.failed], [1, 0]);
+    assert.ok(!t.services.storage.images.has(first.body.publicId));
+  });
+
+  it('cancels orders left unpaid too long and gives their stock back', async () => {
+    const sofa = await createProduct(t, { stock: 5 });
+    const unpaid = await placeOrder(t, t.signIn('asha'), { [sofa.id]: 2 });
+    const paid = await placeOrder(t, t.signIn('ravi'), { [sofa.id]: 1 });
+    await t.db.collection('orders').doc(paid.id).update({ 'payment.status': 'paid' });
+
+    t.clock.advance(61 * 60 * 1000);
+    const fresh = await placeOrder(t, t.signIn('meena'), { [sofa.id]: 1 });
+
+    const res = await t.request('POST', '/api/v1/maintenance/unpaid-orders/expire', { token: t.cronToken, body: {} });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.cancelled, [unpaid.id]);
+    assert.deepEqual(res.body.skipped, [paid.id]);
+
+    const orderStatus = async (id) => (await t.db.collection('orders').doc(id).get()).data().status;
+    assert.equal(await orderStatus(unpaid.id), 'cancelled');
+    assert.equal(await orderStatus(paid.id), 'placed');
+    assert.equal(await orderStatus(fresh.id), 'placed');
+    assert.equal((await t.db.collection('products').doc(sofa.id).get()).data().stock, 3);
+
+    const again = await t.request('POST', '/api/v1/maintenance/unpaid-orders/expire', { token: t.cronToken, body: { olderThanMinutes: 0 } });
+    assert.deepEqual(again.body.cancelled, [fresh.id]);
+  });
+});
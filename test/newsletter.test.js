@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, linksIn } = require('./helpers/app');
+
+describe('newsletter', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+  });
+
+  afterEach(() => t.close());
+
+  async function subscriber(email) {
+    return (await t.db.collection('newsletterSubscribers').doc(email).get()).data();
+  }
+
+  async function subscribe(email) {
+    await t.request('POST', '/api/v1/newsletter/subscribe', { body: { email } });
+    const mail = t.services.mailer.sent.at(-1);
+    return linksIn(mail, '/api/v1/newsletter/confirm')[0];
+  }
+
+  // Opens the confirmation link and presses the page's button
+  async function confirm(link) {
+    const page = await t.request('GET', link);
+    const token = page.body.match(/name="token" value="([^"]+)"/)[1];
+    return t.request('POST', '/api/v1/newsletter/confirm', {
+      raw: new URLSearchParams({ token }).toString(),
+      headers: { 'content-type': 'application/x-www-form-urlencoded', accept: 'text/html' }
+    });
+  }
+
+  describe('POST /api/v1/newsletter/subscribe', () => {
+    it('requires a valid email', async () => {
+      assert.equal((await t.request('POST', '/api/v1/newsletter/subscribe', { body: {} })).status, 400);
+      assert.equal((await t.request('POST', '/api/v1/newsletter/subscribe', { body: { email: 'nope' } })).status, 400);
+    });
+
+    it('stores a pending subscriber and emails a confirmation link', async () => {
+      const res = await t.request('POST', '/api/v1/newsletter/subscribe', { body: { email: 'ravi@example.com' } });
+      assert.equal(res.status, 200);
+      assert.equal((await subscriber('ravi@example.com')).status, 'pending');
+
+      const mail = t.services.mailer.sent.at(-1);
+      assert.equal(mail.to, 'ravi@example.com');
+      assert.equal(linksIn(mail, '/api/v1/newsletter/confirm').length, 1);
+    });
+
+    it('does not re-send to an active subscriber', async () => {
+      await confirm(await subscribe('ravi@example.com'));
+      const sent = t.services.mailer.sent.length;
+
+      const res = await t.request('POST', '/api/v1/newsletter/subscribe', { body: { email: 'ravi@example.com' } });
+      assert.equal(res.status, 200);
+      assert.match(res.body.message, /already subscribed/);
+      assert.equal(t.services.mailer.sent.length, sent);
+    });
+  });
+
+  describe('confirm', () => {
+    it('asks before activating the subscription from the link in the email', async () => {
+      const link = await subscribe('ravi@example.com');
+
+      const page = await t.request('GET', link);
+      assert.equal(page.status, 200);
+      assert.match(page.body, /<form method="post" action="\/api\/v1\/newsletter\/confirm"/);
+      assert.equal((await subscriber('ravi@example.com')).status, 'pending');
+
+      const res = await confirm(link);
+      assert.equal(res.status, 200);
+      assert.match(res.body, /Subscription confirmed/);
+      assert.equal((await subscriber('ravi@example.com')).status, 'active');
+
+      const welcome = t.services.mailer.sent.at(-1);
+      assert.ok(welcome.headers['List-Unsubscribe']);
+      assert.equal(welcome.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+
+      const sent = t.services.mailer.sent.length;
+      await confirm(link);
+      assert.equal(t.services.mailer.sent.length, sent);
+    });
+
+    it('rejects invalid and expired links', async () => {
+      assert.equal((await t.request('GET', '/api/v1/newsletter/confirm?token=forged')).status, 400);
+      const forged = await t.request('POST', '/api/v1/newsletter/confirm', { body: { token: 'forged' } });
+      assert.equal(forged.status, 400);
+      assert.equal(forged.body.message, 'Invalid or expired confirmation token');
+
+      const link = await subscribe('ravi@example.com');
+      t.clock.advance(49 * 60 * 60 * 1000);
+      assert.equal((await t.request('GET', link)).status, 400);
+      const token = new URLSearchParams(link.split('?')[1]).get('token');
+      assert.equal((await t.request('POST', '/api/v1/newsletter/confirm', { body: { token } })).status, 400);
+      assert.equal((await subscriber('ravi@example.com')).status, 'pending');
+    });
+  });
+
+  describe('unsubscribe', () => {
+    async function unsubscribeLink(email) {
+      await confirm(await subscribe(email));
+      return linksIn(t.services.mailer.sent.at(-1), '/api/v1/newsletter/unsubscribe')[0];
+    }
+
+    it('asks before unsubscribing from the link in the email', async () => {
+      const link = await unsubscribeLink('ravi@example.com');
+
+      const page = await t.request('GET', link);
+      assert.equal(page.status, 200);
+      assert.match(page.body, /<form method="post" action="\/api\/v1\/newsletter\/unsubscribe"/);
+      assert.equal((await subscriber('ravi@example.com')).status, 'active');
+
+      const token = page.body.match(/name="token" value="([^"]+)"/)[1];
+      const res = await t.request('POST', '/api/v1/newsletter/unsubscribe', {
+        raw: new URLSearchParams({ token }).toString(),
+        headers: { 'content-type': 'application/x-www-form-urlencoded', accept: 'text/html' }
+      });
+      assert.equal(res.status, 200);
+      assert.match(res.body, /You have been unsubscribed/);
+      assert.equal((await subscriber('ravi@example.com')).status, 'unsubscribed');
+    });
+
+    it('supports one-click POST with the token in the query or the form body', async () => {
+      const link = await unsubscribeLink('ravi@example.com');
+      const res = await t.request('POST', link, { raw: 'List-Unsubscribe=One-Click' });
+      assert.equal(res.status, 200);
+      assert.equal((await subscriber('ravi@example.com')).status, 'unsubscribed');
+
+      const other = await unsubscribeLink('meena@example.com');
+      const token = new URLSearchParams(other.split('?')[1]).get('token');
+      const form = await t.request('POST', '/api/v1/newsletter/unsubscribe', {
+        raw: new URLSearchParams({ token }).toString(),
+        headers: { 'content-type': 'application/x-www-form-urlencoded' }
+      });
+      assert.equal(form.status, 200);
+      assert.equal((await subscriber('meena@example.com')).status, 'unsubscribed');
+    });
+
+    it('rejects invalid tokens', async () => {
+      const page = await t.request('GET', '/api/v1/newsletter/unsubscribe?token=forged');
+      assert.equal(page.status, 400);
+
+      const res = await t.request('POST', '/api/v1/newsletter/unsubscribe?token=forged');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Invalid unsubscribe token');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+
+describe('admin notification triggers', () => {
+  let t;
+  let adminToken;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    adminToken = await t.signInAdmin();
+  });
+
+  afterEach(() => t.close());
+
+  async function watch(uid, productId, entry = {}) {
+    await t.db.collection('users').doc(uid).set({ email: `${uid}@example.com`, fullName: uid });
+    await t.db.collection('users').doc(uid).collection('wishlist').doc(productId).set({ productId, ...entry });
+  }
+
+  describe('POST /api/v1/notify-price-drop', () => {
+    const drop = { productId: 'sofa', productName: 'Teak Sofa', oldPrice: 1000, newPrice: 800 };
+
+    function notify(body, query = '') {
+      return t.request('POST', `/api/v1/notify-price-drop${query}`, { token: adminToken, body });
+    }
+
+    it('is admin only', async () => {
+      const res = await t.request('POST', '/api/v1/notify-price-drop', { token: t.signIn('asha'), body: drop });
+      assert.equal(res.status, 403);
+    });
+
+    it('requires the product and both prices', async () => {
+      assert.equal((await notify({ productId: 'sofa' })).status, 400);
+    });
+
+    it('rejects prices that are not positive numbers', async () => {
+      const res = await notify({ ...drop, oldPrice: 'a lot', newPrice: -5 });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map((error) => error.field), ['oldPrice', 'newPrice']);
+    });
+
+    it('accepts prices sent as numeric strings', async () => {
+      await watch('asha', 'sofa');
+      const res = await notify({ ...drop, oldPrice: '1000', newPrice: '800' });
+      assert.equal(res.status, 202);
+      assert.equal(res.body.notifiedCount, 1);
+    });
+
+    it('does nothing when the price did not go down', async () => {
+      const res = await notify({ ...drop, newPrice: 1200 });
+      assert.equal(res.body.notifiedCount, 0);
+    });
+
+    it('queues one email per watcher and respects target prices', async () => {
+      await watch('asha', 'sofa');
+      await watch('ravi', 'sofa', { targetPrice: 500 });
+
+      const res = await notify(drop);
+      assert.equal(res.status, 202);
+      assert.equal(res.body.notifiedCount, 1);
+      assert.equal(res.body.totalWishlistUsers, 2);
+
+      await t.deliverMail();
+      assert.deepEqual(t.services.mailer.sent.map((mail) => mail.to), ['asha@example.com']);
+    });
+
+    it('lists the recipients on a dry run without sending', async () => {
+      await watch('asha', 'sofa');
+
+      const res = await notify(drop, '?dryRun=true');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.recipients.map((recipient) => recipient.uid), ['asha']);
+
+      await t.deliverMail();
+      assert.equal(t.services.mailer.sent.length, 0);
+    });
+
+    it('does not alert the same watcher again within the cooldown', async () => {
+      await watch('asha', 'sofa');
+      await notify(drop);
+
+      const again = await notify({ ...drop, newPrice: 700 });
+      assert.equal(again.body.notifiedCount, 0);
+    });
+
+    it('alerts again when the price drops to the same figure after the cooldown', async () => {
+      await watch('asha', 'sofa');
+      await notify(drop);
+
+      // The price went back up to 1000, and a day later drops to 800 again
+      t.clock.advance(25 * 60 * 60 * 1000);
+      const again = await notify(drop);
+      assert.equal(again.body.notifiedCount, 1);
+      assert.equal(again.body.duplicateCount, 0);
+
+      await t.deliverMail();
+      assert.equal(t.services.mailer.sent.filter((mail) => mail.to === 'asha@example.com').length, 2);
+    });
+  });
+
+  describe('POST /api/v1/notify-back-in-stock', () => {
+    it('emails everyone waiting and clears their subscriptions', async () => {
+      await t.request('POST', '/api/v1/stock-alerts/subscribe', { body: { productId: 'lamp', email: 'guest@example.com' } });
+
+      const res = await t.request('POST', '/api/v1/notify-back-in-stock', {
+        token: adminToken,
+        body: { productId: 'lamp', productName: 'Brass Lamp', price: 450 }
+      });
+      assert.equal(res.status, 202);
+      assert.equal(res.body.notifiedCount, 1);
+      assert.ok(res.body.notificationId);
+
+      const again = await t.request('POST', '/api/v1/notify-back-in-stock', {
+        token: adminToken,
+        body: { productId: 'lamp', productName: 'Brass Lamp' }
+      });
+      assert.equal(again.body.notifiedCount, 0);
+    });
+
+    it('requires the product', async () => {
+      const res = await t.request('POST', '/api/v1/notify-back-in-stock', { token: adminToken, body: { productId: 'lamp' } });
+      assert.equal(res.status, 400);
+    });
+  });
+});
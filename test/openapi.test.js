@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+
+describe('API docs', () => {
+  let t;
+  let spec;
+
+  before(async () => {
+    t = await createTestApp();
+    spec = (await t.request('GET', '/api/openapi.json')).body;
+  });
+
+  after(() => t.close());
+
+  it('serves an OpenAPI 3 document covering every endpoint', async () => {
+    assert.equal(spec.openapi, '3.0.3');
+    assert.equal(spec.info.version, 'v1');
+
+    const root = await t.request('GET', '/');
+    const documented = Object.entries(spec.paths).flatMap(([path, operations]) => (
+      Object.keys(operations).map((method) => `${method.toUpperCase()} ${path}`)
+    ));
+    const listed = root.body.endpoints.flatMap((line) => {
+      const [methods, path] = line.split(' ');
+      return methods.split('|').map((method) => `${method} ${path.replace(/:(\w+)/g, '{$1}')}`);
+    });
+    assert.deepEqual(listed.sort(), documented.sort());
+    assert.ok(spec.paths['/api/v1/upload/product-image'].post);
+  });
+
+  it('describes requests with the routes\' validation schemas', () => {
+    const setItem = spec.paths['/api/v1/cart/items/{productId}'].put;
+    assert.deepEqual(setItem.parameters.map((parameter) => [parameter.in, parameter.name]), [['path', 'productId']]);
+    assert.equal(setItem.requestBody.content['application/json'].schema.properties.quantity.maximum, 10);
+    assert.equal(setItem.responses['400'].$ref, '#/components/responses/ValidationError');
+
+    const products = spec.paths['/api/v1/products'].get;
+    const sort = products.parameters.find((parameter) => parameter.name === 'sort');
+    assert.equal(sort.in, 'query');
+    assert.equal(sort.schema.default, 'newest');
+
+    const upload = spec.paths['/api/v1/products/{id}/images'].post;
+    assert.deepEqual(upload.requestBody.content['multipart/form-data'].schema.properties.images.items, { type: 'string', format: 'binary' });
+  });
+
+  it('marks who may call each endpoint', () => {
+    assert.equal(spec.paths['/api/v1/send-otp'].post.security, undefined);
+    assert.deepEqual(spec.paths['/api/v1/cart'].get.security, [{ firebaseAuth: [] }]);
+    assert.ok(spec.paths['/api/v1/orders/all'].get.responses['403']);
+    assert.deepEqual(spec.paths['/api/v1/maintenance/orphaned-images'].get.security, [{ cronSecret: [] }, { firebaseAuth: [] }]);
+    assert.deepEqual(spec.paths['/api/v1/stock-alerts/subscribe'].post.security, [{ firebaseAuth: [] }, {}]);
+  });
+
+  it('serves the interactive docs page', async () => {
+    const res = await t.request('GET', '/api/docs');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.match(res.body, /data-spec="\/api\/openapi.json"/);
+    assert.match(res.body, /swagger-ui-bundle\.js/);
+  });
+});
@@ -0,0 +1,188 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { ADDRESS, createProduct, placeOrder } = require('./helpers/shop');
+
+describe('orders', () => {
+  let t;
+  let token;
+  let adminToken;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    token = t.signIn('asha', 'asha@example.com');
+    adminToken = await t.signInAdmin();
+  });
+
+  afterEach(() => t.close());
+
+  async function stockOf(productId) {
+    return (await t.db.collection('products').doc(productId).get()).data().stock;
+  }
+
+  function setStatus(orderId, body) {
+    return t.request('PUT', `/api/v1/orders/${orderId}/status`, { token: adminToken, body });
+  }
+
+  describe('POST /api/v1/orders', () => {
+    it('places the cart as an order, reserves stock and emails the customer', async () => {
+      const sofa = await createProduct(t, { stock: 3 });
+      const order = await placeOrder(t, token, { [sofa.id]: 2 });
+
+      assert.equal(order.status, 'placed');
+      assert.equal(order.items[0].quantity, 2);
+      assert.equal(order.invoice, undefined);
+      assert.equal(await stockOf(sofa.id), 1);
+      assert.deepEqual((await t.request('GET', '/api/v1/cart', { token })).body.cart.items, []);
+
+      await t.deliverMail();
+      const mail = t.services.mailer.sent.at(-1);
+      assert.equal(mail.to, 'asha@example.com');
+      assert.equal(mail.attachments, undefined);
+    });
+
+    it('validates the shipping address', async () => {
+      const sofa = await createProduct(t);
+      await t.request('PUT', `/api/v1/cart/items/${sofa.id}`, { token, body: { quantity: 1 } });
+
+      const res = await t.request('POST', '/api/v1/orders', { token, body: { shippingAddress: { ...ADDRESS, pincode: '0123' } } });
+      assert.equal(res.status, 400);
+    });
+
+    it('refuses an empty cart and items that sold out', async () => {
+      const empty = await t.request('POST', '/api/v1/orders', { token, body: { shippingAddress: ADDRESS } });
+      assert.equal(empty.status, 400);
+
+      const lamp = await createProduct(t, { name: 'Lamp', stock: 1 });
+      await t.request('PUT', `/api/v1/cart/items/${lamp.id}`, { token, body: { quantity: 1 } });
+      await t.db.collection('products').doc(lamp.id).update({ stock: 0, inStock: false });
+
+      const res = await t.request('POST', '/api/v1/orders', { token, body: { shippingAddress: ADDRESS } });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.problems[0].productId, lamp.id);
+    });
+
+    it('returns the first order for a repeated Idempotency-Key', async () => {
+      const sofa = await createProduct(t);
+      await t.request('PUT', `/api/v1/cart/items/${sofa.id}`, { token, body: { quantity: 1 } });
+
+      const headers = { 'Idempotency-Key': 'checkout-0001' };
+      const first = await t.request('POST', '/api/v1/orders', { token, headers, body: { shippingAddress: ADDRESS } });
+      const retry = await t.request('POST', '/api/v1/orders', { token, headers, body: { shippingAddress: ADDRESS } });
+      assert.equal(first.status, 201);
+      assert.equal(retry.status, 200);
+      assert.equal(retry.body.duplicate, true);
+      assert.equal(retry.body.order.id, first.body.order.id);
+
+      const bad = await t.request('POST', '/api/v1/orders', { token, headers: { 'Idempotency-Key': 'x' }, body: { shippingAddress: ADDRESS } });
+      assert.equal(bad.status, 400);
+    });
+  });
+
+  describe('reading', () => {
+    it('shows customers only their own orders', async () => {
+      const sofa = await createProduct(t);
+      const order = await placeOrder(t, token, { [sofa.id]: 1 });
+
+      const mine = await t.request('GET', '/api/v1/orders', { token });
+      assert.deepEqual(mine.body.orders.map((o) => o.id), [order.id]);
+
+      assert.equal((await t.request('GET', `/api/v1/orders/${order.id}`, { token })).status, 200);
+      assert.equal((await t.request('GET', `/api/v1/orders/${order.id}`, { token: t.signIn('ravi') })).status, 404);
+      assert.equal((await t.request('GET', `/api/v1/orders/${order.id}`, { token: adminToken })).status, 200);
+    });
+
+    it('lists every order for admins only', async () => {
+      const sofa = await createProduct(t);
+      await placeOrder(t, token, { [sofa.id]: 1 });
+
+      assert.equal((await t.request('GET', '/api/v1/orders/all', { token })).status, 403);
+      const all = await t.request('GET', '/api/v1/orders/all?status=placed', { token: adminToken });
+      assert.equal(all.body.orders.length, 1);
+      assert.equal((await t.request('GET', '/api/v1/orders/all?status=lost', { token: adminToken })).status, 400);
+    });
+
+    it('downloads the invoice as a PDF once the order is confirmed', async () => {
+      const sofa = await createProduct(t);
+      const order = await placeOrder(t, token, { [sofa.id]: 1 });
+
+      const unconfirmed = await t.request('GET', `/api/v1/orders/${order.id}/invoice`, { token });
+      assert.equal(unconfirmed.status, 409);
+      await setStatus(order.id, { status: 'confirmed' });
+
+      const res = await t.request('GET', `/api/v1/orders/${order.id}/invoice`, { token });
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'application/pdf');
+      assert.match(res.headers.get('content-disposition'), /attachment; filename=".+\.pdf"/);
+      assert.equal(res.buffer.subarray(0, 5).toString(), '%PDF-');
+    });
+  });
+
+  describe('status changes', () => {
+    it('moves an order along and emails the customer', async () => {
+      const sofa = await createProduct(t);
+      const order = await placeOrder(t, token, { [sofa.id]: 1 });
+
+      assert.equal((await setStatus(order.id, { status: 'delivered' })).status, 409);
+      assert.equal((await setStatus(order.id, { status: 'confirmed' })).status, 200);
+
+      const shipped = await setStatus(order.id, { status: 'shipped', trackingNumber: 'EK123', carrier: 'India Post' });
+      assert.equal(shipped.body.order.status, 'shipped');
+      assert.equal(shipped.body.order.statusHistory.length, 3);
+      await t.deliverMail();
+      // placed, confirmed, shipped
+      assert.equal(t.services.mailer.sent.length, 3);
+      assert.ok(t.services.mailer.sent.some((mail) => /EK123/.test(mail.text)));
+    });
+
+    it('issues the invoice when the order is confirmed, and none for cancelled orders', async () => {
+      const sofa = await createProduct(t);
+      const abandoned = await placeOrder(t, token, { [sofa.id]: 1 });
+      const order = await placeOrder(t, token, { [sofa.id]: 1 });
+
+      await t.request('POST', `/api/v1/orders/${abandoned.id}/cancel`, { token });
+      assert.equal((await t.request('GET', `/api/v1/orders/${abandoned.id}/invoice`, { token })).status, 409);
+
+      const confirmed = await setStatus(order.id, { status: 'confirmed' });
+      // The cancelled order didn't use up a number
+      assert.match(confirmed.body.order.invoice.number, /\/00001$/);
+
+      await t.deliverMail();
+      const mail = t.services.mailer.sent.find((sent) => /confirmed/.test(sent.subject));
+      assert.equal(mail.attachments.length, 1);
+      assert.match(mail.attachments[0].filename, /\.pdf$/);
+
+      await setStatus(order.id, { status: 'cancelled' });
+      const res = await t.request('GET', `/api/v1/orders/${order.id}/invoice`, { token });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.message, 'Cancelled orders have no invoice');
+    });
+
+    it('validates the new status', async () => {
+      const sofa = await createProduct(t);
+      const order = await placeOrder(t, token, { [sofa.id]: 1 });
+
+      assert.equal((await setStatus(order.id, { status: 'placed' })).status, 400);
+      assert.equal((await setStatus(order.id, { status: 'confirmed', note: ['packed'] })).status, 400);
+      assert.equal((await setStatus('missing', { status: 'confirmed' })).status, 404);
+      assert.equal((await t.request('PUT', `/api/v1/orders/${order.id}/status`, { token, body: { status: 'confirmed' } })).status, 403);
+    });
+
+    it('lets customers cancel before shipping and puts the stock back', async () => {
+      const sofa = await createProduct(t, { stock: 2 });
+      const order = await placeOrder(t, token, { [sofa.id]: 2 });
+      assert.equal(await stockOf(sofa.id), 0);
+
+      const other = await t.request('POST', `/api/v1/orders/${order.id}/cancel`, { token: t.signIn('ravi') });
+      assert.equal(other.status, 404);
+
+      const res = await t.request('POST', `/api/v1/orders/${order.id}/cancel`, { token, body: { reason: 'Ordered twice' } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.order.status, 'cancelled');
+      assert.equal(await stockOf(sofa.id), 2);
+
+      const again = await t.request('POST', `/api/v1/orders/${order.id}/cancel`, { token });
+      assert.equal(again.status, 409);
+    });
+  });
+});
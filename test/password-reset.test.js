@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, lastCode } = require('./helpers/app');
+
+describe('password reset', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    t.signIn('asha', 'asha@example.com');
+  });
+
+  afterEach(() => t.close());
+
+  // Requests a code and runs the mail worker that delivers it
+  async function requestReset(email) {
+    const res = await t.request('POST', '/api/v1/password-reset/request', { body: { email } });
+    await t.deliverMail();
+    return res;
+  }
+
+  function confirm(body) {
+    return t.request('POST', '/api/v1/password-reset/confirm', { body });
+  }
+
+  describe('POST /api/v1/password-reset/request', () => {
+    it('requires an email', async () => {
+      assert.equal((await requestReset('')).status, 400);
+    });
+
+    it('emails a code to an existing account through the mail queue', async () => {
+      const res = await t.request('POST', '/api/v1/password-reset/request', { body: { email: 'Asha@Example.com' } });
+      assert.equal(res.status, 200);
+      assert.equal(t.services.mailer.sent.length, 0);
+
+      await t.deliverMail();
+      assert.match(lastCode(t.services.mailer, 'asha@example.com'), /^\d{6}$/);
+    });
+
+    it('gives the same answer for an unknown email without sending anything', async () => {
+      const known = await requestReset('asha@example.com');
+      const unknown = await requestReset('nobody@example.com');
+      assert.equal(unknown.status, 200);
+      assert.equal(unknown.body.message, known.body.message);
+      assert.equal(t.services.mailer.sent.filter((mail) => mail.to === 'nobody@example.com').length, 0);
+    });
+
+    it('does not reveal the account through its resend limits', async () => {
+      await requestReset('asha@example.com');
+      const again = await requestReset('asha@example.com');
+      const unknown = await requestReset('nobody@example.com');
+      assert.equal(again.status, 200);
+      assert.equal(again.body.message, unknown.body.message);
+      assert.equal(t.services.mailer.sent.filter((mail) => mail.to === 'asha@example.com').length, 1);
+    });
+  });
+
+  describe('POST /api/v1/password-reset/confirm', () => {
+    it('sets the new password and revokes sessions', async () => {
+      await requestReset('asha@example.com');
+      const res = await confirm({
+        email: 'asha@example.com',
+        otp: lastCode(t.services.mailer, 'asha@example.com'),
+        newPassword: 'correct horse'
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(t.services.auth.passwordUpdates, [{ uid: 'asha', password: 'correct horse' }]);
+      assert.deepEqual(t.services.auth.revoked, ['asha']);
+    });
+
+    it('checks the password before using up an attempt', async () => {
+      await requestReset('asha@example.com');
+      const code = lastCode(t.services.mailer, 'asha@example.com');
+
+      const weak = await confirm({ email: 'asha@example.com', otp: code, newPassword: '123' });
+      assert.equal(weak.status, 400);
+
+      const res = await confirm({ email: 'asha@example.com', otp: code, newPassword: 'correct horse' });
+      assert.equal(res.status, 200);
+    });
+
+    it('locks the code after too many wrong attempts', async () => {
+      await requestReset('asha@example.com');
+      const code = lastCode(t.services.mailer, 'asha@example.com');
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await confirm({ email: 'asha@example.com', otp: wrong, newPassword: 'correct horse' });
+      }
+      const res = await confirm({ email: 'asha@example.com', otp: code, newPassword: 'correct horse' });
+      assert.notEqual(res.status, 200);
+      assert.equal(t.services.auth.passwordUpdates.length, 0);
+    });
+
+    it('requires email and code', async () => {
+      assert.equal((await confirm({ newPassword: 'correct horse' })).status, 400);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createProduct, placeOrder } = require('./helpers/shop');
+const { createPaymentProvider } = require('../lib/payments');
+
+describe('payments', () => {
+  let t;
+  let token;
+  let order;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    token = t.signIn('asha');
+    const sofa = await createProduct(t, { price: 1000 });
+    order = await placeOrder(t, token, { [sofa.id]: 1 });
+  });
+
+  afterEach(() => t.close());
+
+  async function checkout() {
+    const res = await t.request('POST', '/api/v1/payments/checkout', { token, body: { orderId: order.id } });
+    assert.equal(res.status, 200);
+    return res.body.checkout;
+  }
+
+  async function orderDoc() {
+    return (await t.db.collection('orders').doc(order.id).get()).data();
+  }
+
+  function deliverWebhook(event, payment, headers = {}) {
+    const delivery = t.services.payments.driver.webhookEvent(event, payment);
+    return t.request('POST', '/api/v1/payments/webhook', { raw: delivery.body, headers: { ...delivery.headers, ...headers } });
+  }
+
+  describe('POST /api/v1/payments/checkout', () => {
+    it('creates one provider order per order, in paise', async () => {
+      const first = await checkout();
+      assert.equal(first.amount, Math.round(order.total * 100));
+      assert.equal(first.currency, 'INR');
+      assert.equal(first.orderNumber, order.orderNumber);
+
+      const again = await checkout();
+      assert.equal(again.providerOrderId, first.providerOrderId);
+      assert.equal(t.services.payments.driver.orders.size, 1);
+    });
+
+    it('only starts a checkout for your own order', async () => {
+      const res = await t.request('POST', '/api/v1/payments/checkout', { token: t.signIn('ravi'), body: { orderId: order.id } });
+      assert.equal(res.status, 404);
+      assert.equal((await t.request('POST', '/api/v1/payments/checkout', { token, body: {} })).status, 400);
+    });
+
+    it('answers 503 when no payment driver is configured', async () => {
+      const bare = await createTestApp({ payments: createPaymentProvider({}) });
+      try {
+        const buyer = bare.signIn('asha');
+        const sofa = await createProduct(bare, { price: 1000 });
+        const placed = await placeOrder(bare, buyer, { [sofa.id]: 1 });
+
+        const res = await bare.request('POST', '/api/v1/payments/checkout', { token: buyer, body: { orderId: placed.id } });
+        assert.equal(res.status, 503);
+        assert.equal((await bare.request('POST', '/api/v1/payments/webhook', { raw: '{}' })).status, 503);
+      } finally {
+        await bare.close();
+      }
+    });
+  });
+
+  describe('POST /api/v1/payments/verify', () => {
+    it('records a signed payment, confirms the order and issues its invoice', async () => {
+      const { providerOrderId } = await checkout();
+      const result = t.services.payments.driver.completePayment(providerOrderId);
+
+      const res = await t.request('POST', '/api/v1/payments/verify', { token, body: { orderId: order.id, ...result } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.payment.status, 'paid');
+
+      const saved = await orderDoc();
+      assert.equal(saved.status, 'confirmed');
+      assert.equal(saved.payment.paymentId, result.razorpay_payment_id);
+      assert.ok(saved.invoice.number);
+
+      const paidAgain = await t.request('POST', '/api/v1/payments/checkout', { token, body: { orderId: order.id } });
+      assert.equal(paidAgain.status, 409);
+    });
+
+    it('rejects a forged signature', async () => {
+      const { providerOrderId } = await checkout();
+      const result = t.services.payments.driver.completePayment(providerOrderId);
+
+      const res = await t.request('POST', '/api/v1/payments/verify', {
+        token,
+        body: { orderId: order.id, ...result, razorpay_signature: 'f'.repeat(64) }
+      });
+      assert.equal(res.status, 400);
+      assert.equal((await orderDoc()).payment.status, 'created');
+    });
+
+    it('requires every field', async () => {
+      const res = await t.request('POST', '/api/v1/payments/verify', { token, body: { orderId: order.id } });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map((error) => error.field), ['razorpay_order_id', 'razorpay_payment_id', 'razorpay_signature']);
+    });
+  });
+
+  describe('POST /api/v1/payments/webhook', () => {
+    it('marks the order paid once, however often the event is delivered', async () => {
+      const { providerOrderId, amount } = await checkout();
+      const payment = { providerOrderId, amount, eventId: 'evt_1' };
+
+      const first = await deliverWebhook('payment.captured', payment);
+      assert.equal(first.status, 200);
+      assert.equal(first.body.result, 'paid');
+      assert.equal((await orderDoc()).status, 'confirmed');
+
+      const redelivered = await deliverWebhook('payment.captured', payment);
+      assert.equal(redelivered.body.duplicate, true);
+    });
+
+    it('records failures and ignores amounts that do not match', async () => {
+      const { providerOrderId, amount } = await checkout();
+
+      const failed = await deliverWebhook('payment.failed', { providerOrderId, amount, error: 'Card declined' });
+      assert.equal(failed.body.result, 'failed');
+      assert.equal((await orderDoc()).payment.error, 'Card declined');
+
+      const short = await deliverWebhook('payment.captured', { providerOrderId, amount: amount - 100 });
+      assert.equal(short.body.result, 'amount_mismatch');
+      assert.equal((await orderDoc()).status, 'placed');
+    });
+
+    it('rejects deliveries with a bad signature', async () => {
+      const { providerOrderId, amount } = await checkout();
+      const res = await deliverWebhook('payment.captured', { providerOrderId, amount }, { 'x-razorpay-signature': 'bad' });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('createPaymentProvider', () => {
+    it('only uses the fake driver when asked for, and never in production', () => {
+      assert.equal(createPaymentProvider({}).driver, null);
+      assert.equal(createPaymentProvider({ NODE_ENV: 'production' }).driver, null);
+      assert.equal(createPaymentProvider({ PAYMENT_DRIVER: 'fake' }).driver.name, 'fake');
+      assert.throws(() => createPaymentProvider({ PAYMENT_DRIVER: 'fake', NODE_ENV: 'production' }), /production/);
+    });
+
+    it('fails when the razorpay driver is missing secrets', () => {
+      assert.throws(() => createPaymentProvider({ RAZORPAY_KEY_ID: 'rzp_live_1' }), /RAZORPAY_KEY_SECRET/);
+      const env = { RAZORPAY_KEY_ID: 'rzp_live_1', RAZORPAY_KEY_SECRET: 'secret', RAZORPAY_WEBHOOK_SECRET: 'whsec' };
+      assert.equal(createPaymentProvider(env).driver.name, 'razorpay');
+    });
+  });
+});
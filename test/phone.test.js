@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createSmsProvider } = require('../lib/sms');
+
+describe('phone verification', () => {
+  let t;
+  let token;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    token = t.signIn('asha');
+  });
+
+  afterEach(() => t.close());
+
+  function lastSmsCode() {
+    return t.services.sms.sent.at(-1).body.match(/\b(\d{6})\b/)[1];
+  }
+
+  it('requires sign-in', async () => {
+    const res = await t.request('POST', '/api/v1/phone/send-otp', { body: { phone: '9876543210' } });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects numbers that are not valid mobile numbers', async () => {
+    const res = await t.request('POST', '/api/v1/phone/send-otp', { token, body: { phone: '12345' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('texts a code to the E.164 number and verifies it', async () => {
+    const sent = await t.request('POST', '/api/v1/phone/send-otp', { token, body: { phone: '98765 43210' } });
+    assert.equal(sent.status, 200);
+    assert.ok(!sent.body.phone.includes('98765'));
+    assert.equal(t.services.sms.sent.at(-1).to, '+919876543210');
+
+    const res = await t.request('POST', '/api/v1/phone/verify-otp', {
+      token,
+      body: { phone: '+91 98765 43210', otp: lastSmsCode() }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.phoneNumber, '+919876543210');
+
+    const user = (await t.db.collection('users').doc('asha').get()).data();
+    assert.equal(user.phoneVerified, true);
+  });
+
+  it('rejects a wrong code', async () => {
+    await t.request('POST', '/api/v1/phone/send-otp', { token, body: { phone: '9876543210' } });
+    const code = lastSmsCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const res = await t.request('POST', '/api/v1/phone/verify-otp', { token, body: { phone: '9876543210', otp: wrong } });
+    assert.equal(res.status, 400);
+  });
+
+  it('only verifies the number for the user who requested the code', async () => {
+    await t.request('POST', '/api/v1/phone/send-otp', { token, body: { phone: '9876543210' } });
+    const code = lastSmsCode();
+
+    const res = await t.request('POST', '/api/v1/phone/verify-otp', {
+      token: t.signIn('ravi'),
+      body: { phone: '9876543210', otp: code }
+    });
+    assert.equal(res.status, 404);
+
+    // ... and neither that attempt nor a code ravi requests for the number touches asha's code
+    await t.request('POST', '/api/v1/phone/send-otp', { token: t.signIn('ravi'), body: { phone: '9876543210' } });
+    const own = await t.request('POST', '/api/v1/phone/verify-otp', { token, body: { phone: '9876543210', otp: code } });
+    assert.equal(own.status, 200);
+  });
+
+  it('refuses a number another account has verified', async () => {
+    await t.db.collection('users').doc('ravi').set({ phoneNumber: '+919876543210', phoneVerified: true });
+
+    const res = await t.request('POST', '/api/v1/phone/send-otp', { token, body: { phone: '9876543210' } });
+    assert.equal(res.status, 409);
+    assert.equal(t.services.sms.sent.length, 0);
+  });
+
+  it('answers 502 when the SMS fails, without starting the cooldown', async () => {
+    t.services.sms.failNext();
+    const failed = await t.request('POST', '/api/v1/phone/send-otp', { token, body: { phone: '9876543210' } });
+    assert.equal(failed.status, 502);
+    assert.equal((await t.db.collection('otpVerifications').get()).size, 0);
+    const [limits] = (await t.db.collection('otpRateLimits').get()).docs;
+    assert.equal(limits.data().sendCount, 0);
+    assert.equal(limits.data().lastSentAt, undefined);
+
+    const retry = await t.request('POST', '/api/v1/phone/send-otp', { token, body: { phone: '9876543210' } });
+    assert.equal(retry.status, 200);
+    const res = await t.request('POST', '/api/v1/phone/verify-otp', { token, body: { phone: '9876543210', otp: lastSmsCode() } });
+    assert.equal(res.status, 200);
+  });
+
+  it('answers 503 when SMS is not configured', async () => {
+    const bare = await createTestApp({ sms: null });
+    try {
+      const res = await bare.request('POST', '/api/v1/phone/send-otp', { token: bare.signIn('asha'), body: { phone: '9876543210' } });
+      assert.equal(res.status, 503);
+    } finally {
+      await bare.close();
+    }
+  });
+
+  describe('createSmsProvider', () => {
+    it('only falls back to the console driver outside production', () => {
+      assert.equal(createSmsProvider({}).driver.name, 'console');
+      assert.equal(createSmsProvider({ NODE_ENV: 'production' }), null);
+      assert.throws(() => createSmsProvider({ NODE_ENV: 'production', SMS_DRIVER: 'console' }), /production/);
+    });
+
+    it('has no provider when twilio is missing its settings', () => {
+      assert.equal(createSmsProvider({ TWILIO_ACCOUNT_SID: 'AC1' }), null);
+      assert.equal(createSmsProvider({ NODE_ENV: 'production', TWILIO_ACCOUNT_SID: 'AC1' }), null);
+      const env = { NODE_ENV: 'production', TWILIO_ACCOUNT_SID: 'AC1', TWILIO_AUTH_TOKEN: 'token', TWILIO_FROM: '+15550000000' };
+      assert.equal(createSmsProvider(env).driver.name, 'twilio');
+    });
+  });
+});
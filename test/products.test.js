@@ -0,0 +1,179 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createPng } = require('./helpers/fakes');
+
+describe('products', () => {
+  let t;
+  let adminToken;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    adminToken = await t.signInAdmin();
+  });
+
+  afterEach(() => t.close());
+
+  async function createProduct(fields = {}) {
+    const res = await t.request('POST', '/api/v1/products', {
+      token: adminToken,
+      body: { name: 'Teak Sofa', category: 'furniture', price: 1000, mrp: 1500, stock: 3, ...fields }
+    });
+    assert.equal(res.status, 201);
+    return res.body.product;
+  }
+
+  function imageForm(...files) {
+    const form = new FormData();
+    files.forEach((file, index) => form.append('images', new Blob([file], { type: 'image/png' }), `image-${index}.png`));
+    return form;
+  }
+
+  describe('reading', () => {
+    it('lists products with filters, sorting and a cursor', async () => {
+      await createProduct({ name: 'Sofa', price: 1000 });
+      t.clock.advance(1000);
+      await createProduct({ name: 'Lamp', price: 250, stock: 0 });
+      t.clock.advance(1000);
+      await createProduct({ name: 'Fan', category: 'electronics', price: 99 });
+
+      const all = await t.request('GET', '/api/v1/products?limit=2');
+      assert.equal(all.status, 200);
+      assert.equal(all.body.products.length, 2);
+      assert.ok(all.body.nextCursor);
+
+      const next = await t.request('GET', `/api/v1/products?limit=2&cursor=${encodeURIComponent(all.body.nextCursor)}`);
+      assert.equal(next.body.products.length, 1);
+
+      const furniture = await t.request('GET', '/api/v1/products?category=furniture&inStock=true');
+      assert.deepEqual(furniture.body.products.map((product) => product.name), ['Sofa']);
+
+      const cheapest = await t.request('GET', '/api/v1/products?sort=price_asc&maxPrice=500');
+      assert.deepEqual(cheapest.body.products.map((product) => product.name), ['Fan', 'Lamp']);
+    });
+
+    it('rejects a bad query', async () => {
+      assert.equal((await t.request('GET', '/api/v1/products?sort=random')).status, 400);
+      assert.equal((await t.request('GET', '/api/v1/products?limit=500')).status, 400);
+      assert.equal((await t.request('GET', '/api/v1/products?cursor=nope')).status, 400);
+    });
+
+    it('loads one product and 404s for unknown ids', async () => {
+      const product = await createProduct();
+      const res = await t.request('GET', `/api/v1/products/${product.id}`);
+      assert.equal(res.body.product.name, 'Teak Sofa');
+      assert.equal((await t.request('GET', '/api/v1/products/missing')).status, 404);
+    });
+  });
+
+  describe('managing', () => {
+    it('is admin only', async () => {
+      const body = { name: 'Sofa', category: 'furniture', price: 1, mrp: 1 };
+      assert.equal((await t.request('POST', '/api/v1/products', { body })).status, 401);
+      assert.equal((await t.request('POST', '/api/v1/products', { token: t.signIn('asha'), body })).status, 403);
+    });
+
+    it('validates new products', async () => {
+      const res = await t.request('POST', '/api/v1/products', {
+        token: adminToken,
+        body: { name: 'Sofa', category: 'furniture', price: 2000, mrp: 1500 }
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Price cannot be higher than the MRP');
+    });
+
+    it('updates a product and alerts wishlist watchers when the price drops', async () => {
+      const product = await createProduct();
+      await t.db.collection('users').doc('asha').set({ email: 'asha@example.com', fullName: 'Asha' });
+      await t.db.collection('users').doc('asha').collection('wishlist').doc(product.id).set({ productId: product.id });
+
+      const res = await t.request('PUT', `/api/v1/products/${product.id}`, { token: adminToken, body: { price: 800 } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.product.price, 800);
+      assert.equal(res.body.priceDrop.queuedCount, 1);
+
+      const rise = await t.request('PUT', `/api/v1/products/${product.id}`, { token: adminToken, body: { price: 900 } });
+      assert.equal(rise.body.priceDrop, null);
+    });
+
+    it('soft deletes and restores', async () => {
+      const product = await createProduct();
+
+      assert.equal((await t.request('DELETE', `/api/v1/products/${product.id}`, { token: adminToken })).status, 200);
+      assert.equal((await t.request('GET', `/api/v1/products/${product.id}`)).status, 404);
+      assert.equal((await t.request('GET', `/api/v1/products/${product.id}?includeDeleted=true`)).status, 401);
+      const deleted = await t.request('GET', `/api/v1/products/${product.id}?includeDeleted=true`, { token: adminToken });
+      assert.equal(deleted.body.product.deleted, true);
+
+      const restored = await t.request('POST', `/api/v1/products/${product.id}/restore`, { token: adminToken });
+      assert.equal(restored.body.product.deleted, false);
+    });
+  });
+
+  describe('images', () => {
+    it('uploads, reorders and removes gallery images', async () => {
+      const product = await createProduct();
+
+      const upload = await t.request('POST', `/api/v1/products/${product.id}/images`, {
+        token: adminToken,
+        raw: imageForm(createPng(200, 200), createPng(300, 200))
+      });
+      assert.equal(upload.status, 201);
+      assert.equal(upload.body.images.length, 2);
+      const [first, second] = upload.body.images.map((image) => image.publicId);
+
+      const reordered = await t.request('PUT', `/api/v1/products/${product.id}/images`, {
+        token: adminToken,
+        body: { images: [second, first] }
+      });
+      assert.deepEqual(reordered.body.images.map((image) => image.publicId), [second, first]);
+
+      const removed = await t.request('DELETE', `/api/v1/products/${product.id}/images/${first}`, { token: adminToken });
+      assert.deepEqual(removed.body.images.map((image) => image.publicId), [second]);
+      assert.ok(!t.services.storage.images.has(first));
+    });
+
+    it('deletes images a product update drops and still alerts on the lower price', async () => {
+      const product = await createProduct();
+      await t.db.collection('users').doc('asha').set({ email: 'asha@example.com', fullName: 'Asha' });
+      await t.db.collection('users').doc('asha').collection('wishlist').doc(product.id).set({ productId: product.id });
+
+      const upload = await t.request('POST', `/api/v1/products/${product.id}/images`, {
+        token: adminToken,
+        raw: imageForm(createPng(200, 200), createPng(300, 200))
+      });
+      const [first, second] = upload.body.images;
+
+      const res = await t.request('PUT', `/api/v1/products/${product.id}`, {
+        token: adminToken,
+        body: { images: [second], price: 800 }
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.product.images.map((image) => image.publicId), [second.publicId]);
+      assert.ok(!t.services.storage.images.has(first.publicId));
+      assert.ok(t.services.storage.images.has(second.publicId));
+      assert.equal(res.body.priceDrop.queuedCount, 1);
+
+      const jobs = await t.db.collection('mailJobs').where('category', '==', 'price-drop').get();
+      assert.equal(jobs.size, 1);
+      assert.equal(jobs.docs[0].data().message.to, 'asha@example.com');
+    });
+
+    it('rejects images that are too small or not images', async () => {
+      const product = await createProduct();
+
+      const small = await t.request('POST', `/api/v1/products/${product.id}/images`, {
+        token: adminToken,
+        raw: imageForm(createPng(50, 50))
+      });
+      assert.equal(small.status, 400);
+
+      const fake = await t.request('POST', `/api/v1/products/${product.id}/images`, {
+        token: adminToken,
+        raw: imageForm(Buffer.from('not really a png'))
+      });
+      assert.equal(fake.status, 400);
+      assert.equal(t.services.storage.images.size, 0);
+    });
+  });
+});
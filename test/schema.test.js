@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const schema = require('../lib/schema');
+
+describe('request schemas', () => {
+  function check(fieldSchema, input) {
+    return schema.validateValue(schema.object({ field: fieldSchema }), input, 'body');
+  }
+
+  it('coerces query-string values to the declared types', () => {
+    const query = schema.object({
+      limit: schema.integer({ min: 1, max: 100 }),
+      inStock: schema.boolean(),
+      code: schema.string()
+    });
+    const { value, errors } = schema.validateValue(query, { limit: '20', inStock: 'false', code: 123456 });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { limit: 20, inStock: false, code: '123456' });
+  });
+
+  it('trims strings, lowercases emails and drops undeclared keys', () => {
+    const body = schema.object({ email: schema.email(), name: schema.string() });
+    const { value } = schema.validateValue(body, { email: ' Asha@Example.COM ', name: ' Asha ', role: 'admin' });
+    assert.deepEqual(value, { email: 'asha@example.com', name: 'Asha' });
+  });
+
+  it('reports every invalid field with its path', () => {
+    const body = schema.object({
+      email: schema.email(),
+      address: schema.object({ pincode: schema.string({ pattern: /^\d{6}$/, patternReason: 'must be 6 digits' }) }),
+      items: schema.array(schema.integer())
+    });
+    const { errors } = schema.validateValue(body, { address: { pincode: '12' }, items: [1, 'two'] }, 'body');
+    assert.deepEqual(errors, [
+      { field: 'email', message: 'email is required' },
+      { field: 'address.pincode', message: 'address.pincode must be 6 digits' },
+      { field: 'items[1]', message: 'items[1] must be a whole number' }
+    ]);
+  });
+
+  it('treats null and empty strings as missing unless allowed', () => {
+    assert.equal(check(schema.string(), { field: '  ' }).errors[0].message, 'field is required');
+    assert.equal(check(schema.string(), { field: null }).errors[0].message, 'field is required');
+    assert.deepEqual(check(schema.string().nullable(), { field: null }).value, { field: null });
+    assert.deepEqual(check(schema.string().optional(), {}).value, {});
+    assert.deepEqual(check(schema.integer().default(20), {}).value, { field: 20 });
+  });
+
+  it('rejects wrong types instead of guessing', () => {
+    assert.equal(check(schema.number(), { field: 'a lot' }).errors[0].message, 'field must be a number');
+    assert.equal(check(schema.number({ positive: true }), { field: 0 }).errors[0].message, 'field must be a number greater than 0');
+    assert.equal(check(schema.boolean(), { field: 'yes' }).errors[0].message, 'field must be true or false');
+    assert.equal(check(schema.string(), { field: { $gt: '' } }).errors[0].message, 'field must be a string');
+    assert.equal(check(schema.oneOf(['a', 'b']), { field: 'c' }).errors[0].message, 'field must be one of: a, b');
+    assert.equal(check(schema.date(), { field: 'soon' }).errors[0].message, 'field must be an ISO 8601 date');
+  });
+
+  it('only accepts Firestore document ids for ids', () => {
+    for (const id of ['a/b', '..', '__id__']) {
+      assert.equal(check(schema.docId(), { field: id }).errors[0].message, 'field must be a valid id', id);
+    }
+    assert.deepEqual(check(schema.docId(), { field: 'Xk29aB' }).errors, []);
+  });
+
+  it('rejects unknown keys when asked to', () => {
+    const switches = schema.object({ email: schema.boolean().optional() }, { unknown: 'reject' });
+    assert.deepEqual(schema.validateValue(switches, { sms: true }, 'channels').errors, [
+      { field: 'sms', message: 'sms is not allowed' }
+    ]);
+  });
+
+  it('runs transforms and reports their reason', () => {
+    const even = schema.integer().transform((value) => (value % 2 === 0 ? value / 2 : null), 'must be even');
+    assert.deepEqual(check(even, { field: 8 }).value, { field: 4 });
+    assert.equal(check(even, { field: 7 }).errors[0].message, 'field must be even');
+  });
+
+  it('makes partial schemas for updates', () => {
+    const product = schema.object({ name: schema.string(), stock: schema.integer().default(0) });
+    const update = schema.partial(product);
+    assert.deepEqual(schema.validateValue(update, {}).value, {});
+    assert.equal(schema.validateValue(update, { name: '' }).errors[0].message, 'name cannot be empty');
+  });
+
+  it('describes schemas as JSON Schema', () => {
+    const body = schema.object({
+      email: schema.email(),
+      limit: schema.integer({ min: 1, max: 100 }).default(20),
+      price: schema.number({ positive: true }),
+      note: schema.string({ max: 500 }).nullable().optional().describe('Shown to the customer')
+    });
+    assert.deepEqual(schema.toJSONSchema(body), {
+      type: 'object',
+      properties: {
+        email: { type: 'string', maxLength: 254, format: 'email' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+        price: { type: 'number', minimum: 0, exclusiveMinimum: true },
+        note: { type: 'string', maxLength: 500, description: 'Shown to the customer', nullable: true }
+      },
+      required: ['email', 'price']
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, linksIn } = require('./helpers/app');
+
+describe('stock alerts', () => {
+  let t;
+  let adminToken;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    adminToken = await t.signInAdmin();
+  });
+
+  afterEach(() => t.close());
+
+  function subscribe(body, token) {
+    return t.request('POST', '/api/v1/stock-alerts/subscribe', { token, body });
+  }
+
+  describe('POST /api/v1/stock-alerts/subscribe', () => {
+    it('subscribes guests by email and signed-in users by their account email', async () => {
+      const guest = await subscribe({ productId: 'lamp', email: 'guest@example.com' });
+      assert.equal(guest.status, 201);
+
+      const user = await subscribe({ productId: 'lamp', email: 'ignored@example.com' }, t.signIn('asha', 'asha@example.com'));
+      assert.equal(user.status, 201);
+
+      const emails = Object.values(t.db.dump())
+        .filter((doc) => doc.productId === 'lamp' && doc.status === 'active')
+        .map((doc) => doc.email)
+        .sort();
+      assert.deepEqual(emails, ['asha@example.com', 'guest@example.com']);
+    });
+
+    it('does not subscribe the same email twice', async () => {
+      await subscribe({ productId: 'lamp', email: 'guest@example.com' });
+      const res = await subscribe({ productId: 'lamp', email: 'Guest@example.com' });
+      assert.equal(res.status, 200);
+      assert.match(res.body.message, /already on the list/);
+    });
+
+    it('validates the product and email', async () => {
+      assert.equal((await subscribe({ email: 'guest@example.com' })).status, 400);
+      assert.equal((await subscribe({ productId: 'lamp' })).status, 400);
+      assert.equal((await subscribe({ productId: 'lamp', email: 'guest' })).status, 400);
+    });
+  });
+
+  describe('click tracking', () => {
+    it('records the click from the email and redirects to the store', async () => {
+      await subscribe({ productId: 'lamp', email: 'guest@example.com' });
+      await t.request('POST', '/api/v1/notify-back-in-stock', { token: adminToken, body: { productId: 'lamp', productName: 'Brass Lamp' } });
+      await t.deliverMail();
+
+      const link = linksIn(t.services.mailer.sent.at(-1), '/api/v1/stock-alerts/click')[0];
+      const res = await t.request('GET', link);
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.get('location'), 'https://shop.test/products');
+
+      const notifications = await t.request('GET', '/api/v1/stock-alerts/notifications', { token: adminToken });
+      assert.equal(notifications.body.notifications[0].clickCount, 1);
+      assert.equal(notifications.body.notifications[0].clickRate, 1);
+    });
+
+    it('still redirects with a bad token', async () => {
+      const res = await t.request('GET', '/api/v1/stock-alerts/click?token=forged');
+      assert.equal(res.status, 302);
+    });
+  });
+
+  it('lists notifications for admins only', async () => {
+    const res = await t.request('GET', '/api/v1/stock-alerts/notifications', { token: t.signIn('asha') });
+    assert.equal(res.status, 403);
+  });
+
+  it('lists notifications newest first with a cursor', async () => {
+    for (const productId of ['lamp', 'fan', 'lamp']) {
+      await subscribe({ productId, email: 'guest@example.com' });
+      await t.request('POST', '/api/v1/notify-back-in-stock', { token: adminToken, body: { productId, productName: productId } });
+      t.clock.advance(1000);
+    }
+
+    const first = await t.request('GET', '/api/v1/stock-alerts/notifications?limit=2', { token: adminToken });
+    assert.deepEqual(first.body.notifications.map((notification) => notification.productId), ['lamp', 'fan']);
+    assert.ok(first.body.nextCursor);
+
+    const next = await t.request('GET', `/api/v1/stock-alerts/notifications?limit=2&cursor=${first.body.nextCursor}`, { token: adminToken });
+    assert.deepEqual(next.body.notifications.map((notification) => notification.productId), ['lamp']);
+    assert.equal(next.body.nextCursor, null);
+
+    const lamps = await t.request('GET', '/api/v1/stock-alerts/notifications?productId=lamp', { token: adminToken });
+    assert.equal(lamps.body.notifications.length, 2);
+    assert.ok(lamps.body.notifications[0].createdAt > lamps.body.notifications[1].createdAt);
+
+    const bad = await t.request('GET', '/api/v1/stock-alerts/notifications?productId=lamp&cursor=missing', { token: adminToken });
+    assert.equal(bad.status, 400);
+  });
+});
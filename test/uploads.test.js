@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createPng } = require('./helpers/fakes');
+const { createStorage } = require('../lib/storage');
+
+describe('uploads', () => {
+  let t;
+  let token;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    token = t.signIn('asha');
+    await t.db.collection('users').doc('asha').set({ email: 'asha@example.com' });
+  });
+
+  afterEach(() => t.close());
+
+  function imageForm(file, fields = {}) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    form.append('image', new Blob([file], { type: 'image/png' }), 'photo.png');
+    return form;
+  }
+
+  async function photoURL() {
+    return (await t.db.collection('users').doc('asha').get()).data().photoURL;
+  }
+
+  describe('profile image', () => {
+    it('replaces the photo and deletes the previous one', async () => {
+      const first = await t.request('POST', '/api/v1/upload/profile-image', { token, raw: imageForm(createPng(64, 64)) });
+      assert.equal(first.status, 200);
+      assert.equal(await photoURL(), first.body.photoURL);
+
+      t.clock.advance(1000);
+      const second = await t.request('POST', '/api/v1/upload/profile-image', { token, raw: imageForm(createPng(128, 128)) });
+      assert.equal(second.status, 200);
+      assert.notEqual(second.body.publicId, first.body.publicId);
+      assert.ok(!t.services.storage.images.has(first.body.publicId));
+      assert.ok(t.services.storage.images.has(second.body.publicId));
+    });
+
+    it('checks the file and the user', async () => {
+      assert.equal((await t.request('POST', '/api/v1/upload/profile-image', { raw: imageForm(createPng(64, 64)) })).status, 401);
+      assert.equal((await t.request('POST', '/api/v1/upload/profile-image', { token, raw: new FormData() })).status, 400);
+      assert.equal((await t.request('POST', '/api/v1/upload/profile-image', { token, raw: imageForm(createPng(32, 32)) })).status, 400);
+
+      const other = await t.request('POST', '/api/v1/upload/profile-image', {
+        token,
+        raw: imageForm(createPng(64, 64), { userId: 'ravi' })
+      });
+      assert.equal(other.status, 403);
+
+      const ghost = await t.request('POST', '/api/v1/upload/profile-image', { token: t.signIn('ghost'), raw: imageForm(createPng(64, 64)) });
+      assert.equal(ghost.status, 404);
+      assert.equal(t.services.storage.images.size, 0);
+    });
+
+    it('removes the photo', async () => {
+      const upload = await t.request('POST', '/api/v1/upload/profile-image', { token, raw: imageForm(createPng(64, 64)) });
+
+      const res = await t.request('DELETE', '/api/v1/upload/profile-image', { token });
+      assert.equal(res.body.message, 'Profile image removed');
+      assert.equal(await photoURL(), null);
+      assert.ok(!t.services.storage.images.has(upload.body.publicId));
+
+      const again = await t.request('DELETE', '/api/v1/upload/profile-image', { token });
+      assert.equal(again.body.message, 'No profile image to remove');
+    });
+  });
+
+  describe('product image', () => {
+    it('is admin only', async () => {
+      const res = await t.request('POST', '/api/v1/upload/product-image', { token, raw: imageForm(createPng(200, 200)) });
+      assert.equal(res.status, 403);
+    });
+
+    it('stores the image and returns its url', async () => {
+      const res = await t.request('POST', '/api/v1/upload/product-image', {
+        token: await t.signInAdmin(),
+        raw: imageForm(createPng(200, 200))
+      });
+      assert.equal(res.status, 200);
+      assert.equal(t.services.storage.images.get(res.body.publicId).url, res.body.imageUrl);
+    });
+
+    it('rejects images below the minimum size', async () => {
+      const res = await t.request('POST', '/api/v1/upload/product-image', {
+        token: await t.signInAdmin(),
+        raw: imageForm(createPng(199, 200))
+      });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('createStorage', () => {
+    it('only falls back to local storage outside production', () => {
+      assert.equal(createStorage({}).driver.name, 'local');
+      assert.throws(() => createStorage({ NODE_ENV: 'production' }), /No storage driver configured/);
+      assert.throws(() => createStorage({ NODE_ENV: 'production', STORAGE_DRIVER: 'local' }), /production/);
+    });
+
+    it('fails in production when cloudinary is missing its settings', () => {
+      assert.equal(createStorage({ CLOUDINARY_CLOUD_NAME: 'shop' }).driver, null);
+      assert.throws(() => createStorage({ NODE_ENV: 'production', CLOUDINARY_CLOUD_NAME: 'shop' }), /CLOUDINARY_API_KEY/);
+    });
+  });
+});
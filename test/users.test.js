@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, linksIn } = require('./helpers/app');
+
+describe('users', () => {
+  let t;
+  let token;
+
+  beforeEach(async () => {
+    t = await createTestApp();
+    token = t.signIn('asha');
+    await t.db.collection('users').doc('asha').set({ email: 'asha@example.com', fullName: 'Asha' });
+    await t.db.collection('users').doc('asha').collection('wishlist').doc('sofa').set({ productId: 'sofa' });
+  });
+
+  afterEach(() => t.close());
+
+  describe('notification preferences', () => {
+    it('returns defaults and saves partial updates', async () => {
+      const defaults = await t.request('GET', '/api/v1/users/me/notification-preferences', { token });
+      assert.equal(defaults.status, 200);
+      assert.equal(defaults.body.preferences.priceAlerts, true);
+
+      const res = await t.request('PUT', '/api/v1/users/me/notification-preferences', {
+        token,
+        body: { categories: { furniture: false }, minDropPercent: 10 }
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.preferences.categories.furniture, false);
+      assert.equal(res.body.preferences.categories.electronics, true);
+      assert.equal(res.body.preferences.minDropPercent, 10);
+    });
+
+    it('rejects unknown fields and values', async () => {
+      const put = (body) => t.request('PUT', '/api/v1/users/me/notification-preferences', { token, body });
+      assert.equal((await put({ categories: { toys: true } })).status, 400);
+      assert.equal((await put({ priceAlerts: 'no' })).status, 400);
+      assert.equal((await put({ minDropPercent: 150 })).status, 400);
+    });
+
+    it('404s without a user profile and 401s without sign-in', async () => {
+      const ghost = await t.request('GET', '/api/v1/users/me/notification-preferences', { token: t.signIn('ghost') });
+      assert.equal(ghost.status, 404);
+      assert.equal((await t.request('GET', '/api/v1/users/me/notification-preferences')).status, 401);
+    });
+  });
+
+  describe('wishlist target price', () => {
+    async function entry() {
+      return (await t.db.collection('users').doc('asha').collection('wishlist').doc('sofa').get()).data();
+    }
+
+    it('sets and clears the target price', async () => {
+      const set = await t.request('PUT', '/api/v1/users/me/wishlist/sofa/target-price', { token, body: { targetPrice: 750 } });
+      assert.equal(set.status, 200);
+      assert.equal((await entry()).targetPrice, 750);
+
+      const cleared = await t.request('DELETE', '/api/v1/users/me/wishlist/sofa/target-price', { token });
+      assert.equal(cleared.body.targetPrice, null);
+      assert.equal((await entry()).targetPrice, undefined);
+    });
+
+    it('validates the price and the wishlist entry', async () => {
+      const bad = await t.request('PUT', '/api/v1/users/me/wishlist/sofa/target-price', { token, body: { targetPrice: -5 } });
+      assert.equal(bad.status, 400);
+      const missing = await t.request('PUT', '/api/v1/users/me/wishlist/lamp/target-price', { token, body: { targetPrice: 5 } });
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  describe('price alert unsubscribe', () => {
+    async function unsubscribeLink() {
+      await t.request('POST', '/api/v1/notify-price-drop', {
+        token: await t.signInAdmin(),
+        body: { productId: 'sofa', productName: 'Teak Sofa', oldPrice: 1000, newPrice: 800 }
+      });
+      await t.deliverMail();
+      return linksIn(t.services.mailer.sent.at(-1), '/api/v1/users/price-alerts/unsubscribe')[0];
+    }
+
+    async function priceAlerts() {
+      return (await t.request('GET', '/api/v1/users/me/notification-preferences', { token })).body.preferences.priceAlerts;
+    }
+
+    it('asks before turning price alerts off from the email link', async () => {
+      const page = await t.request('GET', await unsubscribeLink());
+      assert.equal(page.status, 200);
+      assert.match(page.body, /<form method="post" action="\/api\/v1\/users\/price-alerts\/unsubscribe"/);
+      assert.equal(await priceAlerts(), true);
+
+      const res = await t.request('POST', '/api/v1/users/price-alerts/unsubscribe', {
+        raw: new URLSearchParams({ token: page.body.match(/name="token" value="([^"]+)"/)[1] }).toString(),
+        headers: { 'content-type': 'application/x-www-form-urlencoded', accept: 'text/html' }
+      });
+      assert.equal(res.status, 200);
+      assert.match(res.body, /Price alerts turned off/);
+      assert.equal(await priceAlerts(), false);
+    });
+
+    it('supports one-click POST', async () => {
+      const res = await t.request('POST', await unsubscribeLink(), { raw: 'List-Unsubscribe=One-Click' });
+      assert.equal(res.status, 200);
+      assert.equal(await priceAlerts(), false);
+    });
+
+    it('does not recreate a deleted user', async () => {
+      const link = await unsubscribeLink();
+      await t.db.collection('users').doc('asha').delete();
+
+      const res = await t.request('POST', link, { raw: 'List-Unsubscribe=One-Click' });
+      assert.equal(res.status, 200);
+      assert.equal((await t.db.collection('users').doc('asha').get()).exists, false);
+    });
+
+    it('rejects invalid tokens', async () => {
+      assert.equal((await t.request('GET', '/api/v1/users/price-alerts/unsubscribe?token=forged')).status, 400);
+      assert.equal((await t.request('POST', '/api/v1/users/price-alerts/unsubscribe?token=forged')).status, 400);
+    });
+  });
+});
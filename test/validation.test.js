@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+
+describe('request validation', () => {
+  let t;
+
+  before(async () => {
+    t = await createTestApp();
+  });
+
+  after(() => t.close());
+
+  it('answers with a uniform 400 listing each problem', async () => {
+    const res = await t.request('PUT', '/api/v1/cart/items/lamp', {
+      token: t.signIn('asha'),
+      body: { quantity: 'lots' },
+      headers: { 'X-Request-Id': 'req-123' }
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, {
+      success: false,
+      message: 'quantity must be a whole number',
+      errors: [{ in: 'body', field: 'quantity', message: 'quantity must be a whole number' }],
+      requestId: 'req-123'
+    });
+  });
+
+  it('checks params, query and body together', async () => {
+    const token = await t.signInAdmin();
+    const res = await t.request('GET', '/api/v1/campaigns/__all__/recipients?status=lost&limit=0', { token });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map((error) => `${error.in}.${error.field}`), [
+      'params.id',
+      'query.status',
+      'query.limit'
+    ]);
+  });
+
+  it('passes sanitised values on to the route', async () => {
+    const res = await t.request('POST', '/api/v1/newsletter/subscribe', { body: { email: '  Ravi@Example.com ' } });
+    assert.equal(res.status, 200);
+    assert.ok((await t.db.collection('newsletterSubscribers').doc('ravi@example.com').get()).exists);
+  });
+
+  it('runs after authentication', async () => {
+    const res = await t.request('PUT', '/api/v1/cart/items/lamp', { body: { quantity: 'lots' } });
+    assert.equal(res.status, 401);
+  });
+});